@@ -0,0 +1,44 @@
+/**
+ * Audit Log Actions
+ * Every event the audit log records, and the kinds of records it points at
+ */
+
+const AUDIT_ACTIONS = Object.freeze({
+  // Authentication
+  LOGIN: "auth.login",
+  GOOGLE_LINKED: "auth.google_linked",
+  GOOGLE_UNLINKED: "auth.google_unlinked",
+  OIDC_LINKED: "auth.oidc_linked",
+  // User administration
+  ROLE_CHANGED: "user.role_changed",
+  USER_DEACTIVATED: "user.deactivated",
+  USER_REACTIVATED: "user.reactivated",
+  USER_EMAIL_VERIFIED: "user.email_verified",
+  USER_PASSWORD_RESET_FORCED: "user.password_reset_forced",
+  USER_TWO_FACTOR_RESET: "user.two_factor_reset",
+  // Classes
+  CLASS_DELETED: "class.deleted",
+  CLASS_RESTORED: "class.restored",
+  CLASS_PURGED: "class.purged",
+  CLASS_TRASH_RETENTION_CHANGED: "class.trash_retention_changed",
+  JOIN_CODE_REGENERATED: "class.join_code_regenerated",
+  CLASS_STAFF_INVITED: "class.staff_invited",
+  CLASS_STAFF_ROLE_CHANGED: "class.staff_role_changed",
+  CLASS_STAFF_REMOVED: "class.staff_removed",
+  ROSTER_IMPORTED: "class.roster_imported",
+  // Course offerings
+  OFFERING_CREATED: "offering.created",
+  OFFERING_DELETED: "offering.deleted",
+  OFFERING_COORDINATOR_ADDED: "offering.coordinator_added",
+  OFFERING_COORDINATOR_REMOVED: "offering.coordinator_removed",
+  OFFERING_SECTION_ACCEPTED: "offering.section_accepted",
+  OFFERING_SECTION_WITHDRAWN: "offering.section_withdrawn",
+  // Grading
+  GRADE_CHANGED: "submission.grade_changed",
+  // Attendance
+  ATTENDANCE_SESSION_ENDED: "attendance.session_ended",
+});
+
+const AUDIT_TARGET_TYPES = ["user", "class", "course_offering", "submission", "attendance_session"];
+
+module.exports = { AUDIT_ACTIONS, AUDIT_TARGET_TYPES };
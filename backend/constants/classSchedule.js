@@ -0,0 +1,11 @@
+/**
+ * Class Schedule
+ * Kinds of class meetings and the weekday names used by the schedule
+ */
+
+const MEETING_TYPES = ["lecture", "lab", "tutorial"];
+
+// Index = JavaScript weekday number (0 = Sunday)
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+module.exports = { MEETING_TYPES, WEEKDAYS };
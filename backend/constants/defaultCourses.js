@@ -0,0 +1,19 @@
+/**
+ * Default Courses
+ * The original course codes, seeded into the Course catalog on first start.
+ * Manage courses through /api/courses afterwards.
+ */
+
+const DEFAULT_COURSES = Object.freeze({
+  CS305: "DESIGN AND ANALYSIS ALGORITHMS",
+  CS307: "DATABASE SYSTEMS I",
+  CS302: "COMPUTER ARCHITECTURE",
+  CS303: "SOFTWARE ENGINEERING",
+  CS306: "OPERATING SYSTEMS",
+  CS304: "COMPUTER GRAPHICS",
+});
+
+// Department the default courses belong to
+const DEFAULT_COURSE_DEPARTMENT = "Computer Science";
+
+module.exports = { DEFAULT_COURSES, DEFAULT_COURSE_DEPARTMENT };
@@ -0,0 +1,11 @@
+/**
+ * Locales Configuration
+ * Languages the platform sends emails and notifications in
+ */
+
+const SUPPORTED_LOCALES = ["en", "ar"];
+const DEFAULT_LOCALE = "en";
+// Locales written right-to-left
+const RTL_LOCALES = ["ar"];
+
+module.exports = { SUPPORTED_LOCALES, DEFAULT_LOCALE, RTL_LOCALES };
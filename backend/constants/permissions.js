@@ -0,0 +1,168 @@
+/**
+ * Permissions Configuration
+ * Named permissions, the global permissions of each user role, the
+ * permissions a user gets inside a class from their role in that class
+ * (owner, co-instructor, TA or student), and the scopes that limit
+ * personal access tokens
+ */
+
+const PERMISSIONS = Object.freeze({
+  // Classes
+  CLASS_CREATE: "class:create",
+  CLASS_JOIN: "class:join",
+  CLASS_READ: "class:read",
+  CLASS_MANAGE: "class:manage",
+  CLASS_DELETE: "class:delete",
+  CLASS_STAFF_MANAGE: "class:staff:manage",
+  CLASS_READ_ANY: "class:read:any",
+  CLASS_MANAGE_ANY: "class:manage:any",
+  CLASS_TRASH_MANAGE: "class:trash:manage",
+  // Assignments & grading
+  ASSIGNMENT_WRITE: "assignment:write",
+  ASSIGNMENT_SUBMIT: "assignment:submit",
+  GRADE_READ: "grade:read",
+  GRADE_WRITE: "grade:write",
+  // Attendance
+  ATTENDANCE_MANAGE: "attendance:manage",
+  ATTENDANCE_CHECK_IN: "attendance:checkin",
+  // Announcements
+  ANNOUNCEMENT_CLASS: "announcement:class",
+  ANNOUNCEMENT_GLOBAL: "announcement:global",
+  // Administration
+  USER_MANAGE: "user:manage",
+  USER_MANAGE_ADMINS: "user:manage:admins",
+  UNIVERSITY_MANAGE: "university:manage",
+  COURSE_MANAGE: "course:manage",
+  COURSE_OFFERING_MANAGE: "course:offering:manage",
+  TERM_MANAGE: "term:manage",
+  SETTINGS_MANAGE: "settings:manage",
+  AUDIT_READ: "audit:read",
+  JOBS_READ: "jobs:read",
+  JOBS_RUN: "jobs:run",
+  EMAIL_PREVIEW: "email:preview",
+  EMAIL_OUTBOX: "email:outbox",
+  EMAIL_OUTBOX_BODY: "email:outbox:body",
+});
+
+const P = PERMISSIONS;
+
+const ADMIN_PERMISSIONS = [
+  P.CLASS_READ_ANY,
+  P.CLASS_MANAGE_ANY,
+  P.CLASS_TRASH_MANAGE,
+  P.ANNOUNCEMENT_GLOBAL,
+  P.USER_MANAGE,
+  P.COURSE_MANAGE,
+  P.COURSE_OFFERING_MANAGE,
+  P.TERM_MANAGE,
+  P.AUDIT_READ,
+  P.JOBS_READ,
+  P.EMAIL_PREVIEW,
+  P.EMAIL_OUTBOX,
+];
+
+// Global permissions granted by User.role
+const ROLE_PERMISSIONS = Object.freeze({
+  student: [P.CLASS_JOIN, P.ASSIGNMENT_SUBMIT, P.ATTENDANCE_CHECK_IN],
+  instructor: [
+    P.CLASS_CREATE,
+    P.ASSIGNMENT_WRITE,
+    P.GRADE_READ,
+    P.GRADE_WRITE,
+    P.ATTENDANCE_MANAGE,
+    P.ANNOUNCEMENT_CLASS,
+  ],
+  admin: ADMIN_PERMISSIONS,
+  super_admin: [
+    ...ADMIN_PERMISSIONS,
+    P.USER_MANAGE_ADMINS,
+    P.UNIVERSITY_MANAGE,
+    P.SETTINGS_MANAGE,
+    P.JOBS_RUN,
+    P.EMAIL_OUTBOX_BODY,
+  ],
+});
+
+// Staff roles that can be given to other users in a class (the owner is Class.instructor)
+const CLASS_STAFF_ROLES = ["co_instructor", "ta"];
+
+const CO_INSTRUCTOR_PERMISSIONS = [
+  P.CLASS_READ,
+  P.CLASS_MANAGE,
+  P.ASSIGNMENT_WRITE,
+  P.GRADE_READ,
+  P.GRADE_WRITE,
+  P.ATTENDANCE_MANAGE,
+  P.ANNOUNCEMENT_CLASS,
+];
+
+// Permissions granted inside a single class by the user's role in that class
+const CLASS_ROLE_PERMISSIONS = Object.freeze({
+  owner: [...CO_INSTRUCTOR_PERMISSIONS, P.CLASS_DELETE, P.CLASS_STAFF_MANAGE],
+  co_instructor: CO_INSTRUCTOR_PERMISSIONS,
+  ta: [
+    P.CLASS_READ,
+    P.GRADE_READ,
+    P.GRADE_WRITE,
+    P.ATTENDANCE_MANAGE,
+    P.ANNOUNCEMENT_CLASS,
+  ],
+  student: [P.CLASS_READ, P.ASSIGNMENT_SUBMIT, P.ATTENDANCE_CHECK_IN],
+});
+
+// Class permissions that stop working once the class is archived
+// (an archived class is read-only for students)
+const ARCHIVED_CLASS_DENIED = [P.ASSIGNMENT_SUBMIT, P.ATTENDANCE_CHECK_IN];
+
+// Global permissions that grant a class-scoped permission in every class
+const ANY_CLASS_OVERRIDES = Object.freeze({
+  [P.CLASS_READ]: [P.CLASS_READ_ANY],
+  [P.GRADE_READ]: [P.CLASS_READ_ANY],
+  [P.CLASS_MANAGE]: [P.CLASS_MANAGE_ANY],
+  [P.CLASS_DELETE]: [P.CLASS_MANAGE_ANY],
+  [P.CLASS_STAFF_MANAGE]: [P.CLASS_MANAGE_ANY],
+});
+
+// Personal access token scopes and the permissions each one allows.
+// A token can never do more than its owner's role allows.
+const TOKEN_SCOPES = Object.freeze({
+  "classes:read": [P.CLASS_READ, P.CLASS_READ_ANY],
+  grading: [P.CLASS_READ, P.ASSIGNMENT_WRITE, P.GRADE_READ, P.GRADE_WRITE],
+  attendance: [P.CLASS_READ, P.ATTENDANCE_MANAGE, P.ATTENDANCE_CHECK_IN],
+});
+
+// Endpoints each token scope may call ("METHOD /path", matching the path and
+// everything below it). Requests outside these are refused before any route
+// runs, so routes that only check permissions inline stay closed to tokens.
+const TOKEN_SCOPE_ROUTES = Object.freeze({
+  "classes:read": [
+    "GET /api/classes",
+    "GET /api/classannouncements",
+    "GET /api/attendance/active-session",
+  ],
+  grading: [
+    "GET /api/classes",
+    "GET /api/assignments",
+    "POST /api/assignments",
+    "PUT /api/assignments",
+    "DELETE /api/assignments",
+  ],
+  attendance: [
+    "GET /api/classes",
+    "POST /api/attendance/session",
+    "POST /api/attendance/check-in",
+    "POST /api/attendance/end-session",
+    "GET /api/attendance/active-session",
+  ],
+});
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  CLASS_STAFF_ROLES,
+  CLASS_ROLE_PERMISSIONS,
+  ARCHIVED_CLASS_DENIED,
+  ANY_CLASS_OVERRIDES,
+  TOKEN_SCOPES,
+  TOKEN_SCOPE_ROUTES,
+};
@@ -0,0 +1,30 @@
+/**
+ * Roster Actions
+ * Every change the roster history records, grouped by whether it puts the
+ * student into the class or takes them out
+ */
+
+const ROSTER_ACTIONS = Object.freeze({
+  // Into the class
+  JOINED: "joined",
+  APPROVED: "approved",
+  PROMOTED: "promoted_from_waitlist",
+  IMPORTED: "imported",
+  INVITATION_CLAIMED: "invitation_claimed",
+  TRANSFERRED_IN: "transferred_in",
+  // Out of the class
+  LEFT: "left",
+  REMOVED: "removed",
+  BLOCKED: "blocked",
+  TRANSFERRED_OUT: "transferred_out",
+  // Neither
+  UNBLOCKED: "unblocked",
+});
+
+const A = ROSTER_ACTIONS;
+
+const ENROLLING_ACTIONS = [A.JOINED, A.APPROVED, A.PROMOTED, A.IMPORTED, A.INVITATION_CLAIMED, A.TRANSFERRED_IN];
+
+const REMOVING_ACTIONS = [A.LEFT, A.REMOVED, A.BLOCKED, A.TRANSFERRED_OUT];
+
+module.exports = { ROSTER_ACTIONS, ENROLLING_ACTIONS, REMOVING_ACTIONS };
@@ -1,11 +1,16 @@
 /**
  * Universities Configuration
- * Defines available universities, their domains, and faculties/colleges
+ * Default university registry entries, seeded into the University collection
+ * on first start. Manage universities through /api/universities afterwards.
  */
 
 const Universities = Object.freeze({
   "cu.edu.eg": {
     name: "Cairo University",
+    studentAddressPrefix: "std",
+    staffAddressPrefix: null,
+    // 9-digit prefix (new format, ID is the last 7 digits) or 7-digit legacy prefix
+    studentIdPatterns: ["^\\d{2}(\\d{7})$", "^(\\d{7})$"],
     subdomains: {
       sca: "Faculty of Arts",
       sci: "Faculty of Science",
@@ -2,20 +2,47 @@
 // Attendance System controller logic
 
 const AttendanceSession = require("../models/AttendanceSession");
+const { can } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { recordAudit } = require("../utils/auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+const { queueTemplatedEmail } = require("../utils/mailService");
+const { getClassTerm, checkTermDate } = require("../utils/academicCalendar");
+const { findCurrentMeeting } = require("../utils/classSchedule");
 
 const { generateAttendanceExcel } = require("../utils/excelExport");
 const fs = require("fs");
 const path = require("path");
 
 /**
- * Create a new attendance session (Instructor only)
+ * Create a new attendance session (class staff only)
  * POST /api/attendance/session
  */
 exports.createSession = async (req, res) => {
   try {
-    const { classId, duration, location } = req.body;
-    // 1. Check for existing active session for this class
+    const { classId, duration, location, meetingId } = req.body;
     const now = new Date();
+    // 0. Sessions are only taken on teaching days of the class's term
+    const term = await getClassTerm(req.class);
+    const termProblem = checkTermDate(term, now, "Today");
+    if (termProblem) {
+      return res
+        .status(termProblem.status)
+        .json({ message: termProblem.message, code: termProblem.code });
+    }
+    // The session belongs to the given meeting, or the one scheduled right now
+    let meeting = null;
+    if (meetingId) {
+      meeting = req.class.schedule.find((m) => m._id.toString() === String(meetingId));
+      if (!meeting) {
+        return res
+          .status(400)
+          .json({ message: "Meeting not found in the class schedule", code: "MEETING_NOT_FOUND" });
+      }
+    } else {
+      meeting = findCurrentMeeting(req.class, term, now);
+    }
+    // 1. Check for existing active session for this class
     const activeSession = await AttendanceSession.findOne({
       classId,
       isActive: true,
@@ -32,6 +59,7 @@ exports.createSession = async (req, res) => {
     const session = new AttendanceSession({
       classId,
       instructorId: req.user._id,
+      meetingId: meeting ? meeting._id : null,
       startedAt: now,
       expiresAt,
       location: {
@@ -59,6 +87,16 @@ exports.createSession = async (req, res) => {
         if (freshSession.expiresAt <= new Date()) {
           freshSession.isActive = false;
           await freshSession.save();
+          await recordAudit(null, {
+            action: AUDIT_ACTIONS.ATTENDANCE_SESSION_ENDED,
+            actor: null,
+            target: { type: "attendance_session", id: freshSession._id },
+            details: {
+              class: freshSession.classId,
+              automatic: true,
+              totalStudents: freshSession.totalStudents,
+            },
+          });
           await handleSessionEnd(freshSession._id, freshSession.instructorId);
           console.log(
             `[autoEndSession] Session ${freshSession._id} auto-ended. isActive: ${freshSession.isActive}`,
@@ -97,6 +135,18 @@ exports.checkIn = async (req, res) => {
     if (!session) {
       return res.status(404).json({ message: "Session not found." });
     }
+    const sessionClass = await Class.findById(session.classId);
+    if (!sessionClass) {
+      return res.status(404).json({ message: "Class not found." });
+    }
+    if (sessionClass.archivedAt) {
+      return res.status(403).json({ message: "This class is archived." });
+    }
+    if (!can(req.user, PERMISSIONS.ATTENDANCE_CHECK_IN, sessionClass)) {
+      return res
+        .status(403)
+        .json({ message: "You are not enrolled in this class." });
+    }
     const now = new Date();
     if (!session.isActive || session.expiresAt < now) {
       return res
@@ -151,7 +201,7 @@ exports.checkIn = async (req, res) => {
 };
 
 /**
- * End attendance session (Instructor only)
+ * End attendance session (class staff only)
  * POST /api/attendance/end-session/:id
  */
 
@@ -162,11 +212,33 @@ exports.endSession = async (req, res) => {
     if (!session) {
       return res.status(404).json({ message: "Session not found." });
     }
+    const sessionClass = await Class.findById(session.classId);
+    if (!sessionClass) {
+      return res.status(404).json({ message: "Class not found." });
+    }
+    if (!can(req.user, PERMISSIONS.ATTENDANCE_MANAGE, sessionClass)) {
+      return res
+        .status(403)
+        .json({ message: "Only the class staff can end this session." });
+    }
     if (!session.isActive) {
       return res.status(400).json({ message: "Session is already ended." });
     }
     session.isActive = false;
     await session.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ATTENDANCE_SESSION_ENDED,
+      target: {
+        type: "attendance_session",
+        id: session._id,
+        label: sessionClass && sessionClass.name,
+      },
+      details: {
+        class: session.classId,
+        automatic: false,
+        totalStudents: session.totalStudents,
+      },
+    });
     // Generate Excel
     await handleSessionEnd(sessionId, session.instructorId);
     return res
@@ -179,11 +251,10 @@ exports.endSession = async (req, res) => {
 };
 
 /**
- * Handle session end: generate Excel and (placeholder) send to instructor
+ * Handle session end: generate Excel and email it to the instructor
  * @param {string} sessionId
  * @param {string} instructorId
  */
-const nodemailer = require("nodemailer");
 const User = require("../models/User");
 const Class = require("../models/Class");
 
@@ -193,12 +264,15 @@ async function handleSessionEnd(sessionId, instructorId) {
   if (!session) return;
   // Get class name for file naming
   let className = "Class";
+  let classDisplayName = "Class";
   if (session && session.classId) {
     // Force classId to string to avoid ObjectId type mismatch
     const classIdStr = session.classId.toString();
     const classObj = await Class.findById(classIdStr);
-    if (classObj && classObj.name)
+    if (classObj && classObj.name) {
       className = classObj.name.trim().replace(/[^a-zA-Z0-9-_ ]/g, "");
+      classDisplayName = classObj.name.trim();
+    }
   }
   let fileBaseName = "Class Attendance";
   // Prepare data: only Name, Student ID (real), Timestamp
@@ -221,43 +295,33 @@ async function handleSessionEnd(sessionId, instructorId) {
   const filePath = path.join(exportDir, `${fileBaseName}.xlsx`);
   fs.writeFileSync(filePath, buffer);
 
-  // Send Excel file to instructor via email (dev/test only)
+  // Email the sheet to the staff member who ran the session
   try {
     const instructor = await User.findById(instructorId);
     if (!instructor || !instructor.email) {
       console.warn("[handleSessionEnd] Instructor email not found.");
       return;
     }
-    // Configure nodemailer for Gmail
-    let transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
+    const email = await queueTemplatedEmail(instructor.email, "attendance-export", {
+      locale: instructor.locale,
+      user: instructor._id,
+      vars: {
+        userName: instructor.fullName,
+        className: classDisplayName,
+        sessionDate: session.startedAt || session.createdAt,
+        attendeeCount: exportData.length,
       },
-    });
-    let info = await transporter.sendMail({
-      from: "attendance@uapmp.dev",
-      to: "ahmedloby8@gmail.com", // Always send to this email for dev
-      subject: "Attendance Excel Export",
-      text: "Attached is the attendance Excel sheet for your session.",
       attachments: [
         {
           filename: `${fileBaseName}.xlsx`,
           content: buffer,
+          contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
         },
       ],
     });
-    console.log("[handleSessionEnd] Excel sent to instructor:", info.messageId);
-    // Log Ethereal preview URL for dev
-    if (nodemailer.getTestMessageUrl) {
-      const previewUrl = nodemailer.getTestMessageUrl(info);
-      if (previewUrl) {
-        console.log("[handleSessionEnd] Preview URL:", previewUrl);
-      }
-    }
+    console.log("[handleSessionEnd] Excel queued for instructor:", email._id.toString());
   } catch (err) {
-    console.error("[handleSessionEnd] Failed to send email:", err.message);
+    console.error("[handleSessionEnd] Failed to queue email:", err.message);
   }
 }
 
@@ -1,9 +1,18 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isSessionActive } = require("../utils/sessions");
+const {
+  isAccessToken,
+  resolveAccessToken,
+  accessTokenAllowsRoute,
+} = require("../utils/accessTokens");
 
 /**
- * Middleware to authenticate a request using a JWT.
+ * Middleware to authenticate a request using a JWT or a personal access token.
  * Accepts token in `Authorization: Bearer <token>` header or `?token=` query param.
+ * Personal access tokens are only accepted in the header, only reach the
+ * endpoints their scopes list (TOKEN_SCOPE_ROUTES) and limit the request to
+ * the scopes' permissions (see scopeAllows in middleware/role.js).
  */
 const authenticateToken = async (req, res, next) => {
   try {
@@ -21,24 +30,88 @@ const authenticateToken = async (req, res, next) => {
         .json({ message: "Authentication token required", code: "NO_TOKEN" });
     }
 
-    const secret = process.env.JWT_SECRET || "dev_jwt_secret";
-    let payload;
-    try {
-      payload = jwt.verify(token, secret);
-    } catch (err) {
-      return res
-        .status(401)
-        .json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
+    let payload = null;
+    let accessToken = null;
+
+    if (isAccessToken(token)) {
+      // Query strings end up in logs, so access tokens must use the header
+      if (!authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({
+          message: "Personal access tokens must be sent in the Authorization header",
+          code: "INVALID_TOKEN",
+        });
+      }
+      accessToken = await resolveAccessToken(token, req.ip);
+      if (!accessToken) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
+      }
+      if (!accessTokenAllowsRoute(accessToken.scopes, req.method, req.baseUrl + req.path)) {
+        return res.status(403).json({
+          message: "This personal access token's scopes do not cover this endpoint",
+          code: "TOKEN_SCOPE_DENIED",
+        });
+      }
+    } else {
+      const secret = process.env.JWT_SECRET || "dev_jwt_secret";
+      try {
+        payload = jwt.verify(token, secret);
+      } catch (err) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
+      }
+
+      // Two-factor step and profile completion tokens only unlock their own endpoints
+      if (payload.purpose) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
+      }
     }
 
-    const user = await User.findById(payload.id).select("-password");
+    const userId = accessToken ? accessToken.user : payload.id;
+    const user = await User.findById(userId).select("-password");
     if (!user) {
       return res
         .status(401)
         .json({ message: "User not found", code: "USER_NOT_FOUND" });
     }
 
+    if (user.isActive === false) {
+      return res
+        .status(403)
+        .json({ message: "Account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
+    }
+
+    // Reject tokens issued before the last password change (e.g. after a reset)
+    if (
+      payload &&
+      user.passwordChangedAt &&
+      payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Token has been revoked", code: "TOKEN_REVOKED" });
+    }
+
+    // Access tokens bound to a session stop working once it is logged out
+    if (
+      payload &&
+      payload.sid &&
+      !(await isSessionActive(payload.sid, user._id))
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Session has been revoked", code: "SESSION_REVOKED" });
+    }
+
+    if (accessToken) user.$locals.tokenScopes = accessToken.scopes;
+
     req.user = user;
+    req.sessionId = (payload && payload.sid) || null;
+    req.accessTokenId = accessToken ? accessToken._id : null;
     next();
   } catch (error) {
     console.error("[ERROR] authenticateToken:", error.message);
@@ -51,11 +124,28 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Reject requests authenticated with a personal access token.
+ * Use after authenticateToken on routes that manage credentials or the account.
+ */
+const requireLoginSession = (req, res, next) => {
+  if (req.accessTokenId) {
+    return res.status(403).json({
+      message: "This action requires logging in; personal access tokens are not accepted",
+      code: "LOGIN_SESSION_REQUIRED",
+    });
+  }
+  next();
+};
+
 /**
  * Authorization middleware generator based on user role.
- * e.g. `authorizeRole('student')`.
+ * Passes when the user has ANY of the given roles.
+ * e.g. `authorizeRole('student')` or `authorizeRole('admin', 'super_admin')`.
+ * Prefer `authorizePermission` from middleware/role.js for new routes.
  */
-const authorizeRole = (role) => {
+const authorizeRole = (...roles) => {
+  const allowed = roles.flat();
   return (req, res, next) => {
     if (!req.user) {
       return res
@@ -63,7 +153,7 @@ const authorizeRole = (role) => {
         .json({ message: "Not authenticated", code: "NOT_AUTHENTICATED" });
     }
 
-    if (req.user.role !== role) {
+    if (!allowed.includes(req.user.role)) {
       return res
         .status(403)
         .json({ message: "Forbidden: insufficient role", code: "FORBIDDEN" });
@@ -74,5 +164,6 @@ const authorizeRole = (role) => {
 
 module.exports = {
   authenticateToken,
+  requireLoginSession,
   authorizeRole,
 };
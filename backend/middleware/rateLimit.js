@@ -0,0 +1,106 @@
+// middleware/rateLimit.js
+// Mongo-backed rate limiting keyed by IP and/or account
+
+const RateLimit = require("../models/RateLimit");
+
+/**
+ * Count one request against a key and return the window state.
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<{count: number, resetAt: Date}>}
+ */
+async function hit(key, windowMs) {
+  const now = new Date();
+  const inWindow = { $gt: ["$expiresAt", now] };
+
+  // Single atomic upsert: increment inside the window, restart it otherwise
+  const doc = await RateLimit.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          count: { $cond: [inWindow, { $add: ["$count", 1] }, 1] },
+          expiresAt: {
+            $cond: [inWindow, "$expiresAt", new Date(now.getTime() + windowMs)],
+          },
+        },
+      },
+    ],
+    { new: true, upsert: true, updatePipeline: true },
+  ).lean();
+
+  return { count: doc.count, resetAt: doc.expiresAt };
+}
+
+/**
+ * Clear a counter (e.g. after a successful login).
+ * @param {string} key - Counter key
+ */
+async function resetKey(key) {
+  await RateLimit.deleteOne({ key });
+}
+
+/**
+ * Send the standard 429 response with a Retry-After header.
+ * @param {Object} res - Express response
+ * @param {number} retryAfterSeconds - Seconds until the client may retry
+ * @param {string} [message] - User-facing message
+ * @param {string} [code="TOO_MANY_REQUESTS"] - Error code
+ */
+function sendTooManyRequests(
+  res,
+  retryAfterSeconds,
+  message = "Too many requests. Please try again later.",
+  code = "TOO_MANY_REQUESTS",
+) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message, code, retryAfter });
+}
+
+/**
+ * Rate limiting middleware generator.
+ * e.g. `rateLimit({ name: "login", windowMs: 15 * 60 * 1000, max: 20 })`.
+ * @param {Object} options
+ * @param {string} options.name - Limiter name (part of the counter key)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {string} [options.scope="ip"] - Label for the key source ("ip", "account", ...)
+ * @param {Function} [options.keyBy] - (req) => value to count; defaults to the client IP.
+ *   Returning a falsy value skips this limiter for the request.
+ * @param {string} [options.message] - Message for the 429 response
+ */
+const rateLimit = ({ name, windowMs, max, scope = "ip", keyBy, message }) => {
+  const getValue = keyBy || ((req) => req.ip);
+
+  return async (req, res, next) => {
+    const value = getValue(req);
+    if (!value) return next();
+
+    try {
+      const { count, resetAt } = await hit(
+        `${name}:${scope}:${String(value).toLowerCase()}`,
+        windowMs,
+      );
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+
+      if (count > max) {
+        return sendTooManyRequests(res, (resetAt.getTime() - Date.now()) / 1000, message);
+      }
+      next();
+    } catch (err) {
+      // Fail open: a counter outage must not take authentication down with it
+      console.error(`[ERROR] rateLimit(${name}):`, err.message);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  sendTooManyRequests,
+  hit,
+  resetKey,
+};
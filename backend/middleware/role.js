@@ -0,0 +1,175 @@
+// middleware/role.js
+// Permission-based authorization, globally and scoped to a single class
+
+const mongoose = require("mongoose");
+const Class = require("../models/Class");
+const {
+  ROLE_PERMISSIONS,
+  CLASS_ROLE_PERMISSIONS,
+  ARCHIVED_CLASS_DENIED,
+  ANY_CLASS_OVERRIDES,
+  TOKEN_SCOPES,
+} = require("../constants/permissions");
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Whether the credential used for this request allows a permission.
+ * Login sessions allow everything; personal access tokens (see
+ * middleware/auth.js) only allow what their scopes list.
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function scopeAllows(user, permission) {
+  const scopes = user.$locals && user.$locals.tokenScopes;
+  if (!scopes) return true;
+  return scopes.some((scope) =>
+    (TOKEN_SCOPES[scope] || []).includes(permission),
+  );
+}
+
+/**
+ * Whether the user's global role grants a permission.
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - e.g. "class:create"
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return (
+    !!user &&
+    (ROLE_PERMISSIONS[user.role] || []).includes(permission) &&
+    scopeAllows(user, permission)
+  );
+}
+
+/**
+ * The user's role inside a class: "owner", "co_instructor", "ta", "student"
+ * or null. Pending staff invitations do not count.
+ * @param {Object} user - Authenticated user
+ * @param {Object} classDoc - Class document (populated or not)
+ * @returns {string|null}
+ */
+function getClassRole(user, classDoc) {
+  if (!user || !classDoc) return null;
+  const userId = user._id.toString();
+  if (classDoc.instructor && idOf(classDoc.instructor) === userId) {
+    return "owner";
+  }
+  const member = (classDoc.staff || []).find(
+    (m) => m.status === "active" && idOf(m.user) === userId,
+  );
+  if (member) {
+    return member.role;
+  }
+  if ((classDoc.students || []).some((s) => idOf(s) === userId)) {
+    return "student";
+  }
+  return null;
+}
+
+/**
+ * Check a permission, optionally scoped to a class.
+ * With a class, the permission must come from the user's role in that class
+ * or from a global "any class" override (e.g. admins reading any class).
+ * Student actions such as submitting are denied in archived classes.
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission name
+ * @param {Object} [classDoc] - Class the action targets
+ * @returns {boolean}
+ */
+function can(user, permission, classDoc) {
+  if (!classDoc) return hasPermission(user, permission);
+  if (classDoc.archivedAt && ARCHIVED_CLASS_DENIED.includes(permission)) return false;
+
+  const classRole = getClassRole(user, classDoc);
+  if (
+    classRole &&
+    CLASS_ROLE_PERMISSIONS[classRole].includes(permission) &&
+    scopeAllows(user, permission)
+  ) {
+    return true;
+  }
+  return (ANY_CLASS_OVERRIDES[permission] || []).some((p) =>
+    hasPermission(user, p),
+  );
+}
+
+/**
+ * Authorization middleware generator based on global permissions.
+ * Passes when the user has ANY of the given permissions.
+ * e.g. `authorizePermission("announcement:global")`.
+ */
+const authorizePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ message: "Not authenticated", code: "NOT_AUTHENTICATED" });
+    }
+
+    if (!permissions.some((p) => hasPermission(req.user, p))) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden: insufficient permissions", code: "FORBIDDEN" });
+    }
+    next();
+  };
+};
+
+/**
+ * Authorization middleware generator for class-scoped permissions.
+ * Loads the class into `req.class` and checks the permission inside it.
+ * e.g. `authorizeClassPermission("class:manage")` for routes with `/:id`,
+ * or `authorizeClassPermission("attendance:manage", (req) => req.body.classId)`.
+ * @param {string} permission - Permission name
+ * @param {Function} [getClassId] - (req) => class ID; defaults to req.params.id
+ */
+const authorizeClassPermission = (permission, getClassId) => {
+  const resolveId = getClassId || ((req) => req.params.id);
+
+  return async (req, res, next) => {
+    try {
+      const classId = resolveId(req);
+
+      if (!classId || !mongoose.Types.ObjectId.isValid(classId)) {
+        return res.status(400).json({
+          message: "Invalid class ID",
+          code: "INVALID_ID",
+        });
+      }
+
+      const foundClass = await Class.findById(classId);
+      if (!foundClass) {
+        return res.status(404).json({
+          message: "Class not found",
+          code: "CLASS_NOT_FOUND",
+        });
+      }
+
+      if (!can(req.user, permission, foundClass)) {
+        return res.status(403).json({
+          message: "Access denied",
+          code: "FORBIDDEN",
+        });
+      }
+
+      req.class = foundClass;
+      next();
+    } catch (err) {
+      console.error("[ERROR] authorizeClassPermission:", err.message);
+      res.status(500).json({
+        message: "Internal server error",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  };
+};
+
+module.exports = {
+  hasPermission,
+  getClassRole,
+  can,
+  authorizePermission,
+  authorizeClassPermission,
+};
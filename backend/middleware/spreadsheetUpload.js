@@ -0,0 +1,43 @@
+// backend/middleware/spreadsheetUpload.js
+// Accepts a CSV or XLSX file sent as the raw request body
+
+const express = require("express");
+
+const SPREADSHEET_CONTENT_TYPES = [
+  "text/csv",
+  "text/plain",
+  "application/csv",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/octet-stream",
+];
+
+const MAX_SPREADSHEET_SIZE = "5mb";
+
+const parseRawBody = express.raw({
+  type: SPREADSHEET_CONTENT_TYPES,
+  limit: MAX_SPREADSHEET_SIZE,
+});
+
+const spreadsheetUpload = (req, res, next) => {
+  parseRawBody(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+      return res.status(413).json({
+        message: `The file is larger than ${MAX_SPREADSHEET_SIZE}`,
+        code: "FILE_TOO_LARGE",
+      });
+    }
+    if (err) return next(err);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        message:
+          "Send the CSV or XLSX file as the request body with a text/csv or spreadsheet Content-Type",
+        code: "MISSING_FILE",
+      });
+    }
+    next();
+  });
+};
+
+module.exports = spreadsheetUpload;
@@ -0,0 +1,89 @@
+/**
+ * Academic Term Schema
+ * The calendar of one semester at a university: teaching dates, add/drop
+ * deadline, holidays and exam period. Classes link to a term.
+ * All dates are whole days (stored as UTC midnight, end dates inclusive)
+ */
+
+const mongoose = require("mongoose");
+
+// A closed period of one or more days
+const periodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+const academicTermSchema = new mongoose.Schema(
+  {
+    university: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "University",
+      required: true,
+    },
+    // Display name (e.g. 'Fall 2026')
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    semester: {
+      type: String,
+      enum: ["Spring", "Summer", "Fall", "Winter"],
+      required: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    // First and last day of the term, exams included
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    // Last day students can join classes with a join code (null = until term end)
+    addDropDeadline: {
+      type: Date,
+      default: null,
+    },
+    // No assignments are due and no attendance is taken on these days
+    holidays: {
+      type: [periodSchema],
+      default: [],
+    },
+    examPeriod: {
+      type: periodSchema,
+      default: null,
+    },
+    // Set by the maintenance job once the term's classes were archived
+    classesArchivedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+academicTermSchema.index({ university: 1, year: 1, semester: 1 }, { unique: true });
+academicTermSchema.index({ endDate: 1, classesArchivedAt: 1 });
+
+module.exports = mongoose.model("AcademicTerm", academicTermSchema);
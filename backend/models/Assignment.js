@@ -50,6 +50,13 @@ const assignmentSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Shared by the copies of an assignment posted to every section of a
+    // course offering
+    offeringPostId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
   },
   { timestamps: true },
 );
@@ -15,6 +15,11 @@ const AttendanceSessionSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // The scheduled class meeting (Class.schedule entry) this session is for
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     startedAt: {
       type: Date,
       default: Date.now,
@@ -63,6 +68,11 @@ const AttendanceSessionSchema = new mongoose.Schema(
           default: Date.now,
           required: true,
         },
+        // Set while the student is no longer enrolled in the class
+        removedFromClassAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
   },
@@ -0,0 +1,78 @@
+/**
+ * Audit Log Schema
+ * Append-only record of security-relevant events: logins, linked accounts,
+ * role changes and privileged actions on classes, grades and attendance
+ */
+
+const mongoose = require("mongoose");
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require("../constants/auditActions");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // What happened (see constants/auditActions.js)
+    action: {
+      type: String,
+      enum: Object.values(AUDIT_ACTIONS),
+      required: true,
+    },
+    // Whether the attempt succeeded (failed logins are recorded too)
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+    // Who did it; null for unknown users and automatic actions
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Email and role at the time of the event, kept even if the user changes later
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      default: null,
+    },
+    // What it was done to
+    targetType: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+      default: null,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Human-readable name of the target (email, class name, ...)
+    targetLabel: {
+      type: String,
+      default: null,
+    },
+    // Where the request came from
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    // Action-specific details (failure reason, previous/new values, ...)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
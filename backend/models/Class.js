@@ -1,5 +1,198 @@
 const mongoose = require("mongoose");
-const COURSE_CODES = require("../constants/courseCodes");
+const { CLASS_STAFF_ROLES } = require("../constants/permissions");
+const { MEETING_TYPES } = require("../constants/classSchedule");
+
+// Co-instructors and teaching assistants; the owner is `instructor`
+const staffMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What the member may do (see CLASS_ROLE_PERMISSIONS in constants/permissions.js)
+    role: {
+      type: String,
+      enum: CLASS_STAFF_ROLES,
+      required: true,
+    },
+    // Invitations grant nothing until the invited user accepts them
+    status: {
+      type: String,
+      enum: ["pending", "active"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// How students get into the class with its join code
+const enrollmentPolicySchema = new mongoose.Schema(
+  {
+    // "open" enrolls right away; "approval" files a request staff approve or reject
+    mode: {
+      type: String,
+      enum: ["open", "approval"],
+      default: "open",
+    },
+    // The join code stops working after this date (null = never)
+    codeExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Successful uses allowed for the current join code (null = unlimited)
+    codeMaxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Reset when the join code is regenerated
+    codeUses: {
+      type: Number,
+      default: 0,
+    },
+    // Only students of these colleges may join (empty = any college)
+    allowedColleges: {
+      type: [String],
+      default: [],
+    },
+    // Only these student IDs may join (empty = any student)
+    allowedStudentIds: {
+      type: [String],
+      default: [],
+    },
+    // Maximum number of enrolled students (null = no cap)
+    capacity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // When the class is full, new students join a waitlist instead of being turned away
+    waitlistEnabled: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false },
+);
+
+// A student the class staff removed and barred from joining again
+const blockedStudentSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// A student waiting for approval or for a free seat
+const enrollmentEntrySchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// A day a recurring meeting does not take place
+const meetingExceptionSchema = new mongoose.Schema(
+  {
+    // Day of the skipped meeting (UTC midnight)
+    date: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// A weekly lecture, lab or tutorial; times are local (ACADEMIC_TIME_ZONE)
+const meetingSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MEETING_TYPES,
+    default: "lecture",
+  },
+  // 0 = Sunday ... 6 = Saturday
+  weekday: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true,
+  },
+  // 'HH:MM', 24-hour clock
+  startTime: {
+    type: String,
+    required: true,
+  },
+  endTime: {
+    type: String,
+    required: true,
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null,
+  },
+  // First and last day the meeting runs (null = the class term's dates)
+  startDate: {
+    type: Date,
+    default: null,
+  },
+  endDate: {
+    type: Date,
+    default: null,
+  },
+  exceptions: {
+    type: [meetingExceptionSchema],
+    default: [],
+  },
+});
 
 const classSchema = new mongoose.Schema(
   {
@@ -17,6 +210,7 @@ const classSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Owner of the class
     instructor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -24,6 +218,11 @@ const classSchema = new mongoose.Schema(
       index: true,
     },
 
+    staff: {
+      type: [staffMemberSchema],
+      default: [],
+    },
+
     joinCode: {
       type: String,
       required: true,
@@ -33,11 +232,11 @@ const classSchema = new mongoose.Schema(
     },
 
     // Academic info
+    // Code of a course in the Course catalog (checked when the class is created)
     courseCode: {
       type: String,
       trim: true,
       uppercase: true,
-      enum: Object.keys(COURSE_CODES),
       required: true,
     },
 
@@ -56,6 +255,20 @@ const classSchema = new mongoose.Schema(
       uppercase: true,
     },
 
+    // Academic term the class runs in; semester and year are copied from it.
+    // Due dates and attendance sessions must fall on term days that are not holidays
+    term: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicTerm",
+      default: null,
+    },
+
+    // Weekly meetings (lectures, labs, tutorials); holidays of the term are skipped
+    schedule: {
+      type: [meetingSchema],
+      default: [],
+    },
+
     students: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -63,12 +276,98 @@ const classSchema = new mongoose.Schema(
       },
     ],
 
+    enrollment: {
+      type: enrollmentPolicySchema,
+      default: () => ({}),
+    },
+
+    // Pending join requests (approval mode), oldest first
+    joinRequests: {
+      type: [enrollmentEntrySchema],
+      default: [],
+    },
+
+    // Students waiting for a seat, promoted in order when one frees up
+    waitlist: {
+      type: [enrollmentEntrySchema],
+      default: [],
+    },
+
+    // Students who cannot join again, whatever the join code or policy
+    blockedStudents: {
+      type: [blockedStudentSchema],
+      default: [],
+    },
+
     isActive: {
       type: Boolean,
       default: true,
     },
+
+    // Archived classes are read-only for students (no joining, submitting or check-ins)
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Deleted classes sit in the trash until the purge job removes them
+    // (see utils/classTrash.js); queries skip them unless asked otherwise
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // The class this one was rolled over from (previous semester)
+    rolledOverFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      default: null,
+    },
   },
   { timestamps: true },
 );
 
+classSchema.index({ "staff.user": 1 });
+classSchema.index({ term: 1 });
+classSchema.index({ deletedAt: 1 });
+classSchema.index({ "joinRequests.student": 1 });
+classSchema.index({ "waitlist.student": 1 });
+
+// Hide classes in the trash from every query that does not mention
+// deletedAt itself or set the `withDeleted` query option
+const SOFT_DELETE_QUERIES = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+];
+
+classSchema.pre(SOFT_DELETE_QUERIES, function () {
+  if (this.getOptions().withDeleted) return;
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) return;
+  this.where({ deletedAt: null });
+});
+
+classSchema.pre("aggregate", function () {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
 module.exports = mongoose.model("Class", classSchema);
@@ -47,6 +47,17 @@ const classAnnouncementSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Copied into the new class when the class is rolled over to a new semester
+    isTemplate: {
+      type: Boolean,
+      default: false,
+    },
+    // Shared by the copies of an announcement posted to every section of a
+    // course offering
+    offeringPostId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
   },
   { timestamps: true },
 );
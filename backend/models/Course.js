@@ -0,0 +1,60 @@
+/**
+ * Course Schema
+ * Catalog of courses classes can be created for
+ * Managed by admins; the original CS course codes are seeded as the default
+ */
+
+const mongoose = require("mongoose");
+
+const courseSchema = new mongoose.Schema(
+  {
+    // Course code shown on classes (e.g. 'CS305')
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: 20,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    creditHours: {
+      type: Number,
+      min: 0,
+      max: 30,
+      default: null,
+    },
+    // Department offering the course (e.g. 'Computer Science')
+    department: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // College/Faculty name, matching User.college (e.g. 'Faculty of Computers & AI')
+    college: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Codes of the courses that must be taken first
+    prerequisites: {
+      type: [String],
+      default: [],
+    },
+    // Inactive courses are kept for existing classes but new classes cannot use them
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+courseSchema.index({ department: 1, code: 1 });
+
+module.exports = mongoose.model("Course", courseSchema);
@@ -0,0 +1,53 @@
+/**
+ * Course Offering Schema
+ * A course taught in one academic term. Its sections are the classes with
+ * the same course code linked to that term. Coordinators, appointed by
+ * admins, can post to the sections whose owners accepted it and see
+ * statistics across them
+ */
+
+const mongoose = require("mongoose");
+
+const courseOfferingSchema = new mongoose.Schema(
+  {
+    // Course code shared by the sections (e.g. 'CS305')
+    courseCode: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      maxlength: 20,
+    },
+    term: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicTerm",
+      required: true,
+    },
+    // Instructors who coordinate the course across its sections
+    coordinators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Sections whose owner accepted posts from the coordinators
+    acceptedSections: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Class",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// One offering per course per term
+courseOfferingSchema.index({ courseCode: 1, term: 1 }, { unique: true });
+courseOfferingSchema.index({ coordinators: 1 });
+
+module.exports = mongoose.model("CourseOffering", courseOfferingSchema);
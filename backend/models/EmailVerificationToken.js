@@ -0,0 +1,55 @@
+/**
+ * EmailVerificationToken Schema
+ * Single-use tokens emailed to users to verify their address
+ * Only the SHA-256 hash of the token is stored
+ */
+
+const mongoose = require("mongoose");
+
+const emailVerificationTokenSchema = new mongoose.Schema(
+  {
+    // The user whose email this token verifies
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the raw token sent by email
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Token is rejected after this date
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the token is consumed (single-use)
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when a newer token is issued. Superseded tokens are kept until
+    // they expire so resend throttling can still count them
+    supersededAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired tokens are kept for a week so an old link is reported as expired
+// rather than invalid; MongoDB removes them after that
+const EXPIRED_TOKEN_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+emailVerificationTokenSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: EXPIRED_TOKEN_RETENTION_SECONDS },
+);
+
+module.exports = mongoose.model(
+  "EmailVerificationToken",
+  emailVerificationTokenSchema,
+);
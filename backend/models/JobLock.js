@@ -0,0 +1,38 @@
+/**
+ * JobLock Schema
+ * One document per maintenance job, shared by all server instances
+ * Holds the lock that lets only one instance run the job at a time and
+ * the next time the job is due
+ */
+
+const mongoose = require("mongoose");
+
+const jobLockSchema = new mongoose.Schema({
+  // Job name (see utils/jobScheduler.js)
+  job: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Instance currently running the job ("<host>:<pid>"), null when free
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  // The lock is considered abandoned after this time (e.g. the instance crashed)
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // When the last run finished, and when the job is due again
+  lastRunAt: {
+    type: Date,
+    default: null,
+  },
+  nextRunAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
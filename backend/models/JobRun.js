@@ -0,0 +1,70 @@
+/**
+ * JobRun Schema
+ * History of maintenance job runs, shown to admins
+ */
+
+const mongoose = require("mongoose");
+
+// Run history is kept for this long
+const JOB_RUN_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    // Job name (see utils/jobScheduler.js)
+    job: {
+      type: String,
+      required: true,
+    },
+    // What started the run
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    // Admin who started a manual run
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Instance that ran the job ("<host>:<pid>")
+    instance: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    // Summary returned by the job (e.g. { deleted: 12 })
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Error message when the run failed
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// MongoDB removes old run history automatically
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_SECONDS });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
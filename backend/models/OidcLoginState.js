@@ -0,0 +1,71 @@
+/**
+ * OIDC Login State Schema
+ * Tracks one OpenID Connect login from the redirect to the identity provider
+ * until the frontend exchanges the one-time login code for a session
+ */
+
+const mongoose = require("mongoose");
+
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the `state` parameter sent to the identity provider
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Key of the OidcProvider used for this login
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Expected `nonce` claim in the ID token
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // PKCE code verifier for the authorization code exchange
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Set when the provider redirects back (each state is accepted once)
+    callbackAt: {
+      type: Date,
+      default: null,
+    },
+    // User signed in by the callback
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Whether the callback created the user (affects the onboarding response)
+    isNewUser: {
+      type: Boolean,
+      default: false,
+    },
+    // SHA-256 hash of the one-time code handed to the frontend after the callback
+    loginCodeHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Set once the login code has been exchanged
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // The whole login must finish before this date
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// MongoDB removes finished or abandoned logins automatically
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcLoginState", oidcLoginStateSchema);
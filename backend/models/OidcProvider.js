@@ -0,0 +1,83 @@
+/**
+ * OIDC Provider Schema
+ * OpenID Connect identity providers (Microsoft Entra ID, Keycloak, ...) that
+ * a university's users can log in with. Managed by super_admins.
+ */
+
+const mongoose = require("mongoose");
+
+const oidcProviderSchema = new mongoose.Schema(
+  {
+    // URL-safe identifier used in login URLs (e.g. 'cu-entra')
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9-]+$/,
+    },
+    // Button label shown on the login page (e.g. 'Cairo University Microsoft')
+    displayName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // University whose email addresses this provider may sign in
+    university: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "University",
+      required: true,
+      index: true,
+    },
+    // Issuer URL; discovery is read from <issuer>/.well-known/openid-configuration
+    issuer: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Client credentials registered with the identity provider
+    clientId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    clientSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // How the client authenticates at the token endpoint
+    tokenEndpointAuthMethod: {
+      type: String,
+      enum: ["client_secret_post", "client_secret_basic"],
+      default: "client_secret_post",
+    },
+    // Space-separated scopes requested at login
+    scopes: {
+      type: String,
+      default: "openid email profile",
+    },
+    // ID token claims to read user details from; dotted paths are allowed
+    claimMapping: {
+      email: { type: String, default: "email" },
+      fullName: { type: String, default: "name" },
+    },
+    // Whether to accept the provider's email addresses as verified when the
+    // ID token has no email_verified claim (e.g. Microsoft Entra ID). Without
+    // it, logins need email_verified: true.
+    trustEmail: {
+      type: Boolean,
+      default: false,
+    },
+    // Disabled providers are hidden from the login page and reject logins
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("OidcProvider", oidcProviderSchema);
@@ -0,0 +1,125 @@
+/**
+ * OutboxEmail Schema
+ * Every outgoing email is written here first and delivered in the background
+ * by utils/mailService.js, with retries and a recorded delivery status
+ */
+
+const mongoose = require("mongoose");
+
+// Delivered emails are kept this long for troubleshooting
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: { type: String, required: true },
+    content: { type: Buffer, required: true },
+    contentType: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const outboxEmailSchema = new mongoose.Schema(
+  {
+    // Envelope
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    // HTML body and plain-text fallback
+    html: {
+      type: String,
+      default: null,
+    },
+    text: {
+      type: String,
+      default: null,
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // Template the email was rendered from (see templates/email) and its locale
+    template: {
+      type: String,
+      default: null,
+    },
+    locale: {
+      type: String,
+      default: null,
+    },
+    // The body carries a one-time link (verification, password reset,
+    // unlock). It is never shown in the outbox and is erased once the email
+    // is sent or given up on.
+    sensitive: {
+      type: Boolean,
+      default: false,
+    },
+    // Recipient account, when the email is for a user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Delivery status
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+    // Delivery attempts so far, and the limit before giving up
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    // Earliest time of the next attempt (backoff after failures)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A "sending" claim older than this is treated as abandoned and retried
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // Set on delivery
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    messageId: {
+      type: String,
+      default: null,
+    },
+    // Transport that delivered it ("smtp" or "file")
+    transport: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ to: 1, createdAt: -1 });
+// MongoDB removes delivered emails automatically after the retention period
+outboxEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+module.exports = mongoose.model("OutboxEmail", outboxEmailSchema);
@@ -0,0 +1,71 @@
+/**
+ * Personal Access Token Schema
+ * Long-lived, scoped credentials users create for scripts and integrations
+ * Only a hash of the token is stored; the raw value is shown once on creation
+ */
+
+const mongoose = require("mongoose");
+const { TOKEN_SCOPES } = require("../constants/permissions");
+
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    // The user the token acts as
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Label chosen by the user (e.g. "Grade sync script")
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    // SHA-256 hash of the token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token, shown in lists to tell tokens apart
+    tokenPreview: {
+      type: String,
+      required: true,
+    },
+    // What the token may do (see TOKEN_SCOPES in constants/permissions.js)
+    scopes: {
+      type: [{ type: String, enum: Object.keys(TOKEN_SCOPES) }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // Token is rejected after this date
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Last time the token authenticated a request, and from where
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    // Set when the user (or an admin action) revokes the token
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema,
+);
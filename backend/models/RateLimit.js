@@ -0,0 +1,31 @@
+/**
+ * RateLimit Schema
+ * Fixed-window request counters shared by all server instances
+ * Keys look like "<limiter>:<ip|account>:<value>"
+ */
+
+const mongoose = require("mongoose");
+
+const rateLimitSchema = new mongoose.Schema({
+  // Limiter name plus the IP or account being counted
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Requests seen in the current window
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the current window
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes counters automatically once their window ends
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
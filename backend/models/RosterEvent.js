@@ -0,0 +1,52 @@
+/**
+ * Roster Event Schema
+ * Append-only history of students entering and leaving a class
+ */
+
+const mongoose = require("mongoose");
+const { ROSTER_ACTIONS } = require("../constants/rosterActions");
+
+const rosterEventSchema = new mongoose.Schema(
+  {
+    class: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What happened (see constants/rosterActions.js)
+    action: {
+      type: String,
+      enum: Object.values(ROSTER_ACTIONS),
+      required: true,
+    },
+    // Who made the change; the student for self-service, null for automatic changes
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // The other section of a transfer
+    otherClass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+rosterEventSchema.index({ class: 1, createdAt: -1 });
+rosterEventSchema.index({ student: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RosterEvent", rosterEventSchema);
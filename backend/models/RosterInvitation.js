@@ -0,0 +1,63 @@
+/**
+ * RosterInvitation Schema
+ * A roster row imported for a student who has no account yet; the student is
+ * enrolled automatically once they sign up and verify their email
+ */
+
+const mongoose = require("mongoose");
+
+const rosterInvitationSchema = new mongoose.Schema(
+  {
+    // Class the student will be enrolled in
+    class: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: true,
+      index: true,
+    },
+    // The student is matched by email or student ID, whichever the roster had
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    studentId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Name as written in the roster, for the instructor's reference
+    fullName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "claimed"],
+      default: "pending",
+    },
+    // The account that claimed the invitation
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+rosterInvitationSchema.index({ status: 1, email: 1 });
+rosterInvitationSchema.index({ status: 1, studentId: 1 });
+
+module.exports = mongoose.model("RosterInvitation", rosterInvitationSchema);
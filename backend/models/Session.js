@@ -0,0 +1,75 @@
+/**
+ * Session Schema
+ * One login session per device, backed by a rotating refresh token
+ * Access tokens carry the session id (`sid`) so revoking a session rejects them
+ */
+
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // The user who owns this session
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash of the refresh token this one replaced (used to detect token reuse)
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Optional client-generated device identifier (one session per device)
+    deviceId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Human-readable device label (from the client or the User-Agent header)
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
+    // IP address of the last request that used this session
+    ip: {
+      type: String,
+      default: null,
+    },
+    // Last time the refresh token was rotated
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Refresh token is rejected after this date
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the session is logged out or revoked
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Why the session was revoked: logout, logout_all, password_reset, refresh_token_reuse
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// MongoDB removes sessions automatically once the refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -30,6 +30,19 @@ const siteSettingsSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Roles that must use two-factor authentication to log in
+    twoFactorRequiredRoles: {
+      type: [String],
+      enum: ["instructor", "admin", "super_admin"],
+      default: [],
+    },
+    // Days a deleted class stays in the trash before it is purged for good
+    classTrashRetentionDays: {
+      type: Number,
+      min: 1,
+      max: 365,
+      default: 30,
+    },
     // Any extra config admin might need later
     extraConfig: {
       type: mongoose.Schema.Types.Mixed,
@@ -52,6 +52,12 @@ const submissionSchema = new mongoose.Schema(
       enum: ["submitted", "graded", "late"],
       default: "submitted",
     },
+    // Set while the student is no longer enrolled in the class; the
+    // submission is kept for the record
+    removedFromClassAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true },
 );
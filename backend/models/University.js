@@ -0,0 +1,66 @@
+/**
+ * University Schema
+ * Registry of universities whose email addresses may register
+ * Managed by super_admins; Cairo University is seeded as the default
+ */
+
+const mongoose = require("mongoose");
+
+const universitySchema = new mongoose.Schema(
+  {
+    // Email domain shared by all addresses (e.g. 'cu.edu.eg')
+    domain: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Display name stored on users (e.g. 'Cairo University')
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150,
+    },
+    // Faculty subdomains mapped to faculty names (e.g. fci -> 'Faculty of Computers & AI')
+    subdomains: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    // Whether addresses must include a faculty subdomain (x@fci.cu.edu.eg vs x@cu.edu.eg)
+    facultySubdomainRequired: {
+      type: Boolean,
+      default: true,
+    },
+    // Host label marking student addresses (e.g. 'std' in x@std.fci.cu.edu.eg)
+    studentAddressPrefix: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: "std",
+    },
+    // Host label marking staff addresses; null means staff use the bare faculty subdomain
+    staffAddressPrefix: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    // Regex sources tried in order against the local part of student addresses;
+    // the first capture group (or the whole match) becomes the student ID
+    studentIdPatterns: {
+      type: [String],
+      default: [],
+    },
+    // Inactive universities are kept but reject new registrations
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("University", universitySchema);
@@ -5,6 +5,7 @@
  */
 
 const mongoose = require("mongoose");
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require("../constants/locales");
 
 const userSchema = new mongoose.Schema(
   {
@@ -64,15 +65,151 @@ const userSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
-    // Authentication provider: 'local' (email/password) or 'google'
+    // Set when the user unlinks Google; Google sign-in then needs the
+    // password once to link again
+    googleUnlinkedAt: {
+      type: Date,
+      default: null,
+    },
+    // Key of the OIDC provider (see OidcProvider) and the user's subject there
+    oidcProvider: {
+      type: String,
+      default: undefined,
+    },
+    oidcSubject: {
+      type: String,
+      default: undefined,
+    },
+    // Preferred language for emails and notifications (see constants/locales.js)
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES,
+      default: DEFAULT_LOCALE,
+    },
+    // Authentication provider: 'local' (email/password), 'google' or 'oidc'
     authProvider: {
       type: String,
-      enum: ["local", "google"],
+      enum: ["local", "google", "oidc"],
       default: "local",
     },
+    // Deactivated accounts cannot log in and their tokens are rejected
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // When and by which admin the account was deactivated
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the user deleted their account; the record is kept, anonymized,
+    // so grades, submissions and attendance history still resolve
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by an admin to force a password reset before the next password login
+    mustResetPassword: {
+      type: Boolean,
+      default: false,
+    },
+    // SHA-256 hash of the pending password reset token (raw token is only emailed)
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Expiry of the pending password reset token
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Last password change; JWTs issued before this are rejected
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Consecutive failed password attempts since the last success or lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Account is locked until this date after too many failed logins
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // Number of lockouts since the last successful login (each one lasts longer)
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    // SHA-256 hash of the emailed unlock token
+    unlockTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hash of the secret in the user's calendar feed URL (null = feed off)
+    calendarFeedTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    calendarFeedCreatedAt: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication enabled
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Base32 TOTP secret (set once enrolment is confirmed)
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret generated during enrolment, awaiting the first valid code
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Last accepted TOTP time step (a code cannot be replayed)
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
   },
   // Enable automatic createdAt and updatedAt timestamps
   { timestamps: true },
 );
 
+// One account per identity at each OIDC provider
+userSchema.index(
+  { oidcProvider: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: "string" } } },
+);
+
+// Calendar feed requests look users up by their feed token
+userSchema.index(
+  { calendarFeedTokenHash: 1 },
+  { unique: true, partialFilterExpression: { calendarFeedTokenHash: { $type: "string" } } },
+);
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,156 @@
+/**
+ * Personal Access Token Routes
+ * Users create, list and revoke scoped tokens for scripts and integrations
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const {
+  authenticateToken,
+  requireLoginSession,
+} = require("../middleware/auth");
+const { TOKEN_SCOPES } = require("../constants/permissions");
+const {
+  MAX_TOKENS_PER_USER,
+  validateAccessTokenInput,
+  createAccessToken,
+  countActiveAccessTokens,
+  toAccessTokenView,
+} = require("../utils/accessTokens");
+
+const router = express.Router();
+
+// Tokens can only be managed from a login session, never with another token
+router.use(authenticateToken, requireLoginSession);
+
+// ============================================
+// LIST TOKENS
+// ============================================
+
+/**
+ * GET /auth/tokens
+ * Lists the user's tokens, newest first. Revoked and expired tokens are
+ * included so users can see when a token stopped working.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      message: "Access tokens fetched successfully",
+      code: "ACCESS_TOKENS_FETCHED",
+      count: tokens.length,
+      availableScopes: Object.keys(TOKEN_SCOPES),
+      tokens: tokens.map(toAccessTokenView),
+    });
+  } catch (err) {
+    console.error("[ERROR] List access tokens failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch access tokens",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// CREATE TOKEN
+// ============================================
+
+/**
+ * POST /auth/tokens
+ * Body: { name, scopes, expiresInDays }
+ * The raw token is returned once and cannot be retrieved again
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const validationError = validateAccessTokenInput({
+      name,
+      scopes,
+      expiresInDays,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError,
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    if ((await countActiveAccessTokens(req.user._id)) >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_TOKENS_PER_USER} active access tokens. Revoke one first.`,
+        code: "TOO_MANY_TOKENS",
+      });
+    }
+
+    const { token, accessToken } = await createAccessToken(req.user, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    console.log(
+      `[INFO] Access token "${accessToken.name}" created by ${req.user.email}`,
+    );
+
+    res.status(201).json({
+      message: "Access token created. Copy it now - it will not be shown again.",
+      code: "ACCESS_TOKEN_CREATED",
+      token,
+      accessToken: toAccessTokenView(accessToken),
+    });
+  } catch (err) {
+    console.error("[ERROR] Create access token failed:", err.message);
+    res.status(500).json({
+      message: "Failed to create access token",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// REVOKE TOKEN
+// ============================================
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        message: "Invalid token ID",
+        code: "INVALID_ID",
+      });
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true },
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        message: "Access token not found",
+        code: "ACCESS_TOKEN_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Access token revoked",
+      code: "ACCESS_TOKEN_REVOKED",
+      accessToken: toAccessTokenView(accessToken),
+    });
+  } catch (err) {
+    console.error("[ERROR] Revoke access token failed:", err.message);
+    res.status(500).json({
+      message: "Failed to revoke access token",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
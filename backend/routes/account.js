@@ -0,0 +1,323 @@
+/**
+ * Account Routes
+ * The signed-in user's own profile, password, linked Google account,
+ * personal data export and account deletion
+ */
+
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const {
+  authenticateToken,
+  requireLoginSession,
+} = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { createSession, revokeAllSessions } = require("../utils/sessions");
+const { revokeAllAccessTokens } = require("../utils/accessTokens");
+const {
+  validatePasswordStrength,
+  formatPasswordRequirements,
+} = require("../utils/passwordPolicy");
+const { sendDataExport } = require("../utils/dataExport");
+const {
+  getDeletionBlocker,
+  anonymizeUser,
+} = require("../utils/accountDeletion");
+const { SUPPORTED_LOCALES } = require("../constants/locales");
+const { recordAudit, userTarget } = require("../utils/auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const toProfileView = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role,
+  university: user.university,
+  college: user.college,
+  studentId: user.studentId,
+  isEmailVerified: user.isEmailVerified,
+  locale: user.locale,
+  authProvider: user.authProvider,
+  hasPassword: !!user.password,
+  googleLinked: !!user.googleId,
+});
+
+// Exports are expensive to build; a few per hour is plenty
+const exportLimiter = rateLimit({
+  name: "data-export",
+  scope: "account",
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyBy: (req) => req.user && req.user._id.toString(),
+});
+
+/**
+ * Confirm a sensitive action with the current password, or with the account
+ * email for Google-only accounts that have no password.
+ * @returns {Promise<boolean>}
+ */
+const confirmIdentity = async (user, { currentPassword, confirmEmail }) => {
+  if (user.password) {
+    return !!currentPassword && bcrypt.compare(currentPassword, user.password);
+  }
+  return (
+    !!confirmEmail &&
+    String(confirmEmail).toLowerCase().trim() === user.email
+  );
+};
+
+// ============================================
+// PROFILE
+// ============================================
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    }
+
+    res.status(200).json({
+      message: "User authenticated successfully",
+      code: "AUTH_VERIFIED",
+      user: toProfileView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Token verification failed:", err.message);
+    res.status(401).json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
+  }
+});
+
+/**
+ * PATCH /auth/me
+ * Body: { fullName, locale }
+ * `locale` is the language of emails ("en" or "ar"). Email, role, university,
+ * college and student ID come from the university email address and cannot be edited
+ */
+router.patch("/", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const { fullName, locale } = req.body;
+
+    if (fullName === undefined && locale === undefined) {
+      return res.status(400).json({
+        message: "Nothing to update. Editable fields: fullName, locale",
+        code: "MISSING_FIELDS",
+      });
+    }
+
+    const updates = {};
+
+    if (fullName !== undefined) {
+      if (typeof fullName !== "string" || fullName.trim().length < 2) {
+        return res.status(400).json({
+          message: "Full name must be at least 2 characters",
+          code: "INVALID_NAME",
+        });
+      }
+      updates.fullName = fullName.trim();
+    }
+
+    if (locale !== undefined) {
+      if (!SUPPORTED_LOCALES.includes(locale)) {
+        return res.status(400).json({
+          message: "Invalid locale. Supported locales: " + SUPPORTED_LOCALES.join(", "),
+          code: "INVALID_LOCALE",
+        });
+      }
+      updates.locale = locale;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updates,
+      { new: true, runValidators: true },
+    );
+
+    res.status(200).json({
+      message: "Profile updated successfully",
+      code: "PROFILE_UPDATED",
+      user: toProfileView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Update profile failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+// ============================================
+// PASSWORD & LINKED ACCOUNTS
+// ============================================
+
+/**
+ * POST /auth/me/password
+ * Body: { currentPassword, newPassword, confirmPassword, revokeAccessTokens? }
+ * Logs out every other device and returns a fresh session for this one.
+ * With revokeAccessTokens: true, personal access tokens are revoked too.
+ */
+router.post("/password", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword, revokeAccessTokens } = req.body;
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      return res.status(400).json({
+        message: "Current password, new password and confirmation are required",
+        code: "MISSING_FIELDS",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.password) {
+      return res.status(400).json({
+        message: "Your account has no password yet. Use 'Forgot password' to set one.",
+        code: "NO_PASSWORD",
+      });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({ message: "Current password is incorrect", code: "INVALID_CREDENTIALS" });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({ message: "Password confirmation does not match", code: "PASSWORD_MISMATCH" });
+    }
+
+    const { isStrong, requirements } = validatePasswordStrength(newPassword);
+    if (!isStrong) {
+      return res.status(400).json({
+        message: "Password does not meet security requirements",
+        code: "WEAK_PASSWORD",
+        requirements: formatPasswordRequirements(requirements),
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id, "password_changed");
+    const accessTokensRevoked =
+      revokeAccessTokens === true ? await revokeAllAccessTokens(user._id) : 0;
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.status(200).json({
+      message: "Password changed. Other devices have been logged out.",
+      code: "PASSWORD_CHANGED",
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      accessTokensRevoked,
+    });
+  } catch (err) {
+    console.error("[ERROR] Change password failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+/**
+ * DELETE /auth/me/google
+ * Unlinks Google sign-in. Only allowed once the account has a password,
+ * otherwise the user would be locked out. Signing in with Google again
+ * asks for the password before the account is re-linked.
+ */
+router.delete("/google", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.googleId) {
+      return res.status(400).json({ message: "No Google account is linked", code: "GOOGLE_NOT_LINKED" });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        message: "Set a password before unlinking Google, or you will not be able to log in",
+        code: "NO_PASSWORD",
+      });
+    }
+
+    user.googleId = undefined;
+    user.googleUnlinkedAt = new Date();
+    user.authProvider = "local";
+    await user.save();
+    await recordAudit(req, { action: AUDIT_ACTIONS.GOOGLE_UNLINKED, target: userTarget(user) });
+
+    res.status(200).json({
+      message: "Google account unlinked",
+      code: "GOOGLE_UNLINKED",
+      user: toProfileView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Unlink Google failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+// ============================================
+// DATA EXPORT
+// ============================================
+
+/**
+ * GET /auth/me/export
+ * Downloads a ZIP with the user's profile, classes, submissions and grades,
+ * attendance check-ins and announcements as JSON files
+ */
+router.get("/export", authenticateToken, requireLoginSession, exportLimiter, async (req, res) => {
+  try {
+    await sendDataExport(req.user._id, res);
+    console.log(`[INFO] Data export downloaded by ${req.user.email}`);
+  } catch (err) {
+    console.error("[ERROR] Data export failed:", err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Failed to build data export", code: "INTERNAL_SERVER_ERROR" });
+    }
+  }
+});
+
+// ============================================
+// ACCOUNT DELETION
+// ============================================
+
+/**
+ * DELETE /auth/me
+ * Body: { currentPassword } or, for accounts without a password, { confirmEmail }
+ * Anonymizes the account: historical records stay, personal data is removed
+ */
+router.delete("/", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!(await confirmIdentity(user, req.body || {}))) {
+      return res.status(401).json({
+        message: user.password
+          ? "Current password is incorrect"
+          : "Type your account email to confirm",
+        code: "CONFIRMATION_FAILED",
+      });
+    }
+
+    const blocker = await getDeletionBlocker(user);
+    if (blocker) {
+      return res.status(409).json(blocker);
+    }
+
+    await anonymizeUser(user);
+    console.log(`[INFO] Account ${user._id} deleted by its owner`);
+
+    res.status(200).json({
+      message: "Your account has been deleted",
+      code: "ACCOUNT_DELETED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Delete account failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+module.exports = router;
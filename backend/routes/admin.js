@@ -0,0 +1,493 @@
+/**
+ * Admin Routes
+ * User management for admins and super_admins
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { hasPermission, authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { revokeAllSessions } = require("../utils/sessions");
+const { issuePasswordReset } = require("../utils/passwordReset");
+const { revokeAllAccessTokens } = require("../utils/accessTokens");
+const { recordAudit, userTarget } = require("../utils/auditLog");
+const { claimRosterInvitations } = require("../utils/rosterImport");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const ROLES = ["student", "instructor", "admin", "super_admin"];
+const PRIVILEGED_ROLES = ["admin", "super_admin"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Only super_admins may manage admin-level accounts or grant admin-level roles
+const canManage = (actor, target) =>
+  hasPermission(actor, PERMISSIONS.USER_MANAGE_ADMINS) ||
+  !PRIVILEGED_ROLES.includes(target.role);
+
+const toAdminView = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  studentId: user.studentId,
+  role: user.role,
+  university: user.university,
+  college: user.college,
+  authProvider: user.authProvider,
+  isEmailVerified: user.isEmailVerified,
+  isProfileComplete: user.isProfileComplete,
+  isActive: user.isActive !== false,
+  deactivatedAt: user.deactivatedAt,
+  deletedAt: user.deletedAt,
+  mustResetPassword: user.mustResetPassword,
+  twoFactorEnabled: user.twoFactorEnabled,
+  lockUntil: user.lockUntil,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+/**
+ * Load the target user from :id and check the acting admin may manage them.
+ * Sends the error response itself and returns null on failure.
+ */
+const loadManageableUser = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid user ID", code: "INVALID_ID" });
+    return null;
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    return null;
+  }
+
+  if (!canManage(req.user, user)) {
+    res.status(403).json({
+      message: "Only a super_admin can manage admin accounts",
+      code: "FORBIDDEN",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+router.use(
+  authenticateToken,
+  requireLoginSession,
+  authorizePermission(PERMISSIONS.USER_MANAGE),
+);
+
+// ============================================
+// LIST & SEARCH USERS
+// ============================================
+
+/**
+ * GET /admin/users
+ * Query: { search, role, college, university, isActive, isEmailVerified, page, limit }
+ * `search` matches name, email or studentId (case-insensitive)
+ */
+router.get("/users", async (req, res) => {
+  try {
+    const { search, role, college, university, isActive, isEmailVerified } =
+      req.query;
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+    );
+
+    const filter = {};
+
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      filter.$or = [
+        { fullName: pattern },
+        { email: pattern },
+        { studentId: pattern },
+      ];
+    }
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          message: "Invalid role. Allowed roles: " + ROLES.join(", "),
+          code: "INVALID_ROLE",
+        });
+      }
+      filter.role = role;
+    }
+
+    if (college) filter.college = new RegExp(escapeRegex(college), "i");
+    if (university) filter.university = new RegExp(escapeRegex(university), "i");
+    if (isActive !== undefined) {
+      filter.isActive = isActive === "true" ? { $ne: false } : false;
+    }
+    if (isEmailVerified !== undefined) {
+      filter.isEmailVerified = isEmailVerified === "true";
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select("-password")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      message: "Users fetched successfully",
+      code: "USERS_FETCHED",
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      users: users.map(toAdminView),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin list users failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch users",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.get("/users/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID", code: "INVALID_ID" });
+    }
+
+    const user = await User.findById(id).select("-password").lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    }
+
+    res.json({
+      message: "User fetched successfully",
+      code: "USER_FETCHED",
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin get user failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch user",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// CREATE USER
+// ============================================
+
+/**
+ * POST /admin/users
+ * Body: { fullName, email, role, university, college, studentId }
+ * Creates a verified account without a password and emails a link to set one.
+ * This is the only way to create admin and super_admin accounts.
+ */
+router.post("/users", async (req, res) => {
+  try {
+    const { fullName, email, role, university, college, studentId } = req.body;
+
+    if (!fullName || !email || !role) {
+      return res.status(400).json({
+        message: "fullName, email and role are required",
+        code: "MISSING_FIELDS",
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: "Invalid role. Allowed roles: " + ROLES.join(", "),
+        code: "INVALID_ROLE",
+      });
+    }
+
+    if (!canManage(req.user, { role })) {
+      return res.status(403).json({
+        message: "Only a super_admin can create admin accounts",
+        code: "FORBIDDEN",
+      });
+    }
+
+    const user = await User.create({
+      fullName: fullName.trim(),
+      email: email.toLowerCase().trim(),
+      role,
+      university: university || null,
+      college: college || null,
+      studentId: role === "student" && studentId ? studentId : undefined,
+      isEmailVerified: true,
+    });
+
+    // The account has no password yet; the reset link lets the user set one
+    await issuePasswordReset(user);
+    await claimRosterInvitations(user);
+
+    console.log(`[INFO] User ${user.email} (${role}) created by ${req.user.email}`);
+
+    res.status(201).json({
+      message: "User created. A link to set the password has been emailed.",
+      code: "USER_CREATED",
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      const field = Object.keys(err.keyPattern)[0];
+      return res.status(409).json({
+        message: `Account with this ${field} already exists`,
+        code: "DUPLICATE_ENTRY",
+        field,
+      });
+    }
+    console.error("[ERROR] Admin create user failed:", err.message);
+    res.status(500).json({
+      message: "Failed to create user",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// ROLE CHANGES
+// ============================================
+
+/**
+ * PATCH /admin/users/:id/role
+ * Body: { role }
+ * Promoting to (or demoting from) admin/super_admin requires super_admin
+ */
+router.patch("/users/:id/role", async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: "Invalid role. Allowed roles: " + ROLES.join(", "),
+        code: "INVALID_ROLE",
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        message: "You cannot change your own role",
+        code: "INVALID_ACTION",
+      });
+    }
+
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (!canManage(req.user, { role })) {
+      return res.status(403).json({
+        message: "Only a super_admin can promote users to admin roles",
+        code: "FORBIDDEN",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    console.log(
+      `[INFO] Role of ${user.email} changed ${previousRole} -> ${role} by ${req.user.email}`,
+    );
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ROLE_CHANGED,
+      target: userTarget(user),
+      details: { previousRole, role },
+    });
+
+    res.json({
+      message: "User role updated",
+      code: "USER_ROLE_UPDATED",
+      previousRole,
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin role change failed:", err.message);
+    res.status(500).json({
+      message: "Failed to update role",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// ACCOUNT STATUS
+// ============================================
+
+router.post("/users/:id/deactivate", async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        message: "You cannot deactivate your own account",
+        code: "INVALID_ACTION",
+      });
+    }
+
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        message: "Account is already deactivated",
+        code: "ALREADY_DEACTIVATED",
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user._id;
+    await user.save();
+    await revokeAllSessions(user._id, "deactivated");
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_DEACTIVATED,
+      target: userTarget(user),
+    });
+
+    res.json({
+      message: "Account deactivated",
+      code: "USER_DEACTIVATED",
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin deactivate user failed:", err.message);
+    res.status(500).json({
+      message: "Failed to deactivate user",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.post("/users/:id/reactivate", async (req, res) => {
+  try {
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (user.deletedAt) {
+      return res.status(400).json({
+        message: "This account was deleted by its owner and cannot be reactivated",
+        code: "ACCOUNT_DELETED",
+      });
+    }
+
+    if (user.isActive !== false) {
+      return res.status(400).json({
+        message: "Account is already active",
+        code: "ALREADY_ACTIVE",
+      });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    await user.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_REACTIVATED,
+      target: userTarget(user),
+    });
+
+    res.json({
+      message: "Account reactivated",
+      code: "USER_REACTIVATED",
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin reactivate user failed:", err.message);
+    res.status(500).json({
+      message: "Failed to reactivate user",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.post("/users/:id/verify-email", async (req, res) => {
+  try {
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        message: "Email is already verified",
+        code: "ALREADY_VERIFIED",
+      });
+    }
+
+    user.isEmailVerified = true;
+    await user.save();
+    await claimRosterInvitations(user);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_EMAIL_VERIFIED,
+      target: userTarget(user),
+    });
+
+    res.json({
+      message: "Email marked as verified",
+      code: "EMAIL_VERIFIED_BY_ADMIN",
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin verify email failed:", err.message);
+    res.status(500).json({
+      message: "Failed to verify email",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:id/force-password-reset
+ * Logs the user out everywhere, revokes their access tokens, blocks password
+ * login and emails a reset link
+ */
+router.post("/users/:id/force-password-reset", async (req, res) => {
+  try {
+    const user = await loadManageableUser(req, res);
+    if (!user) return;
+
+    user.mustResetPassword = true;
+    user.passwordChangedAt = new Date();
+    await issuePasswordReset(user);
+    await revokeAllSessions(user._id, "forced_password_reset");
+    await revokeAllAccessTokens(user._id);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_PASSWORD_RESET_FORCED,
+      target: userTarget(user),
+    });
+
+    res.json({
+      message: "Password reset forced. The user has been logged out and emailed a reset link.",
+      code: "PASSWORD_RESET_FORCED",
+      user: toAdminView(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] Admin force password reset failed:", err.message);
+    res.status(500).json({
+      message: "Failed to force password reset",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -7,9 +7,13 @@
 const express = require("express");
 const Announcement = require("../models/Announcement");
 const { authenticateToken } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
 
 const router = express.Router();
 
+const canPostGlobal = authorizePermission(PERMISSIONS.ANNOUNCEMENT_GLOBAL);
+
 // Get all announcements visible to the current user
 router.get("/", authenticateToken, async (req, res) => {
   try {
@@ -35,10 +39,7 @@ router.get("/", authenticateToken, async (req, res) => {
 });
 
 // Admins: Create announcement
-router.post("/", authenticateToken, async (req, res) => {
-  if (req.user.role !== "admin" && req.user.role !== "super_admin") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
+router.post("/", authenticateToken, canPostGlobal, async (req, res) => {
   const { title, message, visibleTo, link } = req.body;
   if (!title || !message) {
     return res.status(400).json({ message: "Title and message required" });
@@ -64,10 +65,7 @@ router.post("/", authenticateToken, async (req, res) => {
 });
 
 // Admins: Delete announcement
-router.delete("/:id", authenticateToken, async (req, res) => {
-  if (req.user.role !== "admin" && req.user.role !== "super_admin") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
+router.delete("/:id", authenticateToken, canPostGlobal, async (req, res) => {
   try {
     await Announcement.findByIdAndDelete(req.params.id);
     res.json({ message: "Announcement deleted" });
@@ -77,10 +75,7 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 });
 
 // Admins: Update announcement
-router.put("/:id", authenticateToken, async (req, res) => {
-  if (req.user.role !== "admin" && req.user.role !== "super_admin") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
+router.put("/:id", authenticateToken, canPostGlobal, async (req, res) => {
   const { title, message, visibleTo, link } = req.body;
   if (!title || !message) {
     return res.status(400).json({ message: "Title and message required" });
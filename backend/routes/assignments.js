@@ -9,7 +9,12 @@ const mongoose = require("mongoose");
 const Assignment = require("../models/Assignment");
 const Submission = require("../models/Submission");
 const Class = require("../models/Class");
-const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { authenticateToken } = require("../middleware/auth");
+const { can, authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { recordAudit } = require("../utils/auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+const { getClassTerm, checkTermDate } = require("../utils/academicCalendar");
 
 const router = express.Router();
 
@@ -25,7 +30,7 @@ const router = express.Router();
 router.post(
   "/",
   authenticateToken,
-  authorizeRole("instructor"),
+  authorizePermission(PERMISSIONS.ASSIGNMENT_WRITE),
   async (req, res) => {
     try {
       const { classId, title, description, dueDate, maxGrade, attachmentUrl } =
@@ -45,7 +50,7 @@ router.post(
         });
       }
 
-      // Verify instructor owns this class
+      // Verify the instructor owns or co-teaches this class
       const foundClass = await Class.findById(classId);
       if (!foundClass) {
         return res.status(404).json({
@@ -54,19 +59,36 @@ router.post(
         });
       }
 
-      if (foundClass.instructor.toString() !== req.user._id.toString()) {
+      if (!can(req.user, PERMISSIONS.ASSIGNMENT_WRITE, foundClass)) {
         return res.status(403).json({
           message: "You can only create assignments in your own classes",
           code: "FORBIDDEN",
         });
       }
 
+      const due = new Date(dueDate);
+      if (Number.isNaN(due.getTime())) {
+        return res.status(400).json({
+          message: "dueDate is not a valid date",
+          code: "INVALID_DATE",
+        });
+      }
+
+      // The due date must be a teaching day of the class's term
+      const termProblem = checkTermDate(await getClassTerm(foundClass), due, "The due date");
+      if (termProblem) {
+        return res.status(termProblem.status).json({
+          message: termProblem.message,
+          code: termProblem.code,
+        });
+      }
+
       const assignment = await Assignment.create({
         title: title.trim(),
         description: description ? description.trim() : null,
         class: classId,
         instructor: req.user._id,
-        dueDate: new Date(dueDate),
+        dueDate: due,
         maxGrade: maxGrade || 100,
         attachmentUrl: attachmentUrl || null,
       });
@@ -89,7 +111,7 @@ router.post(
 /**
  * GET /assignments/class/:classId
  * Get all assignments for a class
- * Accessible by enrolled students and the class instructor
+ * Accessible by enrolled students and the class staff
  */
 router.get("/class/:classId", authenticateToken, async (req, res) => {
   try {
@@ -110,15 +132,7 @@ router.get("/class/:classId", authenticateToken, async (req, res) => {
       });
     }
 
-    // Check access
-    const isInstructor =
-      foundClass.instructor.toString() === req.user._id.toString();
-    const isEnrolled = foundClass.students.some(
-      (s) => s.toString() === req.user._id.toString(),
-    );
-    const isAdmin = ["admin", "super_admin"].includes(req.user.role);
-
-    if (!isInstructor && !isEnrolled && !isAdmin) {
+    if (!can(req.user, PERMISSIONS.CLASS_READ, foundClass)) {
       return res.status(403).json({
         message: "Access denied",
         code: "FORBIDDEN",
@@ -146,7 +160,7 @@ router.get("/class/:classId", authenticateToken, async (req, res) => {
 
 /**
  * DELETE /assignments/:id
- * Instructor deletes their assignment
+ * The class owner or a co-instructor (or an admin) deletes an assignment
  */
 router.delete("/:id", authenticateToken, async (req, res) => {
   try {
@@ -167,11 +181,18 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       });
     }
 
-    const isOwner =
-      assignment.instructor.toString() === req.user._id.toString();
-    const isAdmin = ["admin", "super_admin"].includes(req.user.role);
+    const foundClass = await Class.findById(assignment.class);
+    if (!foundClass) {
+      return res.status(404).json({
+        message: "Class not found",
+        code: "CLASS_NOT_FOUND",
+      });
+    }
+    const allowed =
+      can(req.user, PERMISSIONS.ASSIGNMENT_WRITE, foundClass) ||
+      can(req.user, PERMISSIONS.CLASS_MANAGE, foundClass);
 
-    if (!isOwner && !isAdmin) {
+    if (!allowed) {
       return res.status(403).json({
         message: "Access denied",
         code: "FORBIDDEN",
@@ -207,7 +228,7 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 router.post(
   "/:id/submit",
   authenticateToken,
-  authorizeRole("student"),
+  authorizePermission(PERMISSIONS.ASSIGNMENT_SUBMIT),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -237,11 +258,21 @@ router.post(
 
       // Check if student is enrolled in the class
       const foundClass = await Class.findById(assignment.class);
-      const isEnrolled = foundClass.students.some(
-        (s) => s.toString() === req.user._id.toString(),
-      );
+      if (!foundClass) {
+        return res.status(404).json({
+          message: "Class not found",
+          code: "CLASS_NOT_FOUND",
+        });
+      }
+
+      if (foundClass.archivedAt) {
+        return res.status(403).json({
+          message: "This class is archived and no longer accepts submissions",
+          code: "CLASS_ARCHIVED",
+        });
+      }
 
-      if (!isEnrolled) {
+      if (!can(req.user, PERMISSIONS.ASSIGNMENT_SUBMIT, foundClass)) {
         return res.status(403).json({
           message: "You are not enrolled in this class",
           code: "NOT_ENROLLED",
@@ -292,12 +323,11 @@ router.post(
 
 /**
  * GET /assignments/:id/submissions
- * Instructor views all submissions for an assignment
+ * Class staff (or an admin) view all submissions for an assignment
  */
 router.get(
   "/:id/submissions",
   authenticateToken,
-  authorizeRole("instructor"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -317,8 +347,14 @@ router.get(
         });
       }
 
-      // Only the instructor who owns the assignment can see submissions
-      if (assignment.instructor.toString() !== req.user._id.toString()) {
+      const foundClass = await Class.findById(assignment.class);
+      if (!foundClass) {
+        return res.status(404).json({
+          message: "Class not found",
+          code: "CLASS_NOT_FOUND",
+        });
+      }
+      if (!can(req.user, PERMISSIONS.GRADE_READ, foundClass)) {
         return res.status(403).json({
           message: "Access denied",
           code: "FORBIDDEN",
@@ -348,13 +384,13 @@ router.get(
 
 /**
  * PUT /assignments/:id/submissions/:submissionId/grade
- * Instructor grades a submission
+ * Class staff grade a submission. Checked against the class only, since a
+ * TA may hold a student account.
  * Body: { grade, feedback }
  */
 router.put(
   "/:id/submissions/:submissionId/grade",
   authenticateToken,
-  authorizeRole("instructor"),
   async (req, res) => {
     try {
       const { id, submissionId } = req.params;
@@ -385,7 +421,14 @@ router.put(
         });
       }
 
-      if (assignment.instructor.toString() !== req.user._id.toString()) {
+      const foundClass = await Class.findById(assignment.class);
+      if (!foundClass) {
+        return res.status(404).json({
+          message: "Class not found",
+          code: "CLASS_NOT_FOUND",
+        });
+      }
+      if (!can(req.user, PERMISSIONS.GRADE_WRITE, foundClass)) {
         return res.status(403).json({
           message: "Access denied",
           code: "FORBIDDEN",
@@ -399,8 +442,12 @@ router.put(
         });
       }
 
-      const submission = await Submission.findByIdAndUpdate(
-        submissionId,
+      const previous = await Submission.findOne({ _id: submissionId, assignment: id })
+        .select("grade")
+        .lean();
+
+      const submission = await Submission.findOneAndUpdate(
+        { _id: submissionId, assignment: id },
         { grade, feedback: feedback || null, status: "graded" },
         { new: true },
       ).populate("student", "fullName email studentId");
@@ -412,6 +459,22 @@ router.put(
         });
       }
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GRADE_CHANGED,
+        target: {
+          type: "submission",
+          id: submission._id,
+          label: `${assignment.title} - ${submission.student.email}`,
+        },
+        details: {
+          class: foundClass._id,
+          assignment: assignment._id,
+          student: submission.student._id,
+          previousGrade: previous ? previous.grade : null,
+          grade: submission.grade,
+        },
+      });
+
       res.status(200).json({
         message: "Submission graded successfully",
         code: "SUBMISSION_GRADED",
@@ -4,33 +4,55 @@
 const express = require("express");
 const router = express.Router();
 const attendanceController = require("../controllers/attendanceController");
-const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  authorizePermission,
+  authorizeClassPermission,
+} = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { rateLimit } = require("../middleware/rateLimit");
+
+// Limit check-in attempts per student (e.g. scripted location guessing)
+const checkInLimiter = rateLimit({
+  name: "check-in",
+  scope: "account",
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  keyBy: (req) => req.user && req.user._id.toString(),
+});
 
 // Apply authentication to all attendance routes
 router.use(authenticateToken);
 
-// Instructor: Create attendance session
+// Class staff: Create attendance session
 router.post(
   "/session",
-  authorizeRole("instructor"),
+  authorizeClassPermission(
+    PERMISSIONS.ATTENDANCE_MANAGE,
+    (req) => req.body.classId,
+  ),
   attendanceController.createSession,
 );
 
 // Student: Check-in to session
 router.post(
   "/check-in",
-  authorizeRole("student"),
+  authorizePermission(PERMISSIONS.ATTENDANCE_CHECK_IN),
+  checkInLimiter,
   attendanceController.checkIn,
 );
 
-// Instructor: End session
-router.post(
-  "/end-session/:id",
-  authorizeRole("instructor"),
-  attendanceController.endSession,
-);
+// Class staff: End session (checked against the session's class in the controller)
+router.post("/end-session/:id", attendanceController.endSession);
 
-// Instructor & Student: Get active session for class
-router.get("/active-session/:classId", attendanceController.getActiveSession);
+// Class staff & Student: Get active session for class
+router.get(
+  "/active-session/:classId",
+  authorizeClassPermission(
+    PERMISSIONS.CLASS_READ,
+    (req) => req.params.classId,
+  ),
+  attendanceController.getActiveSession,
+);
 
 module.exports = router;
@@ -0,0 +1,276 @@
+/**
+ * Audit Log Routes
+ * Admins search the security audit log and export it as CSV
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require("../constants/auditActions");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const ACTIONS = Object.values(AUDIT_ACTIONS);
+const OUTCOMES = ["success", "failure"];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// A single CSV export never holds more rows than this; narrow the filters for more
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "outcome",
+  "actorId",
+  "actorEmail",
+  "actorRole",
+  "targetType",
+  "targetId",
+  "targetLabel",
+  "ip",
+  "userAgent",
+  "details",
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toAuditView = (entry) => ({
+  id: entry._id,
+  createdAt: entry.createdAt,
+  action: entry.action,
+  outcome: entry.outcome,
+  actor: entry.actor,
+  actorEmail: entry.actorEmail,
+  actorRole: entry.actorRole,
+  targetType: entry.targetType,
+  targetId: entry.targetId,
+  targetLabel: entry.targetLabel,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  details: entry.details,
+});
+
+/**
+ * Build the MongoDB filter from the query string.
+ * Sends nothing; returns { filter } or { error } with message and code.
+ * Query: { action, outcome, actor, targetType, targetId, ip, from, to }
+ * `action` may be a comma-separated list; `actor` is a user ID or part of an email
+ */
+const buildFilter = (query) => {
+  const { action, outcome, actor, targetType, targetId, ip, from, to } = query;
+  const filter = {};
+
+  if (action) {
+    const actions = String(action).split(",").map((a) => a.trim()).filter(Boolean);
+    const unknown = actions.filter((a) => !ACTIONS.includes(a));
+    if (unknown.length > 0) {
+      return {
+        error: {
+          message: "Invalid action. Allowed actions: " + ACTIONS.join(", "),
+          code: "INVALID_ACTION",
+        },
+      };
+    }
+    filter.action = { $in: actions };
+  }
+
+  if (outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+      return {
+        error: { message: "Outcome must be success or failure", code: "INVALID_OUTCOME" },
+      };
+    }
+    filter.outcome = outcome;
+  }
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter.actor = actor;
+    } else {
+      filter.actorEmail = new RegExp(escapeRegex(String(actor).trim()), "i");
+    }
+  }
+
+  if (targetType) {
+    if (!AUDIT_TARGET_TYPES.includes(targetType)) {
+      return {
+        error: {
+          message: "Invalid target type. Allowed types: " + AUDIT_TARGET_TYPES.join(", "),
+          code: "INVALID_TARGET_TYPE",
+        },
+      };
+    }
+    filter.targetType = targetType;
+  }
+
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: { message: "Invalid target ID", code: "INVALID_ID" } };
+    }
+    filter.targetId = targetId;
+  }
+
+  if (ip) filter.ip = String(ip).trim();
+
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [key, value, operator] of [["from", from, "$gte"], ["to", to, "$lte"]]) {
+      if (!value) continue;
+      const date = parseDate(value);
+      if (!date) {
+        return {
+          error: { message: `Invalid ${key} date. Use an ISO 8601 date`, code: "INVALID_DATE" },
+        };
+      }
+      filter.createdAt[operator] = date;
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * Quote a value for CSV. Values that a spreadsheet would run as a formula
+ * are prefixed with a quote so exported user input cannot execute.
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value instanceof mongoose.Types.ObjectId) text = value.toString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) =>
+  [
+    entry.createdAt,
+    entry.action,
+    entry.outcome,
+    entry.actor,
+    entry.actorEmail,
+    entry.actorRole,
+    entry.targetType,
+    entry.targetId,
+    entry.targetLabel,
+    entry.ip,
+    entry.userAgent,
+    entry.details && Object.keys(entry.details).length > 0 ? entry.details : null,
+  ]
+    .map(toCsvValue)
+    .join(",");
+
+router.use(
+  authenticateToken,
+  requireLoginSession,
+  authorizePermission(PERMISSIONS.AUDIT_READ),
+);
+
+// ============================================
+// SEARCH & EXPORT
+// ============================================
+
+/**
+ * GET /admin/audit-logs
+ * Query: { action, outcome, actor, targetType, targetId, ip, from, to, page, limit }
+ * Newest entries first
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+    );
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      message: "Audit log fetched successfully",
+      code: "AUDIT_LOG_FETCHED",
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      actions: ACTIONS,
+      entries: entries.map(toAuditView),
+    });
+  } catch (err) {
+    console.error("[ERROR] Audit log search failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch audit log",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * GET /admin/audit-logs/export
+ * Same filters as the search, downloaded as CSV (newest first)
+ */
+router.get("/export", async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean()
+      .cursor();
+
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type("text/csv");
+    res.write(CSV_COLUMNS.join(",") + "\r\n");
+
+    let rows = 0;
+    for await (const entry of cursor) {
+      res.write(toCsvRow(entry) + "\r\n");
+      rows += 1;
+    }
+    res.end();
+
+    console.log(`[INFO] Audit log exported by ${req.user.email} (${rows} rows)`);
+  } catch (err) {
+    console.error("[ERROR] Audit log export failed:", err.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        message: "Failed to export audit log",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
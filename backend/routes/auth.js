@@ -4,13 +4,57 @@
  */
 
 const express = require("express");
+const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
-const nodemailer = require("nodemailer");
-const jwt = require("jsonwebtoken");
 const { OAuth2Client } = require("google-auth-library");
 const User = require("../models/User");
-const Universities = require("../constants/universities");
-const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const { resolveUniversityEmail } = require("../utils/universityRegistry");
+const { getRequestLocale } = require("../utils/emailTemplates");
+const { hashToken } = require("../utils/tokens");
+const {
+  sendVerificationEmail,
+  sendAccountUnlockEmail,
+} = require("../utils/authEmails");
+const { issuePasswordReset } = require("../utils/passwordReset");
+const {
+  validatePasswordStrength,
+  formatPasswordRequirements,
+} = require("../utils/passwordPolicy");
+const {
+  issueVerificationToken,
+  checkResendThrottle,
+  consumeVerificationToken,
+} = require("../utils/emailVerification");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
+const Session = require("../models/Session");
+const { revokeAllAccessTokens } = require("../utils/accessTokens");
+const { getLoginChallenge } = require("../utils/twoFactor");
+const {
+  resolveExternalEmail,
+  finishExternalLogin,
+  verifyProfileToken,
+} = require("../utils/externalLogin");
+const {
+  authenticateToken,
+  requireLoginSession,
+  authorizeRole,
+} = require("../middleware/auth");
+const { rateLimit, sendTooManyRequests } = require("../middleware/rateLimit");
+const {
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockWithToken,
+} = require("../utils/accountLockout");
+const { recordAudit, userTarget } = require("../utils/auditLog");
+const { claimRosterInvitations } = require("../utils/rosterImport");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
 
 const router = express.Router();
 
@@ -18,105 +62,53 @@ const router = express.Router();
 // HELPER FUNCTIONS
 // ============================================
 
-const validatePasswordStrength = (password) => {
-  const requirements = {
-    length: password.length >= 6,
-    hasLetter: /[a-zA-Z]/.test(password),
-    hasDigit: /\d/.test(password),
-    hasSpecial: /[!@#$%^&*(),.?":{}|<>]/.test(password),
-  };
-
-  const isStrong = Object.values(requirements).every((req) => req === true);
-
-  return { isStrong, requirements };
-};
-
-const extractUserDataFromEmail = (email) => {
-  const regex = /^([a-zA-Z0-9._%+-]+)@(?:(std)\.)?([^.]+)\.(cu\.edu\.eg)$/i;
-  const match = email.match(regex);
-
-  if (!match) {
-    throw new Error("Invalid Cairo University email format");
-  }
-
-  const emailPrefix = match[1];
-  const isStudent = !!match[2];
-  const subdomain = match[3].toLowerCase();
-  const domain = match[4].toLowerCase();
-
-  const universityData = Universities[domain];
-
-  if (!universityData) {
-    throw new Error(`University '${domain}' is not supported yet`);
-  }
-
-  const faculty = universityData.subdomains[subdomain];
-
-  if (!faculty) {
-    throw new Error(
-      `Faculty '${subdomain}' is not recognized at ${universityData.name}`,
-    );
-  }
+// Rate limits: per client IP, plus per account for password login
+const loginIpLimiter = rateLimit({ name: "login", windowMs: 15 * 60 * 1000, max: 20 });
+const loginAccountLimiter = rateLimit({
+  name: "login",
+  scope: "account",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyBy: (req) => req.body && req.body.email,
+});
+const emailIpLimiter = rateLimit({ name: "email", windowMs: 60 * 60 * 1000, max: 10 });
+
+// Audit a login attempt; `user` is null when the email matches no account
+const auditLogin = (req, user, outcome, { email, ...details }) =>
+  recordAudit(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    outcome,
+    actor: user,
+    actorEmail: email,
+    target: user ? userTarget(user) : undefined,
+    details,
+  });
 
-  let studentId = null;
-  if (isStudent) {
-    if (/^\d{9}$/.test(emailPrefix)) {
-      studentId = emailPrefix.substr(2, 7);
-    } else if (/^\d{7}$/.test(emailPrefix)) {
-      studentId = emailPrefix;
-    } else {
-      throw new Error(
-        "Student email must have a 9-digit prefix (new) or 7-digit prefix (legacy) as student ID",
-      );
-    }
+/**
+ * Accepts only the profile completion token returned by an external login
+ * for a user who has not completed their profile yet.
+ */
+const authenticateProfileCompletion = async (req, res, next) => {
+  const authHeader = req.headers["authorization"] || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : null;
+  const payload = token ? verifyProfileToken(token) : null;
+  if (!payload) {
+    return res.status(401).json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
   }
 
-  return {
-    university: universityData.name,
-    faculty: faculty,
-    role: isStudent ? "student" : "instructor",
-    studentId: studentId,
-  };
-};
-
-const getEmailTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: process.env.EMAIL_SECURE === "true",
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
-};
-
-const sendVerificationEmail = async (email, userId, userName) => {
-  const verificationUrl = `${process.env.BACKEND_URL || "http://localhost:5000"}/api/auth/verify-email/${userId}`;
-
-  const transporter = getEmailTransporter();
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || '"UAPMP Support" <noreply@uapmp.edu.eg>',
-    to: email,
-    subject: "Verify Your Email - UAPMP",
-    html: `
-      <h2>Welcome to UAPMP, ${userName}!</h2>
-      <p>Please verify your email address to activate your account.</p>
-      <p>
-        <a href="${verificationUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
-          Verify Email
-        </a>
-      </p>
-      <p>Or copy this link: <a href="${verificationUrl}">${verificationUrl}</a></p>
-      <p><strong>This link will expire in 24 hours.</strong></p>
-      <p>If you did not register for UAPMP, please ignore this email.</p>
-    `,
-  };
   try {
-    const result = await transporter.sendMail(mailOptions);
-    return result;
-  } catch (error) {
-    throw error;
+    const user = await User.findById(payload.id);
+    if (!user) {
+      return res.status(401).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    }
+    if (user.isActive === false) {
+      return res.status(403).json({ message: "Account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("[ERROR] authenticateProfileCompletion:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
   }
 };
 
@@ -124,7 +116,7 @@ const sendVerificationEmail = async (email, userId, userName) => {
 // AUTHENTICATION ENDPOINTS
 // ============================================
 
-router.post("/register", async (req, res) => {
+router.post("/register", emailIpLimiter, async (req, res) => {
   try {
     const { fullName, email, password, confirmPassword } = req.body;
 
@@ -147,12 +139,7 @@ router.post("/register", async (req, res) => {
       return res.status(400).json({
         message: "Password does not meet security requirements",
         code: "WEAK_PASSWORD",
-        requirements: {
-          minLength: { status: requirements.length, message: "Minimum 6 characters" },
-          hasLetters: { status: requirements.hasLetter, message: "Must contain letters (a-z, A-Z)" },
-          hasNumbers: { status: requirements.hasDigit, message: "Must contain numbers (0-9)" },
-          hasSpecialChar: { status: requirements.hasSpecial, message: "Must contain special character (!@#$%^&*)" },
-        },
+        requirements: formatPasswordRequirements(requirements),
       });
     }
 
@@ -165,7 +152,7 @@ router.post("/register", async (req, res) => {
     let college = null;
 
     try {
-      const emailData = extractUserDataFromEmail(emailLower);
+      const emailData = await resolveUniversityEmail(emailLower);
       role = emailData.role;
       university = emailData.university;
       college = emailData.faculty;
@@ -199,6 +186,7 @@ router.post("/register", async (req, res) => {
       role,
       university,
       college,
+      locale: getRequestLocale(req),
       isEmailVerified: false,
     };
 
@@ -209,7 +197,8 @@ router.post("/register", async (req, res) => {
     const newUser = await User.create(userPayload);
 
     try {
-      await sendVerificationEmail(emailLower, newUser._id, displayName);
+      const verificationToken = await issueVerificationToken(newUser._id);
+      await sendVerificationEmail(emailLower, verificationToken, displayName, newUser.locale);
     } catch (emailError) {
       console.error("[WARNING] Failed to send verification email:", emailError.message);
     }
@@ -259,41 +248,30 @@ router.post("/register", async (req, res) => {
 
 router.post("/verify-email", async (req, res) => {
   try {
-    const { uid } = req.body;
+    const { token } = req.body;
 
-    if (!uid) {
-      return res.status(400).json({ message: "Verification uid is required", code: "MISSING_UID" });
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required", code: "MISSING_TOKEN" });
     }
 
-    const user = await User.findById(uid);
-
-    if (!user) {
-      return res.status(400).json({ message: "Invalid verification link or user not found", code: "INVALID_UID" });
-    }
+    const result = await consumeVerificationToken(token);
 
-    if (user.isEmailVerified) {
-      return res.status(400).json({ message: "Email is already verified", code: "ALREADY_VERIFIED" });
+    if (result.status === "used") {
+      return res.status(400).json({ message: "This verification link has already been used", code: "TOKEN_ALREADY_USED" });
     }
 
-    const createdAt = user.createdAt || user._id.getTimestamp();
-    const ageMs = Date.now() - new Date(createdAt).getTime();
-    const maxAgeMs = 24 * 60 * 60 * 1000;
-
-    if (ageMs > maxAgeMs) {
-      try {
-        await User.deleteOne({ _id: user._id });
-      } catch (delError) {
-        console.error("[WARNING] Failed to delete expired unverified user:", delError.message);
-      }
-
+    if (result.status === "expired") {
       return res.status(400).json({
-        message: "Verification link has expired and the unverified account has been removed. Please register again.",
-        code: "TOKEN_EXPIRED_ACCOUNT_REMOVED",
+        message: "Verification link has expired. Please request a new one.",
+        code: "TOKEN_EXPIRED",
       });
     }
 
-    user.isEmailVerified = true;
-    await user.save();
+    if (result.status !== "verified") {
+      return res.status(400).json({ message: "Invalid verification link", code: "INVALID_TOKEN" });
+    }
+
+    const { user } = result;
 
     res.status(200).json({
       message: "Email verified successfully. You can now login.",
@@ -317,71 +295,75 @@ router.post("/verify-email", async (req, res) => {
   }
 });
 
-router.get("/verify-email/:uid", async (req, res) => {
+router.get("/verify-email/:token", async (req, res) => {
   try {
-    const { uid } = req.params;
+    const result = await consumeVerificationToken(req.params.token);
 
-    if (!uid) {
-      return res.status(400).send("<html><body><h1>❌ Invalid Verification Link</h1><p>User ID is missing.</p></body></html>");
+    if (result.status === "used") {
+      return res.status(400).send("<html><body><h1>❌ Link Already Used</h1><p>This verification link has already been used. Please sign in.</p></body></html>");
     }
 
-    const user = await User.findById(uid);
+    if (result.status === "expired") {
+      return res.status(400).send("<html><body><h1>⏰ Verification Link Expired</h1><p>The verification link has expired. Please request a new verification email from the sign in page.</p></body></html>");
+    }
 
-    if (!user) {
-      return res.status(400).send("<html><body><h1>❌ Invalid Verification Link</h1><p>User not found.</p></body></html>");
+    if (result.status !== "verified") {
+      return res.status(400).send("<html><body><h1>❌ Invalid Verification Link</h1><p>The link is invalid.</p></body></html>");
     }
 
-    const buildRedirect = (user) => {
-      const token = jwt.sign(
-        { id: user._id, role: user.role, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-      );
-      const userPayload = encodeURIComponent(
-        Buffer.from(JSON.stringify({
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          role: user.role,
-          university: user.university,
-          college: user.college,
-          studentId: user.studentId,
-        })).toString("base64"),
-      );
-      const dashboardUrl = user.role === "student"
-        ? process.env.STUDENT_DASHBOARD_URL || "http://127.0.0.1:5501/frontend/html/student-profile.html"
-        : process.env.INSTRUCTOR_DASHBOARD_URL || "http://127.0.0.1:5501/frontend/html/instructor-profile.html";
-      return `${dashboardUrl}?token=${token}&user=${userPayload}`;
-    };
+    // No session is started from the link: the user signs in as usual, so
+    // every session has a refresh token its owner holds
+    const signinUrl =
+      process.env.SIGNIN_URL || "http://127.0.0.1:5501/frontend/html/signin.html";
+    res.redirect(`${signinUrl}?verified=1&email=${encodeURIComponent(result.user.email)}`);
+  } catch (error) {
+    console.error("[ERROR] Direct email verification failed:", error.message);
+    res.status(500).send("<html><body><h1>❌ Verification Failed</h1><p>An error occurred.</p></body></html>");
+  }
+});
 
-    if (user.isEmailVerified) {
-      return res.redirect(buildRedirect(user));
+router.post("/resend-verification", emailIpLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required", code: "MISSING_FIELDS" });
     }
 
-    const createdAt = user.createdAt || user._id.getTimestamp();
-    const ageMs = Date.now() - new Date(createdAt).getTime();
-    const maxAgeMs = 24 * 60 * 60 * 1000;
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+      message: "If an unverified account with that email exists, a new verification link has been sent.",
+      code: "VERIFICATION_EMAIL_SENT",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || user.isEmailVerified) {
+      return res.status(200).json(genericResponse);
+    }
 
-    if (ageMs > maxAgeMs) {
-      try {
-        await User.deleteOne({ _id: user._id });
-      } catch (delError) {
-        console.error("[WARNING] Failed to delete expired unverified user:", delError.message);
-      }
-      return res.status(400).send("<html><body><h1>⏰ Verification Link Expired</h1><p>The verification link has expired. Please register again.</p></body></html>");
+    const { allowed, retryAfterSeconds } = await checkResendThrottle(user._id);
+    if (!allowed) {
+      return sendTooManyRequests(
+        res,
+        retryAfterSeconds,
+        "Too many verification emails requested. Please try again later.",
+      );
     }
 
-    user.isEmailVerified = true;
-    await user.save();
+    const verificationToken = await issueVerificationToken(user._id);
+    try {
+      await sendVerificationEmail(user.email, verificationToken, user.fullName, user.locale);
+    } catch (emailError) {
+      console.error("[WARNING] Failed to send verification email:", emailError.message);
+    }
 
-    res.redirect(buildRedirect(user));
+    res.status(200).json(genericResponse);
   } catch (error) {
-    console.error("[ERROR] Direct email verification failed:", error.message);
-    res.status(500).send("<html><body><h1>❌ Verification Failed</h1><p>An error occurred.</p></body></html>");
+    console.error("[ERROR] Resend verification failed:", error.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
   }
 });
 
-router.post("/login", async (req, res) => {
+router.post("/login", loginIpLimiter, loginAccountLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) {
@@ -390,23 +372,69 @@ router.post("/login", async (req, res) => {
     const emailLower = email.toLowerCase();
     const user = await User.findOne({ email: emailLower });
     if (!user) {
+      await auditLogin(req, null, "failure", { method: "password", reason: "UNKNOWN_EMAIL", email: emailLower });
       return res.status(401).json({ message: "Invalid email or password", code: "INVALID_CREDENTIALS" });
     }
     if (!user.isEmailVerified) {
+      await auditLogin(req, user, "failure", { method: "password", reason: "EMAIL_NOT_VERIFIED" });
       return res.status(403).json({ message: "Please verify your email first", code: "EMAIL_NOT_VERIFIED" });
     }
-    const isMatch = await bcrypt.compare(password, user.password);
+    if (user.isActive === false) {
+      await auditLogin(req, user, "failure", { method: "password", reason: "ACCOUNT_DEACTIVATED" });
+      return res.status(403).json({ message: "Account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
+    }
+    const lockRemaining = getLockRemainingSeconds(user);
+    if (lockRemaining > 0) {
+      await auditLogin(req, user, "failure", { method: "password", reason: "ACCOUNT_LOCKED" });
+      return sendTooManyRequests(
+        res,
+        lockRemaining,
+        "Account temporarily locked due to too many failed login attempts. Check your email to unlock it.",
+        "ACCOUNT_LOCKED",
+      );
+    }
+    const isMatch = user.password ? await bcrypt.compare(password, user.password) : false;
     if (!isMatch) {
+      const lockout = await recordFailedLogin(user);
+      await auditLogin(req, user, "failure", {
+        method: "password",
+        reason: "INVALID_PASSWORD",
+        lockedOut: lockout.locked,
+      });
+      if (lockout.locked) {
+        try {
+          await sendAccountUnlockEmail(user.email, lockout.unlockToken, user.fullName, user.locale);
+        } catch (emailError) {
+          console.error("[WARNING] Failed to send unlock email:", emailError.message);
+        }
+        return sendTooManyRequests(
+          res,
+          lockout.retryAfterSeconds,
+          "Account temporarily locked due to too many failed login attempts. Check your email to unlock it.",
+          "ACCOUNT_LOCKED",
+        );
+      }
       return res.status(401).json({ message: "Invalid email or password", code: "INVALID_CREDENTIALS" });
     }
-    const token = jwt.sign(
-      { id: user._id, role: user.role, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-    );
+    await clearFailedLogins(user);
+    if (user.mustResetPassword) {
+      await auditLogin(req, user, "failure", { method: "password", reason: "PASSWORD_RESET_REQUIRED" });
+      return res.status(403).json({
+        message: "You must reset your password before logging in. Check your email for the reset link.",
+        code: "PASSWORD_RESET_REQUIRED",
+      });
+    }
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+    await auditLogin(req, user, "success", { method: "password" });
     res.status(200).json({
       message: "Login successful",
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         fullName: user.fullName,
@@ -423,37 +451,226 @@ router.post("/login", async (req, res) => {
   }
 });
 
-router.get("/me", authenticateToken, async (req, res) => {
+router.get("/unlock/:token", async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const user = await unlockWithToken(req.params.token);
+    if (!user) {
+      return res.status(400).send("<html><body><h1>❌ Invalid Unlock Link</h1><p>The link is invalid or has already been used.</p></body></html>");
+    }
+    res.send("<html><body><h1>✅ Account Unlocked</h1><p>Your account has been unlocked. You can now sign in.</p></body></html>");
+  } catch (error) {
+    console.error("[ERROR] Account unlock failed:", error.message);
+    res.status(500).send("<html><body><h1>❌ Unlock Failed</h1><p>An error occurred.</p></body></html>");
+  }
+});
+
+router.post("/forgot-password", emailIpLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required", code: "MISSING_FIELDS" });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+      message: "If an account with that email exists, a password reset link has been sent.",
+      code: "PASSWORD_RESET_EMAIL_SENT",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    // Google-only accounts have no password to reset
+    if (!user || (!user.password && user.authProvider !== "local") || !user.isEmailVerified) {
+      return res.status(200).json(genericResponse);
+    }
+
+    await issuePasswordReset(user);
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error("[ERROR] Forgot password failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/reset-password", emailIpLimiter, async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({
+        message: "Token, password and confirmation are required",
+        code: "MISSING_FIELDS",
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ message: "Password confirmation does not match", code: "PASSWORD_MISMATCH" });
+    }
+
+    const { isStrong, requirements } = validatePasswordStrength(password);
+    if (!isStrong) {
+      return res.status(400).json({
+        message: "Password does not meet security requirements",
+        code: "WEAK_PASSWORD",
+        requirements: formatPasswordRequirements(requirements),
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Claim the token and set the password in one update, so two concurrent
+    // requests cannot both use the same link
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      {
+        $set: {
+          password: hashedPassword,
+          passwordChangedAt: new Date(),
+          passwordResetTokenHash: null,
+          passwordResetExpires: null,
+          mustResetPassword: false,
+        },
+      },
+      { new: true },
+    );
 
     if (!user) {
-      return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+      return res.status(400).json({
+        message: "Password reset link is invalid or has expired",
+        code: "INVALID_RESET_TOKEN",
+      });
     }
 
+    await revokeAllSessions(user._id, "password_reset");
+    await revokeAllAccessTokens(user._id);
+
     res.status(200).json({
-      message: "User authenticated successfully",
-      code: "AUTH_VERIFIED",
-      user: {
-        id: user._id,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        university: user.university,
-        college: user.college,
-        studentId: user.studentId,
-        isEmailVerified: user.isEmailVerified,
-      },
+      message: "Password has been reset successfully. Please login with your new password.",
+      code: "PASSWORD_RESET_SUCCESS",
     });
   } catch (err) {
-    console.error("[ERROR] Token verification failed:", err.message);
-    res.status(401).json({ message: "Invalid or expired token", code: "INVALID_TOKEN" });
+    console.error("[ERROR] Reset password failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
   }
 });
 
-router.post("/google-login", async (req, res) => {
+router.post("/refresh", async (req, res) => {
   try {
-    const { token: idToken } = req.body;
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required", code: "MISSING_TOKEN" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.status === "reused") {
+      return res.status(401).json({
+        message: "Refresh token has already been used. The session has been revoked for your security.",
+        code: "REFRESH_TOKEN_REUSED",
+      });
+    }
+
+    if (result.status !== "ok") {
+      return res.status(401).json({ message: "Invalid or expired refresh token", code: "INVALID_REFRESH_TOKEN" });
+    }
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      code: "TOKEN_REFRESHED",
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+    });
+  } catch (err) {
+    console.error("[ERROR] Token refresh failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required", code: "MISSING_TOKEN" });
+    }
+
+    // Idempotent: logging out an unknown or already revoked session still succeeds
+    await revokeSessionByRefreshToken(refreshToken, "logout");
+
+    res.status(200).json({ message: "Logged out successfully", code: "LOGGED_OUT" });
+  } catch (err) {
+    console.error("[ERROR] Logout failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/logout-all", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, "logout_all");
+
+    res.status(200).json({
+      message: "Logged out of all devices",
+      code: "LOGGED_OUT_ALL",
+      revokedCount,
+    });
+  } catch (err) {
+    console.error("[ERROR] Logout all failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.get("/sessions", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceId deviceName ip lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      message: "Sessions fetched successfully",
+      code: "SESSIONS_FETCHED",
+      count: sessions.length,
+      sessions: sessions.map((s) => ({
+        ...s,
+        isCurrent: !!req.sessionId && s._id.toString() === String(req.sessionId),
+      })),
+    });
+  } catch (err) {
+    console.error("[ERROR] Get sessions failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.delete("/sessions/:id", authenticateToken, requireLoginSession, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid session ID", code: "INVALID_ID" });
+    }
+
+    const revoked = await revokeSession(req.user._id, id, "logout");
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found", code: "SESSION_NOT_FOUND" });
+    }
+
+    res.status(200).json({ message: "Session revoked", code: "SESSION_REVOKED" });
+  } catch (err) {
+    console.error("[ERROR] Revoke session failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/google-login", loginIpLimiter, async (req, res) => {
+  try {
+    const { token: idToken, password } = req.body;
 
     if (!idToken) {
       return res.status(400).json({ message: "Google ID token is required", code: "MISSING_TOKEN" });
@@ -481,66 +698,58 @@ router.post("/google-login", async (req, res) => {
       return res.status(400).json({ message: "Email not found in Google account", code: "NO_EMAIL_IN_GOOGLE" });
     }
 
+    let user = await User.findOne({ email });
+
     let emailData;
-    let existingUser = await User.findOne({ email });
-
-    if (existingUser && (existingUser.role === "admin" || existingUser.role === "super_admin")) {
-      emailData = {
-        role: existingUser.role,
-        university: existingUser.university || "N/A",
-        faculty: existingUser.college || "N/A",
-        studentId: existingUser.studentId || null,
-      };
-    } else {
-      try {
-        emailData = extractUserDataFromEmail(email);
-      } catch (emailError) {
-        return res.status(403).json({
-          message: "Google account email must be from a supported university",
-          code: "UNSUPPORTED_UNIVERSITY_EMAIL",
-          details: emailError.message,
-        });
-      }
+    try {
+      emailData = await resolveExternalEmail(email, user);
+    } catch (emailError) {
+      return res.status(403).json({
+        message: "Google account email must be from a supported university",
+        code: "UNSUPPORTED_UNIVERSITY_EMAIL",
+        details: emailError.message,
+      });
     }
 
-    let user = await User.findOne({ email });
-
     if (user) {
-      if (user.authProvider === "local") {
-        user.googleId = googleId;
-        await user.save();
-      } else if (user.authProvider === "google" && user.googleId !== googleId) {
-        user.googleId = googleId;
-        await user.save();
+      if (user.isActive === false) {
+        await auditLogin(req, user, "failure", { method: "google", reason: "ACCOUNT_DEACTIVATED" });
+        return res.status(403).json({ message: "Account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
       }
 
-      if (user.isProfileComplete) {
-        const jwtToken = jwt.sign(
-          { id: user._id, role: user.role, email: user.email },
-          process.env.JWT_SECRET,
-          { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-        );
-        return res.status(200).json({
-          message: "Google login successful",
-          code: "GOOGLE_LOGIN_SUCCESS",
-          needsProfileCompletion: false,
-          token: jwtToken,
-          user: { id: user._id, fullName: user.fullName, email: user.email, role: user.role, university: user.university, college: user.college, studentId: user.studentId },
-        });
-      } else {
-        const tempToken = jwt.sign(
-          { id: user._id, email: user.email },
-          process.env.JWT_SECRET,
-          { expiresIn: "1h" },
-        );
-        return res.status(202).json({
-          message: "Please complete your profile",
-          code: "PROFILE_INCOMPLETE",
-          needsProfileCompletion: true,
-          token: tempToken,
-          user: { id: user._id, fullName: user.fullName, email: user.email, role: user.role, university: user.university, college: user.college, studentId: user.studentId },
+      if (["local", "google"].includes(user.authProvider) && user.googleId !== googleId) {
+        // After an explicit unlink, only the password holder may link again
+        if (user.googleUnlinkedAt) {
+          if (!password) {
+            return res.status(409).json({
+              message: "Google sign-in was unlinked from this account. Enter your password to link it again.",
+              code: "GOOGLE_RELINK_PASSWORD_REQUIRED",
+            });
+          }
+          if (!user.password || !(await bcrypt.compare(password, user.password))) {
+            await auditLogin(req, user, "failure", { method: "google", reason: "INVALID_CREDENTIALS" });
+            return res.status(401).json({ message: "Password is incorrect", code: "INVALID_CREDENTIALS" });
+          }
+          user.googleUnlinkedAt = null;
+        }
+
+        const replacedGoogleId = !!user.googleId;
+        user.googleId = googleId;
+        await user.save();
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.GOOGLE_LINKED,
+          actor: user,
+          target: userTarget(user),
+          details: { authProvider: user.authProvider, replacedGoogleId },
         });
       }
+
+      const result = await finishExternalLogin(user, req, {
+        method: "google",
+        message: "Google login successful",
+        code: "GOOGLE_LOGIN_SUCCESS",
+      });
+      return res.status(result.status).json(result.body);
     } else {
       user = await User.create({
         fullName: googleName,
@@ -552,25 +761,21 @@ router.post("/google-login", async (req, res) => {
         university: emailData.university,
         college: emailData.faculty,
         studentId: emailData.studentId,
+        locale: getRequestLocale(req),
         isEmailVerified: true,
         isProfileComplete: false,
       });
 
       console.log(`[INFO] New Google user created: ${email}`);
+      await claimRosterInvitations(user);
 
-      const tempToken = jwt.sign(
-        { id: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: "1h" },
-      );
-
-      return res.status(201).json({
-        message: "Please complete your profile to finish signup",
-        code: "PROFILE_INCOMPLETE",
-        needsProfileCompletion: true,
-        token: tempToken,
-        user: { id: user._id, fullName: user.fullName, email: user.email, role: user.role, university: user.university, college: user.college, studentId: user.studentId },
+      const result = await finishExternalLogin(user, req, {
+        isNewUser: true,
+        method: "google",
+        message: "Google login successful",
+        code: "GOOGLE_LOGIN_SUCCESS",
       });
+      return res.status(result.status).json(result.body);
     }
   } catch (error) {
     console.error("[ERROR] Google login failed:", error.message);
@@ -578,10 +783,9 @@ router.post("/google-login", async (req, res) => {
   }
 });
 
-router.post("/complete-profile", authenticateToken, async (req, res) => {
+router.post("/complete-profile", authenticateProfileCompletion, async (req, res) => {
   try {
     const { fullName, password, confirmPassword } = req.body;
-    const userId = req.user.id;
 
     if (!fullName || fullName.trim().length < 2) {
       return res.status(400).json({ message: "Full name is required and must be at least 2 characters", code: "INVALID_NAME" });
@@ -598,10 +802,7 @@ router.post("/complete-profile", authenticateToken, async (req, res) => {
       return res.status(400).json({ message: "Password does not meet security requirements", code: "WEAK_PASSWORD", requirements });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
-    }
+    const user = req.user;
     if (user.isProfileComplete) {
       return res.status(400).json({ message: "Profile is already complete", code: "PROFILE_ALREADY_COMPLETE" });
     }
@@ -619,16 +820,19 @@ router.post("/complete-profile", authenticateToken, async (req, res) => {
     user.isProfileComplete = true;
     await user.save();
 
-    const jwtToken = jwt.sign(
-      { id: user._id, role: user.role, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-    );
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(200).json({
       message: "Profile completed successfully",
       code: "PROFILE_COMPLETED",
-      token: jwtToken,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         fullName: user.fullName,
@@ -0,0 +1,131 @@
+/**
+ * Calendar Routes
+ * Users turn on a personal .ics feed of their class meetings and assignment
+ * due dates; calendar apps fetch it with the secret token in the URL
+ */
+
+const express = require("express");
+const User = require("../models/User");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  issueCalendarFeedToken,
+  revokeCalendarFeedToken,
+  findUserByFeedToken,
+  buildUserCalendar,
+} = require("../utils/calendarFeed");
+
+const router = express.Router();
+
+// Calendar apps poll the feed; this only stops runaway clients
+const feedLimiter = rateLimit({ name: "calendar-feed", windowMs: 60 * 1000, max: 30 });
+
+// ============================================
+// FEED (CALENDAR APPS)
+// ============================================
+
+/**
+ * GET /calendar/feed/:token.ics
+ * No login: the token in the URL identifies the user
+ */
+router.get("/feed/:file", feedLimiter, async (req, res) => {
+  try {
+    const token = req.params.file.replace(/\.ics$/, "");
+    const user = await findUserByFeedToken(token);
+    if (!user) {
+      return res.status(404).json({
+        message: "Calendar feed not found",
+        code: "FEED_NOT_FOUND",
+      });
+    }
+
+    const ics = await buildUserCalendar(user);
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="classes.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(ics);
+  } catch (err) {
+    console.error("[ERROR] Calendar feed failed:", err.message);
+    res.status(500).json({
+      message: "Failed to build calendar feed",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// FEED SETTINGS (SIGNED-IN USER)
+// ============================================
+
+// The feed URL is a credential, so only a login session can manage it
+router.use("/feed", authenticateToken, requireLoginSession);
+
+/**
+ * GET /calendar/feed
+ * Whether the feed is on. The URL itself is only shown when it is created.
+ */
+router.get("/feed", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("calendarFeedCreatedAt").lean();
+
+    res.json({
+      message: "Calendar feed status fetched",
+      code: "FEED_STATUS",
+      enabled: Boolean(user && user.calendarFeedCreatedAt),
+      createdAt: (user && user.calendarFeedCreatedAt) || null,
+    });
+  } catch (err) {
+    console.error("[ERROR] Get calendar feed status failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch calendar feed status",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * POST /calendar/feed
+ * Creates the feed URL, or replaces it (the old URL stops working)
+ */
+router.post("/feed", async (req, res) => {
+  try {
+    const { url, createdAt } = await issueCalendarFeedToken(req.user);
+    console.log(`[INFO] Calendar feed URL issued for ${req.user.email}`);
+
+    res.status(201).json({
+      message: "Calendar feed URL created. Add it to your calendar app; it is shown only once",
+      code: "FEED_CREATED",
+      url,
+      createdAt,
+    });
+  } catch (err) {
+    console.error("[ERROR] Create calendar feed failed:", err.message);
+    res.status(500).json({
+      message: "Failed to create calendar feed",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.delete("/feed", async (req, res) => {
+  try {
+    await revokeCalendarFeedToken(req.user);
+    console.log(`[INFO] Calendar feed turned off for ${req.user.email}`);
+
+    res.json({
+      message: "Calendar feed turned off",
+      code: "FEED_REVOKED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Revoke calendar feed failed:", err.message);
+    res.status(500).json({
+      message: "Failed to turn off calendar feed",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,88 @@
 /**
  * Class Announcement Routes
- * Instructors can create, update, delete class-specific announcements
+ * Class staff (owner, co-instructors, TAs) can create, update, delete
+ * class-specific announcements
  * Students can view class announcements
  */
 
 const express = require("express");
 const ClassAnnouncement = require("../models/ClassAnnouncement");
+const Class = require("../models/Class");
 const { authenticateToken } = require("../middleware/auth");
+const { can, authorizeClassPermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
 const upload = require("../middleware/upload");
+const { removeRequestFiles } = require("../utils/uploadCleanup");
 
 const router = express.Router();
 
-// Get all announcements for a specific class (students/instructors)
-router.get("/", authenticateToken, async (req, res) => {
+// Load :id into req.announcement and check the user may post in its class
+const loadAnnouncement = async (req, res, next) => {
   try {
-    const role = req.user.role;
-    const classId = req.query.classId;
-    if (!classId) {
-      return res.status(400).json({ message: "classId is required" });
+    const announcement = await ClassAnnouncement.findById(req.params.id);
+    if (!announcement) {
+      return res.status(404).json({ message: "Class announcement not found" });
+    }
+    const foundClass = await Class.findById(announcement.classId);
+    if (!foundClass) {
+      return res.status(404).json({ message: "Class not found" });
     }
-    // Only announcements for this class, visible to the user's role, and not admin-created
-    const announcements = await ClassAnnouncement.find({
-      classId: classId,
-      visibleTo: role,
-    })
-      .sort({ createdAt: -1 })
-      .lean();
-    res.json({ announcements });
+    if (!can(req.user, PERMISSIONS.ANNOUNCEMENT_CLASS, foundClass)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    req.announcement = announcement;
+    next();
   } catch (err) {
-    res.status(500).json({ message: "Failed to fetch class announcements" });
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid announcement ID" });
+    }
+    console.error("[ERROR] Load class announcement failed:", err.message);
+    res.status(500).json({ message: "Failed to load class announcement" });
   }
-});
+};
+
+// Get all announcements for a specific class (students/instructors)
+router.get(
+  "/",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_READ, (req) => req.query.classId),
+  async (req, res) => {
+    try {
+      const role = req.user.role;
+      const classId = req.class._id;
+      // Only announcements for this class, visible to the user's role, and not admin-created
+      const announcements = await ClassAnnouncement.find({
+        classId: classId,
+        visibleTo: role,
+      })
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json({ announcements });
+    } catch (err) {
+      res.status(500).json({ message: "Failed to fetch class announcements" });
+    }
+  },
+);
 
 // Instructors: Create class announcement with file upload
+// The class comes from the query string (?classId=) so the user is
+// authorized before any file is written to disk
 router.post(
   "/",
   authenticateToken,
+  authorizeClassPermission(
+    PERMISSIONS.ANNOUNCEMENT_CLASS,
+    (req) => req.query.classId,
+  ),
   upload.array("files", 10),
   async (req, res) => {
-    if (req.user.role !== "instructor") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-    let { title, message, visibleTo, links, classId } = req.body;
-    if (!title || !message || !classId) {
+    let { title, message, visibleTo, links, isTemplate } = req.body;
+    const classId = req.class._id;
+    if (!title || !message) {
+      await removeRequestFiles(req);
       return res
         .status(400)
-        .json({ message: "Title, message, and classId required" });
+        .json({ message: "Title and message required" });
     }
     let attachments = [];
     if (req.files && req.files.length > 0) {
@@ -84,21 +121,21 @@ router.post(
         createdBy: req.user._id,
         visibleTo: visibleToArr,
         classId,
+        // FormData sends booleans as strings
+        isTemplate: isTemplate === true || isTemplate === "true",
       });
       res.status(201).json({ announcement });
     } catch (err) {
+      await removeRequestFiles(req);
       res.status(500).json({ message: "Failed to create class announcement" });
     }
   },
 );
 
 // Instructors: Delete class announcement
-router.delete("/:id", authenticateToken, async (req, res) => {
-  if (req.user.role !== "instructor") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
+router.delete("/:id", authenticateToken, loadAnnouncement, async (req, res) => {
   try {
-    await ClassAnnouncement.findByIdAndDelete(req.params.id);
+    await req.announcement.deleteOne();
     res.json({ message: "Class announcement deleted" });
   } catch (err) {
     res.status(500).json({ message: "Failed to delete class announcement" });
@@ -106,18 +143,21 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 });
 
 // Instructors: Update class announcement
-router.put("/:id", authenticateToken, async (req, res) => {
-  if (req.user.role !== "instructor") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
-  const { title, message, visibleTo, link } = req.body;
+router.put("/:id", authenticateToken, loadAnnouncement, async (req, res) => {
+  const { title, message, visibleTo, link, isTemplate } = req.body;
   if (!title || !message) {
     return res.status(400).json({ message: "Title and message required" });
   }
   try {
     const updated = await ClassAnnouncement.findByIdAndUpdate(
       req.params.id,
-      { title, message, visibleTo, link },
+      {
+        title,
+        message,
+        visibleTo,
+        link,
+        ...(isTemplate !== undefined ? { isTemplate: isTemplate === true || isTemplate === "true" } : {}),
+      },
       { new: true },
     );
     if (!updated)
@@ -1,14 +1,62 @@
 /**
  * Class Routes
- * Instructors create classes, students join using a code
+ * Instructors create classes, students join using a code (subject to the
+ * class enrollment policy), and the owner invites co-instructors and
+ * teaching assistants to the class staff
  */
 
 const express = require("express");
 const mongoose = require("mongoose");
 const crypto = require("crypto");
 const Class = require("../models/Class");
-const COURSE_CODES = require("../constants/courseCodes");
-const { authenticateToken, authorizeRole } = require("../middleware/auth");
+const User = require("../models/User");
+const RosterInvitation = require("../models/RosterInvitation");
+const RosterEvent = require("../models/RosterEvent");
+const Assignment = require("../models/Assignment");
+const ClassAnnouncement = require("../models/ClassAnnouncement");
+const Course = require("../models/Course");
+const SiteSettings = require("../models/SiteSettings");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  can,
+  hasPermission,
+  getClassRole,
+  authorizePermission,
+  authorizeClassPermission,
+} = require("../middleware/role");
+const { PERMISSIONS, CLASS_STAFF_ROLES } = require("../constants/permissions");
+const { rateLimit } = require("../middleware/rateLimit");
+const spreadsheetUpload = require("../middleware/spreadsheetUpload");
+const { recordAudit, classTarget } = require("../utils/auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+const { queueTemplatedEmail } = require("../utils/mailService");
+const {
+  getEnrollmentPolicy,
+  getEnrollmentStatus,
+  joinWithCode,
+  approveJoinRequest,
+  promoteFromWaitlist,
+  parseEnrollmentPolicy,
+} = require("../utils/enrollment");
+const { importRoster } = require("../utils/rosterImport");
+const { recordRosterChange } = require("../utils/rosterHistory");
+const { ROSTER_ACTIONS } = require("../constants/rosterActions");
+const {
+  resolveClassTerm,
+  checkTermDate,
+  getClassTerm,
+  dayKeyOf,
+} = require("../utils/academicCalendar");
+const { parseMeeting, meetingOccurrences, addDays } = require("../utils/classSchedule");
+const {
+  MAX_TRASH_RETENTION_DAYS,
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeClassWithAudit,
+} = require("../utils/classTrash");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
 const router = express.Router();
 
@@ -20,6 +68,81 @@ const generateJoinCode = () => {
   return crypto.randomBytes(3).toString("hex").toUpperCase();
 };
 
+const generateUniqueJoinCode = async () => {
+  for (;;) {
+    const joinCode = generateJoinCode();
+    // Classes in the trash keep their join code in case they are restored
+    const existing = await Class.exists({ joinCode }).setOptions({ withDeleted: true });
+    if (!existing) return joinCode;
+  }
+};
+
+const CLASS_SEMESTERS = ["Spring", "Summer", "Fall", "Winter"];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const MAX_MEETINGS = 20;
+
+// Join codes are short, so cap guesses per student and per client IP
+const joinAccountLimiter = rateLimit({
+  name: "join",
+  scope: "account",
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyBy: (req) => req.user && req.user._id.toString(),
+});
+const joinIpLimiter = rateLimit({ name: "join", windowMs: 15 * 60 * 1000, max: 30 });
+
+// Global user roles that may hold each class staff role
+const STAFF_ROLE_ELIGIBILITY = {
+  co_instructor: ["instructor"],
+  ta: ["instructor", "student"],
+};
+
+const findStaffMember = (classDoc, userId) =>
+  (classDoc.staff || []).find(
+    (m) => (m.user._id || m.user).toString() === userId.toString(),
+  );
+
+const toStaffView = (member) => ({
+  user: member.user,
+  role: member.role,
+  status: member.status,
+  invitedBy: member.invitedBy,
+  invitedAt: member.invitedAt,
+  acceptedAt: member.acceptedAt,
+});
+
+const validateStaffRole = (role, user) => {
+  if (!CLASS_STAFF_ROLES.includes(role)) {
+    return {
+      message: "Invalid staff role. Allowed roles: " + CLASS_STAFF_ROLES.join(", "),
+      code: "INVALID_STAFF_ROLE",
+    };
+  }
+  if (!STAFF_ROLE_ELIGIBILITY[role].includes(user.role)) {
+    return {
+      message: `A ${user.role} account cannot be added as ${role}`,
+      code: "INVALID_STAFF_ROLE",
+    };
+  }
+  return null;
+};
+
+// Loads the class for invitation responses, where the user has no class role yet
+const loadClassById = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid class ID", code: "INVALID_ID" });
+    return null;
+  }
+  const foundClass = await Class.findById(req.params.id);
+  if (!foundClass) {
+    res.status(404).json({ message: "Class not found", code: "CLASS_NOT_FOUND" });
+    return null;
+  }
+  return foundClass;
+};
+
 // ============================================
 // CREATE CLASS
 // ============================================
@@ -27,18 +150,22 @@ const generateJoinCode = () => {
 router.post(
   "/",
   authenticateToken,
-  authorizeRole("instructor"),
+  authorizePermission(PERMISSIONS.CLASS_CREATE),
   async (req, res) => {
     try {
-      const { name, description, courseCode, semester, year, section } =
+      const { name, description, courseCode, semester, year, section, enrollment, termId } =
         req.body;
       console.log("[CREATE CLASS DEBUG] req.body:", req.body);
 
-      if (!Object.keys(COURSE_CODES).includes(courseCode)) {
+      const course =
+        typeof courseCode === "string" && courseCode.trim()
+          ? await Course.findOne({ code: courseCode.trim().toUpperCase(), isActive: true })
+              .select("code")
+              .lean()
+          : null;
+      if (!course) {
         return res.status(400).json({
-          message:
-            "Invalid course code. Allowed codes: " +
-            Object.keys(COURSE_CODES).join(", "),
+          message: "Invalid course code. Pick an active course from the course catalog (GET /api/courses)",
           code: "INVALID_COURSE_CODE",
         });
       }
@@ -50,24 +177,41 @@ router.post(
         });
       }
 
-      let joinCode;
-      let isUnique = false;
+      // A linked term decides the semester and year
+      let term = null;
+      if (termId) {
+        const resolved = await resolveClassTerm(termId, req.user);
+        if (resolved.error) {
+          return res.status(resolved.error.status).json({
+            message: resolved.error.message,
+            code: resolved.error.code,
+          });
+        }
+        term = resolved.term;
+      }
 
-      while (!isUnique) {
-        joinCode = generateJoinCode();
-        const existing = await Class.findOne({ joinCode });
-        if (!existing) isUnique = true;
+      let enrollmentPolicy = {};
+      if (enrollment !== undefined) {
+        const parsed = parseEnrollmentPolicy(enrollment);
+        if (parsed.error) {
+          return res.status(400).json(parsed.error);
+        }
+        enrollmentPolicy = parsed.policy;
       }
 
+      const joinCode = await generateUniqueJoinCode();
+
       const newClass = await Class.create({
         name: name.trim(),
         description: description ? description.trim() : null,
         instructor: req.user._id,
         joinCode,
-        courseCode,
-        semester,
-        year,
+        courseCode: course.code,
+        semester: term ? term.semester : semester,
+        year: term ? term.year : year,
         section,
+        term: term ? term._id : null,
+        enrollment: enrollmentPolicy,
       });
 
       res.status(201).json({
@@ -94,7 +238,9 @@ router.post(
 router.post(
   "/join",
   authenticateToken,
-  authorizeRole("student"),
+  authorizePermission(PERMISSIONS.CLASS_JOIN),
+  joinIpLimiter,
+  joinAccountLimiter,
   async (req, res) => {
     try {
       const { joinCode } = req.body;
@@ -117,6 +263,13 @@ router.post(
         });
       }
 
+      if (foundClass.archivedAt) {
+        return res.status(403).json({
+          message: "This class is archived",
+          code: "CLASS_ARCHIVED",
+        });
+      }
+
       if (!foundClass.isActive) {
         return res.status(403).json({
           message: "This class is not accepting students",
@@ -132,20 +285,43 @@ router.post(
         });
       }
 
-      const alreadyEnrolled = foundClass.students.some(
-        (s) => s.toString() === req.user._id.toString(),
-      );
+      // Staff (including pending invitations) cannot also be students
+      if (findStaffMember(foundClass, req.user._id)) {
+        return res.status(400).json({
+          message: "Class staff cannot join the class as a student",
+          code: "INVALID_ACTION",
+        });
+      }
 
-      if (alreadyEnrolled) {
-        return res.status(409).json({
-          message: "Already enrolled in this class",
-          code: "ALREADY_ENROLLED",
+      const { result, error } = await joinWithCode(foundClass, req.user);
+      if (error) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+
+      if (result === "enrolled") {
+        await recordRosterChange({
+          classId: foundClass._id,
+          students: req.user._id,
+          action: ROSTER_ACTIONS.JOINED,
+          actor: req.user._id,
         });
       }
 
-      await Class.findByIdAndUpdate(foundClass._id, {
-        $addToSet: { students: req.user._id },
-      });
+      if (result === "requested") {
+        return res.status(202).json({
+          message: "Join request sent. A member of the class staff must approve it.",
+          code: "JOIN_REQUESTED",
+          class: { id: foundClass._id, name: foundClass.name },
+        });
+      }
+
+      if (result === "waitlisted") {
+        return res.status(202).json({
+          message: "The class is full. You were added to the waitlist.",
+          code: "WAITLISTED",
+          class: { id: foundClass._id, name: foundClass.name },
+        });
+      }
 
       res.status(200).json({
         message: "Joined class successfully",
@@ -177,15 +353,30 @@ router.post(
 router.delete(
   "/leave/:id",
   authenticateToken,
-  authorizeRole("student"),
+  authorizePermission(PERMISSIONS.CLASS_JOIN),
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      await Class.findByIdAndUpdate(id, {
-        $pull: { students: req.user._id },
+      // Also withdraws a pending join request or waitlist place
+      const previous = await Class.findByIdAndUpdate(id, {
+        $pull: {
+          students: req.user._id,
+          joinRequests: { student: req.user._id },
+          waitlist: { student: req.user._id },
+        },
       });
 
+      if (previous && getEnrollmentStatus(previous, req.user._id) === "enrolled") {
+        await recordRosterChange({
+          classId: previous._id,
+          students: req.user._id,
+          action: ROSTER_ACTIONS.LEFT,
+          actor: req.user._id,
+        });
+        await promoteFromWaitlist(previous._id);
+      }
+
       res.json({
         message: "You left the class successfully",
         code: "CLASS_LEFT",
@@ -205,30 +396,28 @@ router.delete(
 
 router.get("/my", authenticateToken, async (req, res) => {
   try {
-    let classes;
+    // Admins see every class; everyone else sees classes they own, help
+    // teach or attend
+    const filter = hasPermission(req.user, PERMISSIONS.CLASS_READ_ANY)
+      ? {}
+      : {
+          $or: [
+            { instructor: req.user._id },
+            { students: req.user._id },
+            { staff: { $elemMatch: { user: req.user._id, status: "active" } } },
+          ],
+        };
 
-    if (req.user.role === "student") {
-      classes = await Class.find({ students: req.user._id })
-        .populate("instructor", "fullName email")
-        .sort({ createdAt: -1 })
-        .lean();
-    } else if (req.user.role === "instructor") {
-      classes = await Class.find({ instructor: req.user._id })
-        .populate("instructor", "fullName email")
-        .sort({ createdAt: -1 })
-        .lean();
-    } else {
-      classes = await Class.find({})
-        .populate("instructor", "fullName email")
-        .sort({ createdAt: -1 })
-        .lean();
-    }
+    const classes = await Class.find(filter)
+      .populate("instructor", "fullName email")
+      .sort({ createdAt: -1 })
+      .lean();
 
     res.json({
       message: "Classes fetched successfully",
       code: "CLASSES_FETCHED",
       count: classes.length,
-      classes,
+      classes: classes.map((c) => ({ ...c, myRole: getClassRole(req.user, c) })),
     });
   } catch (err) {
     res.status(500).json({
@@ -239,114 +428,419 @@ router.get("/my", authenticateToken, async (req, res) => {
 });
 
 // ============================================
-// GET CLASS DETAILS
+// STAFF INVITATIONS (for the invited user)
 // ============================================
 
-router.get("/:id", authenticateToken, async (req, res) => {
+/**
+ * GET /classes/invitations
+ * Pending staff invitations for the current user
+ */
+router.get("/invitations", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const classes = await Class.find({
+      staff: { $elemMatch: { user: req.user._id, status: "pending" } },
+    })
+      .select("name courseCode semester year section instructor staff")
+      .populate("instructor", "fullName email")
+      .lean();
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
-        message: "Invalid class ID",
-        code: "INVALID_ID",
+    res.json({
+      message: "Invitations fetched successfully",
+      code: "INVITATIONS_FETCHED",
+      invitations: classes.map((c) => {
+        const member = findStaffMember(c, req.user._id);
+        return {
+          class: {
+            id: c._id,
+            name: c.name,
+            courseCode: c.courseCode,
+            semester: c.semester,
+            year: c.year,
+            section: c.section,
+            instructor: c.instructor,
+          },
+          role: member.role,
+          invitedAt: member.invitedAt,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("[ERROR] List staff invitations failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch invitations",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * POST /classes/:id/staff/accept
+ */
+router.post("/:id/staff/accept", authenticateToken, async (req, res) => {
+  try {
+    const foundClass = await loadClassById(req, res);
+    if (!foundClass) return;
+
+    const member = findStaffMember(foundClass, req.user._id);
+    if (!member || member.status !== "pending") {
+      return res.status(404).json({
+        message: "No pending invitation for this class",
+        code: "INVITATION_NOT_FOUND",
       });
     }
 
-    const foundClass = await Class.findById(id)
-      .populate("instructor", "fullName email")
-      .populate("students", "fullName email studentId");
+    if (foundClass.students.some((s) => s.toString() === req.user._id.toString())) {
+      return res.status(409).json({
+        message: "Leave the class as a student before joining its staff",
+        code: "ALREADY_ENROLLED",
+      });
+    }
 
-    if (!foundClass) {
+    const result = await Class.updateOne(
+      {
+        _id: foundClass._id,
+        staff: { $elemMatch: { user: req.user._id, status: "pending" } },
+      },
+      {
+        $set: { "staff.$.status": "active", "staff.$.acceptedAt": new Date() },
+        $pull: {
+          joinRequests: { student: req.user._id },
+          waitlist: { student: req.user._id },
+        },
+      },
+    );
+    if (result.modifiedCount === 0) {
       return res.status(404).json({
-        message: "Class not found",
-        code: "CLASS_NOT_FOUND",
+        message: "No pending invitation for this class",
+        code: "INVITATION_NOT_FOUND",
       });
     }
 
-    const isInstructor =
-      foundClass.instructor._id.toString() === req.user._id.toString();
+    console.log(
+      `[INFO] ${req.user.email} joined the staff of class ${foundClass._id} as ${member.role}`,
+    );
+
+    res.json({
+      message: "Invitation accepted",
+      code: "INVITATION_ACCEPTED",
+      classId: foundClass._id,
+      role: member.role,
+    });
+  } catch (err) {
+    console.error("[ERROR] Accept staff invitation failed:", err.message);
+    res.status(500).json({
+      message: "Failed to accept invitation",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
 
-    const isAdmin = ["admin", "super_admin"].includes(req.user.role);
+/**
+ * POST /classes/:id/staff/decline
+ */
+router.post("/:id/staff/decline", authenticateToken, async (req, res) => {
+  try {
+    const foundClass = await loadClassById(req, res);
+    if (!foundClass) return;
 
-    const isEnrolled = foundClass.students.some(
-      (s) => s._id.toString() === req.user._id.toString(),
+    const result = await Class.updateOne(
+      { _id: foundClass._id },
+      { $pull: { staff: { user: req.user._id, status: "pending" } } },
     );
-
-    if (!isInstructor && !isAdmin && !isEnrolled) {
-      return res.status(403).json({
-        message: "Access denied",
-        code: "FORBIDDEN",
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        message: "No pending invitation for this class",
+        code: "INVITATION_NOT_FOUND",
       });
     }
 
     res.json({
-      message: "Class fetched successfully",
-      code: "CLASS_FETCHED",
-      class: foundClass,
+      message: "Invitation declined",
+      code: "INVITATION_DECLINED",
     });
   } catch (err) {
+    console.error("[ERROR] Decline staff invitation failed:", err.message);
     res.status(500).json({
-      message: "Failed to fetch class",
+      message: "Failed to decline invitation",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * GET /classes/my/requests
+ * The current user's pending join requests and waitlist places
+ */
+router.get("/my/requests", authenticateToken, async (req, res) => {
+  try {
+    const classes = await Class.find({
+      $or: [{ "joinRequests.student": req.user._id }, { "waitlist.student": req.user._id }],
+    })
+      .select("name courseCode semester year section joinRequests waitlist")
+      .lean();
+
+    res.json({
+      message: "Enrollment requests fetched successfully",
+      code: "ENROLLMENT_REQUESTS_FETCHED",
+      requests: classes.map((c) => {
+        const status = getEnrollmentStatus(c, req.user._id);
+        const entries = status === "requested" ? c.joinRequests : c.waitlist;
+        const index = entries.findIndex((e) => e.student.toString() === req.user._id.toString());
+        return {
+          class: {
+            id: c._id,
+            name: c.name,
+            courseCode: c.courseCode,
+            semester: c.semester,
+            year: c.year,
+            section: c.section,
+          },
+          status,
+          since: entries[index].createdAt,
+          ...(status === "waitlisted" ? { waitlistPosition: index + 1 } : {}),
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("[ERROR] List enrollment requests failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch enrollment requests",
       code: "INTERNAL_SERVER_ERROR",
     });
   }
 });
 
 // ============================================
-// REGENERATE JOIN CODE (NEW FEATURE)
+// CLASS TRASH
 // ============================================
 
-router.patch("/:id/regenerate-code", authenticateToken, async (req, res) => {
+// Loads a class from the trash; the owner (or an admin who may delete any
+// class) and trash managers may restore or purge it
+const loadTrashedClass = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid class ID", code: "INVALID_ID" });
+    return null;
+  }
+  const trashedClass = await Class.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (
+    !trashedClass ||
+    !(
+      can(req.user, PERMISSIONS.CLASS_DELETE, trashedClass) ||
+      hasPermission(req.user, PERMISSIONS.CLASS_TRASH_MANAGE)
+    )
+  ) {
+    res.status(404).json({ message: "Class not found in the trash", code: "CLASS_NOT_IN_TRASH" });
+    return null;
+  }
+  return trashedClass;
+};
+
+/**
+ * GET /classes/trash
+ * Deleted classes of the current user (every deleted class for trash
+ * managers), newest first, with the date each will be purged
+ * Query: { page, limit }
+ */
+router.get("/trash", authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+    );
 
-    const foundClass = await Class.findById(id);
+    const filter = hasPermission(req.user, PERMISSIONS.CLASS_TRASH_MANAGE)
+      ? { deletedAt: { $ne: null } }
+      : { deletedAt: { $ne: null }, instructor: req.user._id };
 
-    if (!foundClass) {
-      return res.status(404).json({
-        message: "Class not found",
+    const [total, classes, retentionDays] = await Promise.all([
+      Class.countDocuments(filter),
+      Class.find(filter)
+        .select("name courseCode semester year section instructor students deletedAt deletedBy")
+        .populate("instructor", "fullName email")
+        .populate("deletedBy", "fullName email")
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      getTrashRetentionDays(),
+    ]);
+
+    res.json({
+      message: "Trash fetched successfully",
+      code: "TRASH_FETCHED",
+      retentionDays,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      classes: classes.map(({ students, ...c }) => ({
+        ...c,
+        studentCount: students.length,
+        purgeAt: getPurgeDate(c, retentionDays),
+      })),
+    });
+  } catch (err) {
+    console.error("[ERROR] List class trash failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch trash",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * GET /classes/trash/settings
+ */
+router.get(
+  "/trash/settings",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.CLASS_TRASH_MANAGE),
+  async (req, res) => {
+    try {
+      res.json({
+        message: "Trash settings fetched successfully",
+        code: "TRASH_SETTINGS",
+        retentionDays: await getTrashRetentionDays(),
+      });
+    } catch (err) {
+      console.error("[ERROR] Get trash settings failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch trash settings",
+        code: "INTERNAL_SERVER_ERROR",
       });
     }
+  },
+);
 
-    if (foundClass.instructor.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        message: "Only instructor can regenerate join code",
+/**
+ * PUT /classes/trash/settings
+ * Body: { retentionDays } - applies to classes already in the trash too
+ */
+router.put(
+  "/trash/settings",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.CLASS_TRASH_MANAGE),
+  async (req, res) => {
+    try {
+      const retentionDays = Number(req.body.retentionDays);
+      if (
+        !Number.isInteger(retentionDays) ||
+        retentionDays < 1 ||
+        retentionDays > MAX_TRASH_RETENTION_DAYS
+      ) {
+        return res.status(400).json({
+          message: `retentionDays must be a whole number from 1 to ${MAX_TRASH_RETENTION_DAYS}`,
+          code: "VALIDATION_ERROR",
+        });
+      }
+
+      const previous = await getTrashRetentionDays();
+      await SiteSettings.findOneAndUpdate(
+        { key: "main" },
+        { classTrashRetentionDays: retentionDays },
+        { new: true, upsert: true },
+      );
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CLASS_TRASH_RETENTION_CHANGED,
+        details: { from: previous, to: retentionDays },
+      });
+
+      res.json({
+        message: "Trash retention updated",
+        code: "TRASH_SETTINGS_UPDATED",
+        retentionDays,
+      });
+    } catch (err) {
+      console.error("[ERROR] Update trash settings failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update trash settings",
+        code: "INTERNAL_SERVER_ERROR",
       });
     }
+  },
+);
 
-    let newCode;
-    let unique = false;
+/**
+ * POST /classes/trash/:id/restore
+ */
+router.post("/trash/:id/restore", authenticateToken, async (req, res) => {
+  try {
+    const trashedClass = await loadTrashedClass(req, res);
+    if (!trashedClass) return;
 
-    while (!unique) {
-      newCode = generateJoinCode();
-      const exists = await Class.findOne({ joinCode: newCode });
-      if (!exists) unique = true;
-    }
+    await Class.updateOne(
+      { _id: trashedClass._id },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { withDeleted: true },
+    );
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CLASS_RESTORED,
+      target: classTarget(trashedClass),
+      details: { deletedAt: trashedClass.deletedAt },
+    });
+    console.log(`[INFO] Class ${trashedClass._id} restored from the trash by ${req.user.email}`);
+
+    res.json({
+      message: "Class restored",
+      code: "CLASS_RESTORED",
+      classId: trashedClass._id,
+    });
+  } catch (err) {
+    console.error("[ERROR] Restore class failed:", err.message);
+    res.status(500).json({
+      message: "Failed to restore class",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * DELETE /classes/trash/:id
+ * Purges the class now instead of waiting for the retention period
+ */
+router.delete("/trash/:id", authenticateToken, async (req, res) => {
+  try {
+    const trashedClass = await loadTrashedClass(req, res);
+    if (!trashedClass) return;
 
-    foundClass.joinCode = newCode;
-    await foundClass.save();
+    const removed = await purgeClassWithAudit(trashedClass, req);
+    console.log(`[INFO] Class ${trashedClass._id} purged by ${req.user.email}:`, JSON.stringify(removed));
 
     res.json({
-      message: "Join code regenerated",
-      joinCode: newCode,
+      message: "Class permanently deleted",
+      code: "CLASS_PURGED",
+      removed,
     });
   } catch (err) {
+    console.error("[ERROR] Purge class failed:", err.message);
     res.status(500).json({
-      message: "Server error",
+      message: "Failed to permanently delete class",
+      code: "INTERNAL_SERVER_ERROR",
     });
   }
 });
 
 // ============================================
-// DELETE CLASS
+// GET CLASS DETAILS
 // ============================================
 
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const foundClass = await Class.findById(id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        message: "Invalid class ID",
+        code: "INVALID_ID",
+      });
+    }
+
+    const foundClass = await Class.findById(id)
+      .populate("instructor", "fullName email")
+      .populate("students", "fullName email studentId")
+      .populate("staff.user", "fullName email")
+      .populate("term", "name semester year startDate endDate addDropDeadline holidays examPeriod");
 
     if (!foundClass) {
       return res.status(404).json({
@@ -355,30 +849,1676 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       });
     }
 
-    const isOwner =
-      foundClass.instructor.toString() === req.user._id.toString();
-
-    const isAdmin = ["admin", "super_admin"].includes(req.user.role);
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, PERMISSIONS.CLASS_READ, foundClass)) {
       return res.status(403).json({
         message: "Access denied",
         code: "FORBIDDEN",
       });
     }
 
-    await Class.findByIdAndDelete(id);
+    // Enrollment settings, queues and blocks are for the class staff
+    const classView = foundClass.toObject();
+    if (!can(req.user, PERMISSIONS.CLASS_MANAGE, foundClass)) {
+      delete classView.enrollment;
+      delete classView.joinRequests;
+      delete classView.waitlist;
+      delete classView.blockedStudents;
+    }
 
     res.json({
-      message: "Class deleted successfully",
-      code: "CLASS_DELETED",
+      message: "Class fetched successfully",
+      code: "CLASS_FETCHED",
+      class: classView,
+      myRole: getClassRole(req.user, foundClass),
     });
   } catch (err) {
     res.status(500).json({
-      message: "Failed to delete class",
+      message: "Failed to fetch class",
       code: "INTERNAL_SERVER_ERROR",
     });
   }
 });
 
+// ============================================
+// UPDATE CLASS
+// ============================================
+
+/**
+ * PATCH /classes/:id
+ * Body: any of { name, description, semester, year, section, isActive, termId }
+ * termId links the class to an academic term (null unlinks it); a linked
+ * class takes its semester and year from the term
+ */
+router.patch(
+  "/:id",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { name, description, semester, year, section, isActive, termId } = req.body;
+      const updates = {};
+
+      const linked = termId !== undefined ? Boolean(termId) : Boolean(req.class.term);
+      if (linked && (semester !== undefined || year !== undefined)) {
+        return res.status(400).json({
+          message: "The semester and year of a class linked to a term come from the term",
+          code: "TERM_LINKED",
+        });
+      }
+
+      if (termId !== undefined) {
+        if (termId) {
+          const resolved = await resolveClassTerm(termId, req.user);
+          if (resolved.error) {
+            return res.status(resolved.error.status).json({
+              message: resolved.error.message,
+              code: resolved.error.code,
+            });
+          }
+          updates.term = resolved.term._id;
+          updates.semester = resolved.term.semester;
+          updates.year = resolved.term.year;
+        } else {
+          updates.term = null;
+        }
+      }
+
+      if (name !== undefined) {
+        if (typeof name !== "string" || name.trim().length === 0) {
+          return res.status(400).json({
+            message: "Class name is required",
+            code: "MISSING_FIELDS",
+          });
+        }
+        updates.name = name.trim();
+      }
+
+      if (description !== undefined) {
+        updates.description = description ? String(description).trim() : null;
+      }
+
+      if (semester !== undefined) {
+        if (!CLASS_SEMESTERS.includes(semester)) {
+          return res.status(400).json({
+            message: "Invalid semester. Allowed semesters: " + CLASS_SEMESTERS.join(", "),
+            code: "INVALID_SEMESTER",
+          });
+        }
+        updates.semester = semester;
+      }
+
+      if (year !== undefined) {
+        if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+          return res.status(400).json({
+            message: "Year must be a whole number between 2000 and 2100",
+            code: "INVALID_YEAR",
+          });
+        }
+        updates.year = year;
+      }
+
+      if (section !== undefined) {
+        updates.section = section ? String(section).trim() : null;
+      }
+
+      if (isActive !== undefined) {
+        if (typeof isActive !== "boolean") {
+          return res.status(400).json({
+            message: "isActive must be true or false",
+            code: "INVALID_FIELD",
+          });
+        }
+        updates.isActive = isActive;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          message: "Nothing to update",
+          code: "MISSING_FIELDS",
+        });
+      }
+
+      const updated = await Class.findByIdAndUpdate(
+        req.class._id,
+        { $set: updates },
+        { new: true, runValidators: true },
+      ).populate("instructor", "fullName email");
+
+      res.json({
+        message: "Class updated successfully",
+        code: "CLASS_UPDATED",
+        class: updated,
+      });
+    } catch (err) {
+      console.error("[ERROR] Update class failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update class",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// ARCHIVE
+// ============================================
+
+/**
+ * POST /classes/:id/archive
+ * Students keep read access but can no longer join, submit or check in
+ */
+router.post(
+  "/:id/archive",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const updated = await Class.findOneAndUpdate(
+        { _id: req.class._id, archivedAt: null },
+        { $set: { archivedAt: new Date(), archivedBy: req.user._id } },
+        { new: true },
+      );
+      if (!updated) {
+        return res.status(409).json({
+          message: "Class is already archived",
+          code: "ALREADY_ARCHIVED",
+        });
+      }
+
+      console.log(`[INFO] Class ${updated._id} archived by ${req.user.email}`);
+
+      res.json({
+        message: "Class archived",
+        code: "CLASS_ARCHIVED",
+        archivedAt: updated.archivedAt,
+      });
+    } catch (err) {
+      console.error("[ERROR] Archive class failed:", err.message);
+      res.status(500).json({
+        message: "Failed to archive class",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.post(
+  "/:id/unarchive",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const updated = await Class.findOneAndUpdate(
+        { _id: req.class._id, archivedAt: { $ne: null } },
+        { $set: { archivedAt: null, archivedBy: null } },
+        { new: true },
+      );
+      if (!updated) {
+        return res.status(409).json({
+          message: "Class is not archived",
+          code: "NOT_ARCHIVED",
+        });
+      }
+
+      res.json({
+        message: "Class restored from the archive",
+        code: "CLASS_UNARCHIVED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Unarchive class failed:", err.message);
+      res.status(500).json({
+        message: "Failed to unarchive class",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// SEMESTER ROLLOVER
+// ============================================
+
+/**
+ * POST /classes/:id/rollover
+ * Body: { semester, year, section, name, shiftDays, archiveSource, termId }
+ * With termId the new class is linked to that academic term and takes its
+ * semester and year (semester and year can then be left out).
+ * Clones the class into a new semester with its staff, weekly meetings, enrollment policy,
+ * assignments (due dates moved by shiftDays) and announcements marked as
+ * templates. Students, submissions and attendance are not copied.
+ * shiftDays defaults to 364 days per year when the semester stays the same
+ * (so due dates keep their weekday) and is required otherwise.
+ */
+router.post(
+  "/:id/rollover",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const source = req.class;
+      const { name, section, shiftDays, archiveSource, termId } = req.body;
+      let { semester, year } = req.body;
+
+      let term = null;
+      if (termId) {
+        const resolved = await resolveClassTerm(termId, req.user);
+        if (resolved.error) {
+          return res.status(resolved.error.status).json({
+            message: resolved.error.message,
+            code: resolved.error.code,
+          });
+        }
+        term = resolved.term;
+        semester = term.semester;
+        year = term.year;
+      }
+
+      if (!CLASS_SEMESTERS.includes(semester)) {
+        return res.status(400).json({
+          message: "Invalid semester. Allowed semesters: " + CLASS_SEMESTERS.join(", "),
+          code: "INVALID_SEMESTER",
+        });
+      }
+      if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        return res.status(400).json({
+          message: "Year must be a whole number between 2000 and 2100",
+          code: "INVALID_YEAR",
+        });
+      }
+      if (semester === source.semester && year === source.year) {
+        return res.status(400).json({
+          message: "Pick a different semester or year to roll over to",
+          code: "SAME_TERM",
+        });
+      }
+
+      let days = shiftDays;
+      if (days === undefined || days === null) {
+        if (semester !== source.semester || !source.year) {
+          return res.status(400).json({
+            message: "shiftDays is required when the semester changes",
+            code: "SHIFT_REQUIRED",
+          });
+        }
+        days = (year - source.year) * 364;
+      }
+      if (!Number.isInteger(days)) {
+        return res.status(400).json({
+          message: "shiftDays must be a whole number of days",
+          code: "INVALID_FIELD",
+        });
+      }
+
+      const now = new Date();
+      const policy = getEnrollmentPolicy(source);
+
+      const newClass = await Class.create({
+        name: name && String(name).trim() ? String(name).trim() : source.name,
+        description: source.description,
+        instructor: source.instructor,
+        // Staff who accepted keep their role; pending invitations are not carried over
+        staff: source.staff
+          .filter((m) => m.status === "active")
+          .map((m) => ({
+            user: m.user,
+            role: m.role,
+            status: "active",
+            invitedBy: m.invitedBy,
+            invitedAt: m.invitedAt,
+            acceptedAt: now,
+          })),
+        joinCode: await generateUniqueJoinCode(),
+        courseCode: source.courseCode,
+        semester,
+        year,
+        term: term ? term._id : null,
+        section: section !== undefined ? section : source.section,
+        // Weekly meetings carry over; their dates and exceptions belonged to the old term
+        schedule: source.schedule.map((m) => ({
+          type: m.type,
+          weekday: m.weekday,
+          startTime: m.startTime,
+          endTime: m.endTime,
+          room: m.room,
+        })),
+        enrollment: { ...policy, codeUses: 0, codeExpiresAt: null },
+        rolledOverFrom: source._id,
+      });
+
+      const assignments = await Assignment.find({ class: source._id }).lean();
+      const copiedAssignments = assignments.map((a) => ({
+        title: a.title,
+        description: a.description,
+        class: newClass._id,
+        instructor: a.instructor,
+        dueDate: new Date(new Date(a.dueDate).getTime() + days * MS_PER_DAY),
+        maxGrade: a.maxGrade,
+        attachmentUrl: a.attachmentUrl,
+      }));
+      if (copiedAssignments.length) {
+        await Assignment.insertMany(copiedAssignments);
+      }
+
+      // Copied due dates are not rejected, but staff are told which ones to move
+      const dueDateConflicts = copiedAssignments
+        .map((a) => ({ title: a.title, dueDate: a.dueDate, problem: checkTermDate(term, a.dueDate) }))
+        .filter((a) => a.problem)
+        .map(({ title, dueDate, problem }) => ({ title, dueDate, code: problem.code }));
+
+      const templates = await ClassAnnouncement.find({
+        classId: source._id,
+        isTemplate: true,
+      }).lean();
+      if (templates.length) {
+        await ClassAnnouncement.insertMany(
+          templates.map((t) => ({
+            title: t.title,
+            message: t.message,
+            links: t.links,
+            attachments: t.attachments,
+            createdBy: t.createdBy,
+            visibleTo: t.visibleTo,
+            classId: newClass._id,
+            isTemplate: true,
+          })),
+        );
+      }
+
+      if (archiveSource === true && !source.archivedAt) {
+        await Class.updateOne(
+          { _id: source._id },
+          { $set: { archivedAt: now, archivedBy: req.user._id } },
+        );
+      }
+
+      console.log(
+        `[INFO] Class ${source._id} rolled over to ${semester} ${year} as ${newClass._id} by ${req.user.email}`,
+      );
+
+      res.status(201).json({
+        message: "Class rolled over successfully",
+        code: "CLASS_ROLLED_OVER",
+        class: newClass,
+        copied: {
+          staff: newClass.staff.length,
+          meetings: newClass.schedule.length,
+          assignments: assignments.length,
+          announcements: templates.length,
+        },
+        shiftDays: days,
+        dueDateConflicts,
+        sourceArchived: archiveSource === true,
+      });
+    } catch (err) {
+      console.error("[ERROR] Roll over class failed:", err.message);
+      res.status(500).json({
+        message: "Failed to roll over class",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// REGENERATE JOIN CODE (NEW FEATURE)
+// ============================================
+
+router.patch(
+  "/:id/regenerate-code",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const foundClass = req.class;
+
+      const newCode = await generateUniqueJoinCode();
+
+      foundClass.joinCode = newCode;
+      // The use limit applies to each code
+      foundClass.enrollment.codeUses = 0;
+      await foundClass.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.JOIN_CODE_REGENERATED,
+        target: classTarget(foundClass),
+      });
+
+      res.json({
+        message: "Join code regenerated",
+        joinCode: newCode,
+      });
+    } catch (err) {
+      res.status(500).json({
+        message: "Server error",
+      });
+    }
+  },
+);
+
+// ============================================
+// CLASS SCHEDULE
+// ============================================
+
+const UPCOMING_MEETING_DAYS = 14;
+
+/**
+ * GET /classes/:id/schedule
+ * Weekly meetings, plus the meetings of the next two weeks (exceptions and
+ * term holidays left out)
+ */
+router.get(
+  "/:id/schedule",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_READ),
+  async (req, res) => {
+    try {
+      const term = await getClassTerm(req.class);
+      const today = dayKeyOf(new Date());
+      const range = { fromKey: today, toKey: addDays(today, UPCOMING_MEETING_DAYS - 1) };
+
+      const upcoming = req.class.schedule
+        .flatMap((meeting) =>
+          meetingOccurrences(meeting, term, range).map((o) => ({
+            meetingId: meeting._id,
+            type: meeting.type,
+            room: meeting.room,
+            start: o.start,
+            end: o.end,
+          })),
+        )
+        .sort((a, b) => a.start - b.start);
+
+      res.json({
+        message: "Class schedule fetched successfully",
+        code: "SCHEDULE_FETCHED",
+        schedule: req.class.schedule,
+        upcoming,
+      });
+    } catch (err) {
+      console.error("[ERROR] Get class schedule failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch class schedule",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classes/:id/schedule
+ * Body: { type, weekday, startTime, endTime, room, startDate, endDate, exceptions }
+ * weekday is 0-6 (0 = Sunday) or a day name; times are HH:MM; dates are
+ * YYYY-MM-DD and default to the class term; exceptions: [{ date, reason }]
+ */
+router.post(
+  "/:id/schedule",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { data, error } = parseMeeting(req.body);
+      if (error) {
+        return res.status(400).json({ message: error, code: "VALIDATION_ERROR" });
+      }
+
+      if (req.class.schedule.length >= MAX_MEETINGS) {
+        return res.status(400).json({
+          message: `A class can have at most ${MAX_MEETINGS} weekly meetings`,
+          code: "TOO_MANY_MEETINGS",
+        });
+      }
+
+      req.class.schedule.push(data);
+      await req.class.save();
+
+      res.status(201).json({
+        message: "Meeting added to the schedule",
+        code: "MEETING_ADDED",
+        meeting: req.class.schedule[req.class.schedule.length - 1],
+      });
+    } catch (err) {
+      console.error("[ERROR] Add class meeting failed:", err.message);
+      res.status(500).json({
+        message: "Failed to add meeting",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * PATCH /classes/:id/schedule/:meetingId
+ * Body: any of the fields of POST /classes/:id/schedule; exceptions replaces
+ * the whole list
+ */
+router.patch(
+  "/:id/schedule/:meetingId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const meeting = mongoose.Types.ObjectId.isValid(req.params.meetingId)
+        ? req.class.schedule.id(req.params.meetingId)
+        : null;
+      if (!meeting) {
+        return res.status(404).json({
+          message: "Meeting not found",
+          code: "MEETING_NOT_FOUND",
+        });
+      }
+
+      const { data, error } = parseMeeting(req.body, meeting);
+      if (error) {
+        return res.status(400).json({ message: error, code: "VALIDATION_ERROR" });
+      }
+
+      meeting.set(data);
+      await req.class.save();
+
+      res.json({
+        message: "Meeting updated",
+        code: "MEETING_UPDATED",
+        meeting,
+      });
+    } catch (err) {
+      console.error("[ERROR] Update class meeting failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update meeting",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.delete(
+  "/:id/schedule/:meetingId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const meeting = mongoose.Types.ObjectId.isValid(req.params.meetingId)
+        ? req.class.schedule.id(req.params.meetingId)
+        : null;
+      if (!meeting) {
+        return res.status(404).json({
+          message: "Meeting not found",
+          code: "MEETING_NOT_FOUND",
+        });
+      }
+
+      meeting.deleteOne();
+      await req.class.save();
+
+      res.json({
+        message: "Meeting removed from the schedule",
+        code: "MEETING_REMOVED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Remove class meeting failed:", err.message);
+      res.status(500).json({
+        message: "Failed to remove meeting",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// ENROLLMENT POLICY & REQUESTS
+// ============================================
+
+const populateEnrollmentQueues = (classDoc) =>
+  classDoc.populate([
+    { path: "joinRequests.student", select: "fullName email studentId college" },
+    { path: "waitlist.student", select: "fullName email studentId college" },
+  ]);
+
+const toEnrollmentView = (classDoc) => ({
+  policy: getEnrollmentPolicy(classDoc),
+  enrolled: classDoc.students.length,
+  joinRequests: classDoc.joinRequests,
+  waitlist: classDoc.waitlist,
+});
+
+/**
+ * GET /classes/:id/enrollment
+ * Enrollment policy, pending join requests and the waitlist
+ */
+router.get(
+  "/:id/enrollment",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      await populateEnrollmentQueues(req.class);
+
+      res.json({
+        message: "Enrollment fetched successfully",
+        code: "ENROLLMENT_FETCHED",
+        enrollment: toEnrollmentView(req.class),
+      });
+    } catch (err) {
+      console.error("[ERROR] Get enrollment failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch enrollment",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * PATCH /classes/:id/enrollment
+ * Body: any of { mode, codeExpiresAt, codeMaxUses, allowedColleges,
+ *   allowedStudentIds, capacity, waitlistEnabled }
+ * Raising or removing the cap promotes waitlisted students right away
+ */
+router.patch(
+  "/:id/enrollment",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { policy, error } = parseEnrollmentPolicy(req.body);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      const updates = {};
+      for (const [field, value] of Object.entries(policy)) {
+        updates[`enrollment.${field}`] = value;
+      }
+
+      const updated = await Class.findByIdAndUpdate(
+        req.class._id,
+        { $set: updates },
+        { new: true, runValidators: true },
+      );
+      const promoted = await promoteFromWaitlist(updated._id);
+
+      const fresh = promoted.length ? await Class.findById(updated._id) : updated;
+      await populateEnrollmentQueues(fresh);
+
+      console.log(`[INFO] Enrollment policy of class ${updated._id} updated by ${req.user.email}`);
+
+      res.json({
+        message: "Enrollment policy updated",
+        code: "ENROLLMENT_UPDATED",
+        promoted,
+        enrollment: toEnrollmentView(fresh),
+      });
+    } catch (err) {
+      console.error("[ERROR] Update enrollment failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update enrollment policy",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classes/:id/join-requests/:studentId/approve
+ * Enrolls the student, or puts them on the waitlist if the class is full
+ */
+router.post(
+  "/:id/join-requests/:studentId/approve",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ message: "Invalid student ID", code: "INVALID_ID" });
+      }
+
+      const { result, error } = await approveJoinRequest(req.class, studentId);
+      if (error) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+
+      if (result === "enrolled") {
+        await recordRosterChange({
+          classId: req.class._id,
+          students: studentId,
+          action: ROSTER_ACTIONS.APPROVED,
+          actor: req.user._id,
+        });
+      }
+
+      res.json({
+        message:
+          result === "enrolled"
+            ? "Join request approved"
+            : "Join request approved. The class is full, so the student was added to the waitlist.",
+        code: result === "enrolled" ? "JOIN_REQUEST_APPROVED" : "WAITLISTED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Approve join request failed:", err.message);
+      res.status(500).json({
+        message: "Failed to approve join request",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classes/:id/join-requests/:studentId/reject
+ */
+router.post(
+  "/:id/join-requests/:studentId/reject",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ message: "Invalid student ID", code: "INVALID_ID" });
+      }
+
+      const result = await Class.updateOne(
+        { _id: req.class._id },
+        { $pull: { joinRequests: { student: studentId } } },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          message: "Join request not found",
+          code: "JOIN_REQUEST_NOT_FOUND",
+        });
+      }
+
+      res.json({
+        message: "Join request rejected",
+        code: "JOIN_REQUEST_REJECTED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Reject join request failed:", err.message);
+      res.status(500).json({
+        message: "Failed to reject join request",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /classes/:id/waitlist/:studentId
+ * Takes a student off the waitlist
+ */
+router.delete(
+  "/:id/waitlist/:studentId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ message: "Invalid student ID", code: "INVALID_ID" });
+      }
+
+      const result = await Class.updateOne(
+        { _id: req.class._id },
+        { $pull: { waitlist: { student: studentId } } },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          message: "Student is not on the waitlist",
+          code: "NOT_WAITLISTED",
+        });
+      }
+
+      res.json({
+        message: "Student removed from the waitlist",
+        code: "WAITLIST_REMOVED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Remove from waitlist failed:", err.message);
+      res.status(500).json({
+        message: "Failed to remove student from the waitlist",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// ROSTER IMPORT
+// ============================================
+
+/**
+ * POST /classes/:id/roster/import
+ * Body: the CSV or XLSX file (Content-Type text/csv or the spreadsheet type)
+ * Query: { dryRun } - "true" reports what would happen without changing anything
+ * Rows are matched to students by studentId or email; students without an
+ * account get an invitation that enrolls them once they verify their email
+ */
+router.post(
+  "/:id/roster/import",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  spreadsheetUpload,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+
+      const { report, summary, columns, error } = await importRoster(req.class, req.body, {
+        dryRun,
+        invitedBy: req.user._id,
+      });
+      if (error) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+
+      if (!dryRun) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.ROSTER_IMPORTED,
+          target: classTarget(req.class),
+          details: summary,
+        });
+        console.log(
+          `[INFO] Roster imported into class ${req.class._id} by ${req.user.email}: ` +
+            `${summary.enrolled} enrolled, ${summary.invited} invited, ${summary.errors} errors`,
+        );
+      }
+
+      res.json({
+        message: dryRun ? "Roster checked (dry run, nothing was changed)" : "Roster imported",
+        code: dryRun ? "ROSTER_DRY_RUN" : "ROSTER_IMPORTED",
+        dryRun,
+        columns,
+        summary,
+        rows: report,
+      });
+    } catch (err) {
+      console.error("[ERROR] Roster import failed:", err.message);
+      res.status(500).json({
+        message: "Failed to import roster",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * GET /classes/:id/roster/invitations
+ * Roster rows still waiting for the student to sign up
+ */
+router.get(
+  "/:id/roster/invitations",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const invitations = await RosterInvitation.find({ class: req.class._id, status: "pending" })
+        .select("email studentId fullName invitedBy createdAt")
+        .sort({ createdAt: 1 })
+        .lean();
+
+      res.json({
+        message: "Roster invitations fetched successfully",
+        code: "ROSTER_INVITATIONS_FETCHED",
+        count: invitations.length,
+        invitations,
+      });
+    } catch (err) {
+      console.error("[ERROR] List roster invitations failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch roster invitations",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.delete(
+  "/:id/roster/invitations/:invitationId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { invitationId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        return res.status(400).json({ message: "Invalid invitation ID", code: "INVALID_ID" });
+      }
+
+      const deleted = await RosterInvitation.findOneAndDelete({
+        _id: invitationId,
+        class: req.class._id,
+        status: "pending",
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          message: "Invitation not found",
+          code: "INVITATION_NOT_FOUND",
+        });
+      }
+
+      res.json({
+        message: "Roster invitation cancelled",
+        code: "ROSTER_INVITATION_CANCELLED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Cancel roster invitation failed:", err.message);
+      res.status(500).json({
+        message: "Failed to cancel roster invitation",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// ROSTER MANAGEMENT
+// ============================================
+
+const isSameId = (a, b) => (a._id || a).toString() === b.toString();
+
+const isClassStaff = (classDoc, userId) =>
+  isSameId(classDoc.instructor, userId) || Boolean(findStaffMember(classDoc, userId));
+
+const readStudentId = (res, value) => {
+  if (!value || !mongoose.Types.ObjectId.isValid(value)) {
+    res.status(400).json({ message: "Invalid student ID", code: "INVALID_ID" });
+    return null;
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+/**
+ * DELETE /classes/:id/students/:studentId
+ * Body: { reason } - optional
+ * The student's submissions and attendance are kept and flagged as removed
+ */
+router.delete(
+  "/:id/students/:studentId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const studentId = readStudentId(res, req.params.studentId);
+      if (!studentId) return;
+
+      const result = await Class.updateOne(
+        { _id: req.class._id, students: studentId },
+        { $pull: { students: studentId } },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          message: "Student is not enrolled in this class",
+          code: "NOT_ENROLLED",
+        });
+      }
+
+      await recordRosterChange({
+        classId: req.class._id,
+        students: studentId,
+        action: ROSTER_ACTIONS.REMOVED,
+        actor: req.user._id,
+        reason: req.body && req.body.reason,
+      });
+      const promoted = await promoteFromWaitlist(req.class._id);
+
+      res.json({
+        message: "Student removed from the class",
+        code: "STUDENT_REMOVED",
+        promoted,
+      });
+    } catch (err) {
+      console.error("[ERROR] Remove student failed:", err.message);
+      res.status(500).json({
+        message: "Failed to remove student",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classes/:id/students/:studentId/transfer
+ * Body: { targetClassId, reason }
+ * Moves an enrolled student to another section of the same course. The user
+ * must be able to manage both classes; the target's cap still applies.
+ */
+router.post(
+  "/:id/students/:studentId/transfer",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const studentId = readStudentId(res, req.params.studentId);
+      if (!studentId) return;
+
+      const { targetClassId, reason } = req.body;
+      if (!targetClassId || !mongoose.Types.ObjectId.isValid(targetClassId)) {
+        return res.status(400).json({ message: "Invalid target class ID", code: "INVALID_ID" });
+      }
+
+      const source = req.class;
+      if (isSameId(source._id, targetClassId)) {
+        return res.status(400).json({
+          message: "The student is already in this class",
+          code: "INVALID_ACTION",
+        });
+      }
+
+      if (!source.students.some((s) => isSameId(s, studentId))) {
+        return res.status(404).json({
+          message: "Student is not enrolled in this class",
+          code: "NOT_ENROLLED",
+        });
+      }
+
+      const target = await Class.findById(targetClassId);
+      if (!target) {
+        return res.status(404).json({ message: "Target class not found", code: "CLASS_NOT_FOUND" });
+      }
+      if (!can(req.user, PERMISSIONS.CLASS_MANAGE, target)) {
+        return res.status(403).json({ message: "Access denied", code: "FORBIDDEN" });
+      }
+      if (target.archivedAt) {
+        return res.status(409).json({
+          message: "The target class is archived",
+          code: "CLASS_ARCHIVED",
+        });
+      }
+      if (target.courseCode !== source.courseCode) {
+        return res.status(400).json({
+          message: "Students can only be moved between sections of the same course",
+          code: "DIFFERENT_COURSE",
+        });
+      }
+      if (target.students.some((s) => isSameId(s, studentId))) {
+        return res.status(409).json({
+          message: "Student is already enrolled in the target class",
+          code: "ALREADY_ENROLLED",
+        });
+      }
+      if (isClassStaff(target, studentId)) {
+        return res.status(400).json({
+          message: "Student is on the staff of the target class",
+          code: "INVALID_ACTION",
+        });
+      }
+      if ((target.blockedStudents || []).some((b) => isSameId(b.student, studentId))) {
+        return res.status(409).json({
+          message: "Student is blocked from the target class",
+          code: "STUDENT_BLOCKED",
+        });
+      }
+
+      const { capacity } = getEnrollmentPolicy(target);
+      const seatFilter = capacity ? { $expr: { $lt: [{ $size: "$students" }, capacity] } } : {};
+      const added = await Class.updateOne(
+        { _id: target._id, students: { $ne: studentId }, ...seatFilter },
+        {
+          $addToSet: { students: studentId },
+          $pull: { joinRequests: { student: studentId }, waitlist: { student: studentId } },
+        },
+      );
+      if (added.modifiedCount === 0) {
+        return res.status(409).json({
+          message: "The target class is full",
+          code: "TARGET_CLASS_FULL",
+        });
+      }
+
+      await Class.updateOne({ _id: source._id }, { $pull: { students: studentId } });
+
+      await recordRosterChange({
+        classId: source._id,
+        students: studentId,
+        action: ROSTER_ACTIONS.TRANSFERRED_OUT,
+        actor: req.user._id,
+        otherClass: target._id,
+        reason,
+      });
+      await recordRosterChange({
+        classId: target._id,
+        students: studentId,
+        action: ROSTER_ACTIONS.TRANSFERRED_IN,
+        actor: req.user._id,
+        otherClass: source._id,
+        reason,
+      });
+      await promoteFromWaitlist(source._id);
+
+      console.log(
+        `[INFO] Student ${studentId} moved from class ${source._id} to ${target._id} by ${req.user.email}`,
+      );
+
+      res.json({
+        message: "Student moved to the other section",
+        code: "STUDENT_TRANSFERRED",
+        from: { id: source._id, name: source.name, section: source.section },
+        to: { id: target._id, name: target.name, section: target.section },
+      });
+    } catch (err) {
+      console.error("[ERROR] Transfer student failed:", err.message);
+      res.status(500).json({
+        message: "Failed to move student",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * GET /classes/:id/blocked
+ */
+router.get(
+  "/:id/blocked",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      await req.class.populate([
+        { path: "blockedStudents.student", select: "fullName email studentId" },
+        { path: "blockedStudents.blockedBy", select: "fullName email" },
+      ]);
+
+      res.json({
+        message: "Blocked students fetched successfully",
+        code: "BLOCKED_STUDENTS_FETCHED",
+        blocked: req.class.blockedStudents,
+      });
+    } catch (err) {
+      console.error("[ERROR] List blocked students failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch blocked students",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classes/:id/blocked
+ * Body: { studentId, reason }
+ * Removes the student (and any join request or waitlist place) and stops
+ * them from joining again with any join code
+ */
+router.post(
+  "/:id/blocked",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const studentId = readStudentId(res, req.body.studentId);
+      if (!studentId) return;
+
+      const student = await User.findById(studentId).select("_id");
+      if (!student) {
+        return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+      }
+      if (isClassStaff(req.class, studentId)) {
+        return res.status(400).json({
+          message: "Class staff cannot be blocked",
+          code: "INVALID_ACTION",
+        });
+      }
+
+      const previous = await Class.findOneAndUpdate(
+        { _id: req.class._id, "blockedStudents.student": { $ne: studentId } },
+        {
+          $push: {
+            blockedStudents: {
+              student: studentId,
+              blockedBy: req.user._id,
+              reason: req.body.reason || null,
+            },
+          },
+          $pull: {
+            students: studentId,
+            joinRequests: { student: studentId },
+            waitlist: { student: studentId },
+          },
+        },
+      );
+      if (!previous) {
+        return res.status(409).json({
+          message: "Student is already blocked",
+          code: "ALREADY_BLOCKED",
+        });
+      }
+
+      await recordRosterChange({
+        classId: req.class._id,
+        students: studentId,
+        action: ROSTER_ACTIONS.BLOCKED,
+        actor: req.user._id,
+        reason: req.body.reason,
+      });
+      if (getEnrollmentStatus(previous, studentId) === "enrolled") {
+        await promoteFromWaitlist(req.class._id);
+      }
+
+      res.status(201).json({
+        message: "Student blocked from the class",
+        code: "STUDENT_BLOCKED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Block student failed:", err.message);
+      res.status(500).json({
+        message: "Failed to block student",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /classes/:id/blocked/:studentId
+ * The student can join again; they are not re-enrolled automatically
+ */
+router.delete(
+  "/:id/blocked/:studentId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const studentId = readStudentId(res, req.params.studentId);
+      if (!studentId) return;
+
+      const result = await Class.updateOne(
+        { _id: req.class._id },
+        { $pull: { blockedStudents: { student: studentId } } },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({
+          message: "Student is not blocked",
+          code: "NOT_BLOCKED",
+        });
+      }
+
+      await recordRosterChange({
+        classId: req.class._id,
+        students: studentId,
+        action: ROSTER_ACTIONS.UNBLOCKED,
+        actor: req.user._id,
+      });
+
+      res.json({
+        message: "Student unblocked",
+        code: "STUDENT_UNBLOCKED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Unblock student failed:", err.message);
+      res.status(500).json({
+        message: "Failed to unblock student",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * GET /classes/:id/roster/history
+ * Query: { student, action, page, limit } - newest changes first
+ */
+router.get(
+  "/:id/roster/history",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_MANAGE),
+  async (req, res) => {
+    try {
+      const { student, action } = req.query;
+
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+      );
+
+      const filter = { class: req.class._id };
+      if (student) {
+        if (!mongoose.Types.ObjectId.isValid(student)) {
+          return res.status(400).json({ message: "Invalid student ID", code: "INVALID_ID" });
+        }
+        filter.student = student;
+      }
+      if (action) {
+        const actions = String(action).split(",");
+        const allowed = Object.values(ROSTER_ACTIONS);
+        if (actions.some((a) => !allowed.includes(a))) {
+          return res.status(400).json({
+            message: "Invalid action. Allowed actions: " + allowed.join(", "),
+            code: "INVALID_ACTION",
+          });
+        }
+        filter.action = { $in: actions };
+      }
+
+      const [total, events] = await Promise.all([
+        RosterEvent.countDocuments(filter),
+        RosterEvent.find(filter)
+          .populate("student", "fullName email studentId")
+          .populate("actor", "fullName email")
+          .populate("otherClass", "name courseCode section")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+      ]);
+
+      res.json({
+        message: "Roster history fetched successfully",
+        code: "ROSTER_HISTORY_FETCHED",
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        events,
+      });
+    } catch (err) {
+      console.error("[ERROR] Roster history failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch roster history",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// CLASS STAFF
+// ============================================
+
+/**
+ * GET /classes/:id/staff
+ * Pending invitations are only listed for users who manage the staff
+ */
+router.get(
+  "/:id/staff",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_READ),
+  async (req, res) => {
+    try {
+      await req.class.populate([
+        { path: "instructor", select: "fullName email" },
+        { path: "staff.user", select: "fullName email role" },
+      ]);
+
+      const showPending = can(req.user, PERMISSIONS.CLASS_STAFF_MANAGE, req.class);
+
+      res.json({
+        message: "Class staff fetched successfully",
+        code: "STAFF_FETCHED",
+        owner: req.class.instructor,
+        staff: req.class.staff
+          .filter((m) => m.user && (showPending || m.status === "active"))
+          .map(toStaffView),
+      });
+    } catch (err) {
+      console.error("[ERROR] List class staff failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch class staff",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classes/:id/staff
+ * Body: { email, role } - role is co_instructor or ta
+ * The invited user accepts with POST /classes/:id/staff/accept
+ */
+router.post(
+  "/:id/staff",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_STAFF_MANAGE),
+  async (req, res) => {
+    try {
+      const { email, role } = req.body;
+
+      if (!email || !role) {
+        return res.status(400).json({
+          message: "Email and role are required",
+          code: "MISSING_FIELDS",
+        });
+      }
+
+      const invitee = await User.findOne({ email: String(email).toLowerCase().trim() });
+      if (!invitee || !invitee.isActive) {
+        return res.status(404).json({
+          message: "User not found",
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      const roleError = validateStaffRole(role, invitee);
+      if (roleError) {
+        return res.status(400).json(roleError);
+      }
+
+      const foundClass = req.class;
+
+      if (foundClass.instructor.toString() === invitee._id.toString()) {
+        return res.status(400).json({
+          message: "The class owner is already on the staff",
+          code: "INVALID_ACTION",
+        });
+      }
+
+      if (foundClass.students.some((s) => s.toString() === invitee._id.toString())) {
+        return res.status(409).json({
+          message: "This user is enrolled in the class as a student",
+          code: "ALREADY_ENROLLED",
+        });
+      }
+
+      const member = {
+        user: invitee._id,
+        role,
+        status: "pending",
+        invitedBy: req.user._id,
+        invitedAt: new Date(),
+      };
+
+      // Guarded on the user not being on the staff yet, so concurrent
+      // invitations cannot add the same user twice
+      const result = await Class.updateOne(
+        { _id: foundClass._id, "staff.user": { $ne: invitee._id } },
+        { $push: { staff: member } },
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({
+          message: "This user is already on the class staff",
+          code: "ALREADY_STAFF",
+        });
+      }
+
+      try {
+        await queueTemplatedEmail(invitee.email, "class-staff-invite", {
+          locale: invitee.locale,
+          user: invitee._id,
+          vars: {
+            userName: invitee.fullName,
+            inviterName: req.user.fullName,
+            className: `${foundClass.courseCode} - ${foundClass.name}`,
+            role,
+          },
+        });
+      } catch (mailErr) {
+        console.error("[ERROR] Queue staff invitation email failed:", mailErr.message);
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CLASS_STAFF_INVITED,
+        target: classTarget(foundClass),
+        details: { user: invitee._id, email: invitee.email, role },
+      });
+
+      res.status(201).json({
+        message: "Invitation sent",
+        code: "STAFF_INVITED",
+        member: toStaffView({
+          ...member,
+          user: { _id: invitee._id, fullName: invitee.fullName, email: invitee.email },
+        }),
+      });
+    } catch (err) {
+      console.error("[ERROR] Invite class staff failed:", err.message);
+      res.status(500).json({
+        message: "Failed to invite staff member",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * PATCH /classes/:id/staff/:userId
+ * Body: { role }
+ */
+router.patch(
+  "/:id/staff/:userId",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_STAFF_MANAGE),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      const member = mongoose.Types.ObjectId.isValid(req.params.userId)
+        ? findStaffMember(req.class, req.params.userId)
+        : null;
+
+      if (!member) {
+        return res.status(404).json({
+          message: "Staff member not found",
+          code: "STAFF_NOT_FOUND",
+        });
+      }
+
+      const user = await User.findById(member.user).select("role email");
+      if (!user) {
+        return res.status(404).json({
+          message: "Staff member not found",
+          code: "STAFF_NOT_FOUND",
+        });
+      }
+
+      const roleError = validateStaffRole(role, user);
+      if (roleError) {
+        return res.status(400).json(roleError);
+      }
+
+      const previousRole = member.role;
+      member.role = role;
+      await req.class.save();
+
+      if (previousRole !== role) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.CLASS_STAFF_ROLE_CHANGED,
+          target: classTarget(req.class),
+          details: { user: user._id, email: user.email, from: previousRole, to: role },
+        });
+      }
+
+      res.json({
+        message: "Staff role updated",
+        code: "STAFF_UPDATED",
+        member: toStaffView(member),
+      });
+    } catch (err) {
+      console.error("[ERROR] Update class staff failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update staff member",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /classes/:id/staff/:userId
+ * Removes a staff member or cancels an invitation. Staff members may also
+ * remove themselves to leave the class staff.
+ */
+router.delete("/:id/staff/:userId", authenticateToken, async (req, res) => {
+  try {
+    const foundClass = await loadClassById(req, res);
+    if (!foundClass) return;
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !can(req.user, PERMISSIONS.CLASS_STAFF_MANAGE, foundClass)) {
+      return res.status(403).json({
+        message: "Access denied",
+        code: "FORBIDDEN",
+      });
+    }
+
+    const member = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? findStaffMember(foundClass, req.params.userId)
+      : null;
+    if (!member) {
+      return res.status(404).json({
+        message: "Staff member not found",
+        code: "STAFF_NOT_FOUND",
+      });
+    }
+
+    await Class.updateOne(
+      { _id: foundClass._id },
+      { $pull: { staff: { user: member.user } } },
+    );
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CLASS_STAFF_REMOVED,
+      target: classTarget(foundClass),
+      details: { user: member.user, role: member.role, status: member.status, self: isSelf },
+    });
+
+    res.json({
+      message: isSelf ? "You left the class staff" : "Staff member removed",
+      code: "STAFF_REMOVED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Remove class staff failed:", err.message);
+    res.status(500).json({
+      message: "Failed to remove staff member",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// DELETE CLASS
+// ============================================
+
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorizeClassPermission(PERMISSIONS.CLASS_DELETE),
+  async (req, res) => {
+    try {
+      const deletedAt = new Date();
+      await Class.updateOne(
+        { _id: req.class._id },
+        { $set: { deletedAt, deletedBy: req.user._id } },
+      );
+      const purgeAt = getPurgeDate({ deletedAt }, await getTrashRetentionDays());
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CLASS_DELETED,
+        target: classTarget(req.class),
+        details: {
+          instructor: req.class.instructor,
+          studentCount: req.class.students.length,
+          staffCount: req.class.staff.length,
+          purgeAt,
+        },
+      });
+
+      res.json({
+        message: "Class moved to the trash. It can be restored until it is purged",
+        code: "CLASS_DELETED",
+        purgeAt,
+      });
+    } catch (err) {
+      res.status(500).json({
+        message: "Failed to delete class",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
 module.exports = router;
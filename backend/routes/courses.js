@@ -0,0 +1,384 @@
+/**
+ * Course Routes
+ * Signed-in users browse the course catalog; admins manage it and import
+ * it from a spreadsheet
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Class = require("../models/Class");
+const CourseOffering = require("../models/CourseOffering");
+const { authenticateToken } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const spreadsheetUpload = require("../middleware/spreadsheetUpload");
+const {
+  pickCourseFields,
+  validateCoursePayload,
+  findMissingPrerequisites,
+  findPrerequisiteCycle,
+  formatPrerequisiteCycle,
+  importCourses,
+} = require("../utils/courseCatalog");
+
+const router = express.Router();
+
+// ============================================
+// HELPER
+// ============================================
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a catalog filter from { department, college, q }.
+ */
+const buildCourseFilter = (query, base = {}) => {
+  const filter = { ...base };
+  if (query.department) filter.department = String(query.department);
+  if (query.college) filter.college = String(query.college);
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    filter.$or = [{ code: pattern }, { title: pattern }];
+  }
+  return filter;
+};
+
+const loadCourseId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid course ID", code: "INVALID_ID" });
+    return null;
+  }
+  return req.params.id;
+};
+
+const unknownPrerequisitesResponse = (res, missing) =>
+  res.status(400).json({
+    message: `Unknown prerequisite course(s): ${missing.join(", ")}`,
+    code: "UNKNOWN_PREREQUISITE",
+  });
+
+// ============================================
+// LIST COURSES
+// ============================================
+
+/**
+ * GET /courses
+ * Query: { department, college, q }
+ * Active courses, used when creating a class
+ */
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const courses = await Course.find(buildCourseFilter(req.query, { isActive: true }))
+      .select("code title creditHours department college prerequisites")
+      .sort({ code: 1 })
+      .lean();
+
+    res.json({
+      message: "Courses fetched successfully",
+      code: "COURSES_FETCHED",
+      count: courses.length,
+      courses,
+    });
+  } catch (err) {
+    console.error("[ERROR] List courses failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch courses",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// ADMIN: FULL CATALOG
+// ============================================
+
+/**
+ * GET /courses/all
+ * Query: { department, college, q, isActive }
+ * Includes inactive courses and how many classes use each course
+ */
+router.get(
+  "/all",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.COURSE_MANAGE),
+  async (req, res) => {
+    try {
+      const base = {};
+      if (req.query.isActive === "true") base.isActive = true;
+      if (req.query.isActive === "false") base.isActive = false;
+
+      const courses = await Course.find(buildCourseFilter(req.query, base)).sort({ code: 1 }).lean();
+
+      const usage = await Class.aggregate([
+        { $match: { courseCode: { $in: courses.map((c) => c.code) } } },
+        { $group: { _id: "$courseCode", count: { $sum: 1 } } },
+      ]);
+      const classCount = new Map(usage.map((u) => [u._id, u.count]));
+
+      res.json({
+        message: "Courses fetched successfully",
+        code: "COURSES_FETCHED",
+        count: courses.length,
+        courses: courses.map((c) => ({ ...c, classCount: classCount.get(c.code) || 0 })),
+      });
+    } catch (err) {
+      console.error("[ERROR] List all courses failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch courses",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /courses/import
+ * Body: the CSV or XLSX file (Content-Type text/csv or the spreadsheet type)
+ * Query: { dryRun } - "true" reports what would happen without changing anything
+ * Columns: code, title, creditHours, department, college, prerequisites
+ * (separated by commas), active. Existing codes are updated.
+ */
+router.post(
+  "/import",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.COURSE_MANAGE),
+  spreadsheetUpload,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+
+      const { report, summary, columns, error } = await importCourses(req.body, { dryRun });
+      if (error) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+
+      if (!dryRun) {
+        console.log(
+          `[INFO] Course catalog imported by ${req.user.email}: ` +
+            `${summary.created} created, ${summary.updated} updated, ${summary.errors} errors`,
+        );
+      }
+
+      res.json({
+        message: dryRun ? "Course list checked (dry run, nothing was changed)" : "Course list imported",
+        code: dryRun ? "COURSES_DRY_RUN" : "COURSES_IMPORTED",
+        dryRun,
+        columns,
+        summary,
+        rows: report,
+      });
+    } catch (err) {
+      console.error("[ERROR] Course import failed:", err.message);
+      res.status(500).json({
+        message: "Failed to import courses",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.post(
+  "/",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.COURSE_MANAGE),
+  async (req, res) => {
+    try {
+      const data = pickCourseFields(req.body);
+      const validationError = validateCoursePayload(data, false);
+      if (validationError) {
+        return res.status(400).json({
+          message: validationError,
+          code: "VALIDATION_ERROR",
+        });
+      }
+
+      const missing = await findMissingPrerequisites(data.prerequisites);
+      if (missing.length) return unknownPrerequisitesResponse(res, missing);
+
+      const course = await Course.create(data);
+
+      res.status(201).json({
+        message: "Course created successfully",
+        code: "COURSE_CREATED",
+        course,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          message: "A course with this code already exists",
+          code: "DUPLICATE_ENTRY",
+        });
+      }
+      console.error("[ERROR] Create course failed:", err.message);
+      res.status(500).json({
+        message: "Failed to create course",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * PATCH /courses/:id
+ * The code cannot change while classes use it; deactivate the course and
+ * create a new one instead
+ */
+router.patch(
+  "/:id",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.COURSE_MANAGE),
+  async (req, res) => {
+    try {
+      const id = loadCourseId(req, res);
+      if (!id) return;
+
+      const course = await Course.findById(id);
+      if (!course) {
+        return res.status(404).json({
+          message: "Course not found",
+          code: "COURSE_NOT_FOUND",
+        });
+      }
+
+      const data = pickCourseFields(req.body);
+      const validationError = validateCoursePayload(
+        { ...data, code: data.code !== undefined ? data.code : course.code },
+        true,
+      );
+      if (validationError) {
+        return res.status(400).json({
+          message: validationError,
+          code: "VALIDATION_ERROR",
+        });
+      }
+
+      if (data.code !== undefined && data.code !== course.code) {
+        const [classCount, offeringCount, dependents] = await Promise.all([
+          Class.countDocuments({ courseCode: course.code }).setOptions({ withDeleted: true }),
+          CourseOffering.countDocuments({ courseCode: course.code }),
+          Course.find({ prerequisites: course.code }).distinct("code"),
+        ]);
+        if (classCount > 0) {
+          return res.status(409).json({
+            message: `The code is used by ${classCount} class(es) and cannot be changed`,
+            code: "COURSE_IN_USE",
+          });
+        }
+        if (offeringCount > 0) {
+          return res.status(409).json({
+            message: `The code is used by ${offeringCount} course offering(s) and cannot be changed`,
+            code: "COURSE_IN_USE",
+          });
+        }
+        if (dependents.length) {
+          return res.status(409).json({
+            message: `The code is a prerequisite of ${dependents.join(", ")} and cannot be changed`,
+            code: "COURSE_IS_PREREQUISITE",
+          });
+        }
+      }
+
+      const missing = await findMissingPrerequisites(data.prerequisites);
+      if (missing.length) return unknownPrerequisitesResponse(res, missing);
+
+      if (data.prerequisites !== undefined) {
+        const cycle = await findPrerequisiteCycle(
+          new Map([[data.code !== undefined ? data.code : course.code, data.prerequisites]]),
+        );
+        if (cycle) {
+          return res.status(400).json({
+            message: formatPrerequisiteCycle(cycle),
+            code: "PREREQUISITE_CYCLE",
+          });
+        }
+      }
+
+      Object.assign(course, data);
+      await course.save();
+
+      res.json({
+        message: "Course updated successfully",
+        code: "COURSE_UPDATED",
+        course,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          message: "A course with this code already exists",
+          code: "DUPLICATE_ENTRY",
+        });
+      }
+      console.error("[ERROR] Update course failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update course",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /courses/:id
+ * Only courses no class or other course depends on can be deleted;
+ * deactivate the others (PATCH { isActive: false })
+ */
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.COURSE_MANAGE),
+  async (req, res) => {
+    try {
+      const id = loadCourseId(req, res);
+      if (!id) return;
+
+      const course = await Course.findById(id);
+      if (!course) {
+        return res.status(404).json({
+          message: "Course not found",
+          code: "COURSE_NOT_FOUND",
+        });
+      }
+
+      // Trashed classes count as users of the course until they are purged
+      const [classCount, offeringCount, dependents] = await Promise.all([
+        Class.countDocuments({ courseCode: course.code }).setOptions({ withDeleted: true }),
+        CourseOffering.countDocuments({ courseCode: course.code }),
+        Course.find({ prerequisites: course.code }).distinct("code"),
+      ]);
+      if (classCount > 0) {
+        return res.status(409).json({
+          message: `The course is used by ${classCount} class(es). Deactivate it instead`,
+          code: "COURSE_IN_USE",
+        });
+      }
+      if (offeringCount > 0) {
+        return res.status(409).json({
+          message: `The course is used by ${offeringCount} course offering(s). Deactivate it instead`,
+          code: "COURSE_IN_USE",
+        });
+      }
+      if (dependents.length) {
+        return res.status(409).json({
+          message: `The course is a prerequisite of ${dependents.join(", ")}`,
+          code: "COURSE_IS_PREREQUISITE",
+        });
+      }
+
+      await course.deleteOne();
+
+      res.json({
+        message: "Course deleted successfully",
+        code: "COURSE_DELETED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Delete course failed:", err.message);
+      res.status(500).json({
+        message: "Failed to delete course",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,183 @@
+/**
+ * Email Outbox Routes
+ * Admins follow the delivery status of outgoing emails and retry failed ones.
+ * Email bodies are for super_admins only, and never for sensitive emails.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const OutboxEmail = require("../models/OutboxEmail");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { authorizePermission, hasPermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { getMailTransportName, retryEmail } = require("../utils/mailService");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const STATUSES = ["queued", "sending", "sent", "failed"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toOutboxView = (email, { withBody = false } = {}) => ({
+  id: email._id,
+  to: email.to,
+  subject: email.subject,
+  template: email.template,
+  locale: email.locale,
+  user: email.user,
+  status: email.status,
+  attempts: email.attempts,
+  maxAttempts: email.maxAttempts,
+  nextAttemptAt: email.nextAttemptAt,
+  lastError: email.lastError,
+  sentAt: email.sentAt,
+  messageId: email.messageId,
+  transport: email.transport,
+  attachments: (email.attachments || []).map((a) => a.filename),
+  sensitive: !!email.sensitive,
+  createdAt: email.createdAt,
+  ...(withBody && !email.sensitive ? { text: email.text, html: email.html } : {}),
+});
+
+const loadEmail = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid email ID", code: "INVALID_ID" });
+    return null;
+  }
+  const email = await OutboxEmail.findById(req.params.id).select("-attachments.content").lean();
+  if (!email) {
+    res.status(404).json({ message: "Email not found", code: "EMAIL_NOT_FOUND" });
+    return null;
+  }
+  return email;
+};
+
+router.use(
+  authenticateToken,
+  requireLoginSession,
+  authorizePermission(PERMISSIONS.EMAIL_OUTBOX),
+);
+
+// ============================================
+// OUTBOX
+// ============================================
+
+/**
+ * GET /admin/email-outbox
+ * Query: { status, to, template, page, limit }
+ * Newest emails first
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { status, to, template } = req.query;
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+    );
+
+    const filter = {};
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: "Invalid status. Allowed statuses: " + STATUSES.join(", "),
+          code: "INVALID_STATUS",
+        });
+      }
+      filter.status = status;
+    }
+    if (to) filter.to = String(to).toLowerCase().trim();
+    if (template) filter.template = String(template);
+
+    const [total, emails] = await Promise.all([
+      OutboxEmail.countDocuments(filter),
+      OutboxEmail.find(filter)
+        .select("-html -text -attachments.content")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      message: "Outbox fetched successfully",
+      code: "OUTBOX_FETCHED",
+      transport: getMailTransportName(),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      emails: emails.map((email) => toOutboxView(email)),
+    });
+  } catch (err) {
+    console.error("[ERROR] List outbox failed:", err.message);
+    res.status(500).json({ message: "Failed to fetch outbox", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+/**
+ * GET /admin/email-outbox/:id
+ * The body is included for super_admins, except for sensitive emails
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const email = await loadEmail(req, res);
+    if (!email) return;
+
+    res.json({
+      message: "Email fetched successfully",
+      code: "EMAIL_FETCHED",
+      email: toOutboxView(email, {
+        withBody: hasPermission(req.user, PERMISSIONS.EMAIL_OUTBOX_BODY),
+      }),
+    });
+  } catch (err) {
+    console.error("[ERROR] Get outbox email failed:", err.message);
+    res.status(500).json({ message: "Failed to fetch email", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+/**
+ * POST /admin/email-outbox/:id/retry
+ * Queues a failed email again with a fresh set of attempts
+ */
+router.post("/:id/retry", async (req, res) => {
+  try {
+    const email = await loadEmail(req, res);
+    if (!email) return;
+
+    if (email.sensitive) {
+      return res.status(409).json({
+        message: "Emails with a one-time link cannot be retried; the user can request a new one",
+        code: "EMAIL_NOT_RETRYABLE",
+      });
+    }
+
+    const retried = await retryEmail(email._id);
+    if (!retried) {
+      return res.status(409).json({
+        message: "Only failed emails can be retried",
+        code: "EMAIL_NOT_FAILED",
+      });
+    }
+
+    console.log(`[INFO] Email ${email._id} to ${email.to} re-queued by ${req.user.email}`);
+
+    res.json({
+      message: "Email queued for delivery",
+      code: "EMAIL_REQUEUED",
+      email: toOutboxView(retried),
+    });
+  } catch (err) {
+    console.error("[ERROR] Retry outbox email failed:", err.message);
+    res.status(500).json({ message: "Failed to retry email", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+/**
+ * Email Template Routes
+ * Admins list the transactional email templates and preview them in each
+ * language with the current site branding and sample values
+ */
+
+const express = require("express");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require("../constants/locales");
+const {
+  renderEmail,
+  listEmailTemplates,
+  getSampleVars,
+} = require("../utils/emailTemplates");
+
+const router = express.Router();
+
+const PREVIEW_FORMATS = ["html", "text", "json"];
+
+router.use(
+  authenticateToken,
+  requireLoginSession,
+  authorizePermission(PERMISSIONS.EMAIL_PREVIEW),
+);
+
+// ============================================
+// TEMPLATES & PREVIEW
+// ============================================
+
+router.get("/", (req, res) => {
+  res.json({
+    message: "Email templates fetched successfully",
+    code: "EMAIL_TEMPLATES_FETCHED",
+    locales: SUPPORTED_LOCALES,
+    templates: listEmailTemplates(),
+  });
+});
+
+/**
+ * GET /admin/email-templates/:type/preview
+ * Query: { locale, format } - format is html (default), text or json
+ * Renders the template with its sample values
+ */
+router.get("/:type/preview", async (req, res) => {
+  try {
+    const { type } = req.params;
+    const locale = req.query.locale || DEFAULT_LOCALE;
+    const format = req.query.format || "html";
+
+    const vars = getSampleVars(type);
+    if (!vars) {
+      return res.status(404).json({ message: "Email template not found", code: "TEMPLATE_NOT_FOUND" });
+    }
+
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      return res.status(400).json({
+        message: "Invalid locale. Supported locales: " + SUPPORTED_LOCALES.join(", "),
+        code: "INVALID_LOCALE",
+      });
+    }
+
+    if (!PREVIEW_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: "Invalid format. Allowed formats: " + PREVIEW_FORMATS.join(", "),
+        code: "INVALID_FORMAT",
+      });
+    }
+
+    const email = await renderEmail(type, { locale, vars });
+
+    if (format === "html") {
+      return res.type("html").send(email.html);
+    }
+    if (format === "text") {
+      return res.type("text/plain").send(email.text);
+    }
+
+    res.json({
+      message: "Email preview rendered",
+      code: "EMAIL_PREVIEW",
+      type,
+      locale: email.locale,
+      vars,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    });
+  } catch (err) {
+    console.error("[ERROR] Email preview failed:", err.message);
+    res.status(500).json({ message: "Failed to render email preview", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Maintenance Job Routes
+ * Admins see the scheduled maintenance jobs and their run history;
+ * super_admins can start a run manually
+ */
+
+const express = require("express");
+const JobRun = require("../models/JobRun");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { getJob, startJob, listJobs } = require("../utils/jobScheduler");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const RUN_STATUSES = ["running", "succeeded", "failed"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toRunView = (run) => ({
+  id: run._id,
+  job: run.job,
+  trigger: run.trigger,
+  triggeredBy: run.triggeredBy,
+  instance: run.instance,
+  status: run.status,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  durationMs: run.durationMs,
+  result: run.result,
+  error: run.error,
+});
+
+router.use(
+  authenticateToken,
+  requireLoginSession,
+  authorizePermission(PERMISSIONS.JOBS_READ),
+);
+
+// ============================================
+// JOBS & RUN HISTORY
+// ============================================
+
+/**
+ * GET /admin/jobs
+ * Registered jobs with their schedule and latest run
+ */
+router.get("/", async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      message: "Jobs fetched successfully",
+      code: "JOBS_FETCHED",
+      jobs: jobs.map((job) => ({
+        ...job,
+        lastRun: job.lastRun && toRunView(job.lastRun),
+      })),
+    });
+  } catch (err) {
+    console.error("[ERROR] List jobs failed:", err.message);
+    res.status(500).json({ message: "Failed to fetch jobs", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+/**
+ * GET /admin/jobs/runs
+ * Query: { job, status, page, limit }
+ * Newest runs first
+ */
+router.get("/runs", async (req, res) => {
+  try {
+    const { job, status } = req.query;
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE),
+    );
+
+    const filter = {};
+    if (job) filter.job = String(job);
+    if (status) {
+      if (!RUN_STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: "Invalid status. Allowed statuses: " + RUN_STATUSES.join(", "),
+          code: "INVALID_STATUS",
+        });
+      }
+      filter.status = status;
+    }
+
+    const [total, runs] = await Promise.all([
+      JobRun.countDocuments(filter),
+      JobRun.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      message: "Job runs fetched successfully",
+      code: "JOB_RUNS_FETCHED",
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      runs: runs.map(toRunView),
+    });
+  } catch (err) {
+    console.error("[ERROR] List job runs failed:", err.message);
+    res.status(500).json({ message: "Failed to fetch job runs", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+/**
+ * POST /admin/jobs/:name/run
+ * Starts the job now, regardless of its schedule. Responds once the run has
+ * started; follow it in /admin/jobs/runs.
+ */
+router.post("/:name/run", authorizePermission(PERMISSIONS.JOBS_RUN), async (req, res) => {
+  try {
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({ message: "Job not found", code: "JOB_NOT_FOUND" });
+    }
+
+    const started = await startJob(req.params.name, {
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    });
+    if (!started) {
+      return res.status(409).json({
+        message: "This job is already running",
+        code: "JOB_ALREADY_RUNNING",
+      });
+    }
+
+    console.log(`[INFO] Job ${req.params.name} started manually by ${req.user.email}`);
+
+    res.status(202).json({
+      message: "Job started",
+      code: "JOB_STARTED",
+      run: toRunView(started.run),
+    });
+  } catch (err) {
+    console.error("[ERROR] Manual job run failed:", err.message);
+    res.status(500).json({ message: "Failed to start job", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,756 @@
+/**
+ * Course Offering Routes
+ * A course offering groups the sections (classes) of one course in one
+ * academic term. Coordinators, appointed by admins, post class announcements
+ * and assignments to the sections whose owners accepted them and follow
+ * attendance and grades across sections.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const CourseOffering = require("../models/CourseOffering");
+const AcademicTerm = require("../models/AcademicTerm");
+const Course = require("../models/Course");
+const Class = require("../models/Class");
+const User = require("../models/User");
+const Assignment = require("../models/Assignment");
+const ClassAnnouncement = require("../models/ClassAnnouncement");
+const { authenticateToken } = require("../middleware/auth");
+const { hasPermission, getClassRole, authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const upload = require("../middleware/upload");
+const { recordAudit, offeringTarget } = require("../utils/auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+const { checkTermDate } = require("../utils/academicCalendar");
+const { removeRequestFiles } = require("../utils/uploadCleanup");
+const {
+  COORDINATOR_ROLES,
+  getOfferingSections,
+  isCoordinator,
+  sectionAcceptsPosts,
+  canManageOffering,
+  canViewOffering,
+  selectSections,
+  buildOfferingStats,
+} = require("../utils/courseOfferings");
+
+const router = express.Router();
+
+// ============================================
+// HELPER
+// ============================================
+
+// Class roles that may create the offering of their section
+const SECTION_CREATOR_ROLES = ["owner", "co_instructor"];
+
+// Loads :id with its term; sends the error response and returns null when missing
+const loadOffering = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid offering ID", code: "INVALID_ID" });
+    return null;
+  }
+  const offering = await CourseOffering.findById(req.params.id).populate(
+    "term",
+    "name semester year startDate endDate holidays",
+  );
+  if (!offering) {
+    res.status(404).json({ message: "Course offering not found", code: "OFFERING_NOT_FOUND" });
+    return null;
+  }
+  return offering;
+};
+
+// Loads :id for posting to its sections, which only its coordinators may do
+const loadCoordinatedOffering = async (req, res) => {
+  const offering = await loadOffering(req, res);
+  if (!offering) return null;
+  if (!isCoordinator(req.user, offering)) {
+    res.status(403).json({
+      message: "Only the coordinators of this course offering can post to all sections",
+      code: "FORBIDDEN",
+    });
+    return null;
+  }
+  return offering;
+};
+
+// Only admins who manage course offerings appoint coordinators
+const canAppointCoordinators = (user) => hasPermission(user, PERMISSIONS.COURSE_OFFERING_MANAGE);
+
+const toSectionView = (offering) => (c) => ({
+  id: c._id,
+  name: c.name,
+  section: c.section,
+  instructor: c.instructor,
+  studentCount: (c.students || []).length,
+  archivedAt: c.archivedAt,
+  acceptsCoordinatorPosts: sectionAcceptsPosts(offering, c),
+});
+
+// Audiences of a class announcement (ClassAnnouncement.visibleTo)
+const VISIBLE_TO_ROLES = ["student", "instructor", "staff"];
+
+// visibleTo arrives as a JSON string (or a single role) from FormData.
+// Returns null when it names anything but known audiences.
+const parseVisibleTo = (visibleTo) => {
+  if (visibleTo === undefined || visibleTo === "") return ["student", "instructor"];
+  let roles = visibleTo;
+  if (typeof roles === "string") {
+    try {
+      roles = JSON.parse(roles);
+    } catch {
+      roles = [roles];
+    }
+  }
+  if (!Array.isArray(roles) || roles.length === 0 || roles.some((r) => !VISIBLE_TO_ROLES.includes(r))) {
+    return null;
+  }
+  return [...new Set(roles)];
+};
+
+router.use(authenticateToken);
+
+// ============================================
+// LIST & CREATE OFFERINGS
+// ============================================
+
+/**
+ * GET /offerings
+ * Query: { termId, courseCode }
+ * Offerings the user coordinates or teaches a section of (every offering
+ * for admins)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { termId, courseCode } = req.query;
+    const filter = {};
+
+    if (termId) {
+      if (!mongoose.Types.ObjectId.isValid(termId)) {
+        return res.status(400).json({ message: "Invalid term ID", code: "INVALID_ID" });
+      }
+      filter.term = termId;
+    }
+    if (courseCode) filter.courseCode = String(courseCode).trim().toUpperCase();
+
+    const seesAll =
+      hasPermission(req.user, PERMISSIONS.COURSE_OFFERING_MANAGE) ||
+      hasPermission(req.user, PERMISSIONS.CLASS_READ_ANY);
+    if (!seesAll) {
+      const taught = await Class.find({
+        term: { $ne: null },
+        $or: [
+          { instructor: req.user._id },
+          { staff: { $elemMatch: { user: req.user._id, status: "active" } } },
+        ],
+      })
+        .select("courseCode term")
+        .lean();
+      filter.$or = [
+        { coordinators: req.user._id },
+        ...taught.map((c) => ({ courseCode: c.courseCode, term: c.term })),
+      ];
+    }
+
+    const offerings = await CourseOffering.find(filter)
+      .populate("term", "name semester year startDate endDate")
+      .populate("coordinators", "fullName email")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      message: "Course offerings fetched successfully",
+      code: "OFFERINGS_FETCHED",
+      count: offerings.length,
+      offerings: offerings.map((o) => ({ ...o, isCoordinator: isCoordinator(req.user, o) })),
+    });
+  } catch (err) {
+    console.error("[ERROR] List course offerings failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch course offerings",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * POST /offerings
+ * Body: { courseCode, termId }
+ * Admins, or the owner or co-instructor of a section of the course in that
+ * term. It starts without coordinators; admins appoint them.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { courseCode, termId } = req.body;
+
+    if (!courseCode || !termId) {
+      return res.status(400).json({
+        message: "courseCode and termId are required",
+        code: "MISSING_FIELDS",
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(termId)) {
+      return res.status(400).json({ message: "Invalid term ID", code: "INVALID_ID" });
+    }
+
+    const code = String(courseCode).trim().toUpperCase();
+    const [course, term] = await Promise.all([
+      Course.findOne({ code }).select("code").lean(),
+      AcademicTerm.findById(termId).select("name").lean(),
+    ]);
+    if (!course) {
+      return res.status(404).json({ message: "Course not found", code: "COURSE_NOT_FOUND" });
+    }
+    if (!term) {
+      return res.status(404).json({ message: "Academic term not found", code: "TERM_NOT_FOUND" });
+    }
+
+    const sections = await getOfferingSections({ courseCode: code, term: term._id });
+    const teachesSection = sections.some((c) =>
+      SECTION_CREATOR_ROLES.includes(getClassRole(req.user, c)),
+    );
+    const isManager = hasPermission(req.user, PERMISSIONS.COURSE_OFFERING_MANAGE);
+    if (!isManager && !teachesSection) {
+      return res.status(403).json({
+        message: "Only admins and the instructors of a section of this course in this term can create its offering",
+        code: "FORBIDDEN",
+      });
+    }
+
+    const offering = await CourseOffering.create({
+      courseCode: code,
+      term: term._id,
+      coordinators: [],
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.OFFERING_CREATED,
+      target: offeringTarget({ _id: offering._id, courseCode: code, term }),
+      details: { sections: sections.length },
+    });
+
+    res.status(201).json({
+      message: "Course offering created successfully",
+      code: "OFFERING_CREATED",
+      offering,
+      sections: sections.map(toSectionView(offering)),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        message: "This course already has an offering for that term",
+        code: "OFFERING_EXISTS",
+      });
+    }
+    console.error("[ERROR] Create course offering failed:", err.message);
+    res.status(500).json({
+      message: "Failed to create course offering",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// ONE OFFERING
+// ============================================
+
+/**
+ * GET /offerings/:id
+ * The offering with its coordinators and sections
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    const sections = await getOfferingSections(offering);
+    if (!canViewOffering(req.user, offering, sections)) {
+      return res.status(403).json({ message: "Access denied", code: "FORBIDDEN" });
+    }
+
+    await Promise.all([
+      offering.populate("coordinators", "fullName email"),
+      Class.populate(sections, { path: "instructor", select: "fullName email" }),
+    ]);
+
+    res.json({
+      message: "Course offering fetched successfully",
+      code: "OFFERING_FETCHED",
+      offering,
+      isCoordinator: isCoordinator(req.user, offering),
+      canManage: canManageOffering(req.user, offering),
+      canAppointCoordinators: canAppointCoordinators(req.user),
+      sections: sections.map(toSectionView(offering)),
+    });
+  } catch (err) {
+    console.error("[ERROR] Get course offering failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch course offering",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * DELETE /offerings/:id
+ * The sections and everything posted to them stay as they are
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    if (!canManageOffering(req.user, offering)) {
+      return res.status(403).json({ message: "Access denied", code: "FORBIDDEN" });
+    }
+
+    await CourseOffering.deleteOne({ _id: offering._id });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.OFFERING_DELETED,
+      target: offeringTarget(offering),
+      details: { coordinators: offering.coordinators },
+    });
+
+    res.json({
+      message: "Course offering deleted successfully",
+      code: "OFFERING_DELETED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Delete course offering failed:", err.message);
+    res.status(500).json({
+      message: "Failed to delete course offering",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// COORDINATORS
+// ============================================
+
+/**
+ * POST /offerings/:id/coordinators
+ * Body: { email } - an instructor
+ * Admins only
+ */
+router.post("/:id/coordinators", async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    if (!canAppointCoordinators(req.user)) {
+      return res.status(403).json({ message: "Access denied", code: "FORBIDDEN" });
+    }
+
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required", code: "MISSING_FIELDS" });
+    }
+
+    const coordinator = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!coordinator || !coordinator.isActive) {
+      return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    }
+    if (!COORDINATOR_ROLES.includes(coordinator.role)) {
+      return res.status(400).json({
+        message: "Only instructors can coordinate a course offering",
+        code: "INVALID_COORDINATOR",
+      });
+    }
+
+    const result = await CourseOffering.updateOne(
+      { _id: offering._id, coordinators: { $ne: coordinator._id } },
+      { $push: { coordinators: coordinator._id } },
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        message: "This user already coordinates the offering",
+        code: "ALREADY_COORDINATOR",
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.OFFERING_COORDINATOR_ADDED,
+      target: offeringTarget(offering),
+      details: { coordinator: coordinator._id, email: coordinator.email },
+    });
+
+    res.status(201).json({
+      message: "Coordinator added",
+      code: "COORDINATOR_ADDED",
+      coordinator: { _id: coordinator._id, fullName: coordinator.fullName, email: coordinator.email },
+    });
+  } catch (err) {
+    console.error("[ERROR] Add offering coordinator failed:", err.message);
+    res.status(500).json({
+      message: "Failed to add coordinator",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * DELETE /offerings/:id/coordinators/:userId
+ * Admins, or a coordinator stepping down
+ */
+router.delete("/:id/coordinators/:userId", async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    if (!canAppointCoordinators(req.user) && req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Access denied", code: "FORBIDDEN" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: "Invalid user ID", code: "INVALID_ID" });
+    }
+
+    const result = await CourseOffering.updateOne(
+      { _id: offering._id },
+      { $pull: { coordinators: req.params.userId } },
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        message: "This user does not coordinate the offering",
+        code: "NOT_COORDINATOR",
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.OFFERING_COORDINATOR_REMOVED,
+      target: offeringTarget(offering),
+      details: { coordinator: req.params.userId },
+    });
+
+    res.json({
+      message: "Coordinator removed",
+      code: "COORDINATOR_REMOVED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Remove offering coordinator failed:", err.message);
+    res.status(500).json({
+      message: "Failed to remove coordinator",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// SECTIONS
+// ============================================
+
+// Loads :id and the :classId section owned by the user; sends the error
+// response and returns null otherwise
+const loadOwnedSection = async (req, res) => {
+  const offering = await loadOffering(req, res);
+  if (!offering) return null;
+  if (!mongoose.Types.ObjectId.isValid(req.params.classId)) {
+    res.status(400).json({ message: "Invalid class ID", code: "INVALID_ID" });
+    return null;
+  }
+  const sections = await getOfferingSections(offering);
+  const section = sections.find((c) => c._id.toString() === req.params.classId);
+  if (!section) {
+    res.status(404).json({ message: "This class is not a section of the offering", code: "CLASS_NOT_FOUND" });
+    return null;
+  }
+  if (getClassRole(req.user, section) !== "owner") {
+    res.status(403).json({
+      message: "Only the owner of the section can accept posts from the offering's coordinators",
+      code: "FORBIDDEN",
+    });
+    return null;
+  }
+  return { offering, section };
+};
+
+/**
+ * POST /offerings/:id/sections/:classId/accept
+ * The section owner lets the coordinators post to the section
+ */
+router.post("/:id/sections/:classId/accept", async (req, res) => {
+  try {
+    const loaded = await loadOwnedSection(req, res);
+    if (!loaded) return;
+    const { offering, section } = loaded;
+
+    const result = await CourseOffering.updateOne(
+      { _id: offering._id },
+      { $addToSet: { acceptedSections: section._id } },
+    );
+    if (result.modifiedCount > 0) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.OFFERING_SECTION_ACCEPTED,
+        target: offeringTarget(offering),
+        details: { class: section._id },
+      });
+    }
+
+    res.json({
+      message: "Section accepts posts from the coordinators",
+      code: "SECTION_ACCEPTED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Accept offering section failed:", err.message);
+    res.status(500).json({
+      message: "Failed to accept the offering for this section",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * DELETE /offerings/:id/sections/:classId/accept
+ * The section owner stops the coordinators posting to the section. What
+ * they already posted stays.
+ */
+router.delete("/:id/sections/:classId/accept", async (req, res) => {
+  try {
+    const loaded = await loadOwnedSection(req, res);
+    if (!loaded) return;
+    const { offering, section } = loaded;
+
+    const result = await CourseOffering.updateOne(
+      { _id: offering._id },
+      { $pull: { acceptedSections: section._id } },
+    );
+    if (result.modifiedCount > 0) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.OFFERING_SECTION_WITHDRAWN,
+        target: offeringTarget(offering),
+        details: { class: section._id },
+      });
+    }
+
+    res.json({
+      message: "Section no longer accepts posts from the coordinators",
+      code: "SECTION_WITHDRAWN",
+    });
+  } catch (err) {
+    console.error("[ERROR] Withdraw offering section failed:", err.message);
+    res.status(500).json({
+      message: "Failed to withdraw this section from the offering",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// POST TO ALL SECTIONS (COORDINATORS)
+// ============================================
+
+/**
+ * POST /offerings/:id/announcements
+ * multipart/form-data: { title, message, visibleTo, links, sectionIds, files }
+ * One class announcement per section; without sectionIds, every section
+ * that is not archived. The copies share their attachments.
+ */
+router.post(
+  "/:id/announcements",
+  authorizePermission(PERMISSIONS.ANNOUNCEMENT_CLASS),
+  async (req, res, next) => {
+    try {
+      const offering = await loadCoordinatedOffering(req, res);
+      if (!offering) return;
+      req.offering = offering;
+      next();
+    } catch (err) {
+      console.error("[ERROR] Load course offering failed:", err.message);
+      res.status(500).json({ message: "Failed to post announcement", code: "INTERNAL_SERVER_ERROR" });
+    }
+  },
+  upload.array("files", 10),
+  async (req, res) => {
+    try {
+      let { title, message, visibleTo, links, sectionIds } = req.body;
+      if (!title || !message) {
+        await removeRequestFiles(req);
+        return res.status(400).json({
+          message: "Title and message are required",
+          code: "MISSING_FIELDS",
+        });
+      }
+
+      const audience = parseVisibleTo(visibleTo);
+      if (!audience) {
+        await removeRequestFiles(req);
+        return res.status(400).json({
+          message: "visibleTo must list some of: " + VISIBLE_TO_ROLES.join(", "),
+          code: "INVALID_VISIBLE_TO",
+        });
+      }
+
+      const selection = selectSections(req.offering, await getOfferingSections(req.offering), sectionIds);
+      if (selection.error) {
+        await removeRequestFiles(req);
+        return res.status(400).json(selection.error);
+      }
+
+      if (typeof links === "string") {
+        try {
+          links = JSON.parse(links);
+        } catch {
+          links = [];
+        }
+      }
+      if (!Array.isArray(links)) links = [];
+
+      const attachments = (req.files || []).map((file) => ({
+        fileUrl: "/uploads/" + file.filename,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+      }));
+
+      const offeringPostId = new mongoose.Types.ObjectId();
+      const announcements = await ClassAnnouncement.insertMany(
+        selection.sections.map((c) => ({
+          title,
+          message,
+          links,
+          attachments,
+          createdBy: req.user._id,
+          visibleTo: audience,
+          classId: c._id,
+          offeringPostId,
+        })),
+      );
+      console.log(
+        `[INFO] ${req.user.email} posted an announcement to ${announcements.length} section(s) of ${req.offering.courseCode}`,
+      );
+
+      res.status(201).json({
+        message: `Announcement posted to ${announcements.length} section(s)`,
+        code: "OFFERING_ANNOUNCEMENT_POSTED",
+        offeringPostId,
+        announcements,
+      });
+    } catch (err) {
+      await removeRequestFiles(req);
+      console.error("[ERROR] Post offering announcement failed:", err.message);
+      res.status(500).json({
+        message: "Failed to post announcement",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+/**
+ * POST /offerings/:id/assignments
+ * Body: { title, description, dueDate, maxGrade, attachmentUrl, sectionIds }
+ * One assignment per section; without sectionIds, every section that is not
+ * archived. The due date must be a teaching day of the offering's term.
+ */
+router.post(
+  "/:id/assignments",
+  authorizePermission(PERMISSIONS.ASSIGNMENT_WRITE),
+  async (req, res) => {
+    try {
+      const offering = await loadCoordinatedOffering(req, res);
+      if (!offering) return;
+
+      const { title, description, dueDate, maxGrade, attachmentUrl, sectionIds } = req.body;
+      if (!title || !dueDate) {
+        return res.status(400).json({
+          message: "title and dueDate are required",
+          code: "MISSING_FIELDS",
+        });
+      }
+
+      const due = new Date(dueDate);
+      if (Number.isNaN(due.getTime())) {
+        return res.status(400).json({
+          message: "dueDate is not a valid date",
+          code: "INVALID_DATE",
+        });
+      }
+
+      const termProblem = checkTermDate(offering.term, due, "The due date");
+      if (termProblem) {
+        return res.status(termProblem.status).json({
+          message: termProblem.message,
+          code: termProblem.code,
+        });
+      }
+
+      const selection = selectSections(offering, await getOfferingSections(offering), sectionIds);
+      if (selection.error) {
+        return res.status(400).json(selection.error);
+      }
+
+      const offeringPostId = new mongoose.Types.ObjectId();
+      const assignments = await Assignment.insertMany(
+        selection.sections.map((c) => ({
+          title: String(title).trim(),
+          description: description ? String(description).trim() : null,
+          class: c._id,
+          instructor: req.user._id,
+          dueDate: due,
+          maxGrade: maxGrade || 100,
+          attachmentUrl: attachmentUrl || null,
+          offeringPostId,
+        })),
+      );
+      console.log(
+        `[INFO] ${req.user.email} posted an assignment to ${assignments.length} section(s) of ${offering.courseCode}`,
+      );
+
+      res.status(201).json({
+        message: `Assignment posted to ${assignments.length} section(s)`,
+        code: "OFFERING_ASSIGNMENT_POSTED",
+        offeringPostId,
+        assignments,
+      });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message, code: "VALIDATION_ERROR" });
+      }
+      console.error("[ERROR] Post offering assignment failed:", err.message);
+      res.status(500).json({
+        message: "Failed to post assignment",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * GET /offerings/:id/stats
+ * Attendance and grades per section and across all sections, and per
+ * assignment posted to all sections
+ */
+router.get("/:id/stats", async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    const sections = await getOfferingSections(offering);
+    if (!canViewOffering(req.user, offering, sections)) {
+      return res.status(403).json({ message: "Access denied", code: "FORBIDDEN" });
+    }
+
+    await Class.populate(sections, { path: "instructor", select: "fullName email" });
+    const stats = await buildOfferingStats(sections);
+
+    res.json({
+      message: "Course offering statistics fetched successfully",
+      code: "OFFERING_STATS",
+      offering: { id: offering._id, courseCode: offering.courseCode, term: offering.term },
+      ...stats,
+    });
+  } catch (err) {
+    console.error("[ERROR] Course offering statistics failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch course offering statistics",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
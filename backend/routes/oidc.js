@@ -0,0 +1,565 @@
+/**
+ * OpenID Connect Routes
+ * Login through a university's own identity provider (Microsoft Entra ID,
+ * Keycloak, ...) and super_admin management of those providers
+ *
+ * Flow: the browser opens /:key/start, logs in at the provider, comes back to
+ * /:key/callback, and is redirected to the frontend with a one-time `oidc_code`
+ * that the frontend exchanges at POST /exchange for the usual login response
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const University = require("../models/University");
+const OidcProvider = require("../models/OidcProvider");
+const OidcLoginState = require("../models/OidcLoginState");
+const {
+  authenticateToken,
+  requireLoginSession,
+} = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { rateLimit } = require("../middleware/rateLimit");
+const { PERMISSIONS } = require("../constants/permissions");
+const { generateToken, hashToken } = require("../utils/tokens");
+const {
+  getDiscoveryDocument,
+  createLoginSecrets,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  mapClaims,
+} = require("../utils/oidc");
+const {
+  resolveExternalEmail,
+  finishExternalLogin,
+} = require("../utils/externalLogin");
+const { getRequestLocale } = require("../utils/emailTemplates");
+const { recordAudit, userTarget } = require("../utils/auditLog");
+const { claimRosterInvitations } = require("../utils/rosterImport");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+const EDITABLE_FIELDS = [
+  "key",
+  "displayName",
+  "university",
+  "issuer",
+  "clientId",
+  "clientSecret",
+  "tokenEndpointAuthMethod",
+  "scopes",
+  "claimMapping",
+  "trustEmail",
+  "isActive",
+];
+
+const oidcIpLimiter = rateLimit({ name: "oidc", windowMs: 15 * 60 * 1000, max: 30 });
+
+const getCallbackUrl = (key) =>
+  `${process.env.BACKEND_URL || "http://localhost:5000"}/api/auth/oidc/${key}/callback`;
+
+// Frontend page that receives `oidc_code` (or `oidc_error`) after the provider login
+const redirectToFrontend = (res, params) => {
+  const base =
+    process.env.OIDC_LOGIN_REDIRECT_URL ||
+    "http://127.0.0.1:5501/frontend/html/signin.html";
+  res.redirect(`${base}?${new URLSearchParams(params).toString()}`);
+};
+
+const emailBelongsToDomain = (email, domain) => {
+  const emailDomain = email.split("@")[1] || "";
+  return emailDomain === domain || emailDomain.endsWith("." + domain);
+};
+
+const toPublicProviderView = (provider) => ({
+  key: provider.key,
+  displayName: provider.displayName,
+  university: provider.university
+    ? { name: provider.university.name, domain: provider.university.domain }
+    : null,
+  loginUrl: `/api/auth/oidc/${provider.key}/start`,
+});
+
+const pickEditableFields = (body) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+/**
+ * Validate a provider payload. Returns an error message or null.
+ */
+const validateProviderPayload = async (data, isUpdate) => {
+  for (const field of ["key", "displayName", "university", "issuer", "clientId"]) {
+    if ((!isUpdate || data[field] !== undefined) && !data[field]) {
+      return `${field} is required`;
+    }
+  }
+
+  if (data.issuer !== undefined) {
+    try {
+      const url = new URL(data.issuer);
+      if (!["https:", "http:"].includes(url.protocol)) throw new Error();
+    } catch (err) {
+      return "issuer must be an http(s) URL";
+    }
+  }
+
+  if (data.university !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(data.university)) {
+      return "university must be a university ID";
+    }
+    if (!(await University.exists({ _id: data.university }))) {
+      return "University not found";
+    }
+  }
+
+  if (data.scopes !== undefined && !String(data.scopes).split(" ").includes("openid")) {
+    return "scopes must include 'openid'";
+  }
+
+  if (data.trustEmail !== undefined && typeof data.trustEmail !== "boolean") {
+    return "trustEmail must be true or false";
+  }
+
+  return null;
+};
+
+/**
+ * Find or create the user for verified provider claims.
+ * Sends nothing; returns { user, isNewUser } or { error } with an error code.
+ */
+const resolveOidcUser = async (req, provider, claims) => {
+  const { subject, email, fullName } = mapClaims(provider, claims);
+
+  if (!email) return { error: "NO_EMAIL_CLAIM" };
+  // Accounts are found and linked by email, so it must be one the provider vouches for
+  const emailVerified =
+    claims.email_verified === true ||
+    (claims.email_verified === undefined && provider.trustEmail);
+  if (!emailVerified) return { error: "EMAIL_NOT_VERIFIED" };
+  if (!emailBelongsToDomain(email, provider.university.domain)) {
+    return { error: "EMAIL_DOMAIN_MISMATCH" };
+  }
+
+  let user = await User.findOne({ oidcProvider: provider.key, oidcSubject: subject });
+  if (!user) {
+    user = await User.findOne({ email });
+    if (user && user.oidcSubject && user.oidcProvider === provider.key) {
+      // The email is already linked to a different identity at this provider
+      return { error: "IDENTITY_MISMATCH" };
+    }
+  }
+
+  let emailData;
+  try {
+    emailData = await resolveExternalEmail(email, user);
+  } catch (err) {
+    return { error: "UNSUPPORTED_UNIVERSITY_EMAIL" };
+  }
+
+  if (user) {
+    if (user.isActive === false) return { error: "ACCOUNT_DEACTIVATED" };
+
+    if (user.oidcSubject !== subject || user.oidcProvider !== provider.key) {
+      const replacedIdentity = !!user.oidcSubject;
+      user.oidcProvider = provider.key;
+      user.oidcSubject = subject;
+      await user.save();
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.OIDC_LINKED,
+        actor: user,
+        target: userTarget(user),
+        details: { provider: provider.key, replacedIdentity },
+      });
+    }
+    return { user, isNewUser: false };
+  }
+
+  user = await User.create({
+    fullName: fullName || "User",
+    email,
+    password: null,
+    oidcProvider: provider.key,
+    oidcSubject: subject,
+    authProvider: "oidc",
+    role: emailData.role,
+    university: emailData.university,
+    college: emailData.faculty,
+    studentId: emailData.studentId,
+    locale: getRequestLocale(req),
+    isEmailVerified: true,
+    isProfileComplete: false,
+  });
+
+  console.log(`[INFO] New OIDC user created via ${provider.key}: ${email}`);
+  await claimRosterInvitations(user);
+  return { user, isNewUser: true };
+};
+
+// ============================================
+// LOGIN FLOW (PUBLIC)
+// ============================================
+
+/**
+ * GET /auth/oidc/providers
+ * Query: { university } - optional university domain
+ * Active providers for the login page
+ */
+router.get("/providers", async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.university) {
+      const university = await University.findOne({
+        domain: String(req.query.university).toLowerCase(),
+      }).select("_id");
+      if (!university) {
+        return res.json({
+          message: "Identity providers fetched successfully",
+          code: "OIDC_PROVIDERS_FETCHED",
+          count: 0,
+          providers: [],
+        });
+      }
+      filter.university = university._id;
+    }
+
+    const providers = await OidcProvider.find(filter)
+      .populate("university", "name domain")
+      .sort({ displayName: 1 })
+      .lean();
+
+    res.json({
+      message: "Identity providers fetched successfully",
+      code: "OIDC_PROVIDERS_FETCHED",
+      count: providers.length,
+      providers: providers.map(toPublicProviderView),
+    });
+  } catch (err) {
+    console.error("[ERROR] List OIDC providers failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch identity providers",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.get("/:key/start", oidcIpLimiter, async (req, res) => {
+  try {
+    const provider = await OidcProvider.findOne({ key: req.params.key, isActive: true });
+    if (!provider) {
+      return res.status(404).json({
+        message: "Identity provider not found",
+        code: "OIDC_PROVIDER_NOT_FOUND",
+      });
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } = createLoginSecrets();
+    await OidcLoginState.create({
+      stateHash: hashToken(state),
+      provider: provider.key,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS),
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+      state,
+      nonce,
+      codeChallenge,
+      redirectUri: getCallbackUrl(provider.key),
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (err) {
+    console.error("[ERROR] OIDC login start failed:", err.message);
+    res.status(502).json({
+      message: "Could not reach the identity provider",
+      code: "OIDC_PROVIDER_UNAVAILABLE",
+    });
+  }
+});
+
+router.get("/:key/callback", oidcIpLimiter, async (req, res) => {
+  try {
+    const { code, state, error } = req.query;
+
+    if (error) {
+      console.warn(`[WARNING] OIDC provider ${req.params.key} returned error: ${error}`);
+      return redirectToFrontend(res, { oidc_error: "PROVIDER_ERROR" });
+    }
+    if (!code || !state) {
+      return redirectToFrontend(res, { oidc_error: "INVALID_CALLBACK" });
+    }
+
+    // Each state can only be used once
+    const loginState = await OidcLoginState.findOneAndUpdate(
+      {
+        stateHash: hashToken(state),
+        provider: req.params.key,
+        callbackAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { callbackAt: new Date() },
+      { new: true },
+    );
+    if (!loginState) {
+      return redirectToFrontend(res, { oidc_error: "INVALID_STATE" });
+    }
+
+    const provider = await OidcProvider.findOne({ key: req.params.key, isActive: true })
+      .select("+clientSecret")
+      .populate("university", "name domain");
+    if (!provider || !provider.university) {
+      return redirectToFrontend(res, { oidc_error: "OIDC_PROVIDER_NOT_FOUND" });
+    }
+
+    let claims;
+    try {
+      const tokens = await exchangeAuthorizationCode(provider, {
+        code,
+        codeVerifier: loginState.codeVerifier,
+        redirectUri: getCallbackUrl(provider.key),
+      });
+      claims = await verifyIdToken(provider, tokens.id_token, loginState.nonce);
+    } catch (err) {
+      console.error(`[ERROR] OIDC token validation failed for ${provider.key}:`, err.message);
+      return redirectToFrontend(res, { oidc_error: "INVALID_ID_TOKEN" });
+    }
+
+    const result = await resolveOidcUser(req, provider, claims);
+    if (result.error) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.LOGIN,
+        outcome: "failure",
+        actor: null,
+        details: { method: "oidc", provider: provider.key, reason: result.error },
+      });
+      return redirectToFrontend(res, { oidc_error: result.error });
+    }
+
+    const loginCode = generateToken();
+    loginState.user = result.user._id;
+    loginState.isNewUser = result.isNewUser;
+    loginState.loginCodeHash = hashToken(loginCode);
+    await loginState.save();
+
+    redirectToFrontend(res, { oidc_code: loginCode });
+  } catch (err) {
+    console.error("[ERROR] OIDC callback failed:", err.message);
+    redirectToFrontend(res, { oidc_error: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+/**
+ * POST /auth/oidc/exchange
+ * Body: { code } - the one-time `oidc_code` from the callback redirect
+ * Responds like /api/auth/google-login (session, 2FA challenge or PROFILE_INCOMPLETE)
+ */
+router.post("/exchange", oidcIpLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Login code is required", code: "MISSING_TOKEN" });
+    }
+
+    const loginState = await OidcLoginState.findOneAndUpdate(
+      {
+        loginCodeHash: hashToken(code),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+    );
+    if (!loginState || !loginState.user) {
+      return res.status(400).json({
+        message: "Login code is invalid or has expired",
+        code: "INVALID_LOGIN_CODE",
+      });
+    }
+
+    const user = await User.findById(loginState.user);
+    if (!user || user.isActive === false) {
+      return res.status(403).json({ message: "Account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
+    }
+
+    const result = await finishExternalLogin(user, req, {
+      isNewUser: loginState.isNewUser,
+      method: "oidc",
+      message: "Login successful",
+      code: "OIDC_LOGIN_SUCCESS",
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("[ERROR] OIDC login exchange failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+// ============================================
+// ADMIN: PROVIDER CONFIGURATION
+// ============================================
+
+const requireProviderAdmin = [
+  authenticateToken,
+  requireLoginSession,
+  authorizePermission(PERMISSIONS.UNIVERSITY_MANAGE),
+];
+
+router.get("/providers/all", requireProviderAdmin, async (req, res) => {
+  try {
+    const providers = await OidcProvider.find({})
+      .populate("university", "name domain")
+      .sort({ displayName: 1 })
+      .lean();
+
+    res.json({
+      message: "Identity providers fetched successfully",
+      code: "OIDC_PROVIDERS_FETCHED",
+      count: providers.length,
+      providers,
+    });
+  } catch (err) {
+    console.error("[ERROR] List all OIDC providers failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch identity providers",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * POST /auth/oidc/providers
+ * Body: { key, displayName, university, issuer, clientId, clientSecret,
+ *         tokenEndpointAuthMethod, scopes, claimMapping: { email, fullName }, trustEmail, isActive }
+ * The issuer's discovery document must be reachable
+ */
+router.post("/providers", requireProviderAdmin, async (req, res) => {
+  try {
+    const data = pickEditableFields(req.body);
+    const validationError = await validateProviderPayload(data, false);
+    if (validationError) {
+      return res.status(400).json({ message: validationError, code: "VALIDATION_ERROR" });
+    }
+
+    try {
+      await getDiscoveryDocument(data.issuer);
+    } catch (err) {
+      return res.status(400).json({
+        message: `Could not load the issuer's discovery document: ${err.message}`,
+        code: "OIDC_DISCOVERY_FAILED",
+      });
+    }
+
+    const provider = await OidcProvider.create(data);
+    const saved = provider.toObject();
+    delete saved.clientSecret;
+
+    res.status(201).json({
+      message: "Identity provider created successfully",
+      code: "OIDC_PROVIDER_CREATED",
+      provider: saved,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        message: "An identity provider with this key already exists",
+        code: "DUPLICATE_ENTRY",
+      });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message, code: "VALIDATION_ERROR" });
+    }
+    console.error("[ERROR] Create OIDC provider failed:", err.message);
+    res.status(500).json({
+      message: "Failed to create identity provider",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.patch("/providers/:id", requireProviderAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid provider ID", code: "INVALID_ID" });
+    }
+
+    const data = pickEditableFields(req.body);
+    // Changing the key would orphan the identities already linked to it
+    if (data.key !== undefined) {
+      return res.status(400).json({ message: "The provider key cannot be changed", code: "VALIDATION_ERROR" });
+    }
+
+    const validationError = await validateProviderPayload(data, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError, code: "VALIDATION_ERROR" });
+    }
+
+    const provider = await OidcProvider.findByIdAndUpdate(id, data, {
+      new: true,
+      runValidators: true,
+    });
+    if (!provider) {
+      return res.status(404).json({
+        message: "Identity provider not found",
+        code: "OIDC_PROVIDER_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Identity provider updated successfully",
+      code: "OIDC_PROVIDER_UPDATED",
+      provider,
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message, code: "VALIDATION_ERROR" });
+    }
+    console.error("[ERROR] Update OIDC provider failed:", err.message);
+    res.status(500).json({
+      message: "Failed to update identity provider",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.delete("/providers/:id", requireProviderAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid provider ID", code: "INVALID_ID" });
+    }
+
+    const provider = await OidcProvider.findByIdAndDelete(id);
+    if (!provider) {
+      return res.status(404).json({
+        message: "Identity provider not found",
+        code: "OIDC_PROVIDER_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Identity provider deleted successfully",
+      code: "OIDC_PROVIDER_DELETED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Delete OIDC provider failed:", err.message);
+    res.status(500).json({
+      message: "Failed to delete identity provider",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+/**
+ * Academic Term Routes
+ * Signed-in users read the academic calendar of their university; admins
+ * manage the terms of every university
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const AcademicTerm = require("../models/AcademicTerm");
+const University = require("../models/University");
+const Class = require("../models/Class");
+const CourseOffering = require("../models/CourseOffering");
+const { authenticateToken } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+const { parseTermPayload, hasTermEnded, isTermRunning } = require("../utils/academicCalendar");
+
+const router = express.Router();
+
+// ============================================
+// HELPER
+// ============================================
+
+const loadTermId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid term ID", code: "INVALID_ID" });
+    return null;
+  }
+  return req.params.id;
+};
+
+router.use(authenticateToken);
+
+// ============================================
+// LIST TERMS
+// ============================================
+
+/**
+ * GET /terms
+ * Query: { university, semester, year, current }
+ * Defaults to the caller's university; current=true returns only the terms
+ * running today. Newest first.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { university, semester, year, current } = req.query;
+    const filter = {};
+
+    if (university) {
+      if (!mongoose.Types.ObjectId.isValid(university)) {
+        return res.status(400).json({ message: "Invalid university ID", code: "INVALID_ID" });
+      }
+      filter.university = university;
+    } else if (req.user.university) {
+      const own = await University.findOne({ name: req.user.university }).select("_id").lean();
+      if (own) filter.university = own._id;
+    }
+    if (semester) filter.semester = String(semester);
+    if (year) filter.year = parseInt(year, 10) || 0;
+
+    let terms = await AcademicTerm.find(filter)
+      .populate("university", "name domain")
+      .sort({ startDate: -1 })
+      .lean();
+
+    if (current === "true") {
+      terms = terms.filter((t) => isTermRunning(t));
+    }
+
+    res.json({
+      message: "Academic terms fetched successfully",
+      code: "TERMS_FETCHED",
+      count: terms.length,
+      terms,
+    });
+  } catch (err) {
+    console.error("[ERROR] List academic terms failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch academic terms",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const id = loadTermId(req, res);
+    if (!id) return;
+
+    const term = await AcademicTerm.findById(id).populate("university", "name domain").lean();
+    if (!term) {
+      return res.status(404).json({
+        message: "Academic term not found",
+        code: "TERM_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Academic term fetched successfully",
+      code: "TERM_FETCHED",
+      term,
+    });
+  } catch (err) {
+    console.error("[ERROR] Get academic term failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch academic term",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// ADMIN: MANAGE TERMS
+// ============================================
+
+/**
+ * POST /terms
+ * Body: { university, name, semester, year, startDate, endDate,
+ *         addDropDeadline, holidays: [{ name, startDate, endDate }],
+ *         examPeriod: { startDate, endDate } }
+ * Dates are days as YYYY-MM-DD; end dates are inclusive
+ */
+router.post("/", authorizePermission(PERMISSIONS.TERM_MANAGE), async (req, res) => {
+  try {
+    const { data, error } = await parseTermPayload(req.body);
+    if (error) {
+      return res.status(400).json({ message: error, code: "VALIDATION_ERROR" });
+    }
+
+    const term = await AcademicTerm.create(data);
+    console.log(`[INFO] Academic term ${term.name} created by ${req.user.email}`);
+
+    res.status(201).json({
+      message: "Academic term created successfully",
+      code: "TERM_CREATED",
+      term,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        message: "This university already has a term for that semester and year",
+        code: "DUPLICATE_ENTRY",
+      });
+    }
+    console.error("[ERROR] Create academic term failed:", err.message);
+    res.status(500).json({
+      message: "Failed to create academic term",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+/**
+ * PATCH /terms/:id
+ * Semester and year changes are copied to the linked classes. Moving the end
+ * of an ended term into the future lets its classes be archived again when
+ * it ends.
+ */
+router.patch("/:id", authorizePermission(PERMISSIONS.TERM_MANAGE), async (req, res) => {
+  try {
+    const id = loadTermId(req, res);
+    if (!id) return;
+
+    const term = await AcademicTerm.findById(id);
+    if (!term) {
+      return res.status(404).json({
+        message: "Academic term not found",
+        code: "TERM_NOT_FOUND",
+      });
+    }
+
+    const { data, error } = await parseTermPayload(req.body, term);
+    if (error) {
+      return res.status(400).json({ message: error, code: "VALIDATION_ERROR" });
+    }
+
+    Object.assign(term, data);
+    if (data.endDate && term.classesArchivedAt && !hasTermEnded(term)) {
+      term.classesArchivedAt = null;
+    }
+    await term.save();
+
+    if (data.semester !== undefined || data.year !== undefined) {
+      await Class.updateMany(
+        { term: term._id },
+        { $set: { semester: term.semester, year: term.year } },
+      );
+    }
+
+    res.json({
+      message: "Academic term updated successfully",
+      code: "TERM_UPDATED",
+      term,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        message: "This university already has a term for that semester and year",
+        code: "DUPLICATE_ENTRY",
+      });
+    }
+    console.error("[ERROR] Update academic term failed:", err.message);
+    res.status(500).json({
+      message: "Failed to update academic term",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.delete("/:id", authorizePermission(PERMISSIONS.TERM_MANAGE), async (req, res) => {
+  try {
+    const id = loadTermId(req, res);
+    if (!id) return;
+
+    // Classes in the trash still point at the term and may be restored
+    const classCount = await Class.countDocuments({ term: id }).setOptions({ withDeleted: true });
+    if (classCount > 0) {
+      return res.status(409).json({
+        message: `The term is used by ${classCount} class(es)`,
+        code: "TERM_IN_USE",
+      });
+    }
+
+    const offeringCount = await CourseOffering.countDocuments({ term: id });
+    if (offeringCount > 0) {
+      return res.status(409).json({
+        message: `The term is used by ${offeringCount} course offering(s)`,
+        code: "TERM_IN_USE",
+      });
+    }
+
+    const term = await AcademicTerm.findByIdAndDelete(id);
+    if (!term) {
+      return res.status(404).json({
+        message: "Academic term not found",
+        code: "TERM_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Academic term deleted successfully",
+      code: "TERM_DELETED",
+    });
+  } catch (err) {
+    console.error("[ERROR] Delete academic term failed:", err.message);
+    res.status(500).json({
+      message: "Failed to delete academic term",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,433 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP enrolment, second login step, recovery codes and admin reset
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const SiteSettings = require("../models/SiteSettings");
+const { authenticateToken, requireLoginSession } = require("../middleware/auth");
+const { hasPermission, authorizePermission } = require("../middleware/role");
+const { rateLimit } = require("../middleware/rateLimit");
+const { PERMISSIONS } = require("../constants/permissions");
+const {
+  generateSecret,
+  verifyCode,
+  buildProvisioningUri,
+} = require("../utils/totp");
+const {
+  TWO_FACTOR_ROLES,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  verifyTwoFactorToken,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { createSession, revokeAllSessions } = require("../utils/sessions");
+const { recordAudit, userTarget } = require("../utils/auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+
+const router = express.Router();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const buildUserResponse = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role,
+  university: user.university,
+  college: user.college,
+  studentId: user.studentId,
+});
+
+/**
+ * Accepts either a normal access token or the setup token returned by login
+ * when the role requires 2FA but the user has not enrolled yet.
+ */
+const authenticateSetup = async (req, res, next) => {
+  const authHeader = req.headers["authorization"] || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : null;
+  const payload = token ? verifyTwoFactorToken(token, "2fa_setup") : null;
+
+  if (!payload) {
+    return authenticateToken(req, res, () => requireLoginSession(req, res, next));
+  }
+
+  try {
+    const user = await User.findById(payload.id).select("-password");
+    if (!user) {
+      return res.status(401).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    }
+    req.user = user;
+    req.isTwoFactorSetupLogin = true;
+    next();
+  } catch (err) {
+    console.error("[ERROR] authenticateSetup:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+};
+
+// Codes are only 6 digits, so limit guesses per client IP and per challenged account
+const verifyIpLimiter = rateLimit({ name: "2fa-verify", windowMs: 15 * 60 * 1000, max: 20 });
+const verifyAccountLimiter = rateLimit({
+  name: "2fa-verify",
+  scope: "account",
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  keyBy: (req) => {
+    const payload = verifyTwoFactorToken(req.body && req.body.challengeToken, "2fa_challenge");
+    return payload && payload.id;
+  },
+});
+
+// Two-factor settings can only be changed from a login session, never with a personal access token
+const requireLogin = [authenticateToken, requireLoginSession];
+
+const requireTwoFactorRole = (req, res, next) => {
+  if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+    return res.status(403).json({
+      message: "Two-factor authentication is available for instructors and admins only",
+      code: "FORBIDDEN",
+    });
+  }
+  next();
+};
+
+// ============================================
+// STATUS & ENROLMENT
+// ============================================
+
+router.get("/status", requireLogin, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorRecoveryCodes");
+
+    res.json({
+      message: "Two-factor status fetched successfully",
+      code: "TWO_FACTOR_STATUS",
+      enabled: user.twoFactorEnabled,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA status failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/setup", authenticateSetup, requireTwoFactorRole, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      code: "TWO_FACTOR_SETUP_STARTED",
+      secret,
+      provisioningUri: buildProvisioningUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "UAPMP",
+      }),
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA setup failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/enable", authenticateSetup, requireTwoFactorRole, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required", code: "MISSING_FIELDS" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        message: "Start two-factor setup first",
+        code: "TWO_FACTOR_SETUP_NOT_STARTED",
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code", code: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    const response = {
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      code: "TWO_FACTOR_ENABLED",
+      recoveryCodes: codes,
+    };
+
+    // Enrolment forced at login finishes the login
+    if (req.isTwoFactorSetupLogin) {
+      const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+      Object.assign(response, {
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        user: buildUserResponse(user),
+      });
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("[ERROR] 2FA enable failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/disable", requireLogin, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: "Verification code is required", code: "MISSING_FIELDS" });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled", code: "TWO_FACTOR_NOT_ENABLED" });
+    }
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your role and cannot be disabled",
+        code: "TWO_FACTOR_ENFORCED",
+      });
+    }
+
+    const valid = await verifySecondFactor(req.user._id, { code, recoveryCode });
+    if (!valid) {
+      return res.status(400).json({ message: "Invalid verification code", code: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null,
+      },
+    );
+
+    res.json({ message: "Two-factor authentication disabled", code: "TWO_FACTOR_DISABLED" });
+  } catch (err) {
+    console.error("[ERROR] 2FA disable failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/recovery-codes", requireLogin, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required", code: "MISSING_FIELDS" });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled", code: "TWO_FACTOR_NOT_ENABLED" });
+    }
+
+    const valid = await verifySecondFactor(req.user._id, { code });
+    if (!valid) {
+      return res.status(400).json({ message: "Invalid verification code", code: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { twoFactorRecoveryCodes: hashes });
+
+    res.json({
+      message: "New recovery codes generated. Previous codes no longer work.",
+      code: "RECOVERY_CODES_REGENERATED",
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA recovery code regeneration failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+// ============================================
+// SECOND LOGIN STEP
+// ============================================
+
+router.post("/verify-login", verifyIpLimiter, verifyAccountLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: "Challenge token and verification code are required",
+        code: "MISSING_FIELDS",
+      });
+    }
+
+    const payload = verifyTwoFactorToken(challengeToken, "2fa_challenge");
+    if (!payload) {
+      return res.status(401).json({
+        message: "Login challenge is invalid or has expired. Please log in again.",
+        code: "INVALID_CHALLENGE_TOKEN",
+      });
+    }
+
+    const user = await User.findById(payload.id);
+    const secondFactor = recoveryCode ? "recovery_code" : "totp";
+    const valid = user && (await verifySecondFactor(user._id, { code, recoveryCode }));
+    if (!valid) {
+      if (user) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.LOGIN,
+          outcome: "failure",
+          actor: user,
+          target: userTarget(user),
+          details: { method: "two_factor", secondFactor, reason: "INVALID_TWO_FACTOR_CODE" },
+        });
+      }
+      return res.status(401).json({ message: "Invalid verification code", code: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOGIN,
+      actor: user,
+      target: userTarget(user),
+      details: { method: "two_factor", secondFactor },
+    });
+
+    res.status(200).json({
+      message: "Login successful",
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: buildUserResponse(user),
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA login verification failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+// ============================================
+// ADMIN: POLICY & RESET
+// ============================================
+
+const canManageUsers = authorizePermission(PERMISSIONS.USER_MANAGE);
+const canManageSettings = authorizePermission(PERMISSIONS.SETTINGS_MANAGE);
+
+router.get("/policy", requireLogin, canManageUsers, async (req, res) => {
+  try {
+    res.json({
+      message: "Two-factor policy fetched successfully",
+      code: "TWO_FACTOR_POLICY",
+      requiredRoles: await getRequiredRoles(),
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA policy fetch failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.put("/policy", requireLogin, canManageSettings, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles) || requiredRoles.some((r) => !TWO_FACTOR_ROLES.includes(r))) {
+      return res.status(400).json({
+        message: "requiredRoles must be an array of: " + TWO_FACTOR_ROLES.join(", "),
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const settings = await SiteSettings.findOneAndUpdate(
+      { key: "main" },
+      { twoFactorRequiredRoles: [...new Set(requiredRoles)] },
+      { new: true, upsert: true },
+    );
+
+    res.json({
+      message: "Two-factor policy updated",
+      code: "TWO_FACTOR_POLICY_UPDATED",
+      requiredRoles: settings.twoFactorRequiredRoles,
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA policy update failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+router.post("/users/:id/reset", requireLogin, canManageUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID", code: "INVALID_ID" });
+    }
+
+    const target = await User.findById(id);
+    if (!target) {
+      return res.status(404).json({ message: "User not found", code: "USER_NOT_FOUND" });
+    }
+
+    if (["admin", "super_admin"].includes(target.role) && !hasPermission(req.user, PERMISSIONS.USER_MANAGE_ADMINS)) {
+      return res.status(403).json({
+        message: "Only a super_admin can reset an admin's two-factor authentication",
+        code: "FORBIDDEN",
+      });
+    }
+
+    await User.updateOne(
+      { _id: target._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null,
+      },
+    );
+    await revokeAllSessions(target._id, "2fa_reset");
+
+    console.log(`[INFO] 2FA reset for user ${target.email} by ${req.user.email}`);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_TWO_FACTOR_RESET,
+      target: userTarget(target),
+    });
+
+    res.json({
+      message: "Two-factor authentication reset. The user must enrol again at next login if required.",
+      code: "TWO_FACTOR_RESET",
+    });
+  } catch (err) {
+    console.error("[ERROR] 2FA reset failed:", err.message);
+    res.status(500).json({ message: "Internal server error", code: "INTERNAL_SERVER_ERROR" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+/**
+ * University Routes
+ * Anyone can list supported universities; super_admins manage the registry
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const University = require("../models/University");
+const { authenticateToken } = require("../middleware/auth");
+const { authorizePermission } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+
+const router = express.Router();
+
+// ============================================
+// HELPER
+// ============================================
+
+const DOMAIN_REGEX = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const LABEL_REGEX = /^[a-z0-9-]+$/;
+
+const EDITABLE_FIELDS = [
+  "domain",
+  "name",
+  "subdomains",
+  "facultySubdomainRequired",
+  "studentAddressPrefix",
+  "staffAddressPrefix",
+  "studentIdPatterns",
+  "isActive",
+];
+
+/**
+ * Validate a university payload. Returns an error message or null.
+ */
+const validateUniversityPayload = (data, isUpdate) => {
+  if (!isUpdate || data.domain !== undefined) {
+    if (!data.domain || !DOMAIN_REGEX.test(String(data.domain).toLowerCase())) {
+      return "A valid email domain is required (e.g. cu.edu.eg)";
+    }
+  }
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || String(data.name).trim().length === 0) {
+      return "University name is required";
+    }
+  }
+
+  if (data.subdomains !== undefined) {
+    if (typeof data.subdomains !== "object" || Array.isArray(data.subdomains) || data.subdomains === null) {
+      return "subdomains must be an object mapping subdomain to faculty name";
+    }
+    for (const [key, value] of Object.entries(data.subdomains)) {
+      if (!LABEL_REGEX.test(key) || typeof value !== "string" || !value.trim()) {
+        return `Invalid faculty subdomain entry '${key}'`;
+      }
+    }
+  }
+
+  for (const field of ["studentAddressPrefix", "staffAddressPrefix"]) {
+    if (data[field] && !LABEL_REGEX.test(String(data[field]).toLowerCase())) {
+      return `${field} must be a single host label`;
+    }
+  }
+
+  if (data.studentIdPatterns !== undefined) {
+    if (!Array.isArray(data.studentIdPatterns)) {
+      return "studentIdPatterns must be an array of regular expressions";
+    }
+    for (const source of data.studentIdPatterns) {
+      try {
+        new RegExp(source);
+      } catch (err) {
+        return `Invalid student ID pattern '${source}'`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const pickEditableFields = (body) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+// ============================================
+// LIST UNIVERSITIES (PUBLIC)
+// ============================================
+
+router.get("/", async (req, res) => {
+  try {
+    const universities = await University.find({ isActive: true })
+      .select("domain name subdomains")
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      message: "Universities fetched successfully",
+      code: "UNIVERSITIES_FETCHED",
+      count: universities.length,
+      universities,
+    });
+  } catch (err) {
+    console.error("[ERROR] List universities failed:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch universities",
+      code: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// ============================================
+// ADMIN: FULL REGISTRY
+// ============================================
+
+router.get(
+  "/all",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.UNIVERSITY_MANAGE),
+  async (req, res) => {
+    try {
+      const universities = await University.find({})
+        .sort({ name: 1 })
+        .lean();
+
+      res.json({
+        message: "Universities fetched successfully",
+        code: "UNIVERSITIES_FETCHED",
+        count: universities.length,
+        universities,
+      });
+    } catch (err) {
+      console.error("[ERROR] List all universities failed:", err.message);
+      res.status(500).json({
+        message: "Failed to fetch universities",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.post(
+  "/",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.UNIVERSITY_MANAGE),
+  async (req, res) => {
+    try {
+      const data = pickEditableFields(req.body);
+      const validationError = validateUniversityPayload(data, false);
+      if (validationError) {
+        return res.status(400).json({
+          message: validationError,
+          code: "VALIDATION_ERROR",
+        });
+      }
+
+      const university = await University.create(data);
+
+      res.status(201).json({
+        message: "University created successfully",
+        code: "UNIVERSITY_CREATED",
+        university,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          message: "A university with this domain already exists",
+          code: "DUPLICATE_ENTRY",
+        });
+      }
+      console.error("[ERROR] Create university failed:", err.message);
+      res.status(500).json({
+        message: "Failed to create university",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.patch(
+  "/:id",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.UNIVERSITY_MANAGE),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          message: "Invalid university ID",
+          code: "INVALID_ID",
+        });
+      }
+
+      const data = pickEditableFields(req.body);
+      const validationError = validateUniversityPayload(data, true);
+      if (validationError) {
+        return res.status(400).json({
+          message: validationError,
+          code: "VALIDATION_ERROR",
+        });
+      }
+
+      const university = await University.findByIdAndUpdate(id, data, {
+        new: true,
+        runValidators: true,
+      });
+
+      if (!university) {
+        return res.status(404).json({
+          message: "University not found",
+          code: "UNIVERSITY_NOT_FOUND",
+        });
+      }
+
+      res.json({
+        message: "University updated successfully",
+        code: "UNIVERSITY_UPDATED",
+        university,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          message: "A university with this domain already exists",
+          code: "DUPLICATE_ENTRY",
+        });
+      }
+      console.error("[ERROR] Update university failed:", err.message);
+      res.status(500).json({
+        message: "Failed to update university",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorizePermission(PERMISSIONS.UNIVERSITY_MANAGE),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          message: "Invalid university ID",
+          code: "INVALID_ID",
+        });
+      }
+
+      const university = await University.findByIdAndDelete(id);
+      if (!university) {
+        return res.status(404).json({
+          message: "University not found",
+          code: "UNIVERSITY_NOT_FOUND",
+        });
+      }
+
+      res.json({
+        message: "University deleted successfully",
+        code: "UNIVERSITY_DELETED",
+      });
+    } catch (err) {
+      console.error("[ERROR] Delete university failed:", err.message);
+      res.status(500).json({
+        message: "Failed to delete university",
+        code: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  },
+);
+
+module.exports = router;
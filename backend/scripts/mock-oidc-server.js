@@ -0,0 +1,141 @@
+/**
+ * Mock OpenID Connect Provider (development only)
+ * A tiny identity provider for testing /api/auth/oidc without Microsoft or Keycloak.
+ *
+ * Usage:  npm run mock-oidc
+ * Then register it as a provider (super_admin):
+ *   POST /api/auth/oidc/providers
+ *   { "key": "mock", "displayName": "Mock IdP", "university": "<universityId>",
+ *     "issuer": "http://localhost:4000", "clientId": "uapmp-dev", "clientSecret": "dev-secret" }
+ * and open http://localhost:5000/api/auth/oidc/mock/start in a browser.
+ *
+ * Environment: MOCK_OIDC_PORT (4000), MOCK_OIDC_CLIENT_ID (uapmp-dev),
+ *              MOCK_OIDC_CLIENT_SECRET (dev-secret)
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "uapmp-dev";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "dev-secret";
+const KEY_ID = "mock-key-1";
+
+// A fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// code -> { claims, redirectUri, codeChallenge, nonce, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) =>
+  String(value || "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_post", "client_secret_basic"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" }] });
+});
+
+// Login page: pick the identity to sign in as
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge } = req.query;
+  if (client_id !== CLIENT_ID || !redirect_uri || !code_challenge) {
+    return res.status(400).send("Invalid authorization request");
+  }
+
+  const hidden = ["redirect_uri", "state", "nonce", "code_challenge"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join("");
+
+  res.send(`<!doctype html><title>Mock IdP</title>
+<h1>Mock OIDC login</h1>
+<form method="post" action="/authorize">${hidden}
+  <p><label>Email <input name="email" value="user@cu.edu.eg" size="40"></label></p>
+  <p><label>Name <input name="name" value="Test User" size="40"></label></p>
+  <p><label>Subject <input name="sub" placeholder="defaults to the email"></label></p>
+  <p><label><input type="checkbox" name="email_verified" checked> email_verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, email, name, sub } = req.body;
+  const code = crypto.randomBytes(16).toString("hex");
+
+  codes.set(code, {
+    claims: {
+      sub: sub || email,
+      email,
+      name,
+      email_verified: req.body.email_verified === "on",
+    },
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set("code", code);
+  if (state) url.searchParams.set("state", state);
+  res.redirect(url.toString());
+});
+
+app.post("/token", (req, res) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+  const basic = (req.headers.authorization || "").match(/^Basic (.+)$/);
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+  }
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(req.body.code_verifier || ""))
+    .digest("base64url");
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+  }
+
+  const idToken = jwt.sign({ ...entry.claims, nonce: entry.nonce }, privateKey, {
+    algorithm: "RS256",
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: "5m",
+  });
+
+  res.json({ access_token: crypto.randomBytes(16).toString("hex"), token_type: "Bearer", expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id=${CLIENT_ID})`);
+});
@@ -10,14 +10,42 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
+const accessTokenRoutes = require("./routes/accessTokens");
+const accountRoutes = require("./routes/account");
+const oidcRoutes = require("./routes/oidc");
 const announcementRoutes = require("./routes/announcement");
 const classAnnouncementRoutes = require("./routes/classannouncement");
 const classesRoutes = require("./routes/classes");
 const attendanceRoutes = require("./routes/attendance");
+const universityRoutes = require("./routes/universities");
+const courseRoutes = require("./routes/courses");
+const termRoutes = require("./routes/terms");
+const offeringRoutes = require("./routes/offerings");
+const calendarRoutes = require("./routes/calendar");
+const adminRoutes = require("./routes/admin");
+const auditLogRoutes = require("./routes/auditLogs");
+const jobRoutes = require("./routes/jobs");
+const emailTemplateRoutes = require("./routes/emailTemplates");
+const emailOutboxRoutes = require("./routes/emailOutbox");
+const { seedDefaultUniversities } = require("./utils/universityRegistry");
+const { seedDefaultCourses } = require("./utils/courseCatalog");
+const { startScheduler } = require("./utils/jobScheduler");
+const { registerMaintenanceJobs } = require("./utils/maintenanceJobs");
 
 // Express server setup for UAPMP Backend (Announcements Only)
 const app = express();
 
+// Behind a load balancer/reverse proxy, trust it so req.ip is the client IP (used by rate limiting)
+// TRUST_PROXY may be "true", a hop count (e.g. "1") or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
+  );
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -67,6 +95,14 @@ app.use(express.json());
 // ============================================
 // Mount authentication routes at /api/auth endpoint
 app.use("/api/auth", authRoutes);
+// Mount two-factor authentication routes at /api/auth/2fa endpoint
+app.use("/api/auth/2fa", twoFactorRoutes);
+// Mount personal access token routes at /api/auth/tokens endpoint
+app.use("/api/auth/tokens", accessTokenRoutes);
+// Mount the signed-in user's account routes at /api/auth/me endpoint
+app.use("/api/auth/me", accountRoutes);
+// Mount OpenID Connect login routes at /api/auth/oidc endpoint
+app.use("/api/auth/oidc", oidcRoutes);
 // Mount announcement routes at /api/announcements endpoint (admin/global)
 app.use("/api/announcements", announcementRoutes);
 // Mount class announcement routes at /api/classannouncements endpoint (class-specific)
@@ -75,16 +111,45 @@ app.use("/api/classannouncements", classAnnouncementRoutes);
 app.use("/api/classes", classesRoutes);
 // Mount attendance routes at /api/attendance endpoint
 app.use("/api/attendance", attendanceRoutes);
+// Mount university registry routes at /api/universities endpoint
+app.use("/api/universities", universityRoutes);
+// Mount course catalog routes at /api/courses endpoint
+app.use("/api/courses", courseRoutes);
+// Mount academic term routes at /api/terms endpoint
+app.use("/api/terms", termRoutes);
+// Mount course offering routes at /api/offerings endpoint
+app.use("/api/offerings", offeringRoutes);
+// Mount calendar feed routes at /api/calendar endpoint
+app.use("/api/calendar", calendarRoutes);
+// Mount audit log routes at /api/admin/audit-logs endpoint (before /api/admin)
+app.use("/api/admin/audit-logs", auditLogRoutes);
+// Mount maintenance job routes at /api/admin/jobs endpoint (before /api/admin)
+app.use("/api/admin/jobs", jobRoutes);
+// Mount email template preview routes at /api/admin/email-templates endpoint (before /api/admin)
+app.use("/api/admin/email-templates", emailTemplateRoutes);
+// Mount email outbox routes at /api/admin/email-outbox endpoint (before /api/admin)
+app.use("/api/admin/email-outbox", emailOutboxRoutes);
+// Mount admin user management routes at /api/admin endpoint
+app.use("/api/admin", adminRoutes);
 
 // ============================================
 // DATABASE CONNECTION & SERVER INITIALIZATION
 // ============================================
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => {
+  .then(async () => {
     // Database connection successful
     console.log("[INFO] Database connection established successfully");
 
+    // Seed the university registry with the default universities on first start
+    await seedDefaultUniversities();
+    // Seed the course catalog with the original course codes on first start
+    await seedDefaultCourses();
+
+    // Periodic maintenance (expired unverified accounts, ...); one instance runs each job
+    registerMaintenanceJobs();
+    startScheduler();
+
     // Start the Express server only after database connection is established
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -0,0 +1,40 @@
+/**
+ * Email template: unlock link after repeated failed logins
+ */
+
+module.exports = {
+  description: "Unlock link sent when an account is locked after failed logins",
+  variables: ["userName", "unlockUrl"],
+  sample: {
+    userName: "Ahmed Mostafa",
+    unlockUrl: "http://localhost:5000/api/auth/unlock/sample-token",
+  },
+  locales: {
+    en: ({ userName, unlockUrl }, { siteName }) => ({
+      subject: `Your Account Has Been Locked - ${siteName}`,
+      heading: `Hello ${userName},`,
+      paragraphs: [
+        `Your ${siteName} account was temporarily locked after several failed login attempts.`,
+        "If this was you, you can unlock your account now:",
+      ],
+      action: { label: "Unlock Account", url: unlockUrl },
+      notes: [],
+      closing: [
+        "If this was not you, consider resetting your password. The lock will also expire on its own.",
+      ],
+    }),
+    ar: ({ userName, unlockUrl }, { siteName }) => ({
+      subject: `تم قفل حسابك - ${siteName}`,
+      heading: `مرحبًا ${userName}،`,
+      paragraphs: [
+        `تم قفل حسابك على ${siteName} مؤقتًا بعد عدة محاولات فاشلة لتسجيل الدخول.`,
+        "إذا كنت أنت من حاول تسجيل الدخول، يمكنك إلغاء قفل حسابك الآن:",
+      ],
+      action: { label: "إلغاء قفل الحساب", url: unlockUrl },
+      notes: [],
+      closing: [
+        "إذا لم تكن أنت، ننصحك بإعادة تعيين كلمة المرور. كما سيُرفع القفل تلقائيًا بعد انتهاء مدته.",
+      ],
+    }),
+  },
+};
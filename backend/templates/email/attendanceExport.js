@@ -0,0 +1,38 @@
+/**
+ * Email template: attendance sheet sent to the instructor when a session ends
+ */
+
+module.exports = {
+  description: "Attendance Excel sheet sent to the instructor when a session ends",
+  variables: ["userName", "className", "sessionDate", "attendeeCount"],
+  sample: {
+    userName: "Dr. Ahmed Mostafa",
+    className: "CS101 - Introduction to Programming",
+    sessionDate: new Date("2026-03-01T10:00:00Z"),
+    attendeeCount: 42,
+  },
+  locales: {
+    en: ({ userName, className, sessionDate, attendeeCount }, { formatDate }) => ({
+      subject: `Attendance Export - ${className}`,
+      heading: `Hello ${userName},`,
+      paragraphs: [
+        `Attached is the attendance Excel sheet for your ${className} session on ${formatDate(sessionDate)}.`,
+        `${attendeeCount} student(s) checked in.`,
+      ],
+      action: null,
+      notes: [],
+      closing: [],
+    }),
+    ar: ({ userName, className, sessionDate, attendeeCount }, { formatDate }) => ({
+      subject: `كشف الحضور - ${className}`,
+      heading: `مرحبًا ${userName}،`,
+      paragraphs: [
+        `مرفق كشف الحضور (ملف Excel) لجلسة ${className} بتاريخ ${formatDate(sessionDate)}.`,
+        `عدد الطلاب الذين سجّلوا حضورهم: ${attendeeCount}.`,
+      ],
+      action: null,
+      notes: [],
+      closing: [],
+    }),
+  },
+};
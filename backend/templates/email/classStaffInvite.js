@@ -0,0 +1,43 @@
+/**
+ * Email template: invitation to join a class as co-instructor or TA
+ */
+
+const ROLE_LABELS = {
+  en: { co_instructor: "co-instructor", ta: "teaching assistant" },
+  ar: { co_instructor: "مدرّس مشارك", ta: "معيد (مساعد تدريس)" },
+};
+
+module.exports = {
+  description: "Invitation to join the staff of a class",
+  variables: ["userName", "inviterName", "className", "role"],
+  sample: {
+    userName: "Mona Ali",
+    inviterName: "Dr. Ahmed Mostafa",
+    className: "CS101 - Introduction to Programming",
+    role: "ta",
+  },
+  locales: {
+    en: ({ userName, inviterName, className, role }, { siteName }) => ({
+      subject: `Invitation to teach ${className} - ${siteName}`,
+      heading: `Hello ${userName},`,
+      paragraphs: [
+        `${inviterName} invited you to join ${className} as ${ROLE_LABELS.en[role] || role}.`,
+        `Sign in to ${siteName} to accept or decline the invitation.`,
+      ],
+      action: null,
+      notes: [],
+      closing: ["If you were not expecting this invitation, you can ignore this email."],
+    }),
+    ar: ({ userName, inviterName, className, role }, { siteName }) => ({
+      subject: `دعوة للتدريس في ${className} - ${siteName}`,
+      heading: `مرحبًا ${userName}،`,
+      paragraphs: [
+        `دعاك ${inviterName} للانضمام إلى ${className} بصفة ${ROLE_LABELS.ar[role] || role}.`,
+        `سجّل الدخول إلى ${siteName} لقبول الدعوة أو رفضها.`,
+      ],
+      action: null,
+      notes: [],
+      closing: ["إذا لم تكن تتوقع هذه الدعوة، يمكنك تجاهل هذه الرسالة."],
+    }),
+  },
+};
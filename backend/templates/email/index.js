@@ -0,0 +1,15 @@
+/**
+ * Email Template Registry
+ * Every transactional email by type. Each template lists the variables it
+ * needs, sample values for previews, and one content function per locale
+ * returning { subject, heading, paragraphs, action, notes, closing }.
+ * The shared layout in utils/emailTemplates.js turns that into HTML and plain text.
+ */
+
+module.exports = {
+  verification: require("./verification"),
+  "password-reset": require("./passwordReset"),
+  "account-unlock": require("./accountUnlock"),
+  "attendance-export": require("./attendanceExport"),
+  "class-staff-invite": require("./classStaffInvite"),
+};
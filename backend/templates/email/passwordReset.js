@@ -0,0 +1,34 @@
+/**
+ * Email template: single-use password reset link
+ */
+
+module.exports = {
+  description: "Single-use link to set a new password",
+  variables: ["userName", "resetUrl"],
+  sample: {
+    userName: "Ahmed Mostafa",
+    resetUrl: "http://127.0.0.1:5501/frontend/html/reset-password.html?token=sample-token",
+  },
+  locales: {
+    en: ({ userName, resetUrl }, { siteName }) => ({
+      subject: `Reset Your Password - ${siteName}`,
+      heading: `Hello ${userName},`,
+      paragraphs: [`We received a request to reset the password for your ${siteName} account.`],
+      action: { label: "Reset Password", url: resetUrl },
+      notes: ["This link will expire in 1 hour and can only be used once."],
+      closing: [
+        "If you did not request a password reset, please ignore this email. Your password will not change.",
+      ],
+    }),
+    ar: ({ userName, resetUrl }, { siteName }) => ({
+      subject: `إعادة تعيين كلمة المرور - ${siteName}`,
+      heading: `مرحبًا ${userName}،`,
+      paragraphs: [`تلقّينا طلبًا لإعادة تعيين كلمة المرور لحسابك على ${siteName}.`],
+      action: { label: "إعادة تعيين كلمة المرور", url: resetUrl },
+      notes: ["تنتهي صلاحية هذا الرابط خلال ساعة واحدة ويمكن استخدامه مرة واحدة فقط."],
+      closing: [
+        "إذا لم تطلب إعادة تعيين كلمة المرور، يرجى تجاهل هذه الرسالة. لن تتغير كلمة المرور الخاصة بك.",
+      ],
+    }),
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Email template: verify a new account's email address
+ */
+
+module.exports = {
+  description: "Link to verify the email address of a new account",
+  variables: ["userName", "verificationUrl"],
+  sample: {
+    userName: "Ahmed Mostafa",
+    verificationUrl: "http://localhost:5000/api/auth/verify-email/sample-token",
+  },
+  locales: {
+    en: ({ userName, verificationUrl }, { siteName }) => ({
+      subject: `Verify Your Email - ${siteName}`,
+      heading: `Welcome to ${siteName}, ${userName}!`,
+      paragraphs: ["Please verify your email address to activate your account."],
+      action: { label: "Verify Email", url: verificationUrl },
+      notes: ["This link will expire in 24 hours."],
+      closing: [`If you did not register for ${siteName}, please ignore this email.`],
+    }),
+    ar: ({ userName, verificationUrl }, { siteName }) => ({
+      subject: `تأكيد بريدك الإلكتروني - ${siteName}`,
+      heading: `مرحبًا بك في ${siteName}، ${userName}!`,
+      paragraphs: ["يرجى تأكيد بريدك الإلكتروني لتفعيل حسابك."],
+      action: { label: "تأكيد البريد الإلكتروني", url: verificationUrl },
+      notes: ["تنتهي صلاحية هذا الرابط خلال 24 ساعة."],
+      closing: [`إذا لم تقم بالتسجيل في ${siteName}، يرجى تجاهل هذه الرسالة.`],
+    }),
+  },
+};
@@ -0,0 +1,341 @@
+// utils/academicCalendar.js
+// Academic terms: payload parsing, checking dates against a term's calendar,
+// linking classes to terms and archiving classes once their term has ended
+
+const mongoose = require("mongoose");
+const AcademicTerm = require("../models/AcademicTerm");
+const University = require("../models/University");
+const Class = require("../models/Class");
+
+// Term days are calendar days in this time zone
+const ACADEMIC_TIME_ZONE = process.env.ACADEMIC_TIME_ZONE || "Africa/Cairo";
+
+const TERM_SEMESTERS = ["Spring", "Summer", "Fall", "Winter"];
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const dayFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: ACADEMIC_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * The calendar day of a moment in the academic time zone, as 'YYYY-MM-DD'.
+ * @param {Date} date
+ * @returns {string}
+ */
+const dayKeyOf = (date) => dayFormatter.format(date);
+
+// Term dates are stored as UTC midnight of the day they name
+const storedDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: ACADEMIC_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  second: "numeric",
+});
+
+// Offset of the academic time zone from UTC at a moment, in milliseconds
+const zoneOffsetAt = (ms) => {
+  const p = Object.fromEntries(partsFormatter.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+/**
+ * The moment a local day and time happen in the academic time zone.
+ * @param {string} dayKey - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @returns {Date}
+ */
+const localDateTime = (dayKey, time) => {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  const guess = wall - zoneOffsetAt(wall);
+  // Again with the offset at the guess, in case a DST change lies in between
+  return new Date(wall - zoneOffsetAt(guess));
+};
+
+/**
+ * Parse a 'YYYY-MM-DD' day into a Date at UTC midnight.
+ * @param {*} value
+ * @returns {Date|null} null when the value is not a valid day
+ */
+const parseDay = (value) => {
+  const match = typeof value === "string" ? DAY_PATTERN.exec(value.trim()) : null;
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return storedDayKey(date) === value.trim() ? date : null;
+};
+
+const inPeriod = (key, period) =>
+  key >= storedDayKey(period.startDate) && key <= storedDayKey(period.endDate);
+
+const parsePeriod = (value, label) => {
+  if (!value || typeof value !== "object") {
+    return { error: `${label} must be an object with startDate and endDate` };
+  }
+  const startDate = parseDay(value.startDate);
+  const endDate = parseDay(value.endDate);
+  if (!startDate || !endDate) {
+    return { error: `${label} needs startDate and endDate as YYYY-MM-DD` };
+  }
+  if (endDate < startDate) {
+    return { error: `${label} ends before it starts` };
+  }
+  const name = value.name ? String(value.name).trim().slice(0, 100) : null;
+  return { period: { name, startDate, endDate } };
+};
+
+/**
+ * Validate a term payload and convert its dates. For updates, only the given
+ * fields are returned, but the dates are checked against the merged term.
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Term being updated, or null when creating
+ * @returns {Promise<{data: Object}|{error: string}>}
+ */
+async function parseTermPayload(body, existing = null) {
+  const data = {};
+
+  if (!existing || body.university !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(body.university)) {
+      return { error: "A valid university ID is required" };
+    }
+    const university = await University.exists({ _id: body.university });
+    if (!university) return { error: "University not found" };
+    data.university = body.university;
+  }
+
+  if (!existing || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "Term name is required" };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (!existing || body.semester !== undefined) {
+    if (!TERM_SEMESTERS.includes(body.semester)) {
+      return { error: "Invalid semester. Allowed semesters: " + TERM_SEMESTERS.join(", ") };
+    }
+    data.semester = body.semester;
+  }
+
+  if (!existing || body.year !== undefined) {
+    if (!Number.isInteger(body.year) || body.year < 2000 || body.year > 2100) {
+      return { error: "Year must be a whole number between 2000 and 2100" };
+    }
+    data.year = body.year;
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (!existing || body[field] !== undefined) {
+      const day = parseDay(body[field]);
+      if (!day) return { error: `${field} must be a day as YYYY-MM-DD` };
+      data[field] = day;
+    }
+  }
+
+  if (body.addDropDeadline !== undefined) {
+    if (body.addDropDeadline === null) {
+      data.addDropDeadline = null;
+    } else {
+      const day = parseDay(body.addDropDeadline);
+      if (!day) return { error: "addDropDeadline must be a day as YYYY-MM-DD" };
+      data.addDropDeadline = day;
+    }
+  }
+
+  if (body.holidays !== undefined) {
+    if (!Array.isArray(body.holidays)) {
+      return { error: "holidays must be an array of { name, startDate, endDate }" };
+    }
+    data.holidays = [];
+    for (const [index, value] of body.holidays.entries()) {
+      const parsed = parsePeriod(value, `Holiday ${index + 1}`);
+      if (parsed.error) return { error: parsed.error };
+      data.holidays.push(parsed.period);
+    }
+  }
+
+  if (body.examPeriod !== undefined) {
+    if (body.examPeriod === null) {
+      data.examPeriod = null;
+    } else {
+      const parsed = parsePeriod(body.examPeriod, "examPeriod");
+      if (parsed.error) return { error: parsed.error };
+      data.examPeriod = parsed.period;
+    }
+  }
+
+  // Check the dates of the term as it will be saved
+  const merged = { ...(existing ? existing.toObject() : {}), ...data };
+  const term = { startDate: merged.startDate, endDate: merged.endDate };
+  if (merged.endDate < merged.startDate) {
+    return { error: "The term ends before it starts" };
+  }
+  if (merged.addDropDeadline && !inPeriod(storedDayKey(merged.addDropDeadline), term)) {
+    return { error: "addDropDeadline must fall within the term" };
+  }
+  for (const period of [...(merged.holidays || []), merged.examPeriod].filter(Boolean)) {
+    if (!inPeriod(storedDayKey(period.startDate), term) || !inPeriod(storedDayKey(period.endDate), term)) {
+      return { error: `${period.name || "Every holiday and the exam period"} must fall within the term` };
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Check that something can happen on the day of `date` in a term: the day
+ * must be within the term and not a holiday.
+ * @param {Object} term - AcademicTerm document
+ * @param {Date} date
+ * @param {string} [what] - Subject of the error message
+ * @returns {{status: number, message: string, code: string}|null}
+ */
+function checkTermDate(term, date, what = "The date") {
+  if (!term) return null;
+  const key = dayKeyOf(date);
+
+  if (!inPeriod(key, term)) {
+    return {
+      status: 400,
+      message:
+        `${what} (${key}) is outside ${term.name}, which runs from ` +
+        `${storedDayKey(term.startDate)} to ${storedDayKey(term.endDate)}`,
+      code: "DATE_OUTSIDE_TERM",
+    };
+  }
+
+  const holiday = (term.holidays || []).find((h) => inPeriod(key, h));
+  if (holiday) {
+    return {
+      status: 400,
+      message: `${what} (${key}) falls on a holiday${holiday.name ? ` (${holiday.name})` : ""}`,
+      code: "DATE_ON_HOLIDAY",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether the add/drop period of a term is over.
+ * @param {Object|null} term
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isAddDropClosed = (term, now = new Date()) =>
+  Boolean(term && term.addDropDeadline && dayKeyOf(now) > storedDayKey(term.addDropDeadline));
+
+/**
+ * Whether a term has ended.
+ * @param {Object} term
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const hasTermEnded = (term, now = new Date()) => dayKeyOf(now) > storedDayKey(term.endDate);
+
+/**
+ * Whether today (or `now`) is a day of the term.
+ * @param {Object} term
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isTermRunning = (term, now = new Date()) => inPeriod(dayKeyOf(now), term);
+
+/**
+ * Load the term of a class, if it has one.
+ * @param {Object} classDoc
+ * @returns {Promise<Object|null>}
+ */
+async function getClassTerm(classDoc) {
+  if (!classDoc || !classDoc.term) return null;
+  if (classDoc.term.startDate) return classDoc.term; // already populated
+  return AcademicTerm.findById(classDoc.term).lean();
+}
+
+/**
+ * Resolve the term a class should be linked to. The term must not have
+ * ended and must belong to the user's university (when they have one).
+ * @param {string} termId
+ * @param {Object} user - The user linking the class
+ * @returns {Promise<{term: Object}|{error: {status: number, message: string, code: string}}>}
+ */
+async function resolveClassTerm(termId, user) {
+  if (!mongoose.Types.ObjectId.isValid(termId)) {
+    return { error: { status: 400, message: "Invalid term ID", code: "INVALID_ID" } };
+  }
+
+  const term = await AcademicTerm.findById(termId).populate("university", "name").lean();
+  if (!term) {
+    return { error: { status: 404, message: "Academic term not found", code: "TERM_NOT_FOUND" } };
+  }
+  if (user.university && term.university && term.university.name !== user.university) {
+    return {
+      error: {
+        status: 400,
+        message: `${term.name} belongs to ${term.university.name}, not ${user.university}`,
+        code: "TERM_UNIVERSITY_MISMATCH",
+      },
+    };
+  }
+  if (hasTermEnded(term)) {
+    return { error: { status: 400, message: `${term.name} has already ended`, code: "TERM_ENDED" } };
+  }
+
+  return { term };
+}
+
+/**
+ * Archive the classes of every term that has ended. Each term is handled
+ * once, so a class restored from the archive afterwards stays restored.
+ * @returns {Promise<{terms: number, archived: number}>}
+ */
+async function archiveEndedTermClasses() {
+  const now = new Date();
+  const candidates = await AcademicTerm.find({
+    classesArchivedAt: null,
+    endDate: { $lt: now },
+  })
+    .select("name endDate")
+    .lean();
+  const ended = candidates.filter((term) => hasTermEnded(term, now));
+
+  let archived = 0;
+  for (const term of ended) {
+    const result = await Class.updateMany(
+      { term: term._id, archivedAt: null },
+      { $set: { archivedAt: now, archivedBy: null } },
+    );
+    await AcademicTerm.updateOne({ _id: term._id }, { $set: { classesArchivedAt: now } });
+    archived += result.modifiedCount;
+    console.log(`[INFO] Term ${term.name} ended: archived ${result.modifiedCount} class(es)`);
+  }
+
+  return { terms: ended.length, archived };
+}
+
+module.exports = {
+  ACADEMIC_TIME_ZONE,
+  dayKeyOf,
+  storedDayKey,
+  parseDay,
+  localDateTime,
+  parseTermPayload,
+  checkTermDate,
+  isAddDropClosed,
+  hasTermEnded,
+  isTermRunning,
+  getClassTerm,
+  resolveClassTerm,
+  archiveEndedTermClasses,
+};
@@ -0,0 +1,180 @@
+// utils/accessTokens.js
+// Personal access tokens: scoped, expiring credentials for scripts and integrations
+
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const { TOKEN_SCOPES, TOKEN_SCOPE_ROUTES } = require("../constants/permissions");
+const { generateToken, hashToken } = require("./tokens");
+
+// Prefix that tells personal access tokens apart from JWTs
+const ACCESS_TOKEN_PREFIX = "uapmp_pat_";
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_TOKENS_PER_USER = 20;
+// Avoid a database write on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether a bearer token is a personal access token (rather than a JWT).
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isAccessToken(token) {
+  return typeof token === "string" && token.startsWith(ACCESS_TOKEN_PREFIX);
+}
+
+/**
+ * Validate token creation input. Returns an error message or null.
+ * @param {{name?: string, scopes?: string[], expiresInDays?: number}} input
+ * @returns {string|null}
+ */
+function validateAccessTokenInput({ name, scopes, expiresInDays }) {
+  if (!name || !String(name).trim()) {
+    return "Token name is required";
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "At least one scope is required";
+  }
+  const unknown = scopes.filter((s) => !TOKEN_SCOPES[s]);
+  if (unknown.length > 0) {
+    return (
+      `Unknown scope(s): ${unknown.join(", ")}. Allowed scopes: ` +
+      Object.keys(TOKEN_SCOPES).join(", ")
+    );
+  }
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a personal access token for a user.
+ * @param {Object} user - Token owner
+ * @param {{name: string, scopes: string[], expiresInDays?: number}} input - Validated input
+ * @returns {Promise<{token: string, accessToken: Object}>} Raw token (shown once) and the stored document
+ */
+async function createAccessToken(user, { name, scopes, expiresInDays }) {
+  const days = Number(expiresInDays) || DEFAULT_EXPIRY_DAYS;
+  const token = ACCESS_TOKEN_PREFIX + generateToken();
+
+  const accessToken = await PersonalAccessToken.create({
+    user: user._id,
+    name: String(name).trim(),
+    tokenHash: hashToken(token),
+    tokenPreview: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  return { token, accessToken };
+}
+
+/**
+ * Number of usable (unrevoked, unexpired) tokens a user has.
+ * @param {string|ObjectId} userId
+ * @returns {Promise<number>}
+ */
+function countActiveAccessTokens(userId) {
+  return PersonalAccessToken.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/**
+ * Look up a raw personal access token and record its use.
+ * @param {string} token - Raw token from the Authorization header
+ * @param {string|null} ip - Client IP
+ * @returns {Promise<Object|null>} Token document, or null if unknown, revoked or expired
+ */
+async function resolveAccessToken(token, ip) {
+  const accessToken = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!accessToken || accessToken.revokedAt) return null;
+
+  const now = new Date();
+  if (accessToken.expiresAt <= now) return null;
+
+  if (
+    !accessToken.lastUsedAt ||
+    now - accessToken.lastUsedAt > LAST_USED_RESOLUTION_MS
+  ) {
+    await PersonalAccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: now, lastUsedIp: ip || null },
+    );
+  }
+
+  return accessToken;
+}
+
+/**
+ * Whether a token with these scopes may call an endpoint (see
+ * TOKEN_SCOPE_ROUTES). Anything not listed is denied.
+ * @param {string[]} scopes - Token scopes
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path, without the query string
+ * @returns {boolean}
+ */
+function accessTokenAllowsRoute(scopes, method, path) {
+  const target = path.replace(/\/+$/, "");
+  return scopes.some((scope) =>
+    (TOKEN_SCOPE_ROUTES[scope] || []).some((rule) => {
+      const [ruleMethod, prefix] = rule.split(" ");
+      return (
+        ruleMethod === method &&
+        (target === prefix || target.startsWith(`${prefix}/`))
+      );
+    }),
+  );
+}
+
+/**
+ * Revoke every active personal access token of a user.
+ * @param {string|ObjectId} userId
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeAllAccessTokens(userId) {
+  const result = await PersonalAccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Public view of a token (never includes the hash).
+ * @param {Object} accessToken - Token document
+ * @returns {Object}
+ */
+function toAccessTokenView(accessToken) {
+  return {
+    id: accessToken._id,
+    name: accessToken.name,
+    tokenPreview: accessToken.tokenPreview,
+    scopes: accessToken.scopes,
+    expiresAt: accessToken.expiresAt,
+    lastUsedAt: accessToken.lastUsedAt,
+    lastUsedIp: accessToken.lastUsedIp,
+    revokedAt: accessToken.revokedAt,
+    createdAt: accessToken.createdAt,
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_PREFIX,
+  MAX_TOKENS_PER_USER,
+  isAccessToken,
+  validateAccessTokenInput,
+  createAccessToken,
+  countActiveAccessTokens,
+  resolveAccessToken,
+  accessTokenAllowsRoute,
+  revokeAllAccessTokens,
+  toAccessTokenView,
+};
@@ -0,0 +1,123 @@
+// utils/accountDeletion.js
+// Self-service account deletion that keeps historical records but strips personal data
+
+const User = require("../models/User");
+const Class = require("../models/Class");
+const CourseOffering = require("../models/CourseOffering");
+const AttendanceSession = require("../models/AttendanceSession");
+const EmailVerificationToken = require("../models/EmailVerificationToken");
+const { revokeAllSessions } = require("./sessions");
+const { revokeAllAccessTokens } = require("./accessTokens");
+const { promoteFromWaitlist } = require("./enrollment");
+
+const DELETED_USER_NAME = "Deleted user";
+
+/**
+ * Reason the account cannot be deleted yet, or null when it can.
+ * @param {Object} user - User document
+ * @returns {Promise<{message: string, code: string}|null>}
+ */
+async function getDeletionBlocker(user) {
+  // Classes in the trash count too: restoring one would bring back its owner
+  const ownedClasses = await Class.countDocuments({ instructor: user._id }).setOptions({
+    withDeleted: true,
+  });
+  if (ownedClasses > 0) {
+    return {
+      message: `You still own ${ownedClasses} class(es). Delete them or hand them over before deleting your account.`,
+      code: "OWNS_CLASSES",
+    };
+  }
+
+  if (user.role === "super_admin") {
+    const otherSuperAdmins = await User.countDocuments({
+      _id: { $ne: user._id },
+      role: "super_admin",
+      isActive: { $ne: false },
+    });
+    if (otherSuperAdmins === 0) {
+      return {
+        message: "The last active super_admin cannot delete their account",
+        code: "LAST_SUPER_ADMIN",
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delete an account by anonymizing it.
+ * The user document stays so submissions, grades and attendance keep their
+ * references, but every personal field and credential is removed, the user
+ * leaves all classes, and the email address becomes free to register again.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function anonymizeUser(user) {
+  const now = new Date();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        fullName: DELETED_USER_NAME,
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: null,
+        authProvider: "local",
+        university: null,
+        college: null,
+        isActive: false,
+        deactivatedAt: now,
+        deletedAt: now,
+        passwordChangedAt: now,
+        passwordResetTokenHash: null,
+        passwordResetExpires: null,
+        unlockTokenHash: null,
+        calendarFeedTokenHash: null,
+        calendarFeedCreatedAt: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+      },
+      $unset: { studentId: 1, googleId: 1, oidcProvider: 1, oidcSubject: 1 },
+    },
+  );
+
+  // Classes in the trash are cleaned up too, in case they are restored
+  const enrolledClasses = await Class.find({ students: user._id }).select("_id").lean();
+  await Class.updateMany(
+    { students: user._id },
+    { $pull: { students: user._id } },
+    { withDeleted: true },
+  );
+  await Class.updateMany(
+    { $or: [{ "joinRequests.student": user._id }, { "waitlist.student": user._id }] },
+    { $pull: { joinRequests: { student: user._id }, waitlist: { student: user._id } } },
+    { withDeleted: true },
+  );
+  for (const { _id } of enrolledClasses) {
+    await promoteFromWaitlist(_id);
+  }
+  await Class.updateMany(
+    { "staff.user": user._id },
+    { $pull: { staff: { user: user._id } } },
+    { withDeleted: true },
+  );
+  await CourseOffering.updateMany(
+    { coordinators: user._id },
+    { $pull: { coordinators: user._id } },
+  );
+  await AttendanceSession.updateMany(
+    { "students.studentId": user._id },
+    { $set: { "students.$[entry].studentName": DELETED_USER_NAME } },
+    { arrayFilters: [{ "entry.studentId": user._id }] },
+  );
+
+  await EmailVerificationToken.deleteMany({ user: user._id });
+  await revokeAllSessions(user._id, "account_deleted");
+  await revokeAllAccessTokens(user._id);
+}
+
+module.exports = { DELETED_USER_NAME, getDeletionBlocker, anonymizeUser };
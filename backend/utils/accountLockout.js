@@ -0,0 +1,87 @@
+// utils/accountLockout.js
+// Progressive account lockout after repeated failed logins
+
+const User = require("../models/User");
+const { generateToken, hashToken } = require("./tokens");
+
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes, doubled on each lockout
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Seconds left on an account lock, or 0 when the account is not locked.
+ * @param {Object} user - User document
+ * @returns {number}
+ */
+function getLockRemainingSeconds(user) {
+  if (!user.lockUntil) return 0;
+  const remainingMs = new Date(user.lockUntil).getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+/**
+ * Record a failed password attempt and lock the account when the limit is hit.
+ * @param {Object} user - User document
+ * @returns {Promise<{locked: boolean, retryAfterSeconds?: number, unlockToken?: string}>}
+ *   unlockToken is set when a new lock starts, so the caller can email it
+ */
+async function recordFailedLogin(user) {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true },
+  );
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return { locked: false };
+  }
+
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** updated.lockoutCount, MAX_LOCK_MS);
+  const unlockToken = generateToken();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + lockMs),
+      $inc: { lockoutCount: 1 },
+      unlockTokenHash: hashToken(unlockToken),
+    },
+  );
+
+  console.warn(`[WARNING] Account ${updated.email} locked for ${lockMs / 60000} minutes`);
+  return { locked: true, retryAfterSeconds: Math.ceil(lockMs / 1000), unlockToken };
+}
+
+/**
+ * Reset failure counters after a successful login.
+ * @param {Object} user - User document
+ */
+async function clearFailedLogins(user) {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null, unlockTokenHash: null },
+  );
+}
+
+/**
+ * Unlock an account using the token from the unlock email.
+ * @param {string} token - Raw unlock token
+ * @returns {Promise<Object|null>} The unlocked user, or null if the token is invalid
+ */
+async function unlockWithToken(token) {
+  if (!token) return null;
+  return User.findOneAndUpdate(
+    { unlockTokenHash: hashToken(token) },
+    { failedLoginAttempts: 0, lockUntil: null, unlockTokenHash: null },
+    { new: true },
+  );
+}
+
+module.exports = {
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockWithToken,
+};
@@ -0,0 +1,72 @@
+// utils/auditLog.js
+// Writes security audit log entries without ever failing the request that triggers them
+
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * Record an audit log entry.
+ * The actor defaults to the authenticated user; pass `actor: null` (with an
+ * optional `actorEmail`) for unknown users, and `req: null` for automatic
+ * actions that have no request. Errors are logged, never thrown.
+ * @param {Object|null} req - Express request (for IP and user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {"success"|"failure"} [entry.outcome="success"]
+ * @param {Object|null} [entry.actor] - User document
+ * @param {string} [entry.actorEmail] - Email to record when there is no actor
+ * @param {{type: string, id: *, label?: string}} [entry.target]
+ * @param {Object} [entry.details] - Action-specific details
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, outcome = "success", actor, actorEmail, target, details = {} }) {
+  try {
+    const user = actor === undefined ? (req && req.user) || null : actor;
+
+    await AuditLog.create({
+      action,
+      outcome,
+      actor: user ? user._id : null,
+      actorEmail: user ? user.email : actorEmail || null,
+      actorRole: user ? user.role : null,
+      targetType: target ? target.type : null,
+      targetId: target ? target.id : null,
+      targetLabel: target && target.label ? String(target.label) : null,
+      ip: req ? req.ip || null : null,
+      userAgent: req ? (req.headers["user-agent"] || "").slice(0, 300) || null : null,
+      details,
+    });
+  } catch (err) {
+    console.error(`[ERROR] Failed to write audit log entry ${action}:`, err.message);
+  }
+}
+
+/**
+ * Audit target for a user.
+ * @param {Object} user - User document
+ * @returns {{type: string, id: ObjectId, label: string}}
+ */
+const userTarget = (user) => ({ type: "user", id: user._id, label: user.email });
+
+/**
+ * Audit target for a class.
+ * @param {Object} classDoc - Class document
+ * @returns {{type: string, id: ObjectId, label: string}}
+ */
+const classTarget = (classDoc) => ({
+  type: "class",
+  id: classDoc._id,
+  label: [classDoc.courseCode, classDoc.name].filter(Boolean).join(" - "),
+});
+
+/**
+ * Audit target for a course offering.
+ * @param {Object} offering - CourseOffering document (term populated or not)
+ * @returns {{type: string, id: ObjectId, label: string}}
+ */
+const offeringTarget = (offering) => ({
+  type: "course_offering",
+  id: offering._id,
+  label: [offering.courseCode, offering.term && offering.term.name].filter(Boolean).join(" - "),
+});
+
+module.exports = { recordAudit, userTarget, classTarget, offeringTarget };
@@ -0,0 +1,50 @@
+// utils/authEmails.js
+// Emails sent by the authentication flows, queued through the mail service.
+// Their links log straight into an account, so they are queued as sensitive.
+
+const { queueTemplatedEmail } = require("./mailService");
+
+/**
+ * Email the verification link for a new account.
+ */
+const sendVerificationEmail = async (email, verificationToken, userName, locale) => {
+  const verificationUrl = `${process.env.BACKEND_URL || "http://localhost:5000"}/api/auth/verify-email/${verificationToken}`;
+
+  return queueTemplatedEmail(email, "verification", {
+    locale,
+    vars: { userName, verificationUrl },
+    sensitive: true,
+  });
+};
+
+/**
+ * Email a single-use password reset link.
+ */
+const sendPasswordResetEmail = async (email, resetToken, userName, locale) => {
+  const resetUrl = `${process.env.RESET_PASSWORD_URL || "http://127.0.0.1:5501/frontend/html/reset-password.html"}?token=${resetToken}`;
+
+  return queueTemplatedEmail(email, "password-reset", {
+    locale,
+    vars: { userName, resetUrl },
+    sensitive: true,
+  });
+};
+
+/**
+ * Email the unlock link after an account lockout.
+ */
+const sendAccountUnlockEmail = async (email, unlockToken, userName, locale) => {
+  const unlockUrl = `${process.env.BACKEND_URL || "http://localhost:5000"}/api/auth/unlock/${unlockToken}`;
+
+  return queueTemplatedEmail(email, "account-unlock", {
+    locale,
+    vars: { userName, unlockUrl },
+    sensitive: true,
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountUnlockEmail,
+};
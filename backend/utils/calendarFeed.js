@@ -0,0 +1,133 @@
+// utils/calendarFeed.js
+// Per-user calendar feed: the secret feed URL, and the .ics document with the
+// meetings and assignment due dates of the user's classes
+
+const User = require("../models/User");
+const Class = require("../models/Class");
+const Assignment = require("../models/Assignment");
+const AcademicTerm = require("../models/AcademicTerm");
+const { generateToken, hashToken } = require("./tokens");
+const { dayKeyOf } = require("./academicCalendar");
+const { meetingOccurrences, addDays } = require("./classSchedule");
+const { buildCalendar } = require("./icalendar");
+
+// Meetings are listed from this many days back to this many days ahead
+const FEED_PAST_DAYS = 120;
+const FEED_FUTURE_DAYS = 240;
+
+const MEETING_LABELS = { lecture: "Lecture", lab: "Lab", tutorial: "Tutorial" };
+
+const feedUrl = (token) =>
+  `${process.env.BACKEND_URL || "http://localhost:5000"}/api/calendar/feed/${token}.ics`;
+
+/**
+ * Create (or replace) the user's calendar feed token. Any previous feed URL
+ * stops working.
+ * @param {Object} user
+ * @returns {Promise<{url: string, createdAt: Date}>}
+ */
+async function issueCalendarFeedToken(user) {
+  const token = generateToken();
+  const createdAt = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { calendarFeedTokenHash: hashToken(token), calendarFeedCreatedAt: createdAt } },
+  );
+  return { url: feedUrl(token), createdAt };
+}
+
+/**
+ * Turn off the user's calendar feed.
+ * @param {Object} user
+ */
+async function revokeCalendarFeedToken(user) {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { calendarFeedTokenHash: null, calendarFeedCreatedAt: null } },
+  );
+}
+
+/**
+ * Find the active user a feed token belongs to.
+ * @param {string} token - Raw token from the feed URL
+ * @returns {Promise<Object|null>}
+ */
+async function findUserByFeedToken(token) {
+  if (!/^[a-f0-9]{64}$/.test(String(token))) return null;
+  return User.findOne({ calendarFeedTokenHash: hashToken(token), isActive: true })
+    .select("fullName email role")
+    .lean();
+}
+
+/**
+ * Build the .ics document for a user: the scheduled meetings of every class
+ * they teach, assist with or attend (archived classes left out), and the due
+ * dates of the assignments in those classes.
+ * @param {Object} user
+ * @returns {Promise<string>}
+ */
+async function buildUserCalendar(user) {
+  const classes = await Class.find({
+    archivedAt: null,
+    $or: [
+      { instructor: user._id },
+      { students: user._id },
+      { staff: { $elemMatch: { user: user._id, status: "active" } } },
+    ],
+  })
+    .select("name courseCode section schedule term")
+    .lean();
+
+  const termIds = classes.map((c) => c.term).filter(Boolean);
+  const terms = termIds.length
+    ? await AcademicTerm.find({ _id: { $in: termIds } }).select("startDate endDate holidays").lean()
+    : [];
+  const termById = new Map(terms.map((t) => [t._id.toString(), t]));
+
+  const today = dayKeyOf(new Date());
+  const range = { fromKey: addDays(today, -FEED_PAST_DAYS), toKey: addDays(today, FEED_FUTURE_DAYS) };
+
+  const label = (c) => [c.courseCode, c.name].filter(Boolean).join(" - ");
+  const events = [];
+
+  for (const c of classes) {
+    const term = c.term ? termById.get(c.term.toString()) : null;
+    for (const meeting of c.schedule || []) {
+      for (const occurrence of meetingOccurrences(meeting, term, range)) {
+        events.push({
+          uid: `meeting-${meeting._id}-${occurrence.day}@uapmp`,
+          start: occurrence.start,
+          end: occurrence.end,
+          summary: `${label(c)} (${MEETING_LABELS[meeting.type] || meeting.type})`,
+          location: meeting.room,
+          description: c.section ? `Section ${c.section}` : null,
+          categories: meeting.type,
+        });
+      }
+    }
+  }
+
+  const classById = new Map(classes.map((c) => [c._id.toString(), c]));
+  const assignments = await Assignment.find({ class: { $in: classes.map((c) => c._id) } })
+    .select("title class dueDate maxGrade")
+    .lean();
+  for (const a of assignments) {
+    events.push({
+      uid: `assignment-${a._id}@uapmp`,
+      start: a.dueDate,
+      end: a.dueDate,
+      summary: `Due: ${a.title}`,
+      description: label(classById.get(a.class.toString())),
+      categories: "assignment",
+    });
+  }
+
+  return buildCalendar({ name: `${user.fullName} - Classes`, events });
+}
+
+module.exports = {
+  issueCalendarFeedToken,
+  revokeCalendarFeedToken,
+  findUserByFeedToken,
+  buildUserCalendar,
+};
@@ -0,0 +1,175 @@
+// utils/classSchedule.js
+// Weekly class meetings: payload parsing, expanding a meeting into its dates
+// and finding the meeting an attendance session belongs to
+
+const { MEETING_TYPES, WEEKDAYS } = require("../constants/classSchedule");
+const {
+  dayKeyOf,
+  storedDayKey,
+  parseDay,
+  localDateTime,
+} = require("./academicCalendar");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// An attendance session started this long before a meeting still belongs to it
+const EARLY_START_MS = 15 * 60 * 1000;
+
+const MAX_EXCEPTIONS = 100;
+
+const weekdayOfKey = (key) => new Date(`${key}T00:00:00Z`).getUTCDay();
+
+const addDays = (key, days) =>
+  new Date(new Date(`${key}T00:00:00Z`).getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+
+const parseWeekday = (value) => {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  const index = WEEKDAYS.indexOf(String(value).trim().toLowerCase());
+  return index === -1 ? null : index;
+};
+
+const parseOptionalDay = (value, field) => {
+  if (value === null || value === "") return { day: null };
+  const day = parseDay(value);
+  return day ? { day } : { error: `${field} must be a day as YYYY-MM-DD` };
+};
+
+/**
+ * Validate a meeting payload. For updates, only the given fields are
+ * returned, but times and dates are checked against the merged meeting.
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Meeting being updated, or null when adding
+ * @returns {{data: Object}|{error: string}}
+ */
+function parseMeeting(body, existing = null) {
+  const data = {};
+
+  if (body.type !== undefined) {
+    if (!MEETING_TYPES.includes(body.type)) {
+      return { error: "Invalid meeting type. Allowed types: " + MEETING_TYPES.join(", ") };
+    }
+    data.type = body.type;
+  }
+
+  if (!existing || body.weekday !== undefined) {
+    const weekday = parseWeekday(body.weekday);
+    if (weekday === null) {
+      return { error: "weekday must be 0-6 (0 = Sunday) or a day name such as 'monday'" };
+    }
+    data.weekday = weekday;
+  }
+
+  for (const field of ["startTime", "endTime"]) {
+    if (!existing || body[field] !== undefined) {
+      if (typeof body[field] !== "string" || !TIME_PATTERN.test(body[field])) {
+        return { error: `${field} must be a time as HH:MM (24-hour clock)` };
+      }
+      data[field] = body[field];
+    }
+  }
+
+  if (body.room !== undefined) {
+    data.room = body.room ? String(body.room).trim().slice(0, 100) : null;
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (body[field] !== undefined) {
+      const parsed = parseOptionalDay(body[field], field);
+      if (parsed.error) return { error: parsed.error };
+      data[field] = parsed.day;
+    }
+  }
+
+  if (body.exceptions !== undefined) {
+    if (!Array.isArray(body.exceptions) || body.exceptions.length > MAX_EXCEPTIONS) {
+      return { error: `exceptions must be an array of up to ${MAX_EXCEPTIONS} { date, reason }` };
+    }
+    data.exceptions = [];
+    for (const value of body.exceptions) {
+      const entry = typeof value === "string" ? { date: value } : value || {};
+      const date = parseDay(entry.date);
+      if (!date) return { error: "Every exception needs a date as YYYY-MM-DD" };
+      data.exceptions.push({
+        date,
+        reason: entry.reason ? String(entry.reason).trim().slice(0, 200) : null,
+      });
+    }
+  }
+
+  const merged = { ...(existing ? existing.toObject() : {}), ...data };
+  if (merged.endTime <= merged.startTime) {
+    return { error: "The meeting must end after it starts" };
+  }
+  if (merged.startDate && merged.endDate && merged.endDate < merged.startDate) {
+    return { error: "endDate is before startDate" };
+  }
+
+  return { data };
+}
+
+/**
+ * The dates a meeting takes place between two days, skipping its exceptions
+ * and the holidays of the term. Runs from the meeting's own dates, else the
+ * term's, clipped to [fromKey, toKey].
+ * @param {Object} meeting - Class.schedule entry
+ * @param {Object|null} term - AcademicTerm of the class
+ * @param {{fromKey: string, toKey: string}} range - 'YYYY-MM-DD' days
+ * @returns {Array<{day: string, start: Date, end: Date}>}
+ */
+function meetingOccurrences(meeting, term, { fromKey, toKey }) {
+  const bounds = [
+    meeting.startDate ? storedDayKey(meeting.startDate) : term && storedDayKey(term.startDate),
+    meeting.endDate ? storedDayKey(meeting.endDate) : term && storedDayKey(term.endDate),
+  ];
+  const first = bounds[0] && bounds[0] > fromKey ? bounds[0] : fromKey;
+  const last = bounds[1] && bounds[1] < toKey ? bounds[1] : toKey;
+
+  const skipped = new Set((meeting.exceptions || []).map((e) => storedDayKey(e.date)));
+  const holidays = (term && term.holidays) || [];
+  const onHoliday = (key) =>
+    holidays.some((h) => key >= storedDayKey(h.startDate) && key <= storedDayKey(h.endDate));
+
+  const occurrences = [];
+  let day = addDays(first, (meeting.weekday - weekdayOfKey(first) + 7) % 7);
+  for (; day <= last; day = addDays(day, 7)) {
+    if (skipped.has(day) || onHoliday(day)) continue;
+    occurrences.push({
+      day,
+      start: localDateTime(day, meeting.startTime),
+      end: localDateTime(day, meeting.endTime),
+    });
+  }
+  return occurrences;
+}
+
+/**
+ * The scheduled meeting of a class taking place at a moment (or starting
+ * within the next 15 minutes), if any.
+ * @param {Object} classDoc
+ * @param {Object|null} term - AcademicTerm of the class
+ * @param {Date} [now]
+ * @returns {Object|null} Class.schedule entry
+ */
+function findCurrentMeeting(classDoc, term, now = new Date()) {
+  const today = dayKeyOf(now);
+  return (
+    (classDoc.schedule || []).find((meeting) => {
+      if (meeting.weekday !== weekdayOfKey(today)) return false;
+      const [occurrence] = meetingOccurrences(meeting, term, { fromKey: today, toKey: today });
+      return (
+        occurrence &&
+        now.getTime() >= occurrence.start.getTime() - EARLY_START_MS &&
+        now.getTime() <= occurrence.end.getTime()
+      );
+    }) || null
+  );
+}
+
+module.exports = {
+  parseMeeting,
+  meetingOccurrences,
+  findCurrentMeeting,
+  addDays,
+};
@@ -0,0 +1,191 @@
+// utils/classTrash.js
+// Class trash: retention setting, and purging deleted classes together with
+// everything that belongs to them (records and uploaded files)
+
+const fs = require("fs");
+const path = require("path");
+const Class = require("../models/Class");
+const Assignment = require("../models/Assignment");
+const Submission = require("../models/Submission");
+const ClassAnnouncement = require("../models/ClassAnnouncement");
+const AttendanceSession = require("../models/AttendanceSession");
+const RosterInvitation = require("../models/RosterInvitation");
+const RosterEvent = require("../models/RosterEvent");
+const SiteSettings = require("../models/SiteSettings");
+const { recordAudit, classTarget } = require("./auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const MAX_TRASH_RETENTION_DAYS = 365;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Files uploaded through middleware/upload.js, served at /uploads
+const UPLOAD_DIR = path.join(__dirname, "../uploads");
+const UPLOAD_URL_PREFIX = "/uploads/";
+
+const PURGE_BATCH_SIZE = 50;
+
+/**
+ * Days a deleted class stays in the trash (from SiteSettings).
+ * @returns {Promise<number>}
+ */
+async function getTrashRetentionDays() {
+  const settings = await SiteSettings.findOne({ key: "main" })
+    .select("classTrashRetentionDays")
+    .lean();
+  return (settings && settings.classTrashRetentionDays) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * When a class in the trash will be purged.
+ * @param {Object} classDoc
+ * @param {number} retentionDays
+ * @returns {Date}
+ */
+const getPurgeDate = (classDoc, retentionDays) =>
+  new Date(new Date(classDoc.deletedAt).getTime() + retentionDays * MS_PER_DAY);
+
+/**
+ * Delete an uploaded file given its public URL. URLs that do not point into
+ * the uploads folder (external links) are left alone.
+ * @param {string} fileUrl
+ * @returns {Promise<boolean>} Whether a file was removed
+ */
+async function removeUploadedFile(fileUrl) {
+  if (typeof fileUrl !== "string" || !fileUrl.startsWith(UPLOAD_URL_PREFIX)) return false;
+
+  const filePath = path.join(UPLOAD_DIR, path.basename(fileUrl.slice(UPLOAD_URL_PREFIX.length)));
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`[ERROR] Could not delete uploaded file ${filePath}:`, err.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Permanently delete a class from the trash with its assignments,
+ * submissions, class announcements, attendance sessions, roster invitations,
+ * roster history and uploaded files.
+ * @param {Object} classDoc - Class in the trash
+ * @returns {Promise<Object>} Number of records and files removed, by kind
+ */
+async function purgeClass(classDoc) {
+  const classId = classDoc._id;
+
+  const assignments = await Assignment.find({ class: classId }).select("attachmentUrl").lean();
+  const assignmentIds = assignments.map((a) => a._id);
+  const [submissions, announcements] = await Promise.all([
+    Submission.find({ assignment: { $in: assignmentIds } }).select("fileUrl").lean(),
+    ClassAnnouncement.find({ classId }).select("attachments").lean(),
+  ]);
+
+  const fileUrls = [
+    ...assignments.map((a) => a.attachmentUrl),
+    ...submissions.map((s) => s.fileUrl),
+    ...announcements.flatMap((a) => (a.attachments || []).map((f) => f.fileUrl)),
+  ];
+
+  // Records first: a file left behind is harmless, a record pointing at a
+  // deleted file is not
+  const [submissionResult, assignmentResult, announcementResult, sessionResult, invitationResult, eventResult] =
+    await Promise.all([
+      Submission.deleteMany({ assignment: { $in: assignmentIds } }),
+      Assignment.deleteMany({ class: classId }),
+      ClassAnnouncement.deleteMany({ classId }),
+      AttendanceSession.deleteMany({ classId }),
+      RosterInvitation.deleteMany({ class: classId }),
+      RosterEvent.deleteMany({ class: classId }),
+    ]);
+  await Class.deleteOne({ _id: classId, deletedAt: { $ne: null } });
+
+  // Rolled-over copies of assignments and template announcements share
+  // their files with the new class; those files stay
+  const uploads = [...new Set(fileUrls.filter((url) => url && url.startsWith(UPLOAD_URL_PREFIX)))];
+  const [sharedAnnouncementFiles, sharedAssignmentFiles] = await Promise.all([
+    ClassAnnouncement.distinct("attachments.fileUrl", { "attachments.fileUrl": { $in: uploads } }),
+    Assignment.distinct("attachmentUrl", { attachmentUrl: { $in: uploads } }),
+  ]);
+  const shared = new Set([...sharedAnnouncementFiles, ...sharedAssignmentFiles]);
+
+  let files = 0;
+  for (const url of uploads) {
+    if (!shared.has(url) && (await removeUploadedFile(url))) files += 1;
+  }
+
+  return {
+    assignments: assignmentResult.deletedCount,
+    submissions: submissionResult.deletedCount,
+    announcements: announcementResult.deletedCount,
+    attendanceSessions: sessionResult.deletedCount,
+    rosterInvitations: invitationResult.deletedCount,
+    rosterEvents: eventResult.deletedCount,
+    files,
+  };
+}
+
+const addSummaries = (total, summary) => {
+  for (const [key, count] of Object.entries(summary)) {
+    total[key] = (total[key] || 0) + count;
+  }
+  return total;
+};
+
+/**
+ * Purge one class and record it in the audit log.
+ * @param {Object} classDoc - Class in the trash
+ * @param {Object|null} req - Request of the user purging it (null = purge job)
+ * @returns {Promise<Object>} Summary of what was removed
+ */
+async function purgeClassWithAudit(classDoc, req = null) {
+  const summary = await purgeClass(classDoc);
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CLASS_PURGED,
+    target: classTarget(classDoc),
+    details: { deletedAt: classDoc.deletedAt, automatic: !req, ...summary },
+  });
+  return summary;
+}
+
+/**
+ * Purge every class that has been in the trash longer than the retention
+ * period. Run by the purge-class-trash maintenance job.
+ * @returns {Promise<Object>} Classes purged and the records and files removed
+ */
+async function purgeExpiredClasses() {
+  const retentionDays = await getTrashRetentionDays();
+  const cutoff = new Date(Date.now() - retentionDays * MS_PER_DAY);
+
+  const total = { classes: 0 };
+  for (;;) {
+    const expired = await Class.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select("name courseCode deletedAt")
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+
+    for (const classDoc of expired) {
+      addSummaries(total, await purgeClassWithAudit(classDoc));
+      total.classes += 1;
+    }
+
+    if (expired.length < PURGE_BATCH_SIZE) break;
+  }
+
+  if (total.classes > 0) {
+    console.log(`[INFO] Purged ${total.classes} class(es) from the trash:`, JSON.stringify(total));
+  }
+  return total;
+}
+
+module.exports = {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  MAX_TRASH_RETENTION_DAYS,
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeClassWithAudit,
+  purgeExpiredClasses,
+};
@@ -0,0 +1,344 @@
+// utils/courseCatalog.js
+// Course catalog: default seed, payload validation and spreadsheet import
+
+const Course = require("../models/Course");
+const { DEFAULT_COURSES, DEFAULT_COURSE_DEPARTMENT } = require("../constants/defaultCourses");
+const { readSpreadsheet } = require("./spreadsheet");
+
+const MAX_COURSE_ROWS = 5000;
+
+const CODE_REGEX = /^[A-Z0-9][A-Z0-9 _-]{0,19}$/;
+
+const EDITABLE_FIELDS = ["code", "title", "creditHours", "department", "college", "prerequisites", "isActive"];
+
+// Accepted spelling of each catalog column (after normalizeHeader)
+const COLUMN_ALIASES = {
+  code: ["code", "coursecode", "course"],
+  title: ["title", "name", "coursetitle", "coursename"],
+  creditHours: ["credithours", "credits", "hours"],
+  department: ["department", "dept"],
+  college: ["college", "faculty"],
+  prerequisites: ["prerequisites", "prerequisite", "prereqs", "requires"],
+  isActive: ["active", "isactive"],
+};
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Seed the default courses when the catalog is empty.
+ * @returns {Promise<number>} Number of courses inserted
+ */
+async function seedDefaultCourses() {
+  const count = await Course.estimatedDocumentCount();
+  if (count > 0) return 0;
+
+  const docs = Object.entries(DEFAULT_COURSES).map(([code, title]) => ({
+    code,
+    title,
+    department: DEFAULT_COURSE_DEPARTMENT,
+  }));
+  await Course.insertMany(docs);
+  console.log(`[INFO] Seeded ${docs.length} default courses`);
+  return docs.length;
+}
+
+/**
+ * Copy the editable fields of a request body, normalizing codes.
+ * @param {Object} body
+ * @returns {Object}
+ */
+const pickCourseFields = (body) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (typeof data.code === "string") data.code = normalizeCode(data.code);
+  if (Array.isArray(data.prerequisites)) {
+    data.prerequisites = [...new Set(data.prerequisites.map(normalizeCode).filter(Boolean))];
+  }
+  if (data.creditHours === "") data.creditHours = null;
+  return data;
+};
+
+/**
+ * Validate a course payload (after pickCourseFields). Returns an error message or null.
+ * Prerequisites are only checked for shape here; see findMissingPrerequisites.
+ * @param {Object} data
+ * @param {boolean} isUpdate
+ * @returns {string|null}
+ */
+const validateCoursePayload = (data, isUpdate) => {
+  if (!isUpdate || data.code !== undefined) {
+    if (typeof data.code !== "string" || !CODE_REGEX.test(data.code)) {
+      return "A course code of up to 20 letters and digits is required (e.g. CS305)";
+    }
+  }
+
+  if (!isUpdate || data.title !== undefined) {
+    if (typeof data.title !== "string" || !data.title.trim()) {
+      return "Course title is required";
+    }
+    if (data.title.trim().length > 200) {
+      return "Course title cannot exceed 200 characters";
+    }
+  }
+
+  if (data.creditHours !== undefined && data.creditHours !== null) {
+    const hours = Number(data.creditHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 30) {
+      return "creditHours must be a number between 0 and 30";
+    }
+  }
+
+  for (const field of ["department", "college"]) {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== "string") {
+      return `${field} must be a string`;
+    }
+  }
+
+  if (data.prerequisites !== undefined) {
+    if (!Array.isArray(data.prerequisites)) {
+      return "prerequisites must be an array of course codes";
+    }
+    if (data.code && data.prerequisites.includes(data.code)) {
+      return "A course cannot be its own prerequisite";
+    }
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== "boolean") {
+    return "isActive must be a boolean";
+  }
+
+  return null;
+};
+
+/**
+ * Prerequisite codes that are not in the catalog.
+ * @param {string[]} codes
+ * @returns {Promise<string[]>}
+ */
+async function findMissingPrerequisites(codes) {
+  if (!codes || !codes.length) return [];
+  const existing = new Set(await Course.find({ code: { $in: codes } }).distinct("code"));
+  return codes.filter((code) => !existing.has(code));
+}
+
+/**
+ * Find a prerequisite cycle reachable from the given courses.
+ * @param {Map<string, string[]>} graph - Course code -> prerequisite codes
+ * @param {string[]} starts - Codes to walk from
+ * @returns {string[]|null} The cycle as codes, first code repeated at the end
+ */
+function findCycle(graph, starts) {
+  const done = new Set();
+  const path = [];
+  const visit = (code) => {
+    if (done.has(code)) return null;
+    const index = path.indexOf(code);
+    if (index !== -1) return [...path.slice(index), code];
+    path.push(code);
+    for (const next of graph.get(code) || []) {
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    done.add(code);
+    return null;
+  };
+  for (const code of starts) {
+    const cycle = visit(code);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Check whether giving courses new prerequisites would make a course
+ * (indirectly) a prerequisite of itself, walking the whole catalog.
+ * @param {Map<string, string[]>} changes - Course code -> its new prerequisites
+ * @returns {Promise<string[]|null>} The cycle as codes, or null
+ */
+async function findPrerequisiteCycle(changes) {
+  if (!changes.size) return null;
+  const catalog = await Course.find({ prerequisites: { $ne: [] } }).select("code prerequisites").lean();
+  const graph = new Map(catalog.map((c) => [c.code, c.prerequisites]));
+  for (const [code, prerequisites] of changes) graph.set(code, prerequisites);
+  return findCycle(graph, [...changes.keys()]);
+}
+
+/**
+ * Error message for a prerequisite cycle.
+ * @param {string[]} cycle - From findPrerequisiteCycle
+ * @returns {string}
+ */
+const formatPrerequisiteCycle = (cycle) => `Prerequisites would form a cycle: ${cycle.join(" -> ")}`;
+
+const pickColumn = (headers, field) => COLUMN_ALIASES[field].find((alias) => headers.includes(alias));
+
+const parseBoolean = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (["yes", "y", "true", "1", "active"].includes(text)) return true;
+  if (["no", "n", "false", "0", "inactive"].includes(text)) return false;
+  return undefined;
+};
+
+/**
+ * Turn a spreadsheet row into a course payload. Empty cells leave the field unset.
+ */
+const rowToCourse = (values, columns) => {
+  const cell = (field) => (columns[field] ? String(values[columns[field]] || "").trim() : "");
+  const data = { code: cell("code") ? normalizeCode(cell("code")) : "", title: cell("title") };
+
+  if (cell("creditHours")) data.creditHours = Number(cell("creditHours"));
+  if (cell("department")) data.department = cell("department");
+  if (cell("college")) data.college = cell("college");
+  if (cell("prerequisites")) {
+    data.prerequisites = [
+      ...new Set(cell("prerequisites").split(/[,;|]/).map(normalizeCode).filter(Boolean)),
+    ];
+  }
+  if (cell("isActive")) {
+    const active = parseBoolean(cell("isActive"));
+    data.isActive = active === undefined ? cell("isActive") : active;
+  }
+  return data;
+};
+
+/**
+ * Create or update catalog courses from a CSV or XLSX file.
+ * Rows are matched by code: new codes are created, existing ones updated.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {Promise<{report: Object[], summary: Object, columns: Object}|{error: {status: number, message: string, code: string}}>}
+ */
+async function importCourses(buffer, { dryRun = false } = {}) {
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(buffer, { maxRows: MAX_COURSE_ROWS });
+  } catch (err) {
+    if (err.code === "TOO_MANY_ROWS") {
+      return { error: { status: 400, message: err.message, code: "TOO_MANY_ROWS" } };
+    }
+    return {
+      error: { status: 400, message: "The file could not be read as CSV or XLSX", code: "INVALID_FILE" },
+    };
+  }
+
+  const columns = {};
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    columns[field] = pickColumn(sheet.headers, field);
+  }
+  if (!columns.code || !columns.title) {
+    return {
+      error: {
+        status: 400,
+        message: "The course list needs a code and a title column",
+        code: "INVALID_COURSE_FILE",
+      },
+    };
+  }
+
+  const entries = sheet.rows.map(({ rowNumber, values }) => ({
+    row: rowNumber,
+    data: rowToCourse(values, columns),
+  }));
+
+  const codes = entries.map((e) => e.data.code).filter(Boolean);
+  const existing = new Set(await Course.find({ code: { $in: codes } }).distinct("code"));
+
+  // Validate each row and flag repeated codes
+  const seen = new Map();
+  const report = entries.map(({ row, data }) => {
+    const entry = { row, courseCode: data.code || null, title: data.title || null };
+    const validationError = validateCoursePayload(data, false);
+    if (validationError) {
+      return { ...entry, status: "error", code: "VALIDATION_ERROR", message: validationError, data };
+    }
+    if (seen.has(data.code)) {
+      return {
+        ...entry,
+        status: "duplicate",
+        code: "DUPLICATE_ROW",
+        message: `Same course as row ${seen.get(data.code)}`,
+      };
+    }
+    seen.set(data.code, row);
+    return { ...entry, status: existing.has(data.code) ? "updated" : "created", data };
+  });
+
+  // A prerequisite must be in the catalog or on a valid row of this file, and
+  // the rows together with the catalog must not form a prerequisite cycle.
+  // Repeat until stable, since rejecting one row can orphan rows that need it.
+  const prerequisites = [...new Set(report.flatMap((e) => (e.data && e.data.prerequisites) || []))];
+  const catalogCodes = prerequisites.length
+    ? new Set(await Course.find({ code: { $in: prerequisites } }).distinct("code"))
+    : new Set();
+  const isAccepted = (e) => e.status === "created" || e.status === "updated";
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const known = new Set([...catalogCodes, ...report.filter(isAccepted).map((e) => e.data.code)]);
+    for (const entry of report.filter(isAccepted)) {
+      const missing = (entry.data.prerequisites || []).filter((code) => !known.has(code));
+      if (missing.length) {
+        Object.assign(entry, {
+          status: "error",
+          code: "UNKNOWN_PREREQUISITE",
+          message: `Unknown prerequisite course(s): ${missing.join(", ")}`,
+        });
+        changed = true;
+      }
+    }
+    if (changed) continue;
+
+    const rowsSettingPrerequisites = report.filter((e) => isAccepted(e) && e.data.prerequisites);
+    const cycle = await findPrerequisiteCycle(
+      new Map(rowsSettingPrerequisites.map((e) => [e.data.code, e.data.prerequisites])),
+    );
+    if (cycle) {
+      // Reject every row on the cycle; the catalog on its own has none
+      for (const entry of rowsSettingPrerequisites.filter((e) => cycle.includes(e.data.code))) {
+        Object.assign(entry, {
+          status: "error",
+          code: "PREREQUISITE_CYCLE",
+          message: formatPrerequisiteCycle(cycle),
+        });
+      }
+      changed = true;
+    }
+  }
+
+  if (!dryRun) {
+    const writes = report
+      .filter(isAccepted)
+      .map((e) => ({
+        updateOne: { filter: { code: e.data.code }, update: { $set: e.data }, upsert: true },
+      }));
+    if (writes.length) await Course.bulkWrite(writes, { ordered: false });
+  }
+
+  const summary = { totalRows: report.length, created: 0, updated: 0, duplicates: 0, errors: 0 };
+  report.forEach((entry) => {
+    if (entry.status === "created") summary.created += 1;
+    else if (entry.status === "updated") summary.updated += 1;
+    else if (entry.status === "duplicate") summary.duplicates += 1;
+    else summary.errors += 1;
+  });
+
+  return {
+    report: report.map(({ data, ...entry }) => entry),
+    summary,
+    columns,
+  };
+}
+
+module.exports = {
+  MAX_COURSE_ROWS,
+  seedDefaultCourses,
+  pickCourseFields,
+  validateCoursePayload,
+  findMissingPrerequisites,
+  findPrerequisiteCycle,
+  formatPrerequisiteCycle,
+  importCourses,
+};
@@ -0,0 +1,302 @@
+// utils/courseOfferings.js
+// Course offerings: finding their sections, who may see or coordinate them,
+// and attendance and grade statistics across the sections
+
+const mongoose = require("mongoose");
+const Class = require("../models/Class");
+const Assignment = require("../models/Assignment");
+const Submission = require("../models/Submission");
+const AttendanceSession = require("../models/AttendanceSession");
+const { hasPermission, getClassRole } = require("../middleware/role");
+const { PERMISSIONS } = require("../constants/permissions");
+
+// Global user roles that may coordinate a course offering
+const COORDINATOR_ROLES = ["instructor"];
+
+// Class roles that see the offering their class belongs to
+const SECTION_STAFF_ROLES = ["owner", "co_instructor", "ta"];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Percentage with one decimal, or null when there is nothing to average
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * The sections of an offering: classes with its course code linked to its
+ * term, in section order.
+ * @param {Object} offering
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=true]
+ * @returns {Promise<Object[]>} Class documents
+ */
+async function getOfferingSections(offering, { includeArchived = true } = {}) {
+  const filter = { courseCode: offering.courseCode, term: idOf(offering.term) };
+  if (!includeArchived) filter.archivedAt = null;
+  return Class.find(filter).sort({ section: 1, createdAt: 1 });
+}
+
+/**
+ * Whether the user coordinates the offering.
+ * @param {Object} user
+ * @param {Object} offering
+ * @returns {boolean}
+ */
+const isCoordinator = (user, offering) =>
+  !!user && (offering.coordinators || []).some((c) => idOf(c) === user._id.toString());
+
+/**
+ * Whether coordinators may post to a section: its owner accepted the
+ * offering, or coordinates it.
+ * @param {Object} offering
+ * @param {Object} classDoc - A section of the offering
+ * @returns {boolean}
+ */
+const sectionAcceptsPosts = (offering, classDoc) =>
+  (offering.acceptedSections || []).some((id) => idOf(id) === idOf(classDoc)) ||
+  (!!classDoc.instructor && (offering.coordinators || []).some((c) => idOf(c) === idOf(classDoc.instructor)));
+
+/**
+ * Whether the user may delete the offering: its coordinators and admins who
+ * manage course offerings. Only the admins appoint coordinators.
+ * @param {Object} user
+ * @param {Object} offering
+ * @returns {boolean}
+ */
+const canManageOffering = (user, offering) =>
+  isCoordinator(user, offering) || hasPermission(user, PERMISSIONS.COURSE_OFFERING_MANAGE);
+
+/**
+ * Whether the user may see the offering and its statistics: those who may
+ * manage it, admins who read any class, and the staff of its sections.
+ * @param {Object} user
+ * @param {Object} offering
+ * @param {Object[]} sections - From getOfferingSections()
+ * @returns {boolean}
+ */
+const canViewOffering = (user, offering, sections) =>
+  canManageOffering(user, offering) ||
+  hasPermission(user, PERMISSIONS.CLASS_READ_ANY) ||
+  sections.some((c) => SECTION_STAFF_ROLES.includes(getClassRole(user, c)));
+
+/**
+ * Pick the sections to post to. Without sectionIds, every section that is
+ * not archived and accepts posts from the coordinators.
+ * @param {Object} offering
+ * @param {Object[]} sections - From getOfferingSections()
+ * @param {Array|string|undefined} sectionIds - Class IDs (array, or JSON array from FormData)
+ * @returns {{sections: Object[]}|{error: {message: string, code: string}}}
+ */
+function selectSections(offering, sections, sectionIds) {
+  let ids = sectionIds;
+  if (typeof ids === "string") {
+    try {
+      ids = JSON.parse(ids);
+    } catch {
+      ids = [ids];
+    }
+  }
+
+  if (ids === undefined || ids === null || (Array.isArray(ids) && ids.length === 0)) {
+    const open = sections.filter((c) => !c.archivedAt && sectionAcceptsPosts(offering, c));
+    return open.length
+      ? { sections: open }
+      : {
+          error: {
+            message: "No open section of this offering accepts posts from its coordinators",
+            code: "NO_SECTIONS",
+          },
+        };
+  }
+
+  if (!Array.isArray(ids) || ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: { message: "sectionIds must be an array of class IDs", code: "INVALID_ID" } };
+  }
+
+  const wanted = new Set(ids.map(String));
+  const selected = sections.filter((c) => wanted.has(c._id.toString()));
+  if (selected.length !== wanted.size) {
+    return {
+      error: { message: "Some sectionIds are not sections of this offering", code: "SECTION_NOT_IN_OFFERING" },
+    };
+  }
+  if (selected.some((c) => c.archivedAt)) {
+    return { error: { message: "Archived sections cannot be posted to", code: "CLASS_ARCHIVED" } };
+  }
+  if (selected.some((c) => !sectionAcceptsPosts(offering, c))) {
+    return {
+      error: {
+        message: "Some sections have not accepted posts from this offering's coordinators",
+        code: "SECTION_NOT_ACCEPTED",
+      },
+    };
+  }
+  return { sections: selected };
+}
+
+const emptyGrades = () => ({ assignments: 0, submissions: 0, graded: 0, percentSum: 0 });
+
+const gradeSummary = ({ submissions, graded, percentSum }) => ({
+  submissions,
+  graded,
+  averagePercent: graded > 0 ? Math.round((percentSum / graded) * 10) / 10 : null,
+});
+
+/**
+ * Attendance and grade statistics for each section of an offering and for
+ * the offering as a whole, plus per-assignment figures for assignments
+ * posted to several sections at once.
+ *
+ * Attendance rate = check-ins / (sessions x students enrolled now). Grades
+ * are averaged as a percentage of each assignment's maxGrade, over graded
+ * submissions of students still enrolled.
+ * @param {Object[]} sections - From getOfferingSections()
+ * @returns {Promise<Object>}
+ */
+async function buildOfferingStats(sections) {
+  const classIds = sections.map((c) => c._id);
+
+  const [sessionTotals, assignments] = await Promise.all([
+    AttendanceSession.aggregate([
+      { $match: { classId: { $in: classIds } } },
+      {
+        $group: {
+          _id: "$classId",
+          sessions: { $sum: 1 },
+          checkIns: {
+            $sum: {
+              $size: {
+                $filter: {
+                  input: "$students",
+                  as: "entry",
+                  cond: { $eq: [{ $ifNull: ["$$entry.removedFromClassAt", null] }, null] },
+                },
+              },
+            },
+          },
+        },
+      },
+    ]),
+    Assignment.find({ class: { $in: classIds } })
+      .select("title class dueDate maxGrade offeringPostId")
+      .lean(),
+  ]);
+
+  const submissionTotals = await Submission.aggregate([
+    { $match: { assignment: { $in: assignments.map((a) => a._id) }, removedFromClassAt: null } },
+    {
+      $group: {
+        _id: "$assignment",
+        submissions: { $sum: 1 },
+        graded: { $sum: { $cond: [{ $ne: [{ $ifNull: ["$grade", null] }, null] }, 1, 0] } },
+        gradeSum: { $sum: { $ifNull: ["$grade", 0] } },
+      },
+    },
+  ]);
+
+  const sessionsByClass = new Map(sessionTotals.map((s) => [s._id.toString(), s]));
+  const submissionsByAssignment = new Map(submissionTotals.map((s) => [s._id.toString(), s]));
+
+  // Grade figures of one assignment
+  const assignmentGrades = (a) => {
+    const totals = submissionsByAssignment.get(a._id.toString());
+    if (!totals) return { assignments: 1, submissions: 0, graded: 0, percentSum: 0 };
+    return {
+      assignments: 1,
+      submissions: totals.submissions,
+      graded: totals.graded,
+      percentSum: (totals.gradeSum / (a.maxGrade || 100)) * 100,
+    };
+  };
+  const addGrades = (total, g) => {
+    total.assignments += g.assignments;
+    total.submissions += g.submissions;
+    total.graded += g.graded;
+    total.percentSum += g.percentSum;
+    return total;
+  };
+
+  const gradesByClass = new Map(classIds.map((id) => [id.toString(), emptyGrades()]));
+  const posts = new Map();
+  for (const a of assignments) {
+    const g = assignmentGrades(a);
+    addGrades(gradesByClass.get(a.class.toString()), g);
+
+    if (a.offeringPostId) {
+      const key = a.offeringPostId.toString();
+      if (!posts.has(key)) {
+        posts.set(key, {
+          offeringPostId: a.offeringPostId,
+          title: a.title,
+          dueDate: a.dueDate,
+          totals: emptyGrades(),
+          bySection: [],
+        });
+      }
+      const post = posts.get(key);
+      addGrades(post.totals, g);
+      post.bySection.push({ classId: a.class, assignmentId: a._id, ...gradeSummary(g) });
+    }
+  }
+
+  const overallAttendance = { sessions: 0, checkIns: 0, expected: 0 };
+  const overallGrades = emptyGrades();
+  let students = 0;
+
+  const sectionStats = sections.map((c) => {
+    const enrolled = (c.students || []).length;
+    const attendance = sessionsByClass.get(c._id.toString()) || { sessions: 0, checkIns: 0 };
+    const expected = attendance.sessions * enrolled;
+    const grades = gradesByClass.get(c._id.toString());
+
+    students += enrolled;
+    overallAttendance.sessions += attendance.sessions;
+    overallAttendance.checkIns += attendance.checkIns;
+    overallAttendance.expected += expected;
+    addGrades(overallGrades, grades);
+
+    return {
+      class: {
+        id: c._id,
+        name: c.name,
+        section: c.section,
+        instructor: c.instructor,
+        archivedAt: c.archivedAt,
+      },
+      students: enrolled,
+      attendance: {
+        sessions: attendance.sessions,
+        checkIns: attendance.checkIns,
+        ratePercent: percent(attendance.checkIns, expected),
+      },
+      grades: { assignments: grades.assignments, ...gradeSummary(grades) },
+    };
+  });
+
+  return {
+    overall: {
+      sections: sections.length,
+      students,
+      attendance: {
+        sessions: overallAttendance.sessions,
+        checkIns: overallAttendance.checkIns,
+        ratePercent: percent(overallAttendance.checkIns, overallAttendance.expected),
+      },
+      grades: { assignments: overallGrades.assignments, ...gradeSummary(overallGrades) },
+    },
+    sections: sectionStats,
+    sharedAssignments: [...posts.values()]
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+      .map(({ totals, ...post }) => ({ ...post, sections: totals.assignments, ...gradeSummary(totals) })),
+  };
+}
+
+module.exports = {
+  COORDINATOR_ROLES,
+  getOfferingSections,
+  isCoordinator,
+  sectionAcceptsPosts,
+  canManageOffering,
+  canViewOffering,
+  selectSections,
+  buildOfferingStats,
+};
@@ -0,0 +1,149 @@
+// utils/dataExport.js
+// Personal data export: everything stored about a user, as a ZIP of JSON files
+
+const archiver = require("archiver");
+const User = require("../models/User");
+const Class = require("../models/Class");
+const Assignment = require("../models/Assignment");
+const Submission = require("../models/Submission");
+const AttendanceSession = require("../models/AttendanceSession");
+const ClassAnnouncement = require("../models/ClassAnnouncement");
+const Announcement = require("../models/Announcement");
+const Session = require("../models/Session");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+
+// Fields never included in an export (hashes and secrets)
+const PRIVATE_USER_FIELDS = [
+  "-password",
+  "-passwordResetTokenHash",
+  "-passwordResetExpires",
+  "-unlockTokenHash",
+  "-calendarFeedTokenHash",
+  "-twoFactorSecret",
+  "-twoFactorPendingSecret",
+  "-twoFactorRecoveryCodes",
+  "-twoFactorLastUsedStep",
+].join(" ");
+
+const README = `UAPMP personal data export
+
+profile.json        Your account details
+classes.json        Classes you teach, assist with or are enrolled in
+assignments.json    Assignments you created (instructors)
+submissions.json    Your submissions, grades and feedback
+attendance.json     Your check-ins, and sessions you ran (instructors)
+announcements.json  Announcements you posted
+security.json       Active login sessions and personal access tokens
+`;
+
+/**
+ * Gather every record that belongs to, or mentions, a user.
+ * @param {string|ObjectId} userId
+ * @returns {Promise<Object<string, Object>>} File name -> JSON-serializable content
+ */
+async function collectUserData(userId) {
+  const profile = await User.findById(userId).select(PRIVATE_USER_FIELDS).lean();
+
+  const classes = await Class.find({
+    $or: [{ instructor: userId }, { students: userId }, { "staff.user": userId }],
+  })
+    .select("-students -joinCode -staff -joinRequests -waitlist -blockedStudents -enrollment")
+    .populate("instructor", "fullName email")
+    .lean();
+
+  const assignments = await Assignment.find({ instructor: userId })
+    .populate("class", "name courseCode section")
+    .lean();
+
+  const submissions = await Submission.find({ student: userId })
+    .populate({
+      path: "assignment",
+      select: "title dueDate maxGrade class",
+      populate: { path: "class", select: "name courseCode section" },
+    })
+    .lean();
+
+  const checkInSessions = await AttendanceSession.find({
+    "students.studentId": userId,
+  })
+    .populate("classId", "name courseCode section")
+    .lean();
+
+  const sessionsRun = await AttendanceSession.find({ instructorId: userId })
+    .select("-students")
+    .populate("classId", "name courseCode section")
+    .lean();
+
+  const [classAnnouncements, announcements] = await Promise.all([
+    ClassAnnouncement.find({ createdBy: userId }).lean(),
+    Announcement.find({ createdBy: userId }).lean(),
+  ]);
+
+  const [loginSessions, accessTokens] = await Promise.all([
+    Session.find({ user: userId, revokedAt: null })
+      .select("deviceName ip lastUsedAt createdAt expiresAt")
+      .lean(),
+    PersonalAccessToken.find({ user: userId }).select("-tokenHash").lean(),
+  ]);
+
+  return {
+    "profile.json": profile,
+    "classes.json": classes,
+    "assignments.json": assignments,
+    "submissions.json": submissions.map((s) => ({
+      assignment: s.assignment,
+      fileUrl: s.fileUrl,
+      note: s.note,
+      status: s.status,
+      grade: s.grade,
+      feedback: s.feedback,
+      submittedAt: s.createdAt,
+      updatedAt: s.updatedAt,
+    })),
+    "attendance.json": {
+      checkIns: checkInSessions.map((session) => {
+        const entry = session.students.find(
+          (s) => s.studentId.toString() === userId.toString(),
+        );
+        return {
+          class: session.classId,
+          sessionStartedAt: session.startedAt,
+          checkedInAt: entry ? entry.timestamp : null,
+        };
+      }),
+      sessionsRun,
+    },
+    "announcements.json": { classAnnouncements, announcements },
+    "security.json": { loginSessions, accessTokens },
+  };
+}
+
+/**
+ * Stream a user's data export as a ZIP download.
+ * @param {string|ObjectId} userId
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+async function sendDataExport(userId, res) {
+  // Collect first so query errors can still produce a normal JSON error response
+  const files = await collectUserData(userId);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.attachment(`uapmp-data-export-${date}.zip`);
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    console.error("[ERROR] Data export archive failed:", err.message);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  archive.append(README, { name: "README.txt" });
+  for (const [name, content] of Object.entries(files)) {
+    archive.append(JSON.stringify(content, null, 2), { name });
+  }
+
+  await archive.finalize();
+}
+
+module.exports = { collectUserData, sendDataExport };
@@ -0,0 +1,211 @@
+// utils/emailTemplates.js
+// Renders the localized email templates in templates/email with the site's
+// branding into an HTML body and a plain-text fallback
+
+const SiteSettings = require("../models/SiteSettings");
+const templates = require("../templates/email");
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  RTL_LOCALES,
+} = require("../constants/locales");
+
+const DEFAULT_SITE_NAME = "UAPMP";
+// Dates in emails are shown in the universities' time zone
+const EMAIL_TIME_ZONE = process.env.EMAIL_TIME_ZONE || "Africa/Cairo";
+const BRAND_COLOR = "#007bff";
+
+// Words the layout itself adds around the template content
+const LAYOUT_STRINGS = {
+  en: {
+    copyLink: "Or copy this link:",
+    sentBy: (siteName) => `This email was sent by ${siteName}.`,
+    contact: "Questions? Contact us at",
+  },
+  ar: {
+    copyLink: "أو انسخ هذا الرابط:",
+    sentBy: (siteName) => `تم إرسال هذه الرسالة من ${siteName}.`,
+    contact: "لديك استفسار؟ تواصل معنا على",
+  },
+};
+
+const DATE_LOCALES = { en: "en-GB", ar: "ar-EG" };
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * A supported locale for the given value, falling back to the default.
+ * @param {string} [locale] - e.g. a user's locale preference
+ * @returns {string}
+ */
+const resolveLocale = (locale) =>
+  SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+/**
+ * Locale for a new account: an explicit `locale` in the body, otherwise the
+ * best match from the Accept-Language header.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getRequestLocale = (req) => {
+  const requested = req.body && req.body.locale;
+  if (SUPPORTED_LOCALES.includes(requested)) return requested;
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
+
+/**
+ * Site name, logo and contact email from SiteSettings.
+ * @returns {Promise<{siteName: string, logoUrl: string|null, contactEmail: string|null}>}
+ */
+async function getEmailBranding() {
+  const settings = await SiteSettings.findOne({ key: "main" })
+    .select("siteName logoUrl contactEmail")
+    .lean();
+  return {
+    siteName: (settings && settings.siteName) || DEFAULT_SITE_NAME,
+    logoUrl: (settings && settings.logoUrl) || null,
+    contactEmail: (settings && settings.contactEmail) || null,
+  };
+}
+
+function renderHtml(content, { locale, branding }) {
+  const strings = LAYOUT_STRINGS[locale];
+  const dir = RTL_LOCALES.includes(locale) ? "rtl" : "ltr";
+  const align = dir === "rtl" ? "right" : "left";
+  const paragraph = (text) => `<p>${escapeHtml(text)}</p>`;
+
+  const parts = [];
+  if (branding.logoUrl) {
+    parts.push(
+      `<p><img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.siteName)}" style="max-height: 60px;"></p>`,
+    );
+  }
+  parts.push(`<h2>${escapeHtml(content.heading)}</h2>`);
+  parts.push(...(content.paragraphs || []).map(paragraph));
+
+  if (content.action) {
+    const url = escapeHtml(content.action.url);
+    parts.push(
+      `<p>
+        <a href="${url}" style="background-color: ${BRAND_COLOR}; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+          ${escapeHtml(content.action.label)}
+        </a>
+      </p>`,
+      `<p>${escapeHtml(strings.copyLink)} <a href="${url}">${url}</a></p>`,
+    );
+  }
+
+  parts.push(...(content.notes || []).map((note) => `<p><strong>${escapeHtml(note)}</strong></p>`));
+  parts.push(...(content.closing || []).map(paragraph));
+
+  const footer = [escapeHtml(strings.sentBy(branding.siteName))];
+  if (branding.contactEmail) {
+    const email = escapeHtml(branding.contactEmail);
+    footer.push(`${escapeHtml(strings.contact)} <a href="mailto:${email}">${email}</a>`);
+  }
+  parts.push(
+    `<hr><p style="color: #6c757d; font-size: 12px;">${footer.join("<br>")}</p>`,
+  );
+
+  return `<!DOCTYPE html>
+<html lang="${locale}" dir="${dir}">
+  <head><meta charset="utf-8"><title>${escapeHtml(content.subject)}</title></head>
+  <body style="font-family: Arial, Tahoma, sans-serif; text-align: ${align};">
+    <div dir="${dir}">
+      ${parts.join("\n      ")}
+    </div>
+  </body>
+</html>`;
+}
+
+function renderText(content, { locale, branding }) {
+  const strings = LAYOUT_STRINGS[locale];
+  const blocks = [content.heading, ...(content.paragraphs || [])];
+
+  if (content.action) {
+    blocks.push(`${content.action.label}: ${content.action.url}`);
+  }
+  blocks.push(...(content.notes || []), ...(content.closing || []));
+
+  const footer = [strings.sentBy(branding.siteName)];
+  if (branding.contactEmail) footer.push(`${strings.contact} ${branding.contactEmail}`);
+  blocks.push(`--\n${footer.join("\n")}`);
+
+  return blocks.join("\n\n") + "\n";
+}
+
+/**
+ * Render an email from its template.
+ * @param {string} type - Template name (see templates/email/index.js)
+ * @param {Object} options
+ * @param {string} [options.locale] - Falls back to the default locale
+ * @param {Object} options.vars - Values for the template's variables
+ * @param {Object} [options.branding] - From getEmailBranding(); loaded when omitted
+ * @returns {Promise<{subject: string, html: string, text: string, locale: string}>}
+ * @throws {Error} For unknown templates or missing variables
+ */
+async function renderEmail(type, { locale, vars = {}, branding }) {
+  const template = templates[type];
+  if (!template) throw new Error(`Unknown email template: ${type}`);
+
+  const missing = template.variables.filter((name) => vars[name] === undefined || vars[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`Email template ${type} is missing variables: ${missing.join(", ")}`);
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  const resolvedBranding = branding || (await getEmailBranding());
+  const formatDate = (date) =>
+    new Intl.DateTimeFormat(DATE_LOCALES[resolvedLocale], {
+      dateStyle: "medium",
+      timeStyle: "short",
+      timeZone: EMAIL_TIME_ZONE,
+    }).format(new Date(date));
+
+  const content = template.locales[resolvedLocale](vars, {
+    siteName: resolvedBranding.siteName,
+    formatDate,
+  });
+  const context = { locale: resolvedLocale, branding: resolvedBranding };
+
+  return {
+    subject: content.subject,
+    html: renderHtml(content, context),
+    text: renderText(content, context),
+    locale: resolvedLocale,
+  };
+}
+
+/**
+ * Registered templates for the admin preview.
+ * @returns {Array<{type: string, description: string, variables: string[], locales: string[]}>}
+ */
+const listEmailTemplates = () =>
+  Object.entries(templates).map(([type, template]) => ({
+    type,
+    description: template.description,
+    variables: template.variables,
+    locales: Object.keys(template.locales),
+  }));
+
+/**
+ * Sample variables for previewing a template, or null for unknown templates.
+ * @param {string} type - Template name
+ * @returns {Object|null}
+ */
+const getSampleVars = (type) => (templates[type] ? { ...templates[type].sample } : null);
+
+module.exports = {
+  resolveLocale,
+  getRequestLocale,
+  getEmailBranding,
+  renderEmail,
+  listEmailTemplates,
+  getSampleVars,
+};
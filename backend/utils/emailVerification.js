@@ -0,0 +1,173 @@
+// utils/emailVerification.js
+// Issues and consumes single-use email verification tokens
+
+const EmailVerificationToken = require("../models/EmailVerificationToken");
+const User = require("../models/User");
+const { generateToken, hashToken } = require("./tokens");
+const { claimRosterInvitations } = require("./rosterImport");
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Resend throttling: minimum gap between emails and daily cap per user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_TOKENS_PER_DAY = 5;
+
+// Unverified accounts are removed in batches of this size
+const CLEANUP_BATCH_SIZE = 500;
+
+/**
+ * Issue a new verification token for a user, invalidating any unused ones.
+ * @param {string|ObjectId} userId - User to verify
+ * @returns {Promise<string>} Raw token to embed in the verification link
+ */
+async function issueVerificationToken(userId) {
+  const token = generateToken();
+
+  await EmailVerificationToken.updateMany(
+    { user: userId, usedAt: null, supersededAt: null },
+    { $set: { supersededAt: new Date() } },
+  );
+  await EmailVerificationToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS),
+  });
+
+  return token;
+}
+
+/**
+ * Check whether a user may be sent another verification email.
+ * @param {string|ObjectId} userId - User requesting a resend
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+ */
+async function checkResendThrottle(userId) {
+  const now = Date.now();
+  const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+
+  const recent = await EmailVerificationToken.find({
+    user: userId,
+    createdAt: { $gt: dayAgo },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+
+  if (recent.length > 0) {
+    const lastSentAt = new Date(recent[0].createdAt).getTime();
+    if (now - lastSentAt < RESEND_COOLDOWN_MS) {
+      return {
+        allowed: false,
+        retryAfterSeconds: Math.ceil((lastSentAt + RESEND_COOLDOWN_MS - now) / 1000),
+      };
+    }
+  }
+
+  if (recent.length >= MAX_TOKENS_PER_DAY) {
+    const oldestSentAt = new Date(recent[recent.length - 1].createdAt).getTime();
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((oldestSentAt + 24 * 60 * 60 * 1000 - now) / 1000),
+    };
+  }
+
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+/**
+ * Consume a verification token and mark the owning user as verified.
+ * @param {string} token - Raw token from the verification link
+ * @returns {Promise<{status: "verified"|"invalid"|"expired"|"used", user?: Object}>}
+ */
+async function consumeVerificationToken(token) {
+  if (!token) return { status: "invalid" };
+
+  const record = await EmailVerificationToken.findOne({
+    tokenHash: hashToken(token),
+  });
+
+  if (!record) return { status: "invalid" };
+  if (record.usedAt) return { status: "used" };
+  if (record.supersededAt) return { status: "invalid" };
+  if (record.expiresAt <= new Date()) return { status: "expired" };
+
+  // Claim atomically so two concurrent clicks (or a resend) cannot both succeed
+  const claimed = await EmailVerificationToken.findOneAndUpdate(
+    { _id: record._id, usedAt: null, supersededAt: null },
+    { usedAt: new Date() },
+    { new: true },
+  );
+  if (!claimed) return { status: "used" };
+
+  const user = await User.findById(record.user);
+  if (!user) return { status: "invalid" };
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await user.save();
+    await claimRosterInvitations(user);
+  }
+
+  return { status: "verified", user };
+}
+
+/**
+ * Delete accounts that were never verified within the verification window,
+ * freeing their email and student ID for a new registration.
+ * Accounts that still hold an unexpired link (e.g. after a resend) are kept.
+ * @returns {Promise<{deleted: number, keptWithPendingLink: number}>}
+ */
+async function deleteExpiredUnverifiedAccounts() {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - VERIFICATION_TTL_MS);
+  let deleted = 0;
+  let keptWithPendingLink = 0;
+  let lastId = null;
+
+  for (;;) {
+    const filter = { isEmailVerified: false, createdAt: { $lt: cutoff } };
+    if (lastId) filter._id = { $gt: lastId };
+
+    const candidates = await User.find(filter)
+      .sort({ _id: 1 })
+      .limit(CLEANUP_BATCH_SIZE)
+      .select("_id email")
+      .lean();
+    if (candidates.length === 0) break;
+    lastId = candidates[candidates.length - 1]._id;
+
+    const pending = await EmailVerificationToken.distinct("user", {
+      user: { $in: candidates.map((c) => c._id) },
+      usedAt: null,
+      supersededAt: null,
+      expiresAt: { $gt: now },
+    });
+    const pendingIds = new Set(pending.map(String));
+    const expired = candidates.filter((c) => !pendingIds.has(String(c._id)));
+    keptWithPendingLink += candidates.length - expired.length;
+
+    if (expired.length > 0) {
+      const ids = expired.map((c) => c._id);
+      // Re-check the flag in case someone verified since the batch was read
+      const result = await User.deleteMany({ _id: { $in: ids }, isEmailVerified: false });
+      // Their expired links stay until the TTL index removes them, so a late
+      // click is still answered as expired
+      deleted += result.deletedCount;
+    }
+
+    if (candidates.length < CLEANUP_BATCH_SIZE) break;
+  }
+
+  if (deleted > 0) {
+    console.log(`[INFO] Deleted ${deleted} expired unverified account(s)`);
+  }
+  return { deleted, keptWithPendingLink };
+}
+
+module.exports = {
+  VERIFICATION_TTL_MS,
+  issueVerificationToken,
+  checkResendThrottle,
+  consumeVerificationToken,
+  deleteExpiredUnverifiedAccounts,
+};
@@ -0,0 +1,366 @@
+// utils/enrollment.js
+// Enrollment policies: join code limits, who may join, approval requests,
+// the enrollment cap and its waitlist
+
+const Class = require("../models/Class");
+const { recordRosterChange } = require("./rosterHistory");
+const { ROSTER_ACTIONS } = require("../constants/rosterActions");
+const { getClassTerm, isAddDropClosed } = require("./academicCalendar");
+
+const ENROLLMENT_MODES = ["open", "approval"];
+
+const DEFAULT_POLICY = {
+  mode: "open",
+  codeExpiresAt: null,
+  codeMaxUses: null,
+  codeUses: 0,
+  allowedColleges: [],
+  allowedStudentIds: [],
+  capacity: null,
+  waitlistEnabled: false,
+};
+
+const sameId = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * The class enrollment policy with defaults filled in (also for lean documents
+ * and classes created before policies existed).
+ * @param {Object} classDoc
+ * @returns {Object}
+ */
+const getEnrollmentPolicy = (classDoc) => {
+  const policy = classDoc.enrollment || {};
+  return {
+    ...DEFAULT_POLICY,
+    ...(typeof policy.toObject === "function" ? policy.toObject() : policy),
+  };
+};
+
+const isFull = (classDoc, policy = getEnrollmentPolicy(classDoc)) =>
+  Boolean(policy.capacity) && (classDoc.students || []).length >= policy.capacity;
+
+const codeExhausted = (policy) =>
+  Boolean(policy.codeMaxUses) && policy.codeUses >= policy.codeMaxUses;
+
+/**
+ * Query conditions that only match while the join code has uses left, so a
+ * use is counted in the same update that spends it.
+ */
+const codeUseGuard = (policy) =>
+  policy.codeMaxUses
+    ? [{ $lt: [{ $ifNull: ["$enrollment.codeUses", 0] }, policy.codeMaxUses] }]
+    : [];
+
+const seatGuard = (policy) =>
+  policy.capacity
+    ? [{ $lt: [{ $size: { $ifNull: ["$students", []] } }, policy.capacity] }]
+    : [];
+
+const withExpr = (filter, conditions) =>
+  conditions.length ? { ...filter, $expr: { $and: conditions } } : filter;
+
+/**
+ * Check the join code itself can still be used.
+ * @returns {{status: number, message: string, code: string}|null}
+ */
+const checkJoinCode = (policy) => {
+  if (policy.codeExpiresAt && new Date(policy.codeExpiresAt) <= new Date()) {
+    return { status: 403, message: "This join code has expired", code: "JOIN_CODE_EXPIRED" };
+  }
+  if (codeExhausted(policy)) {
+    return {
+      status: 403,
+      message: "This join code has reached its maximum number of uses",
+      code: "JOIN_CODE_EXHAUSTED",
+    };
+  }
+  return null;
+};
+
+/**
+ * Check the student is allowed into the class by its college and student ID lists.
+ * @returns {{status: number, message: string, code: string}|null}
+ */
+const checkEligibility = (policy, user) => {
+  if (policy.allowedColleges.length) {
+    const college = (user.college || "").trim().toLowerCase();
+    if (!policy.allowedColleges.some((c) => c.trim().toLowerCase() === college)) {
+      return {
+        status: 403,
+        message: "This class is restricted to students of specific colleges",
+        code: "ENROLLMENT_RESTRICTED",
+      };
+    }
+  }
+  if (policy.allowedStudentIds.length && !policy.allowedStudentIds.includes(user.studentId)) {
+    return {
+      status: 403,
+      message: "This class is restricted to a list of students",
+      code: "ENROLLMENT_RESTRICTED",
+    };
+  }
+  return null;
+};
+
+const isBlocked = (classDoc, userId) =>
+  (classDoc.blockedStudents || []).some((b) => sameId(b.student, userId));
+
+/**
+ * Where the student currently stands in the class, if anywhere.
+ * @returns {"enrolled"|"requested"|"waitlisted"|null}
+ */
+const getEnrollmentStatus = (classDoc, userId) => {
+  if ((classDoc.students || []).some((s) => sameId(s, userId))) return "enrolled";
+  if ((classDoc.joinRequests || []).some((r) => sameId(r.student, userId))) return "requested";
+  if ((classDoc.waitlist || []).some((w) => sameId(w.student, userId))) return "waitlisted";
+  return null;
+};
+
+const STATUS_CONFLICTS = {
+  enrolled: { status: 409, message: "Already enrolled in this class", code: "ALREADY_ENROLLED" },
+  requested: {
+    status: 409,
+    message: "Your request to join this class is waiting for approval",
+    code: "JOIN_REQUEST_PENDING",
+  },
+  waitlisted: {
+    status: 409,
+    message: "You are already on the waitlist for this class",
+    code: "ALREADY_WAITLISTED",
+  },
+};
+
+// Matches the class only while the student is nowhere in it yet (and not blocked)
+const notInClass = (classId, userId) => ({
+  _id: classId,
+  students: { $ne: userId },
+  "joinRequests.student": { $ne: userId },
+  "waitlist.student": { $ne: userId },
+  "blockedStudents.student": { $ne: userId },
+});
+
+const REQUEST_NOT_FOUND = {
+  status: 404,
+  message: "Join request not found",
+  code: "JOIN_REQUEST_NOT_FOUND",
+};
+
+/**
+ * Enroll the student now if there is a seat, otherwise put them on the
+ * waitlist when it is enabled. With `useCode` the student is joining by code
+ * (and a code use is counted); without it a pending join request is approved.
+ * @returns {Promise<{result: "enrolled"|"waitlisted"}|{error: Object}>}
+ */
+async function placeStudent(classDoc, userId, { useCode }) {
+  const policy = getEnrollmentPolicy(classDoc);
+  const countUse = useCode ? { $inc: { "enrollment.codeUses": 1 } } : {};
+  const baseFilter = useCode
+    ? notInClass(classDoc._id, userId)
+    : { _id: classDoc._id, "joinRequests.student": userId };
+
+  const enrolled = await Class.updateOne(
+    withExpr(baseFilter, [...(useCode ? codeUseGuard(policy) : []), ...seatGuard(policy)]),
+    {
+      $addToSet: { students: userId },
+      $pull: { joinRequests: { student: userId } },
+      ...countUse,
+    },
+  );
+  if (enrolled.modifiedCount === 1) return { result: "enrolled" };
+
+  // Find out why: another request got there first, the code ran out or the class filled up
+  const fresh = await Class.findById(classDoc._id).select("students joinRequests waitlist enrollment");
+  if (!fresh) return { error: { status: 404, message: "Class not found", code: "CLASS_NOT_FOUND" } };
+
+  const status = getEnrollmentStatus(fresh, userId);
+  if (useCode ? status : status !== "requested") {
+    return { error: STATUS_CONFLICTS[status] || REQUEST_NOT_FOUND };
+  }
+
+  const freshPolicy = getEnrollmentPolicy(fresh);
+  if (useCode && codeExhausted(freshPolicy)) {
+    return { error: checkJoinCode(freshPolicy) };
+  }
+  if (!isFull(fresh, freshPolicy)) {
+    // A seat opened up in the meantime
+    return placeStudent(fresh, userId, { useCode });
+  }
+  if (!freshPolicy.waitlistEnabled) {
+    return { error: { status: 409, message: "This class is full", code: "CLASS_FULL" } };
+  }
+
+  const waitlisted = await Class.updateOne(
+    withExpr(baseFilter, useCode ? codeUseGuard(freshPolicy) : []),
+    {
+      $push: { waitlist: { student: userId } },
+      $pull: { joinRequests: { student: userId } },
+      ...countUse,
+    },
+  );
+  if (waitlisted.modifiedCount === 1) return { result: "waitlisted" };
+  return { error: useCode ? STATUS_CONFLICTS.waitlisted : REQUEST_NOT_FOUND };
+}
+
+/**
+ * Handle a student using the class join code, following the class policy.
+ * @param {Object} classDoc - Class found by its join code
+ * @param {Object} user - The student
+ * @returns {Promise<{result: "enrolled"|"requested"|"waitlisted"}|{error: Object}>}
+ */
+async function joinWithCode(classDoc, user) {
+  const policy = getEnrollmentPolicy(classDoc);
+
+  const status = getEnrollmentStatus(classDoc, user._id);
+  if (status) return { error: STATUS_CONFLICTS[status] };
+
+  if (isBlocked(classDoc, user._id)) {
+    return {
+      error: { status: 403, message: "You cannot join this class", code: "BLOCKED_FROM_CLASS" },
+    };
+  }
+
+  const problem = checkJoinCode(policy) || checkEligibility(policy, user);
+  if (problem) return { error: problem };
+
+  // Staff can still enroll students after the add/drop deadline
+  if (isAddDropClosed(await getClassTerm(classDoc))) {
+    return {
+      error: {
+        status: 403,
+        message: "The add/drop period of this term is over",
+        code: "ADD_DROP_CLOSED",
+      },
+    };
+  }
+
+  if (policy.mode === "approval") {
+    const requested = await Class.updateOne(
+      withExpr(notInClass(classDoc._id, user._id), codeUseGuard(policy)),
+      {
+        $push: { joinRequests: { student: user._id } },
+        $inc: { "enrollment.codeUses": 1 },
+      },
+    );
+    if (requested.modifiedCount === 1) return { result: "requested" };
+
+    const fresh = await Class.findById(classDoc._id).select("students joinRequests waitlist enrollment");
+    const freshStatus = fresh && getEnrollmentStatus(fresh, user._id);
+    return {
+      error: STATUS_CONFLICTS[freshStatus] || checkJoinCode(getEnrollmentPolicy(fresh || classDoc)) ||
+        STATUS_CONFLICTS.requested,
+    };
+  }
+
+  return placeStudent(classDoc, user._id, { useCode: true });
+}
+
+/**
+ * Approve a pending join request: enroll the student, or waitlist them when
+ * the class is full.
+ * @returns {Promise<{result: "enrolled"|"waitlisted"}|{error: Object}>}
+ */
+async function approveJoinRequest(classDoc, studentId) {
+  if (getEnrollmentStatus(classDoc, studentId) !== "requested") {
+    return { error: REQUEST_NOT_FOUND };
+  }
+  return placeStudent(classDoc, studentId, { useCode: false });
+}
+
+/**
+ * Enroll waitlisted students, oldest first, while the class has free seats.
+ * Call after anything that frees a seat or raises the cap.
+ * @param {string|ObjectId} classId
+ * @returns {Promise<ObjectId[]>} Promoted students
+ */
+async function promoteFromWaitlist(classId) {
+  const promoted = [];
+  for (;;) {
+    const fresh = await Class.findById(classId).select("students waitlist enrollment").lean();
+    if (!fresh || !(fresh.waitlist || []).length) break;
+
+    const policy = getEnrollmentPolicy(fresh);
+    if (isFull(fresh, policy)) break;
+
+    const next = fresh.waitlist[0].student;
+    const moved = await Class.updateOne(
+      withExpr({ _id: classId, "waitlist.0.student": next }, seatGuard(policy)),
+      { $pull: { waitlist: { student: next } }, $addToSet: { students: next } },
+    );
+    if (moved.modifiedCount === 1) {
+      promoted.push(next);
+      await recordRosterChange({ classId, students: next, action: ROSTER_ACTIONS.PROMOTED });
+      console.log(`[INFO] Student ${next} promoted from the waitlist of class ${classId}`);
+    }
+  }
+  return promoted;
+}
+
+const toIdList = (value) => Array.isArray(value) && value.every((v) => typeof v === "string");
+
+const optionalPositiveInt = (value) =>
+  value === null || (Number.isInteger(value) && value > 0);
+
+/**
+ * Validate enrollment policy fields from a request body. Only the fields
+ * present are returned; `codeUses` cannot be set directly.
+ * @param {Object} input
+ * @returns {{policy: Object}|{error: {message: string, code: string}}}
+ */
+function parseEnrollmentPolicy(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: { message: "Enrollment policy must be an object", code: "INVALID_ENROLLMENT_POLICY" } };
+  }
+
+  const invalid = (message) => ({ error: { message, code: "INVALID_ENROLLMENT_POLICY" } });
+  const policy = {};
+
+  if (input.mode !== undefined) {
+    if (!ENROLLMENT_MODES.includes(input.mode)) {
+      return invalid("mode must be one of: " + ENROLLMENT_MODES.join(", "));
+    }
+    policy.mode = input.mode;
+  }
+
+  if (input.codeExpiresAt !== undefined) {
+    if (input.codeExpiresAt === null) {
+      policy.codeExpiresAt = null;
+    } else {
+      const expiresAt = new Date(input.codeExpiresAt);
+      if (Number.isNaN(expiresAt.getTime())) return invalid("codeExpiresAt must be a date");
+      policy.codeExpiresAt = expiresAt;
+    }
+  }
+
+  for (const field of ["codeMaxUses", "capacity"]) {
+    if (input[field] !== undefined) {
+      if (!optionalPositiveInt(input[field])) {
+        return invalid(`${field} must be a positive whole number or null`);
+      }
+      policy[field] = input[field];
+    }
+  }
+
+  for (const field of ["allowedColleges", "allowedStudentIds"]) {
+    if (input[field] !== undefined) {
+      if (!toIdList(input[field])) return invalid(`${field} must be a list of strings`);
+      policy[field] = [...new Set(input[field].map((v) => v.trim()).filter(Boolean))];
+    }
+  }
+
+  if (input.waitlistEnabled !== undefined) {
+    if (typeof input.waitlistEnabled !== "boolean") return invalid("waitlistEnabled must be true or false");
+    policy.waitlistEnabled = input.waitlistEnabled;
+  }
+
+  return { policy };
+}
+
+module.exports = {
+  ENROLLMENT_MODES,
+  getEnrollmentPolicy,
+  getEnrollmentStatus,
+  joinWithCode,
+  approveJoinRequest,
+  promoteFromWaitlist,
+  parseEnrollmentPolicy,
+};
@@ -0,0 +1,136 @@
+// utils/externalLogin.js
+// Shared steps for logins through an external identity provider (Google, OIDC)
+
+const jwt = require("jsonwebtoken");
+const { resolveUniversityEmail } = require("./universityRegistry");
+const { getLoginChallenge } = require("./twoFactor");
+const { createSession } = require("./sessions");
+const { recordAudit, userTarget } = require("./auditLog");
+const { AUDIT_ACTIONS } = require("../constants/auditActions");
+
+// Token that only lets a new external user finish onboarding via complete-profile.
+// Its purpose keeps authenticateToken from accepting it anywhere else.
+const PROFILE_TOKEN_PURPOSE = "profile_completion";
+const PROFILE_TOKEN_EXPIRES_IN = "1h";
+
+const toLoginUser = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role,
+  university: user.university,
+  college: user.college,
+  studentId: user.studentId,
+});
+
+/**
+ * Work out role, university and faculty for an email from an identity provider.
+ * Existing admin accounts keep their stored details since admin emails do not
+ * have to follow a university's address format.
+ * @param {string} email - Lowercased email
+ * @param {Object|null} existingUser - Account with this email, if any
+ * @returns {Promise<{role: string, university: string, faculty: string, studentId: string|null}>}
+ * @throws {Error} When the email is not from a supported university
+ */
+async function resolveExternalEmail(email, existingUser) {
+  if (existingUser && ["admin", "super_admin"].includes(existingUser.role)) {
+    return {
+      role: existingUser.role,
+      university: existingUser.university || "N/A",
+      faculty: existingUser.college || "N/A",
+      studentId: existingUser.studentId || null,
+    };
+  }
+  return resolveUniversityEmail(email);
+}
+
+/**
+ * Finish an external login: refuse it while an admin-forced password reset
+ * is pending, ask for the second factor, start a session, or send a new user
+ * to complete-profile.
+ * @param {Object} user - Signed-in user
+ * @param {Object} req - Express request
+ * @param {{isNewUser?: boolean, method: string, message: string, code: string}} options -
+ *   Login method recorded in the audit log ("google", "oidc"), success message and code
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function finishExternalLogin(user, req, { isNewUser = false, method, message, code }) {
+  if (user.mustResetPassword) {
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOGIN,
+      outcome: "failure",
+      actor: user,
+      target: userTarget(user),
+      details: { method, reason: "PASSWORD_RESET_REQUIRED" },
+    });
+    return {
+      status: 403,
+      body: {
+        message: "You must reset your password before logging in. Check your email for the reset link.",
+        code: "PASSWORD_RESET_REQUIRED",
+      },
+    };
+  }
+
+  if (user.isProfileComplete) {
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return { status: 200, body: { ...challenge, needsProfileCompletion: false } };
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOGIN,
+      actor: user,
+      target: userTarget(user),
+      details: { method },
+    });
+    return {
+      status: 200,
+      body: {
+        message,
+        code,
+        needsProfileCompletion: false,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        user: toLoginUser(user),
+      },
+    };
+  }
+
+  const tempToken = jwt.sign(
+    { id: user._id, email: user.email, purpose: PROFILE_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: PROFILE_TOKEN_EXPIRES_IN },
+  );
+
+  return {
+    status: isNewUser ? 201 : 202,
+    body: {
+      message: isNewUser
+        ? "Please complete your profile to finish signup"
+        : "Please complete your profile",
+      code: "PROFILE_INCOMPLETE",
+      needsProfileCompletion: true,
+      token: tempToken,
+      user: toLoginUser(user),
+    },
+  };
+}
+
+/**
+ * Verify a profile completion token from finishExternalLogin.
+ * @param {string} token
+ * @returns {Object|null} JWT payload, or null if invalid/expired/wrong purpose
+ */
+function verifyProfileToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === PROFILE_TOKEN_PURPOSE ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { resolveExternalEmail, finishExternalLogin, verifyProfileToken };
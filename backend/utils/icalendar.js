@@ -0,0 +1,79 @@
+// utils/icalendar.js
+// Minimal iCalendar (RFC 5545) writer for the calendar feed
+
+const PRODUCT_ID = "-//UAPMP//Class Calendar//EN";
+
+// Text values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// UTC date-time, e.g. 20261006T080000Z
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Serialize events into an iCalendar document.
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {Array<{uid: string, start: Date, end: Date, summary: string,
+ *   description?: string, location?: string, categories?: string}>} calendar.events
+ * @returns {string}
+ */
+function buildCalendar({ name, events }) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar };
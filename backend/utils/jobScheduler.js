@@ -0,0 +1,228 @@
+// utils/jobScheduler.js
+// Periodic maintenance jobs. Every server instance runs the scheduler, but a
+// Mongo lock per job makes sure only one instance runs a job at a time.
+
+const os = require("os");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+
+// How often each instance checks for due jobs
+const TICK_MS = 60 * 1000;
+// A lock older than this is treated as abandoned (crashed instance)
+const DEFAULT_LOCK_TTL_MS = 30 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// name -> { name, description, intervalMs, lockTtlMs, run }
+const jobs = new Map();
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a periodic job.
+ * `run` receives { trigger } and may return a small summary object that is
+ * stored in the run history (e.g. { deleted: 3 }).
+ * @param {Object} job
+ * @param {string} job.name - Unique job name (kebab-case)
+ * @param {string} job.description - Shown to admins
+ * @param {number} job.intervalMs - Time between runs
+ * @param {number} [job.lockTtlMs] - Longest a run may take before its lock is considered abandoned
+ * @param {Function} job.run - async ({ trigger }) => result
+ */
+function registerJob({ name, description, intervalMs, lockTtlMs = DEFAULT_LOCK_TTL_MS, run }) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, description, intervalMs, lockTtlMs, run });
+}
+
+/**
+ * @param {string} name - Job name
+ * @returns {Object|null} Registered job
+ */
+const getJob = (name) => jobs.get(name) || null;
+
+/**
+ * Take the job's lock if it is free (and, for scheduled runs, due).
+ * @returns {Promise<boolean>} Whether this instance now holds the lock
+ */
+async function acquireLock(job, { ignoreSchedule }) {
+  const now = new Date();
+  const filter = {
+    job: job.name,
+    $and: [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }],
+  };
+  if (!ignoreSchedule) {
+    filter.$and.push({ $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] });
+  }
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      filter,
+      { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.lockTtlMs) },
+      { upsert: true, new: true },
+    );
+    return !!lock;
+  } catch (err) {
+    // The lock document exists but did not match: locked or not due yet
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+async function releaseLock(job) {
+  const now = new Date();
+  await JobLock.updateOne(
+    { job: job.name, lockedBy: INSTANCE_ID },
+    {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: now,
+      nextRunAt: new Date(now.getTime() + job.intervalMs),
+    },
+  );
+}
+
+/**
+ * Run the job and record the outcome. Never rejects.
+ */
+async function executeRun(job, run) {
+  try {
+    const result = await job.run({ trigger: run.trigger });
+    run.status = "succeeded";
+    run.result = result === undefined ? null : result;
+    console.log(`[INFO] Job ${job.name} finished:`, JSON.stringify(run.result));
+  } catch (err) {
+    run.status = "failed";
+    run.error = err.message;
+    console.error(`[ERROR] Job ${job.name} failed:`, err.message);
+  }
+
+  try {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await releaseLock(job);
+  } catch (err) {
+    console.error(`[ERROR] Failed to record run of job ${job.name}:`, err.message);
+  }
+  return run;
+}
+
+/**
+ * Start a job run on this instance if no other instance is running it.
+ * Scheduled runs only start when the job is due; manual runs start right away.
+ * @param {string} name - Job name
+ * @param {{trigger?: "schedule"|"manual", triggeredBy?: ObjectId|null}} [options]
+ * @returns {Promise<{run: Object, finished: Promise<Object>}|null>} null when the job
+ *   is locked by another run or not due
+ */
+async function startJob(name, { trigger = "schedule", triggeredBy = null } = {}) {
+  const job = getJob(name);
+  if (!job) throw new Error(`Unknown job ${name}`);
+
+  const acquired = await acquireLock(job, { ignoreSchedule: trigger === "manual" });
+  if (!acquired) return null;
+
+  let run;
+  try {
+    run = await JobRun.create({
+      job: job.name,
+      trigger,
+      triggeredBy,
+      instance: INSTANCE_ID,
+      startedAt: new Date(),
+    });
+  } catch (err) {
+    await JobLock.updateOne(
+      { job: job.name, lockedBy: INSTANCE_ID },
+      { lockedBy: null, lockedUntil: null },
+    );
+    throw err;
+  }
+
+  return { run, finished: executeRun(job, run) };
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (const name of jobs.keys()) {
+      try {
+        const started = await startJob(name);
+        if (started) await started.finished;
+      } catch (err) {
+        console.error(`[ERROR] Could not start job ${name}:`, err.message);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking for due jobs on this instance.
+ * Set MAINTENANCE_JOBS_ENABLED=false to keep an instance out of the rotation.
+ */
+function startScheduler() {
+  if (timer) return;
+  if (process.env.MAINTENANCE_JOBS_ENABLED === "false") {
+    console.log("[INFO] Maintenance jobs are disabled on this instance");
+    return;
+  }
+
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log(`[INFO] Maintenance scheduler started with ${jobs.size} job(s)`);
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Registered jobs with their schedule state and latest run.
+ * @returns {Promise<Object[]>}
+ */
+async function listJobs() {
+  const names = [...jobs.keys()];
+  const [locks, lastRuns] = await Promise.all([
+    JobLock.find({ job: { $in: names } }).lean(),
+    JobRun.aggregate([
+      { $match: { job: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: "$job", run: { $first: "$$ROOT" } } },
+    ]),
+  ]);
+
+  const lockByJob = new Map(locks.map((lock) => [lock.job, lock]));
+  const runByJob = new Map(lastRuns.map((entry) => [entry._id, entry.run]));
+  const now = new Date();
+
+  return names.map((name) => {
+    const job = jobs.get(name);
+    const lock = lockByJob.get(name);
+    return {
+      name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      isRunning: !!(lock && lock.lockedUntil && lock.lockedUntil > now),
+      lastRunAt: lock ? lock.lastRunAt : null,
+      nextRunAt: lock ? lock.nextRunAt : null,
+      lastRun: runByJob.get(name) || null,
+    };
+  });
+}
+
+module.exports = {
+  registerJob,
+  getJob,
+  startJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+};
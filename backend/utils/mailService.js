@@ -0,0 +1,301 @@
+// utils/mailService.js
+// The one way the platform sends email: messages are written to the outbox
+// collection and delivered in the background with retries and backoff
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const OutboxEmail = require("../models/OutboxEmail");
+const { renderEmail } = require("./emailTemplates");
+
+const DEFAULT_FROM = '"UAPMP Support" <noreply@uapmp.edu.eg>';
+// A send that takes longer than this is assumed lost and retried
+const SEND_TIMEOUT_MS = 2 * 60 * 1000;
+// Wait before attempt 2, 3, ... (the last delay repeats)
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000, 4 * 60 * 60 * 1000];
+// Emails delivered per outbox pass
+const DEFAULT_BATCH_SIZE = 50;
+// Clears the body of a sensitive email once it is no longer needed
+const ERASE_BODY = { html: null, text: null };
+
+/**
+ * "smtp" sends through the EMAIL_* settings; "file" is a local dev sink that
+ * writes each email as JSON (plus an .html copy and attachments) to
+ * MAIL_SINK_DIR. The sink is only used when MAIL_TRANSPORT=file is set, so a
+ * missing setting never silently stops real email.
+ * @returns {"smtp"|"file"}
+ */
+const getMailTransportName = () => (process.env.MAIL_TRANSPORT === "file" ? "file" : "smtp");
+
+const getSinkDir = () => process.env.MAIL_SINK_DIR || path.join(__dirname, "../mail-sink");
+
+let smtpTransporter = null;
+
+/**
+ * SMTP transport configured from EMAIL_* environment variables.
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: process.env.EMAIL_SECURE === "true",
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+  }
+  return smtpTransporter;
+};
+
+const safeFileName = (name) => String(name).replace(/[^a-zA-Z0-9._-]+/g, "_");
+
+/**
+ * Write an email to the dev sink directory.
+ * @returns {Promise<string>} Message id
+ */
+async function writeToSink(email) {
+  const dir = getSinkDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const base = `${new Date().toISOString().replace(/[:.]/g, "-")}-${email._id}`;
+
+  for (const attachment of email.attachments) {
+    await fs.promises.writeFile(
+      path.join(dir, `${base}-${safeFileName(attachment.filename)}`),
+      attachment.content,
+    );
+  }
+  if (email.html) {
+    await fs.promises.writeFile(path.join(dir, `${base}.html`), email.html);
+  }
+  await fs.promises.writeFile(
+    path.join(dir, `${base}.json`),
+    JSON.stringify(
+      {
+        id: email._id,
+        from: email.from,
+        to: email.to,
+        subject: email.subject,
+        template: email.template,
+        locale: email.locale,
+        text: email.text,
+        html: email.html,
+        attachments: email.attachments.map((a) => ({
+          filename: a.filename,
+          contentType: a.contentType,
+          size: a.content.length,
+        })),
+      },
+      null,
+      2,
+    ),
+  );
+  return `file:${base}`;
+}
+
+/**
+ * Hand one email to the configured transport.
+ * @returns {Promise<{messageId: string, transport: string}>}
+ */
+async function transmit(email) {
+  const transport = getMailTransportName();
+  if (transport === "file") {
+    return { messageId: await writeToSink(email), transport };
+  }
+
+  const info = await getSmtpTransporter().sendMail({
+    from: email.from,
+    to: email.to,
+    subject: email.subject,
+    html: email.html || undefined,
+    text: email.text || undefined,
+    attachments: email.attachments.map((a) => ({
+      filename: a.filename,
+      content: a.content,
+      contentType: a.contentType || undefined,
+    })),
+  });
+  return { messageId: info.messageId || null, transport };
+}
+
+/**
+ * Claim the next email that is due (or whose send was abandoned).
+ * The claim is atomic, so several instances can drain the outbox together.
+ */
+function claimNextEmail() {
+  const now = new Date();
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: "sending", lockedUntil: new Date(now.getTime() + SEND_TIMEOUT_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+}
+
+/**
+ * Deliver one claimed email and record the outcome.
+ * @returns {Promise<"sent"|"retry"|"failed">}
+ */
+async function deliver(email) {
+  try {
+    const { messageId, transport } = await transmit(email);
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        status: "sent",
+        sentAt: new Date(),
+        messageId,
+        transport,
+        lockedUntil: null,
+        lastError: null,
+        ...(email.sensitive ? ERASE_BODY : {}),
+      },
+    );
+    return "sent";
+  } catch (err) {
+    const gaveUp = email.attempts >= email.maxAttempts;
+    const delay = RETRY_DELAYS_MS[Math.min(email.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        status: gaveUp ? "failed" : "queued",
+        nextAttemptAt: new Date(Date.now() + delay),
+        lockedUntil: null,
+        lastError: err.message,
+        ...(email.sensitive && gaveUp ? ERASE_BODY : {}),
+      },
+    );
+    console.error(
+      `[ERROR] Email ${email._id} to ${email.to} failed (attempt ${email.attempts}/${email.maxAttempts}${gaveUp ? ", giving up" : ""}):`,
+      err.message,
+    );
+    return gaveUp ? "failed" : "retry";
+  }
+}
+
+/**
+ * Deliver due emails from the outbox.
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<{sent: number, retry: number, failed: number}>}
+ */
+async function processOutbox({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  const summary = { sent: 0, retry: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const email = await claimNextEmail();
+    if (!email) break;
+    summary[await deliver(email)] += 1;
+  }
+  return summary;
+}
+
+let draining = false;
+let drainAgain = false;
+
+/**
+ * Start delivering right away in the background instead of waiting for the
+ * next scheduled outbox pass.
+ */
+function kickOutbox() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  setImmediate(async () => {
+    try {
+      do {
+        drainAgain = false;
+        await processOutbox();
+      } while (drainAgain);
+    } catch (err) {
+      console.error("[ERROR] Outbox delivery failed:", err.message);
+    } finally {
+      draining = false;
+    }
+  });
+}
+
+/**
+ * Put an email in the outbox; it is delivered in the background.
+ * @param {Object} message
+ * @param {string} message.to - Recipient email
+ * @param {string} message.subject
+ * @param {string} [message.html]
+ * @param {string} [message.text]
+ * @param {Array<{filename: string, content: Buffer, contentType?: string}>} [message.attachments]
+ * @param {string} [message.template] - Template name, for troubleshooting
+ * @param {string} [message.locale]
+ * @param {ObjectId} [message.user] - Recipient account
+ * @param {boolean} [message.sensitive] - The body carries a one-time link
+ * @returns {Promise<Object>} OutboxEmail document
+ */
+async function queueEmail({ to, subject, html, text, attachments = [], template, locale, user, sensitive }) {
+  const email = await OutboxEmail.create({
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    html: html || null,
+    text: text || null,
+    attachments,
+    template: template || null,
+    locale: locale || null,
+    user: user || null,
+    sensitive: !!sensitive,
+  });
+  kickOutbox();
+  return email;
+}
+
+/**
+ * Render a template in the recipient's language and put it in the outbox.
+ * @param {string} to - Recipient email
+ * @param {string} type - Template name (see templates/email/index.js)
+ * @param {{locale?: string, vars: Object, attachments?: Object[], user?: ObjectId, sensitive?: boolean}} options
+ * @returns {Promise<Object>} OutboxEmail document
+ */
+async function queueTemplatedEmail(to, type, { locale, vars, attachments, user, sensitive }) {
+  const rendered = await renderEmail(type, { locale, vars });
+  return queueEmail({
+    to,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    attachments,
+    template: type,
+    locale: rendered.locale,
+    user,
+    sensitive,
+  });
+}
+
+/**
+ * Queue a failed email for delivery again with a fresh set of attempts.
+ * Sensitive emails have lost their body by then and cannot be retried.
+ * @param {string|ObjectId} id - OutboxEmail id
+ * @returns {Promise<Object|null>} Updated email, or null unless it had failed
+ */
+async function retryEmail(id) {
+  const email = await OutboxEmail.findOneAndUpdate(
+    { _id: id, status: "failed", sensitive: { $ne: true } },
+    { status: "queued", attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    { new: true },
+  );
+  if (email) kickOutbox();
+  return email;
+}
+
+module.exports = {
+  getMailTransportName,
+  queueEmail,
+  queueTemplatedEmail,
+  processOutbox,
+  retryEmail,
+};
@@ -0,0 +1,48 @@
+// utils/maintenanceJobs.js
+// The maintenance jobs every server instance registers with the scheduler
+
+const { registerJob } = require("./jobScheduler");
+const { deleteExpiredUnverifiedAccounts } = require("./emailVerification");
+const { processOutbox } = require("./mailService");
+const { archiveEndedTermClasses } = require("./academicCalendar");
+const { purgeExpiredClasses } = require("./classTrash");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Register the built-in maintenance jobs. Call once before startScheduler().
+ */
+function registerMaintenanceJobs() {
+  registerJob({
+    name: "cleanup-unverified-accounts",
+    description: "Delete accounts whose email was not verified within 24 hours",
+    intervalMs: HOUR_MS,
+    run: deleteExpiredUnverifiedAccounts,
+  });
+
+  registerJob({
+    name: "deliver-email-outbox",
+    description: "Deliver queued emails and retry failed deliveries",
+    intervalMs: MINUTE_MS,
+    lockTtlMs: 10 * MINUTE_MS,
+    run: () => processOutbox(),
+  });
+
+  registerJob({
+    name: "archive-ended-term-classes",
+    description: "Archive the classes of academic terms that have ended",
+    intervalMs: HOUR_MS,
+    run: archiveEndedTermClasses,
+  });
+
+  registerJob({
+    name: "purge-class-trash",
+    description: "Permanently delete classes past the trash retention period, with their records and files",
+    intervalMs: HOUR_MS,
+    lockTtlMs: 30 * MINUTE_MS,
+    run: purgeExpiredClasses,
+  });
+}
+
+module.exports = { registerMaintenanceJobs };
@@ -0,0 +1,219 @@
+// utils/oidc.js
+// Provider-agnostic OpenID Connect: discovery, authorization code + PKCE, and
+// ID token validation against the provider's JWKS
+
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+// Refetch the JWKS for an unknown key id at most this often (key rotation)
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+const ALLOWED_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+// issuer -> { document, fetchedAt }
+const discoveryCache = new Map();
+// jwks_uri -> { keys: Map<kid, KeyObject>, fetchedAt }
+const jwksCache = new Map();
+
+const trimSlash = (url) => String(url).replace(/\/+$/, "");
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Fetch (and cache) the provider's discovery document.
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>}
+ */
+async function getDiscoveryDocument(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) {
+    return cached.document;
+  }
+
+  const { data } = await axios.get(
+    `${trimSlash(issuer)}/.well-known/openid-configuration`,
+    { timeout: HTTP_TIMEOUT_MS },
+  );
+
+  if (!data || trimSlash(data.issuer) !== trimSlash(issuer)) {
+    throw new Error("Discovery document issuer does not match the configured issuer");
+  }
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (!data[field]) throw new Error(`Discovery document is missing ${field}`);
+  }
+
+  discoveryCache.set(issuer, { document: data, fetchedAt: Date.now() });
+  return data;
+}
+
+/**
+ * Find the public key that signed an ID token.
+ * @param {string} jwksUri - From the discovery document
+ * @param {string} [kid] - Key id from the token header
+ * @returns {Promise<crypto.KeyObject>}
+ */
+async function getSigningKey(jwksUri, kid) {
+  let cached = jwksCache.get(jwksUri);
+  const findKey = () => {
+    if (!cached) return null;
+    if (kid) return cached.keys.get(kid) || null;
+    // Tokens without a kid are only accepted when the set has a single key
+    return cached.keys.size === 1 ? [...cached.keys.values()][0] : null;
+  };
+
+  if (!findKey() && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_MS)) {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    const keys = new Map();
+    for (const jwk of (data && data.keys) || []) {
+      if (jwk.use && jwk.use !== "sig") continue;
+      try {
+        keys.set(jwk.kid || "", crypto.createPublicKey({ key: jwk, format: "jwk" }));
+      } catch (err) {
+        console.warn(`[WARNING] Skipping unusable JWK ${jwk.kid}:`, err.message);
+      }
+    }
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const key = findKey();
+  if (!key) throw new Error("No matching signing key in the provider's JWKS");
+  return key;
+}
+
+/**
+ * Create the per-login secrets: state, nonce and PKCE verifier/challenge.
+ * @returns {{state: string, nonce: string, codeVerifier: string, codeChallenge: string}}
+ */
+function createLoginSecrets() {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(32)),
+    nonce: base64Url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash("sha256").update(codeVerifier).digest()),
+  };
+}
+
+/**
+ * Build the URL that sends the user to the provider's login page.
+ * @param {Object} provider - OidcProvider document
+ * @param {{state: string, nonce: string, codeChallenge: string, redirectUri: string}} params
+ * @returns {Promise<string>}
+ */
+async function buildAuthorizationUrl(provider, { state, nonce, codeChallenge, redirectUri }) {
+  const discovery = await getDiscoveryDocument(provider.issuer);
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes || "openid email profile",
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens.
+ * @param {Object} provider - OidcProvider document (with clientSecret selected)
+ * @param {{code: string, codeVerifier: string, redirectUri: string}} params
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ */
+async function exchangeAuthorizationCode(provider, { code, codeVerifier, redirectUri }) {
+  const discovery = await getDiscoveryDocument(provider.issuer);
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  if (provider.clientSecret) {
+    if (provider.tokenEndpointAuthMethod === "client_secret_basic") {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    } else {
+      body.set("client_secret", provider.clientSecret);
+    }
+  }
+
+  const { data } = await axios.post(discovery.token_endpoint, body.toString(), {
+    headers,
+    timeout: HTTP_TIMEOUT_MS,
+  });
+
+  if (!data || !data.id_token) {
+    throw new Error("Token response did not include an id_token");
+  }
+  return data;
+}
+
+/**
+ * Validate an ID token's signature, issuer, audience, expiry and nonce.
+ * @param {Object} provider - OidcProvider document
+ * @param {string} idToken - Raw ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw new Error("Malformed ID token");
+
+  const discovery = await getDiscoveryDocument(provider.issuer);
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ALLOWED_ALGORITHMS,
+    issuer: discovery.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  if (!claims.sub) throw new Error("ID token has no subject");
+  return claims;
+}
+
+const readClaim = (claims, path) =>
+  String(path || "")
+    .split(".")
+    .reduce((value, part) => (value == null ? undefined : value[part]), claims);
+
+/**
+ * Map verified ID token claims to user details using the provider's claim mapping.
+ * @param {Object} provider - OidcProvider document
+ * @param {Object} claims - From verifyIdToken
+ * @returns {{subject: string, email: string|null, fullName: string|null}}
+ */
+function mapClaims(provider, claims) {
+  const mapping = provider.claimMapping || {};
+  const email = readClaim(claims, mapping.email || "email");
+  let fullName = readClaim(claims, mapping.fullName || "name");
+
+  if (!fullName && (claims.given_name || claims.family_name)) {
+    fullName = [claims.given_name, claims.family_name].filter(Boolean).join(" ");
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: typeof email === "string" && email.includes("@") ? email.toLowerCase().trim() : null,
+    fullName: typeof fullName === "string" && fullName.trim() ? fullName.trim() : null,
+  };
+}
+
+module.exports = {
+  getDiscoveryDocument,
+  createLoginSecrets,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  mapClaims,
+};
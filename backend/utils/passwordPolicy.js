@@ -0,0 +1,34 @@
+// utils/passwordPolicy.js
+// Password strength rules shared by signup, reset and change-password
+
+/**
+ * Check a password against the strength requirements.
+ * @param {string} password
+ * @returns {{isStrong: boolean, requirements: Object}}
+ */
+const validatePasswordStrength = (password) => {
+  const requirements = {
+    length: password.length >= 6,
+    hasLetter: /[a-zA-Z]/.test(password),
+    hasDigit: /\d/.test(password),
+    hasSpecial: /[!@#$%^&*(),.?":{}|<>]/.test(password),
+  };
+
+  const isStrong = Object.values(requirements).every((req) => req === true);
+
+  return { isStrong, requirements };
+};
+
+/**
+ * Describe each requirement for the WEAK_PASSWORD error response.
+ * @param {Object} requirements - From validatePasswordStrength
+ * @returns {Object}
+ */
+const formatPasswordRequirements = (requirements) => ({
+  minLength: { status: requirements.length, message: "Minimum 6 characters" },
+  hasLetters: { status: requirements.hasLetter, message: "Must contain letters (a-z, A-Z)" },
+  hasNumbers: { status: requirements.hasDigit, message: "Must contain numbers (0-9)" },
+  hasSpecialChar: { status: requirements.hasSpecial, message: "Must contain special character (!@#$%^&*)" },
+});
+
+module.exports = { validatePasswordStrength, formatPasswordRequirements };
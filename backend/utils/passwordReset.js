@@ -0,0 +1,28 @@
+// utils/passwordReset.js
+// Issues single-use password reset tokens and emails the reset link
+
+const { generateToken, hashToken } = require("./tokens");
+const { sendPasswordResetEmail } = require("./authEmails");
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Store a new reset token on the user (replacing any pending one) and email it.
+ * Email failures are logged, not thrown, so callers can respond uniformly.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function issuePasswordReset(user) {
+  const resetToken = generateToken();
+  user.passwordResetTokenHash = hashToken(resetToken);
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  await user.save();
+
+  try {
+    await sendPasswordResetEmail(user.email, resetToken, user.fullName, user.locale);
+  } catch (emailError) {
+    console.error("[WARNING] Failed to send password reset email:", emailError.message);
+  }
+}
+
+module.exports = { PASSWORD_RESET_TTL_MS, issuePasswordReset };
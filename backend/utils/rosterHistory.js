@@ -0,0 +1,68 @@
+// utils/rosterHistory.js
+// Roster history, and the "removed from class" flag on the submissions and
+// attendance of students who are no longer enrolled
+
+const RosterEvent = require("../models/RosterEvent");
+const Assignment = require("../models/Assignment");
+const Submission = require("../models/Submission");
+const AttendanceSession = require("../models/AttendanceSession");
+const { ENROLLING_ACTIONS, REMOVING_ACTIONS } = require("../constants/rosterActions");
+
+/**
+ * Flag (or unflag, with `removedAt` null) the class records of some students.
+ * @param {ObjectId} classId
+ * @param {ObjectId[]} studentIds
+ * @param {Date|null} removedAt
+ */
+async function flagStudentRecords(classId, studentIds, removedAt) {
+  const assignmentIds = await Assignment.find({ class: classId }).distinct("_id");
+  await Submission.updateMany(
+    { assignment: { $in: assignmentIds }, student: { $in: studentIds } },
+    { $set: { removedFromClassAt: removedAt } },
+  );
+  await AttendanceSession.updateMany(
+    { classId, "students.studentId": { $in: studentIds } },
+    { $set: { "students.$[entry].removedFromClassAt": removedAt } },
+    { arrayFilters: [{ "entry.studentId": { $in: studentIds } }] },
+  );
+}
+
+/**
+ * Record a roster change for one or more students. Removals flag the
+ * students' submissions and attendance in the class; enrollments clear the
+ * flag again. Never throws: the roster change itself has already happened.
+ * @param {Object} change
+ * @param {ObjectId} change.classId
+ * @param {ObjectId|ObjectId[]} change.students
+ * @param {string} change.action - One of ROSTER_ACTIONS
+ * @param {ObjectId} [change.actor] - Who made the change (null = automatic)
+ * @param {ObjectId} [change.otherClass] - The other section of a transfer
+ * @param {string} [change.reason]
+ */
+async function recordRosterChange({ classId, students, action, actor = null, otherClass = null, reason = null }) {
+  const studentIds = [].concat(students);
+  if (!studentIds.length) return;
+
+  try {
+    await RosterEvent.insertMany(
+      studentIds.map((student) => ({
+        class: classId,
+        student,
+        action,
+        actor,
+        otherClass,
+        reason: reason || null,
+      })),
+    );
+
+    if (REMOVING_ACTIONS.includes(action)) {
+      await flagStudentRecords(classId, studentIds, new Date());
+    } else if (ENROLLING_ACTIONS.includes(action)) {
+      await flagStudentRecords(classId, studentIds, null);
+    }
+  } catch (err) {
+    console.error(`[ERROR] Roster history write failed (${action}):`, err.message);
+  }
+}
+
+module.exports = { recordRosterChange };
@@ -0,0 +1,302 @@
+// utils/rosterImport.js
+// Bulk roster import: match spreadsheet rows to students, enroll them, and
+// hold invitations for students who have not signed up yet
+
+const Class = require("../models/Class");
+const User = require("../models/User");
+const RosterInvitation = require("../models/RosterInvitation");
+const { readSpreadsheet } = require("./spreadsheet");
+const { recordRosterChange } = require("./rosterHistory");
+const { ROSTER_ACTIONS } = require("../constants/rosterActions");
+
+const MAX_ROSTER_ROWS = 2000;
+
+// Accepted spelling of each roster column (after normalizeHeader)
+const COLUMN_ALIASES = {
+  studentId: ["studentid", "id", "studentnumber", "studentcode", "universityid"],
+  email: ["email", "emailaddress", "mail", "studentemail", "universityemail"],
+  fullName: ["name", "fullname", "studentname"],
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const pickColumn = (headers, field) => COLUMN_ALIASES[field].find((alias) => headers.includes(alias));
+
+const rowError = (code, message) => ({ status: "error", code, message });
+
+/**
+ * Decide what happens to each roster row. Nothing is written.
+ * @param {Object} classDoc
+ * @param {Array<{rowNumber: number, values: Object}>} rows
+ * @param {{studentId?: string, email?: string, fullName?: string}} columns - Header of each field
+ * @returns {Promise<Object[]>} One report entry per row
+ */
+async function planRoster(classDoc, rows, columns) {
+  const entries = rows.map(({ rowNumber, values }) => ({
+    row: rowNumber,
+    studentId: (columns.studentId && values[columns.studentId]) || null,
+    email: (columns.email && values[columns.email].toLowerCase()) || null,
+    fullName: (columns.fullName && values[columns.fullName]) || null,
+  }));
+
+  const studentIds = entries.map((e) => e.studentId).filter(Boolean);
+  const emails = entries.map((e) => e.email).filter(Boolean);
+
+  const [users, invitations] = await Promise.all([
+    User.find({ $or: [{ studentId: { $in: studentIds } }, { email: { $in: emails } }] })
+      .select("fullName email studentId role isActive isEmailVerified")
+      .lean(),
+    RosterInvitation.find({
+      class: classDoc._id,
+      status: "pending",
+      $or: [{ studentId: { $in: studentIds } }, { email: { $in: emails } }],
+    }).lean(),
+  ]);
+
+  const byStudentId = new Map(users.filter((u) => u.studentId).map((u) => [u.studentId, u]));
+  const byEmail = new Map(users.map((u) => [u.email, u]));
+  const invitedIds = new Set(invitations.map((i) => i.studentId).filter(Boolean));
+  const invitedEmails = new Set(invitations.map((i) => i.email).filter(Boolean));
+  const alreadyInvited = (id, mail) =>
+    (id && invitedIds.has(id)) || (mail && invitedEmails.has(mail));
+
+  const enrolled = new Set(classDoc.students.map((s) => s.toString()));
+  const blocked = new Set((classDoc.blockedStudents || []).map((b) => b.student.toString()));
+  const staff = new Set([
+    classDoc.instructor.toString(),
+    ...(classDoc.staff || []).map((m) => m.user.toString()),
+  ]);
+
+  // First row each student/identifier appeared on, to flag duplicates
+  const seen = new Map();
+  const firstSeen = (key) => (key && seen.has(key) ? seen.get(key) : null);
+
+  return entries.map((entry) => {
+    const { studentId, email } = entry;
+
+    if (!studentId && !email) {
+      return { ...entry, ...rowError("MISSING_IDENTIFIER", "Row has no student ID or email") };
+    }
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return { ...entry, ...rowError("INVALID_EMAIL", "Email address is not valid") };
+    }
+
+    const idMatch = studentId ? byStudentId.get(studentId) : null;
+    const emailMatch = email ? byEmail.get(email) : null;
+    if (idMatch && emailMatch && idMatch._id.toString() !== emailMatch._id.toString()) {
+      return {
+        ...entry,
+        ...rowError("CONFLICTING_MATCH", "Student ID and email belong to different accounts"),
+      };
+    }
+    const user = idMatch || emailMatch;
+
+    const keys = user
+      ? [`user:${user._id}`]
+      : [studentId && `id:${studentId}`, email && `email:${email}`].filter(Boolean);
+    const duplicateOf = keys.map(firstSeen).find(Boolean);
+    if (duplicateOf) {
+      return {
+        ...entry,
+        status: "duplicate",
+        code: "DUPLICATE_ROW",
+        message: `Same student as row ${duplicateOf}`,
+      };
+    }
+    keys.forEach((key) => seen.set(key, entry.row));
+
+    if (user) {
+      const match = { ...entry, user: { id: user._id, fullName: user.fullName, email: user.email } };
+      if (user.role !== "student") {
+        return { ...match, ...rowError("NOT_A_STUDENT", `Not a student account (${user.role})`) };
+      }
+      if (!user.isActive) {
+        return { ...match, ...rowError("ACCOUNT_DEACTIVATED", "Account is deactivated") };
+      }
+      if (staff.has(user._id.toString())) {
+        return { ...match, ...rowError("IS_STAFF", "Student is on the class staff") };
+      }
+      if (enrolled.has(user._id.toString())) {
+        return { ...match, status: "already_enrolled" };
+      }
+      if (blocked.has(user._id.toString())) {
+        return { ...match, ...rowError("STUDENT_BLOCKED", "Student is blocked from this class; unblock them first") };
+      }
+      // An unverified account is enrolled once it is verified, like a new sign-up
+      if (!user.isEmailVerified) {
+        const status = alreadyInvited(user.studentId, user.email) ? "already_invited" : "invited";
+        return { ...match, status, email: email || user.email, studentId: studentId || user.studentId || null };
+      }
+      return { ...match, status: "enrolled" };
+    }
+
+    if (alreadyInvited(studentId, email)) {
+      return { ...entry, status: "already_invited" };
+    }
+    return { ...entry, status: "invited" };
+  });
+}
+
+const SUMMARY_KEYS = {
+  enrolled: "enrolled",
+  invited: "invited",
+  already_enrolled: "alreadyEnrolled",
+  already_invited: "alreadyInvited",
+  duplicate: "duplicates",
+  error: "errors",
+};
+
+const summarize = (report) => {
+  const summary = { totalRows: report.length };
+  Object.values(SUMMARY_KEYS).forEach((key) => (summary[key] = 0));
+  report.forEach((entry) => (summary[SUMMARY_KEYS[entry.status]] += 1));
+  return summary;
+};
+
+/**
+ * Import a CSV or XLSX roster into a class.
+ * @param {Object} classDoc - Class document
+ * @param {Buffer} buffer - Uploaded file
+ * @param {{dryRun?: boolean, invitedBy?: ObjectId}} [options]
+ * @returns {Promise<{report: Object[], summary: Object, columns: Object}|{error: {status: number, message: string, code: string}}>}
+ */
+async function importRoster(classDoc, buffer, { dryRun = false, invitedBy = null } = {}) {
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(buffer, { maxRows: MAX_ROSTER_ROWS });
+  } catch (err) {
+    if (err.code === "TOO_MANY_ROWS") {
+      return { error: { status: 400, message: err.message, code: "TOO_MANY_ROWS" } };
+    }
+    return {
+      error: { status: 400, message: "The file could not be read as CSV or XLSX", code: "INVALID_FILE" },
+    };
+  }
+
+  const columns = {
+    studentId: pickColumn(sheet.headers, "studentId"),
+    email: pickColumn(sheet.headers, "email"),
+    fullName: pickColumn(sheet.headers, "fullName"),
+  };
+  if (!columns.studentId && !columns.email) {
+    return {
+      error: {
+        status: 400,
+        message: "The roster needs a student ID or email column",
+        code: "INVALID_ROSTER",
+      },
+    };
+  }
+
+  const report = await planRoster(classDoc, sheet.rows, columns);
+
+  if (!dryRun) {
+    const toEnroll = report.filter((e) => e.status === "enrolled").map((e) => e.user.id);
+    if (toEnroll.length) {
+      await Class.updateOne(
+        { _id: classDoc._id },
+        {
+          $addToSet: { students: { $each: toEnroll } },
+          $pull: {
+            joinRequests: { student: { $in: toEnroll } },
+            waitlist: { student: { $in: toEnroll } },
+          },
+        },
+      );
+      await recordRosterChange({
+        classId: classDoc._id,
+        students: toEnroll,
+        action: ROSTER_ACTIONS.IMPORTED,
+        actor: invitedBy,
+      });
+    }
+
+    const toInvite = report.filter((e) => e.status === "invited");
+    if (toInvite.length) {
+      await RosterInvitation.insertMany(
+        toInvite.map((e) => ({
+          class: classDoc._id,
+          email: e.email,
+          studentId: e.studentId,
+          fullName: e.fullName,
+          invitedBy,
+        })),
+      );
+    }
+  }
+
+  return { report, summary: summarize(report), columns };
+}
+
+/**
+ * Enroll a newly verified student in every class whose roster invited them.
+ * Never throws: a failure here must not break sign-up or verification.
+ * @param {Object} user - User document
+ * @returns {Promise<ObjectId[]>} Classes the student was enrolled in
+ */
+async function claimRosterInvitations(user) {
+  try {
+    if (!user || user.role !== "student" || !user.isEmailVerified) return [];
+
+    const match = [{ email: user.email }];
+    if (user.studentId) match.push({ studentId: user.studentId });
+
+    const invitations = await RosterInvitation.find({ status: "pending", $or: match });
+    const enrolledIn = [];
+
+    // Invitations to classes in the trash stay pending in case they are restored
+    const trashed = await Class.find({
+      _id: { $in: invitations.map((i) => i.class) },
+      deletedAt: { $ne: null },
+    })
+      .select("_id")
+      .lean();
+    const trashedIds = new Set(trashed.map((c) => c._id.toString()));
+
+    for (const invitation of invitations) {
+      if (trashedIds.has(invitation.class.toString())) continue;
+
+      const result = await Class.updateOne(
+        {
+          _id: invitation.class,
+          instructor: { $ne: user._id },
+          "staff.user": { $ne: user._id },
+          students: { $ne: user._id },
+          "blockedStudents.student": { $ne: user._id },
+        },
+        {
+          $addToSet: { students: user._id },
+          $pull: { joinRequests: { student: user._id }, waitlist: { student: user._id } },
+        },
+      );
+      if (result.modifiedCount === 1) {
+        enrolledIn.push(invitation.class);
+        await recordRosterChange({
+          classId: invitation.class,
+          students: user._id,
+          action: ROSTER_ACTIONS.INVITATION_CLAIMED,
+          actor: user._id,
+        });
+      }
+
+      invitation.status = "claimed";
+      invitation.claimedBy = user._id;
+      invitation.claimedAt = new Date();
+      await invitation.save();
+    }
+
+    if (enrolledIn.length) {
+      console.log(`[INFO] ${user.email} enrolled in ${enrolledIn.length} class(es) from roster invitations`);
+    }
+    return enrolledIn;
+  } catch (err) {
+    console.error("[ERROR] Claim roster invitations failed:", err.message);
+    return [];
+  }
+}
+
+module.exports = {
+  MAX_ROSTER_ROWS,
+  importRoster,
+  claimRosterInvitations,
+};
@@ -0,0 +1,202 @@
+// utils/sessions.js
+// Login sessions: short-lived access tokens with rotating refresh tokens
+
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { generateToken, hashToken } = require("./tokens");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_MS =
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Describe the device making the request.
+ * @param {Object} req - Express request
+ * @returns {{deviceId: string|null, deviceName: string|null, ip: string|null}}
+ */
+function getDeviceInfo(req) {
+  const body = req.body || {};
+  return {
+    deviceId: body.deviceId ? String(body.deviceId) : null,
+    deviceName: body.deviceName
+      ? String(body.deviceName).slice(0, 200)
+      : (req.headers["user-agent"] || "").slice(0, 200) || null,
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Sign an access token bound to a session.
+ * @param {Object} user - User document
+ * @param {string|ObjectId} sessionId - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, role: user.role, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+}
+
+/**
+ * Start a new session for a user on the requesting device.
+ * Logging in again from the same deviceId replaces that device's session.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: string, sessionId: ObjectId}>}
+ */
+async function createSession(user, req) {
+  const device = getDeviceInfo(req);
+
+  if (device.deviceId) {
+    await Session.updateMany(
+      { user: user._id, deviceId: device.deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "replaced" },
+    );
+  }
+
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    ip: device.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session._id,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<{status: "ok"|"invalid"|"reused"|"revoked"|"expired", user?: Object, accessToken?: string, refreshToken?: string, expiresIn?: string}>}
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  if (!refreshToken) return { status: "invalid" };
+
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (!reused) return { status: "invalid" };
+    if (!reused.revokedAt) {
+      reused.revokedAt = now;
+      reused.revokedReason = "refresh_token_reuse";
+      await reused.save();
+      console.warn(`[WARNING] Refresh token reuse detected for session ${reused._id}`);
+    }
+    return { status: "reused" };
+  }
+
+  if (session.revokedAt) return { status: "revoked" };
+  if (session.expiresAt <= now) return { status: "expired" };
+
+  const user = await User.findById(session.user);
+  if (!user || user.isActive === false) return { status: "invalid" };
+
+  const newRefreshToken = generateToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: now,
+      ip: req.ip || session.ip,
+    },
+    { new: true },
+  );
+  if (!rotated) return { status: "reused" };
+
+  return {
+    status: "ok",
+    user,
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+}
+
+/**
+ * Revoke the session that owns a refresh token.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {string} [reason="logout"] - Stored revocation reason
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeSessionByRefreshToken(refreshToken, reason = "logout") {
+  const result = await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke one session belonging to a user.
+ * @param {string|ObjectId} userId - Session owner
+ * @param {string|ObjectId} sessionId - Session to revoke
+ * @param {string} [reason="logout"] - Stored revocation reason
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeSession(userId, sessionId, reason = "logout") {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user.
+ * @param {string|ObjectId} userId - Session owner
+ * @param {string} [reason="logout_all"] - Stored revocation reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = "logout_all") {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Check that a session is still usable by access tokens.
+ * @param {string|ObjectId} sessionId - Session id from the `sid` claim
+ * @param {string|ObjectId} userId - User id from the `id` claim
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const session = await Session.findById(sessionId).select("user revokedAt expiresAt").lean();
+  return (
+    !!session &&
+    !session.revokedAt &&
+    session.expiresAt > new Date() &&
+    session.user.toString() === String(userId)
+  );
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,94 @@
+// utils/spreadsheet.js
+// Read uploaded CSV and XLSX files into plain rows keyed by column header
+
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+
+const SPREADSHEET_FORMATS = ["csv", "xlsx"];
+
+/**
+ * Tell XLSX (a zip archive) from CSV by the file contents.
+ * @param {Buffer} buffer
+ * @returns {"csv"|"xlsx"}
+ */
+const detectFormat = (buffer) =>
+  buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304 ? "xlsx" : "csv";
+
+/**
+ * Header text reduced to lowercase letters and digits, so "Student ID",
+ * "student_id" and "StudentId" all become "studentid".
+ * @param {string} header
+ * @returns {string}
+ */
+const normalizeHeader = (header) =>
+  String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Spreadsheet programs in some locales separate CSV fields with semicolons
+const detectDelimiter = (buffer) => {
+  const firstLine = buffer.toString("utf8", 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  const count = (ch) => firstLine.split(ch).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+};
+
+/**
+ * Parse the first worksheet of a CSV or XLSX file. The first non-empty row is
+ * the header; every cell is returned as trimmed text.
+ * @param {Buffer} buffer - File contents
+ * @param {{maxRows?: number}} [options] - Stop with an error past this many data rows
+ * @returns {Promise<{format: string, headers: string[], rows: Array<{rowNumber: number, values: Object<string, string>}>}>}
+ *   `headers` are normalized (see normalizeHeader); `values` is keyed by them
+ */
+async function readSpreadsheet(buffer, { maxRows = Infinity } = {}) {
+  const format = detectFormat(buffer);
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === "xlsx") {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    // Keep every value as text so student IDs keep their leading zeros
+    worksheet = await workbook.csv.read(Readable.from([buffer]), {
+      map: (value) => value,
+      parserOptions: { delimiter: detectDelimiter(buffer) },
+    });
+  }
+
+  if (!worksheet) {
+    return { format, headers: [], rows: [] };
+  }
+
+  let headers = null;
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      cells[col] = String(cell.text || "").trim();
+    });
+    if (!cells.some(Boolean)) return;
+
+    if (!headers) {
+      headers = cells.map(normalizeHeader);
+      return;
+    }
+    if (rows.length >= maxRows) {
+      const err = new Error(`The file has more than ${maxRows} rows`);
+      err.code = "TOO_MANY_ROWS";
+      throw err;
+    }
+
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header && !(header in values)) values[header] = cells[col] || "";
+    });
+    rows.push({ rowNumber, values });
+  });
+
+  return { format, headers: (headers || []).filter(Boolean), rows };
+}
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  normalizeHeader,
+  readSpreadsheet,
+};
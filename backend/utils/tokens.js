@@ -0,0 +1,25 @@
+// utils/tokens.js
+// Helpers for opaque random tokens sent to users (email links, reset links)
+
+const crypto = require("crypto");
+
+/**
+ * Generate a random URL-safe token.
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+/**
+ * Hash a token for storage. Only the hash is persisted so a database leak
+ * cannot be replayed against the API.
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = { generateToken, hashToken };
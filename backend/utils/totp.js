@@ -0,0 +1,142 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as unpadded base32 (the format authenticator apps expect).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 TOTP secret.
+ * @param {number} [bytes=20] - Secret length in bytes (160 bits per RFC 4226)
+ * @returns {string}
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Compute the code for a given time step.
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Current time step.
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps either side.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window=1] - Accepted drift in steps
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+function verifyCode(secret, code, window = 1) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, step + offset);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI shown as a QR code during enrolment.
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string}
+ */
+function buildProvisioningUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+};
@@ -0,0 +1,152 @@
+// utils/twoFactor.js
+// Two-factor login policy, challenge tokens and recovery codes
+
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const User = require("../models/User");
+const SiteSettings = require("../models/SiteSettings");
+const { verifyCode } = require("./totp");
+const { hashToken } = require("./tokens");
+
+// Roles allowed to enrol in two-factor authentication
+const TWO_FACTOR_ROLES = ["instructor", "admin", "super_admin"];
+const TWO_FACTOR_TOKEN_EXPIRES_IN = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Roles that must use two-factor authentication (from SiteSettings).
+ * @returns {Promise<string[]>}
+ */
+async function getRequiredRoles() {
+  const settings = await SiteSettings.findOne({ key: "main" })
+    .select("twoFactorRequiredRoles")
+    .lean();
+  return (settings && settings.twoFactorRequiredRoles) || [];
+}
+
+/**
+ * Whether the site policy requires two-factor authentication for a user.
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(user) {
+  const roles = await getRequiredRoles();
+  return roles.includes(user.role);
+}
+
+/**
+ * Sign a short-lived token that only unlocks the next two-factor step.
+ * @param {Object} user - User document
+ * @param {"2fa_challenge"|"2fa_setup"} purpose
+ * @returns {string}
+ */
+function signTwoFactorToken(user, purpose) {
+  return jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * Verify a two-factor step token.
+ * @param {string} token - Token from signTwoFactorToken
+ * @param {"2fa_challenge"|"2fa_setup"} purpose - Expected purpose
+ * @returns {Object|null} JWT payload, or null if invalid/expired/wrong purpose
+ */
+function verifyTwoFactorToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Decide whether a password/Google login must stop for a second factor.
+ * @param {Object} user - User document that passed the first factor
+ * @returns {Promise<Object|null>} Response body for the pending step, or null to finish login
+ */
+async function getLoginChallenge(user) {
+  if (user.twoFactorEnabled) {
+    return {
+      message: "Enter the code from your authenticator app",
+      code: "TWO_FACTOR_REQUIRED",
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorToken(user, "2fa_challenge"),
+      expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+    };
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return {
+      message: "Two-factor authentication must be set up before you can log in",
+      code: "TWO_FACTOR_SETUP_REQUIRED",
+      twoFactorSetupRequired: true,
+      setupToken: signTwoFactorToken(user, "2fa_setup"),
+      expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Generate a fresh set of recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} Raw codes (shown once) and their hashes
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map((c) => hashToken(c)) };
+}
+
+/**
+ * Check a TOTP code or recovery code for a user with 2FA enabled.
+ * Accepted TOTP codes cannot be replayed; recovery codes are single-use.
+ * @param {string|ObjectId} userId - User to check
+ * @param {{code?: string, recoveryCode?: string}} input
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await User.findById(userId).select(
+    "+twoFactorSecret +twoFactorRecoveryCodes",
+  );
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null) return false;
+
+  // Record the step only if it is newer than the last one used, so two
+  // concurrent requests with the same code cannot both succeed
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+    },
+    { $set: { twoFactorLastUsedStep: step } },
+  );
+  return result.modifiedCount === 1;
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  getLoginChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
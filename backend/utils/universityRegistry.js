@@ -0,0 +1,111 @@
+// utils/universityRegistry.js
+// Resolves university email addresses against the University registry
+
+const University = require("../models/University");
+const DEFAULT_UNIVERSITIES = require("../constants/universities");
+
+/**
+ * Seed the default universities when the registry is empty.
+ * @returns {Promise<number>} Number of universities inserted
+ */
+async function seedDefaultUniversities() {
+  const count = await University.estimatedDocumentCount();
+  if (count > 0) return 0;
+
+  const docs = Object.entries(DEFAULT_UNIVERSITIES).map(([domain, data]) => ({
+    domain,
+    ...data,
+  }));
+  await University.insertMany(docs);
+  console.log(`[INFO] Seeded ${docs.length} default universities`);
+  return docs.length;
+}
+
+/**
+ * Extract the student ID from the local part of a student address.
+ * @param {Object} university - University document
+ * @param {string} emailPrefix - Local part of the email address
+ * @returns {string|null} Student ID, or null if the university defines no patterns
+ */
+function extractStudentId(university, emailPrefix) {
+  const patterns = university.studentIdPatterns || [];
+  if (patterns.length === 0) return null;
+
+  for (const source of patterns) {
+    const match = new RegExp(source).exec(emailPrefix);
+    if (match) return match[1] || match[0];
+  }
+
+  throw new Error(
+    `Student email prefix '${emailPrefix}' does not match the student ID format of ${university.name}`,
+  );
+}
+
+/**
+ * Resolve an email address to university, faculty, role and student ID.
+ * Throws an Error with a user-facing message when the address is not accepted.
+ * @param {string} email - Lower-cased email address
+ * @returns {Promise<{university: string, faculty: string|null, role: string, studentId: string|null}>}
+ */
+async function resolveUniversityEmail(email) {
+  const atIndex = email.lastIndexOf("@");
+  if (atIndex <= 0) {
+    throw new Error("Invalid email address");
+  }
+
+  const emailPrefix = email.slice(0, atIndex);
+  const host = email.slice(atIndex + 1).toLowerCase();
+
+  // Longest domain first so 'eng.example.edu' wins over 'example.edu'
+  const universities = (await University.find({ isActive: true }).lean()).sort(
+    (a, b) => b.domain.length - a.domain.length,
+  );
+  const university = universities.find(
+    (u) => host === u.domain || host.endsWith(`.${u.domain}`),
+  );
+
+  if (!university) {
+    throw new Error(`University '${host}' is not supported yet`);
+  }
+
+  const labels = host === university.domain
+    ? []
+    : host.slice(0, -(university.domain.length + 1)).split(".");
+
+  let isStudent = false;
+  if (university.studentAddressPrefix && labels[0] === university.studentAddressPrefix) {
+    isStudent = true;
+    labels.shift();
+  } else if (university.staffAddressPrefix) {
+    if (labels[0] !== university.staffAddressPrefix) {
+      throw new Error(`Email address is not a recognized ${university.name} address`);
+    }
+    labels.shift();
+  }
+
+  if (labels.length > 1) {
+    throw new Error(`Email address is not a recognized ${university.name} address`);
+  }
+
+  let faculty = null;
+  if (labels.length === 1) {
+    const subdomains = university.subdomains || {};
+    faculty = subdomains[labels[0]] || null;
+    if (!faculty) {
+      throw new Error(
+        `Faculty '${labels[0]}' is not recognized at ${university.name}`,
+      );
+    }
+  } else if (university.facultySubdomainRequired) {
+    throw new Error(`${university.name} email must include a faculty subdomain`);
+  }
+
+  return {
+    university: university.name,
+    faculty,
+    role: isStudent ? "student" : "instructor",
+    studentId: isStudent ? extractStudentId(university, emailPrefix) : null,
+  };
+}
+
+module.exports = { seedDefaultUniversities, resolveUniversityEmail };
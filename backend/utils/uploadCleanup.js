@@ -0,0 +1,27 @@
+// utils/uploadCleanup.js
+// Removes the files multer saved for a request that was then rejected
+
+const fs = require("fs");
+
+/**
+ * Delete the uploaded files of a request (req.file / req.files). Never throws.
+ * @param {Object} req - Express request after an upload middleware
+ * @returns {Promise<void>}
+ */
+async function removeRequestFiles(req) {
+  const files = [
+    ...(req.file ? [req.file] : []),
+    ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat()),
+  ];
+  await Promise.all(
+    files.map((file) =>
+      fs.promises.unlink(file.path).catch((err) => {
+        if (err.code !== "ENOENT") {
+          console.error(`[ERROR] Could not delete uploaded file ${file.path}:`, err.message);
+        }
+      }),
+    ),
+  );
+}
+
+module.exports = { removeRequestFiles };
@@ -15,9 +15,19 @@ const API_CONFIG = {
   ENDPOINTS: {
     REGISTER: "/api/auth/register",
     VERIFY_EMAIL: "/api/auth/verify-email",
+    RESEND_VERIFICATION: "/api/auth/resend-verification",
     LOGIN: "/api/auth/login",
     LOGOUT: "/api/auth/logout",
+    LOGOUT_ALL: "/api/auth/logout-all",
+    REFRESH: "/api/auth/refresh",
+    SESSIONS: "/api/auth/sessions",
     GOOGLE_LOGIN: "/api/auth/google-login",
+    OIDC_PROVIDERS: "/api/auth/oidc/providers",
+    OIDC_EXCHANGE: "/api/auth/oidc/exchange",
+    TWO_FACTOR_VERIFY_LOGIN: "/api/auth/2fa/verify-login",
+    UNIVERSITIES: "/api/universities",
+    FORGOT_PASSWORD: "/api/auth/forgot-password",
+    RESET_PASSWORD: "/api/auth/reset-password",
   },
 
   // Generated URLs for easy access
@@ -27,13 +37,142 @@ const API_CONFIG = {
   getVerifyEmailUrl() {
     return this.BASE_URL + this.ENDPOINTS.VERIFY_EMAIL;
   },
+  getResendVerificationUrl() {
+    return this.BASE_URL + this.ENDPOINTS.RESEND_VERIFICATION;
+  },
   getLoginUrl() {
     return this.BASE_URL + this.ENDPOINTS.LOGIN;
   },
   getLogoutUrl() {
     return this.BASE_URL + this.ENDPOINTS.LOGOUT;
   },
+  getLogoutAllUrl() {
+    return this.BASE_URL + this.ENDPOINTS.LOGOUT_ALL;
+  },
+  getRefreshUrl() {
+    return this.BASE_URL + this.ENDPOINTS.REFRESH;
+  },
+  getSessionsUrl() {
+    return this.BASE_URL + this.ENDPOINTS.SESSIONS;
+  },
   getGoogleLoginUrl() {
     return this.BASE_URL + this.ENDPOINTS.GOOGLE_LOGIN;
   },
+  getOidcProvidersUrl() {
+    return this.BASE_URL + this.ENDPOINTS.OIDC_PROVIDERS;
+  },
+  getOidcExchangeUrl() {
+    return this.BASE_URL + this.ENDPOINTS.OIDC_EXCHANGE;
+  },
+  getTwoFactorVerifyLoginUrl() {
+    return this.BASE_URL + this.ENDPOINTS.TWO_FACTOR_VERIFY_LOGIN;
+  },
+  getUniversitiesUrl() {
+    return this.BASE_URL + this.ENDPOINTS.UNIVERSITIES;
+  },
+  getForgotPasswordUrl() {
+    return this.BASE_URL + this.ENDPOINTS.FORGOT_PASSWORD;
+  },
+  getResetPasswordUrl() {
+    return this.BASE_URL + this.ENDPOINTS.RESET_PASSWORD;
+  },
+};
+
+// ============================================
+// SESSION
+// ============================================
+// Access tokens are short-lived; the refresh token saved at sign-in gets a
+// new pair. API calls answered 401 INVALID_TOKEN are refreshed and retried once.
+
+/**
+ * Store the tokens and user from a login, refresh or profile completion response.
+ * @param {Object} data - Response body with token, refreshToken and user
+ */
+function saveSession(data) {
+  if (data.token) localStorage.setItem("token", data.token);
+  if (data.refreshToken) localStorage.setItem("refreshToken", data.refreshToken);
+  if (data.user) localStorage.setItem("user", JSON.stringify(data.user));
+}
+
+function clearSession() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+}
+
+const originalFetch = window.fetch.bind(window);
+let refreshInFlight = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair. Concurrent callers
+ * share one request, since each refresh token only works once.
+ * @returns {Promise<string|null>} The new access token, or null when the session is over
+ */
+function refreshSession() {
+  if (!refreshInFlight) {
+    const refreshToken = localStorage.getItem("refreshToken");
+    refreshInFlight = (async () => {
+      if (!refreshToken) return null;
+      try {
+        const res = await originalFetch(API_CONFIG.getRefreshUrl(), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) return null;
+        const data = await res.json();
+        saveSession(data);
+        return data.token;
+      } catch (err) {
+        return null;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+window.fetch = async function (input, init = {}) {
+  const res = await originalFetch(input, init);
+  const url = typeof input === "string" ? input : input.url;
+  const headers = new Headers(init.headers || {});
+  if (
+    res.status !== 401 ||
+    !url.startsWith(API_CONFIG.BASE_URL) ||
+    !(headers.get("Authorization") || "").startsWith("Bearer ")
+  ) {
+    return res;
+  }
+
+  const body = await res
+    .clone()
+    .json()
+    .catch(() => ({}));
+  if (body.code !== "INVALID_TOKEN") return res;
+
+  const token = await refreshSession();
+  if (!token) return res;
+  headers.set("Authorization", `Bearer ${token}`);
+  return originalFetch(input, { ...init, headers });
 };
+
+/**
+ * End the session on the server and locally, then go to the sign-in page.
+ */
+async function logoutAndRedirect() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  clearSession();
+  if (refreshToken) {
+    try {
+      await originalFetch(API_CONFIG.getLogoutUrl(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (err) {
+      console.warn("Logout request failed:", err.message);
+    }
+  }
+  window.location.href = "signin.html";
+}